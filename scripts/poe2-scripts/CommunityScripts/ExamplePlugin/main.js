@@ -10,6 +10,11 @@
  *   author      - Your name (shown in plugin browser)
  *   description - Short description (shown on hover in plugin browser)
  *   plugin      - Object with lifecycle callbacks
+ * Optional:
+ *   manifest    - { version, requires: ['poe2.getUiRoot'], dependsOn: ['pickit'], loadOrder }
+ *                 missing features/dependencies list the plugin as DISABLED with the reason
+ *   setup(ctx)  - called once before registration; ctx.settings is YOUR settings namespace
+ *                 (get(defaults) / set(key, value) / setMultiple(values)) -- don't import Settings.js
  * 
  * Available callbacks:
  *   onEnable()  - Called when plugin is enabled
@@ -17,18 +22,28 @@
  *   onTick()    - Called every frame (read phase - read game memory here)
  *   onDraw()    - Called every frame (draw phase - render overlays here)
  *   onDrawUI()  - Called every frame when UI is visible (F12) - ImGui panels
+ *
+ * Game events come from the shared bus (globalThis.Events, see event_bus.js for every event and its payload):
+ *   Events.on('itemPicked', p => ..., { owner: 'example_community' })   -> { rule, name, id, at }
+ * Subscribe in onEnable and drop them in onDisable with Events.offOwner(<owner>).
  */
 
 let enabled = false;
+let picked = 0;
+let lastPick = '';
+let settings = null;
+const DEFAULTS = { showLastPick: true };
 
 const plugin = {
   onEnable() {
     enabled = true;
+    Events.on('itemPicked', p => { picked++; lastPick = p.name; }, { owner: 'example_community' });
     console.log('[ExamplePlugin] Enabled!');
   },
 
   onDisable() {
     enabled = false;
+    Events.offOwner('example_community');
     console.log('[ExamplePlugin] Disabled!');
   },
 
@@ -37,6 +52,8 @@ const plugin = {
     ImGui.begin('Example Community Plugin');
     ImGui.text('Hello from a community plugin!');
     ImGui.text('Edit CommunityScripts/ExamplePlugin/main.js to customize.');
+    const showLast = settings ? settings.get(DEFAULTS).showLastPick : true;
+    ImGui.text(`Items picked while enabled: ${picked}${showLast && lastPick ? ` (last: ${lastPick})` : ''}`);
     ImGui.end();
   }
 };
@@ -45,5 +62,7 @@ export default {
   name: 'example_community',
   author: 'Jmr',
   description: 'A minimal example showing how to create a community plugin.',
+  manifest: { version: '1.1.0', dependsOn: ['pickit'] },
+  setup(ctx) { settings = ctx.settings; },
   plugin
 };
@@ -12,10 +12,16 @@
  *         "settingKey": value
  *       }
  *     }
- *   }
+ *   },
+ *   "versions": { "PlayerName": { "pluginName": 2 } }   // schema version each stored entry was migrated to
  * }
+ *
+ * Plugins that declare a schema (defineSchema, see settings_schema.js) get their stored values migrated and
+ * validated on load, and every set() checked against it.
  */
 
+import { buildSchema, validateSettings, migrateSettings, normalizeValue } from './settings_schema.js';
+
 // POE2 instance for getting local player
 const poe2 = new POE2();
 
@@ -30,6 +36,9 @@ let settings = {
 // Track if settings have been loaded
 let loaded = false;
 
+// pluginName -> schema (settings_schema.js buildSchema)
+const schemas = new Map();
+
 /**
  * Check if a file exists
  */
@@ -102,8 +111,10 @@ function getPluginSettings(playerName, pluginName, defaults = {}) {
   // Ensure plugin entry exists with defaults
   if (!settings.players[playerName][pluginName]) {
     settings.players[playerName][pluginName] = { ...defaults };
+    if (schemas.has(pluginName)) storedVersions(playerName)[pluginName] = schemas.get(pluginName).version;
     saveSettings();
   } else {
+    if (schemas.has(pluginName)) applySchema(playerName, pluginName);
     // Merge with defaults for any missing keys
     let updated = false;
     for (const key in defaults) {
@@ -120,6 +131,72 @@ function getPluginSettings(playerName, pluginName, defaults = {}) {
   return settings.players[playerName][pluginName];
 }
 
+function storedVersions(playerName) {
+  if (!settings.versions || typeof settings.versions !== 'object') settings.versions = {};
+  if (!settings.versions[playerName]) settings.versions[playerName] = {};
+  return settings.versions[playerName];
+}
+
+/**
+ * Migrate + validate an existing stored entry against its plugin's schema (in place, saved when changed).
+ * An entry stored before its plugin had a schema counts as version 1.
+ */
+function applySchema(playerName, pluginName) {
+  const schema = schemas.get(pluginName);
+  const versions = storedVersions(playerName);
+  const stored = settings.players[playerName][pluginName];
+  const from = versions[pluginName] || 1;
+  let values = stored;
+  let changed = false;
+  if (from < schema.version) {
+    const m = migrateSettings(schema, stored, from);
+    if (m.error) console.warn(`[Settings] ${playerName}/${pluginName}: ${m.error}`);
+    if (m.applied.length) console.log(`[Settings] ${playerName}/${pluginName}: migrated v${from} -> v${m.version}`);
+    values = m.values;
+    versions[pluginName] = m.version;
+    changed = true;
+  }
+  const v = validateSettings(schema, values);
+  for (const p of v.problems) console.warn(`[Settings] ${playerName}/${pluginName}.${p}`);
+  if (v.problems.length) changed = true;
+  if (!changed) return;
+  // keep the same object: callers may already hold it
+  for (const key of Object.keys(stored)) if (!(key in v.values)) delete stored[key];
+  Object.assign(stored, v.values);
+  saveSettings();
+}
+
+/** A value about to be stored, checked against the plugin's schema (clamped / reset with a warning). */
+function checkedValue(pluginName, key, value) {
+  const schema = schemas.get(pluginName);
+  const spec = schema && schema.fields[key];
+  if (!spec) return value;
+  const r = normalizeValue(spec, value);
+  if (r.problem) console.warn(`[Settings] ${pluginName}.${key}: ${r.problem}`);
+  return r.value;
+}
+
+/**
+ * Declare the settings schema of a plugin (before its first Settings.get). See settings_schema.js.
+ * @param {string} pluginName - The plugin name
+ * @param {object} defaults - The plugin's DEFAULT_SETTINGS (types are read off these)
+ * @param {object} opts - { version, fields: { key: { min, max, int, enum, type } }, migrations: { n: fn } }
+ * @returns {object} The schema
+ */
+function defineSchema(pluginName, defaults, opts = {}) {
+  const schema = buildSchema(defaults, opts);
+  schemas.set(pluginName, schema);
+  return schema;
+}
+
+/**
+ * Get the schema a plugin declared, or null
+ * @param {string} pluginName - The plugin name
+ */
+function getSchema(pluginName) {
+  return schemas.get(pluginName) || null;
+}
+
 /**
  * Set a specific setting for a player and plugin
  * @param {string} playerName - The player's name
@@ -143,10 +220,11 @@ function setSetting(playerName, pluginName, key, value) {
   // Ensure plugin entry exists
   if (!settings.players[playerName][pluginName]) {
     settings.players[playerName][pluginName] = {};
+    if (schemas.has(pluginName)) storedVersions(playerName)[pluginName] = schemas.get(pluginName).version;
   }
   
   // Set the value
-  settings.players[playerName][pluginName][key] = value;
+  settings.players[playerName][pluginName][key] = checkedValue(pluginName, key, value);
   saveSettings();
 }
 
@@ -172,11 +250,12 @@ function setSettings(playerName, pluginName, values) {
   // Ensure plugin entry exists
   if (!settings.players[playerName][pluginName]) {
     settings.players[playerName][pluginName] = {};
+    if (schemas.has(pluginName)) storedVersions(playerName)[pluginName] = schemas.get(pluginName).version;
   }
   
   // Set all values
   for (const key in values) {
-    settings.players[playerName][pluginName][key] = values[key];
+    settings.players[playerName][pluginName][key] = checkedValue(pluginName, key, values[key]);
   }
   saveSettings();
 }
@@ -224,12 +303,32 @@ function setMultiple(pluginName, values) {
   setSettings(player.playerName, pluginName, values);
 }
 
+/**
+ * A settings handle locked to one namespace -- what community plugins get instead of the raw API, so a plugin
+ * named 'mapper' in CommunityScripts can't read or overwrite the core mapper's keys.
+ * @param {string} namespace - Storage key under the player (e.g. 'community.my_plugin')
+ * @returns {{ namespace: string, get: Function, set: Function, setMultiple: Function }}
+ */
+function scoped(namespace) {
+  const ns = String(namespace || '');
+  if (!ns) throw new Error('[Settings] scoped() needs a namespace');
+  return Object.freeze({
+    namespace: ns,
+    get: (defaults = {}) => get(ns, defaults),
+    set: (key, value) => set(ns, key, value),
+    setMultiple: (values) => setMultiple(ns, values),
+  });
+}
+
 // Export the settings API
 export const Settings = {
   // Auto-detect player versions (preferred)
   get,
   set,
   setMultiple,
+  scoped,
+  defineSchema,
+  getSchema,
   
   // Explicit player versions (for edge cases)
   getPluginSettings,
@@ -4,12 +4,32 @@
  * Automatically sends disconnect packet when health drops below threshold.
  * Settings are persisted per player in ../data/settings.json
  *
+ * Damage-rate prediction: the fixed thresholds only see the HP of THIS frame, so one big hit between checks can
+ * take 30% to dead. A rolling window of life + energy-shield samples gives the incoming DPS; the life projected
+ * until the pot can land (ES soaks first) is checked against predictFloor (pot). The exit is costlier to get
+ * wrong: it projects one flask tick only, and only after PREDICT_EXIT_SAMPLES frames in a row agree.
+ *
+ * Pool profile (per character, like every setting here): thresholds read the pool the build actually lives on --
+ * 'life', 'es' (the exit watches ES; life pots on life %, none for CI) or 'hybrid' (life + ES as one pool). 'auto'
+ * picks from the max pools (see resolveProfile). Ward is not in the player data the API returns, so it isn't counted.
+ *
+ * Flask charges: the API has no charge counter, so a pot is CONFIRMED by its flask_effect buff showing up. A pot
+ * that shows nothing within the confirm window (FLASK_CONFIRM_BASE_MS + two round trips of pingMs) means no charges:
+ * that flask rests for flaskEmptyBackoff instead of being resent every cooldown -- except the life flask below
+ * panicThreshold, where a wrong guess costs more than a wasted packet. (A pot sent while the effect is already up can't be told apart; it isn't judged.)
+ *
+ * Utility flasks / charms: utilityRules (per character) name a belt slot + rotation_builder-style conditions; the
+ * first ready rule is used, at most one per frame, never while its buff is up (utility_flasks.js).
+ *
  * PERFORMANCE OPTIMIZED: Uses shared POE2Cache for per-frame caching
  * NOTE: Do NOT call POE2Cache.beginFrame() here - it's called once in main.js
  */
 
 import { Settings } from './Settings.js';
 import { POE2Cache, poe2 } from './poe2_cache.js';
+import { statsEvent } from './session_stats.js';
+import { Events } from './event_bus.js';
+import { parseUtilityRules, pickUtilityRule, utilityRuleStatus, UTILITY_CONDITION_TYPES, UTILITY_OPERATORS, UTILITY_SLOTS } from './utility_flasks.js';
 
 // Plugin name for settings
 const PLUGIN_NAME = 'chicken';
@@ -25,9 +45,36 @@ const DEFAULT_SETTINGS = {
   slamMode: true,           // keep repotting every potionCooldown while below threshold (ignore flask-active suppression)
   potionCooldown: 1500,     // 1.5 second cooldown between potion uses
   manaPotionCooldown: 1500, // 1.5 second cooldown between mana potion uses
-  exitCooldown: 5000        // 5 second cooldown for exit (safety)
+  exitCooldown: 5000,       // 5 second cooldown for exit (safety)
+  predictEnabled: true,     // also pot / exit on the projected HP, not just the current one
+  predictWindowMs: 1000,    // damage samples the DPS estimate averages over
+  predictTickMs: 500,       // flask-tick boundary: how far ahead the exit projects (the pot: at least its cooldown left)
+  predictFloor: 35,         // pot when the projected HP % at that boundary is below this
+  poolMode: 'auto',         // 'auto' | 'life' | 'es' | 'hybrid' -- which pool the thresholds read
+  flaskEmptyBackoff: 5000,  // a pot with no visible effect (no charges): don't resend that flask for this long
+  pingMs: 60,               // your latency to the server: a pot's effect is judged missing only after two round trips
+  utilityEnabled: false,    // use utility flasks / charms by utilityRules
+  utilityRules: []          // [{ name, slot, buff, enabled, conditions }] -- see utility_flasks.js
 };
 
+// Ranges = the UI's +/- limits.
+export const SETTINGS_SCHEMA = Settings.defineSchema(PLUGIN_NAME, DEFAULT_SETTINGS, {
+  fields: {
+    threshold: { min: 10, max: 95, int: true },
+    manaThreshold: { min: 5, max: 95, int: true },
+    panicThreshold: { min: 5, max: 50, int: true },
+    potionCooldown: { min: 100, max: 10000, int: true },
+    manaPotionCooldown: { min: 100, max: 10000, int: true },
+    exitCooldown: { min: 100, max: 30000, int: true },
+    predictWindowMs: { min: 250, max: 5000, int: true },
+    predictTickMs: { min: 100, max: 2000, int: true },
+    predictFloor: { min: 5, max: 90, int: true },
+    poolMode: { enum: ['auto', 'life', 'es', 'hybrid'] },
+    flaskEmptyBackoff: { min: 1000, max: 30000, int: true },
+    pingMs: { min: 0, max: 1000, int: true },
+  },
+});
+
 // Current settings (loaded from file or defaults)
 let currentSettings = { ...DEFAULT_SETTINGS };
 
@@ -40,6 +87,96 @@ let lastManaPotionTime = 0;
 let lastExitTime = 0;
 let currentPlayerName = null;
 
+// Death cause for the playerDied event: how fast did the HP go? Samples of the last DEATH_TRAIL_MS, read at the
+// frame the HP hits 0. Tracked even with every chicken feature off -- the dashboard still wants the count.
+const DEATH_TRAIL_MS = 2000;
+const DEATH_BURST_FROM_PCT = 50;
+let hpTrail = [];            // [{ at, pct }] oldest first
+let wasAlive = false;
+
+// Damage-rate estimator: samples of the last predictWindowMs feed the DPS; the graph keeps GRAPH_MS of estimates.
+// A window shorter than PREDICT_MIN_SPAN_MS is stretched to it -- one hit between two frames is not a rate.
+const PREDICT_MIN_SPAN_MS = 250;
+const GRAPH_MS = 5000;
+// One hit is a spike, a drain keeps hitting: the predicted exit needs this many damage-taking frames in a row to
+// project under the panic line (a frame without a new drop doesn't count either way).
+const PREDICT_EXIT_SAMPLES = 3;
+let dmgSamples = [];         // [{ at, life, es }] oldest first
+let lastEstimate = null;     // estimateDamage() result of this frame (null out of game)
+let exitStreak = 0;          // damage-taking frames in a row whose one-tick projection was under panicThreshold
+let graphPoints = [];        // [{ at, lifePct, projPct }] for onDrawUI
+const _predictRef = { value: DEFAULT_SETTINGS.predictEnabled };
+
+// Inferred flask charges: pendingSince = an unconfirmed pot's send time; emptyUntil = resting after a dry pot
+const FLASK_CONFIRM_BASE_MS = 250;   // client-side part of the confirm window: buff list refresh + a frame or two
+function flaskConfirmMs() { return FLASK_CONFIRM_BASE_MS + 2 * (Number(currentSettings.pingMs) || 0); }
+const lifeFlask = { pendingSince: 0, emptyUntil: 0, dry: 0 };
+const manaFlask = { pendingSince: 0, emptyUntil: 0, dry: 0 };
+let currentProfile = 'life';  // resolved pool profile of this frame
+
+// Utility flasks: parsed rules (refreshed on load / edit), per-slot last use, and the mapper's boss fight
+let utilityRules = [];
+let utilityErrors = [];
+const utilityLastUsed = {};   // belt slot -> ms
+let bossFight = false;
+Events.on('bossFightChanged', p => { bossFight = p.active; }, { owner: PLUGIN_NAME });
+Events.on('areaChanged', () => { bossFight = false; }, { owner: PLUGIN_NAME });
+
+// Utility rule editor state
+const utilNameInput = new ImGui.MutableVariable("Quicksilver");
+const utilBuffInput = new ImGui.MutableVariable("");
+let utilSlot = UTILITY_SLOTS[0];
+let utilEditIndex = -1;
+let utilCondType = 0;
+let utilOperator = 0;
+const utilCondValue = new ImGui.MutableVariable(0);
+const utilCondString = new ImGui.MutableVariable("");
+const utilCondRadius = new ImGui.MutableVariable(60);
+
+/**
+ * Pool profile for a player ({ healthMax, esMax }) under `mode`: a fixed mode wins; 'auto' picks 'es' only for CI
+ * (max life 1), 'life' when ES is under 20% of life + ES, else 'hybrid' -- a big ES pool on real life still pots.
+ */
+export function resolveProfile(player, mode) {
+  if (mode === 'life' || mode === 'es' || mode === 'hybrid') return mode;
+  const life = player.healthMax || 0, es = player.esMax || 0;
+  if (!(es > 0)) return 'life';
+  if (life <= 1) return 'es';
+  return es / (life + es) < 0.2 ? 'life' : 'hybrid';
+}
+
+/** Percent of the profile's pool a player ({ healthCurrent/Max, esCurrent/Max }) has left. */
+export function poolPercent(player, profile) {
+  const life = player.healthCurrent || 0, lifeMax = player.healthMax || 0;
+  const es = player.esCurrent || 0, esMax = player.esMax || 0;
+  if (profile === 'es' && esMax > 0) return es / esMax * 100;
+  if (profile === 'hybrid' && lifeMax + esMax > 0) return (life + es) / (lifeMax + esMax) * 100;
+  return lifeMax > 0 ? life / lifeMax * 100 : 100;
+}
+
+// Projected pool % after aheadMs of the estimated DPS, in the profile's terms (ES takes damage first).
+function projectedPercent(est, player, profile, aheadMs) {
+  const dmg = est.dps * aheadMs / 1000;
+  const esMax = player.esMax || 0;
+  if (profile === 'es' && esMax > 0) return Math.max(0, est.es - dmg) / esMax * 100;
+  if (profile === 'hybrid' && player.healthMax + esMax > 0) return Math.max(0, est.pool - dmg) / (player.healthMax + esMax) * 100;
+  return projectLife(est, aheadMs) / player.healthMax * 100;
+}
+
+// Confirm or write off an outstanding pot: its flask effect showed up (charges) or didn't in time (none).
+function checkFlask(flask, active, label, now) {
+  if (!flask.pendingSince) return;
+  if (active) {
+    flask.pendingSince = 0;
+    flask.dry = 0;
+  } else if (now - flask.pendingSince > flaskConfirmMs()) {
+    flask.pendingSince = 0;
+    flask.dry++;
+    flask.emptyUntil = now + currentSettings.flaskEmptyBackoff;
+    console.log(`[Chicken] ${label} flask had no effect -- assuming no charges, resting ${currentSettings.flaskEmptyBackoff}ms`);
+  }
+}
+
 /**
  * Load settings for the current player
  */
@@ -53,6 +190,7 @@ function loadPlayerSettings() {
   if (currentPlayerName !== player.playerName) {
     currentPlayerName = player.playerName;
     currentSettings = Settings.get(PLUGIN_NAME, DEFAULT_SETTINGS);
+    refreshUtilityRules();
     console.log(`[Chicken] Loaded settings for player: ${player.playerName}`);
     return true;
   }
@@ -67,15 +205,59 @@ function saveSetting(key, value) {
   Settings.set(PLUGIN_NAME, key, value);
 }
 
-function useHealthPotion() {
+function refreshUtilityRules() {
+  const parsed = parseUtilityRules(currentSettings.utilityRules);
+  utilityRules = parsed.rules;
+  utilityErrors = parsed.errors;
+  for (const e of utilityErrors) console.warn(`[Chicken] Utility ${e} (skipped)`);
+}
+
+function saveUtilityRules() {
+  saveSetting('utilityRules', currentSettings.utilityRules);
+  refreshUtilityRules();
+}
+
+// Context the utility conditions read this frame; built once per frame (the rule list in onDrawUI reuses it)
+let _utilityCtx = null, _utilityCtxFrame = -1;
+function utilityContext(player, now) {
+  const frame = POE2Cache.getFrameNumber();
+  if (_utilityCtx && _utilityCtxFrame === frame && _utilityCtx.player === player) return _utilityCtx;
+  const needMonsters = utilityRules.some(r => r.conditions.some(c => c.type === 'nearby_monster_count' || c.type === 'nearby_rare_count'));
+  const monsters = needMonsters
+    ? POE2Cache.getSharedEntities().filter(e => e.entityType === 'Monster' && e.isAlive && !e.isFriendly)
+    : [];
+  _utilityCtx = { player, monsters, bossFight, now, hasBuff: part => POE2Cache.hasBuff(part) };
+  _utilityCtxFrame = frame;
+  return _utilityCtx;
+}
+
+// Use the first ready utility rule (at most one per frame)
+function updateUtility() {
+  if (!currentSettings.utilityEnabled || !utilityRules.length) return;
+  const player = POE2Cache.getLocalPlayer();
+  if (!player || player.gridX === undefined || !(player.healthCurrent > 0)) return;
+  const now = Date.now();
+  const rule = pickUtilityRule(utilityRules, utilityContext(player, now), utilityLastUsed);
+  if (!rule) return;
+  const packet = new Uint8Array([0x00, 0x8C, 0x01, 0x00, 0x00, 0x00, rule.slot]);
+  const success = poe2.sendPacket(packet);
+  console.log(`[Chicken] Utility '${rule.name}' (slot ${rule.slot}) used (success=${success})`);
+  utilityLastUsed[rule.slot] = now;
+}
+
+function useHealthPotion(reason) {
   if (!currentSettings.potionEnabled) return false;
   const now = Date.now();
   if (now - lastPotionTime < currentSettings.potionCooldown) return false;
+  // no charges last time: rest -- unless under the panic line, where a wrong guess costs more than a packet
+  if (now < lifeFlask.emptyUntil && lastHealthPercent >= currentSettings.panicThreshold) return false;
 
   const packet = new Uint8Array([0x00, 0x8C, 0x01, 0x00, 0x00, 0x00, 0x00]);
   const success = poe2.sendPacket(packet);
-  console.log(`[Chicken] Health potion used at ${currentSettings.threshold}% threshold (success=${success})`);
+  console.log(`[Chicken] Health potion used at ${reason || `${currentSettings.threshold}% threshold`} (success=${success})`);
   lastPotionTime = now;
+  if (!POE2Cache.isHealthFlaskActive()) lifeFlask.pendingSince = now;
+  statsEvent('potion', { kind: 'life' }, now);
   return true;
 }
 
@@ -83,27 +265,116 @@ function useManaPotion() {
   if (!currentSettings.manaPotionEnabled) return false;
   const now = Date.now();
   if (now - lastManaPotionTime < currentSettings.manaPotionCooldown) return false;
+  if (now < manaFlask.emptyUntil) return false;
 
   const manaPacket = new Uint8Array([0x00, 0x8C, 0x01, 0x00, 0x00, 0x00, 0x01]);
   const success = poe2.sendPacket(manaPacket);
   console.log(`[Chicken] Mana potion used at ${currentSettings.manaThreshold}% threshold (success=${success})`);
   lastManaPotionTime = now;
+  if (!POE2Cache.isManaFlaskActive()) manaFlask.pendingSince = now;
+  statsEvent('potion', { kind: 'mana' }, now);
   return true;
 }
 
 // Send exit to character select packet
-function exitToCharacterSelect() {
+function exitToCharacterSelect(reason) {
   if (!currentSettings.disconnectEnabled) return false;  // Disconnect disabled
   const now = Date.now();
   if (now - lastExitTime < currentSettings.exitCooldown) return false;  // Still on cooldown
   
   const packet = new Uint8Array([0x01, 0x58, 0x00]);
   const success = poe2.sendPacket(packet);
-  console.log(`[Chicken] EMERGENCY EXIT at ${currentSettings.panicThreshold}% (success=${success})`);
+  console.log(`[Chicken] EMERGENCY EXIT at ${reason || `${currentSettings.panicThreshold}%`} (success=${success})`);
   lastExitTime = now;
+  statsEvent('chickenExit', { hpPct: Math.round(lastHealthPercent) }, now);
   return true;
 }
 
+/**
+ * Classify a death from the HP samples before it: 'one-shot' (the previous sample was still >= 50%), 'burst'
+ * (>= 50% somewhere in the last 2s), otherwise 'attrition'.
+ */
+export function classifyDeath(trail, now) {
+  const recent = trail.filter(s => now - s.at <= DEATH_TRAIL_MS && s.pct > 0);
+  if (!recent.length) return 'unknown';
+  if (recent[recent.length - 1].pct >= DEATH_BURST_FROM_PCT) return 'one-shot';
+  if (recent.some(s => s.pct >= DEATH_BURST_FROM_PCT)) return 'burst';
+  return 'attrition';
+}
+
+/**
+ * Incoming damage from the samples ([{ at, life, es }], oldest first) of the last windowMs: every drop of
+ * life + ES counts, recoveries don't (a flask tick must not hide the drain). Returns { dps, pool, life, es,
+ * ttdMs } -- ttdMs = Infinity while nothing is hitting; null with no sample.
+ */
+export function estimateDamage(samples, now, windowMs) {
+  const recent = samples.filter(s => now - s.at <= windowMs);
+  if (!recent.length) return null;
+  let lost = 0;
+  for (let i = 1; i < recent.length; i++) {
+    const drop = (recent[i - 1].life + recent[i - 1].es) - (recent[i].life + recent[i].es);
+    if (drop > 0) lost += drop;
+  }
+  const span = Math.max(PREDICT_MIN_SPAN_MS, now - recent[0].at);
+  const dps = lost * 1000 / span;
+  const last = recent[recent.length - 1];
+  const pool = last.life + last.es;
+  return { dps, pool, life: last.life, es: last.es, ttdMs: dps > 0 ? pool * 1000 / dps : Infinity };
+}
+
+/** Life left after aheadMs more of the estimated DPS; energy shield takes it first. */
+export function projectLife(est, aheadMs) {
+  const dmg = est.dps * aheadMs / 1000;
+  return Math.max(0, est.life - Math.max(0, dmg - est.es));
+}
+
+// How far ahead to project: the next flask-tick boundary, or when the pot is off cooldown if that's later.
+function predictHorizonMs(now) {
+  const cdLeft = Math.max(0, currentSettings.potionCooldown - (now - lastPotionTime));
+  return Math.max(currentSettings.predictTickMs, cdLeft);
+}
+
+function trackDamage() {
+  const player = POE2Cache.getLocalPlayer();
+  if (!player || player.gridX === undefined || !(player.healthMax > 0) || !(player.healthCurrent > 0)) {
+    dmgSamples = [];
+    lastEstimate = null;
+    exitStreak = 0;
+    return;
+  }
+  const now = Date.now();
+  const prev = dmgSamples[dmgSamples.length - 1];
+  dmgSamples.push({ at: now, life: player.healthCurrent, es: player.esCurrent || 0 });
+  const hit = !!prev && prev.life + prev.es > player.healthCurrent + (player.esCurrent || 0);
+  while (dmgSamples.length && now - dmgSamples[0].at > currentSettings.predictWindowMs) dmgSamples.shift();
+  lastEstimate = estimateDamage(dmgSamples, now, currentSettings.predictWindowMs);
+  currentProfile = resolveProfile(player, currentSettings.poolMode);
+  const projPct = projectedPercent(lastEstimate, player, currentProfile, predictHorizonMs(now));
+  lastEstimate.projPct = projPct;
+  lastEstimate.exitPct = projectedPercent(lastEstimate, player, currentProfile, currentSettings.predictTickMs);
+  if (lastEstimate.exitPct >= currentSettings.panicThreshold) exitStreak = 0;
+  else if (hit) exitStreak++;
+  graphPoints.push({ at: now, lifePct: poolPercent(player, currentProfile), projPct });
+  while (graphPoints.length && now - graphPoints[0].at > GRAPH_MS) graphPoints.shift();
+}
+
+function trackDeath() {
+  const player = POE2Cache.getLocalPlayer();
+  if (!player || player.gridX === undefined || !(player.healthMax > 0)) return;
+  const now = Date.now();
+  const pct = ((player.healthCurrent || 0) / player.healthMax) * 100;
+  if (pct > 0) {
+    wasAlive = true;
+    hpTrail.push({ at: now, pct });
+    while (hpTrail.length && now - hpTrail[0].at > DEATH_TRAIL_MS) hpTrail.shift();
+    return;
+  }
+  if (!wasAlive) return;   // loaded in dead / still dead: one event per death
+  wasAlive = false;
+  Events.emit('playerDied', { source: 'chicken', cause: classifyDeath(hpTrail, now) });
+  hpTrail = [];
+}
+
 // Update health and mana monitoring (uses cached player data)
 function updateHealth() {
   // Only monitor if at least one feature is enabled
@@ -124,24 +395,43 @@ function updateHealth() {
       return;
     }
 
+    const now = Date.now();
+    checkFlask(lifeFlask, POE2Cache.isHealthFlaskActive(), 'Life', now);
+    checkFlask(manaFlask, POE2Cache.isManaFlaskActive(), 'Mana', now);
+
+    // Thresholds read the profile's pool: life, ES (ES-only) or life + ES (hybrid)
     const healthCurrent = player.healthCurrent || 0;
-    const healthPercent = (healthCurrent / healthMax) * 100;
+    currentProfile = resolveProfile(player, currentSettings.poolMode);
+    const healthPercent = poolPercent(player, currentProfile);
 
     lastHealthPercent = healthPercent;
 
+    // Projected HP when the pot can land (trackDamage ran first); 100 = prediction off
+    const projPct = currentSettings.predictEnabled && lastEstimate ? lastEstimate.projPct : 100;
+    const exitPredicted = currentSettings.predictEnabled && exitStreak >= PREDICT_EXIT_SAMPLES;
+
     // Check health thresholds (cooldown is handled inside each function)
     if (healthCurrent > 0) {
-      // Emergency threshold (20%) - exit to character select
+      // Emergency threshold (20%) - exit to character select; also when a sustained damage rate will get there
+      // within one flask tick
       if (healthPercent < currentSettings.panicThreshold) {
         exitToCharacterSelect();
+      } else if (exitPredicted) {
+        exitToCharacterSelect(`projected ${lastEstimate.exitPct.toFixed(0)}% (${Math.round(lastEstimate.dps)} dps)`);
       }
       // NOT an else-branch: the panic exit above is usually disabled (a no-op), and an else-if skips the
       // pot in exactly the sub-panic band where deaths happen. Potting while a real exit fires is harmless.
       // Slam mode: one flask tick masking a continuing drain must not suppress the next pot --
-      // useHealthPotion's own cooldown is the rate limit.
-      if (healthPercent < currentSettings.threshold
-          && (currentSettings.slamMode !== false || !POE2Cache.isHealthFlaskActive())) {
-        useHealthPotion();
+      // useHealthPotion's own cooldown is the rate limit. ES profile: a life flask doesn't refill the pool we
+      // watch, so a real life pool pots on its own life % (no prediction) and CI never does.
+      const potPct = currentProfile !== 'es' ? healthPercent : healthMax > 1 ? healthCurrent / healthMax * 100 : null;
+      if (potPct !== null && (currentSettings.slamMode !== false || !POE2Cache.isHealthFlaskActive())) {
+        if (potPct < currentSettings.threshold) {
+          useHealthPotion();
+        } else if (currentProfile !== 'es' && projPct < currentSettings.predictFloor) {
+          // Still above the threshold but dropping fast enough to be under the floor before the next tick
+          useHealthPotion(`projected ${projPct.toFixed(0)}% (${Math.round(lastEstimate.dps)} dps)`);
+        }
       }
     }
 
@@ -173,7 +463,211 @@ function onDraw() {
   // Try to load player settings if not loaded or player changed
   loadPlayerSettings();
   
+  trackDamage();
   updateHealth();
+  updateUtility();
+  trackDeath();
+}
+
+// ABGR color for the draw list
+function abgr(r, g, b, a) {
+  return ((Math.floor(a * 255) << 24) | (Math.floor(b * 255) << 16) | (Math.floor(g * 255) << 8) | Math.floor(r * 255)) >>> 0;
+}
+
+// Damage prediction: estimate readout, the last GRAPH_MS of life % (green) vs projected life % (orange) with the
+// floor (yellow) and panic (red) lines, and the estimator settings.
+function drawPrediction(player) {
+  _predictRef.value = currentSettings.predictEnabled !== false;
+  if (ImGui.checkbox("Damage-rate prediction", _predictRef)) {
+    currentSettings.predictEnabled = _predictRef.value;
+    saveSetting('predictEnabled', currentSettings.predictEnabled);
+    console.log(`[Chicken] Prediction ${currentSettings.predictEnabled ? 'ENABLED' : 'DISABLED'}`);
+  }
+  if (lastEstimate && player.healthMax > 0) {
+    const ttd = lastEstimate.ttdMs === Infinity ? '-' : `${(lastEstimate.ttdMs / 1000).toFixed(1)}s`;
+    const danger = lastEstimate.projPct < currentSettings.predictFloor;
+    ImGui.text(`Incoming: ${Math.round(lastEstimate.dps)} dps   Time to death: ${ttd}`);
+    ImGui.textColored(danger ? [1.0, 0.5, 0.0, 1.0] : [0.7, 0.7, 0.7, 1.0],
+      `Projected HP in ${predictHorizonMs(Date.now())}ms: ${lastEstimate.projPct.toFixed(0)}%`);
+  }
+
+  const w = 350, h = 60;
+  const origin = ImGui.getCursorScreenPos();
+  const dl = ImGui.getWindowDrawList();
+  const y = pct => origin.y + h - Math.max(0, Math.min(100, pct)) / 100 * h;
+  dl.addRectFilled(origin, { x: origin.x + w, y: origin.y + h }, abgr(0.1, 0.1, 0.1, 0.8));
+  dl.addLine({ x: origin.x, y: y(currentSettings.predictFloor) }, { x: origin.x + w, y: y(currentSettings.predictFloor) }, abgr(1.0, 1.0, 0.2, 0.6), 1);
+  dl.addLine({ x: origin.x, y: y(currentSettings.panicThreshold) }, { x: origin.x + w, y: y(currentSettings.panicThreshold) }, abgr(1.0, 0.2, 0.2, 0.6), 1);
+  const now = Date.now();
+  const x = at => origin.x + w - (now - at) / GRAPH_MS * w;
+  for (let i = 1; i < graphPoints.length; i++) {
+    const a = graphPoints[i - 1], b = graphPoints[i];
+    dl.addLine({ x: x(a.at), y: y(a.projPct) }, { x: x(b.at), y: y(b.projPct) }, abgr(1.0, 0.6, 0.1, 1.0), 1);
+    dl.addLine({ x: x(a.at), y: y(a.lifePct) }, { x: x(b.at), y: y(b.lifePct) }, abgr(0.3, 1.0, 0.3, 1.0), 2);
+  }
+  ImGui.dummy({ x: w, y: h });
+
+  ImGui.text(`Prediction Floor: ${currentSettings.predictFloor}%`);
+  ImGui.sameLine();
+  if (ImGui.button("-##floor")) {
+    currentSettings.predictFloor = Math.max(5, currentSettings.predictFloor - 5);
+    saveSetting('predictFloor', currentSettings.predictFloor);
+  }
+  ImGui.sameLine();
+  if (ImGui.button("+##floor")) {
+    currentSettings.predictFloor = Math.min(90, currentSettings.predictFloor + 5);
+    saveSetting('predictFloor', currentSettings.predictFloor);
+  }
+  ImGui.text(`Sample Window: ${currentSettings.predictWindowMs}ms`);
+  ImGui.sameLine();
+  if (ImGui.button("-##predwin")) {
+    currentSettings.predictWindowMs = Math.max(250, currentSettings.predictWindowMs - 250);
+    saveSetting('predictWindowMs', currentSettings.predictWindowMs);
+  }
+  ImGui.sameLine();
+  if (ImGui.button("+##predwin")) {
+    currentSettings.predictWindowMs = Math.min(5000, currentSettings.predictWindowMs + 250);
+    saveSetting('predictWindowMs', currentSettings.predictWindowMs);
+  }
+  ImGui.text(`Flask Tick: ${currentSettings.predictTickMs}ms`);
+  ImGui.sameLine();
+  if (ImGui.button("-##predtick")) {
+    currentSettings.predictTickMs = Math.max(100, currentSettings.predictTickMs - 100);
+    saveSetting('predictTickMs', currentSettings.predictTickMs);
+  }
+  ImGui.sameLine();
+  if (ImGui.button("+##predtick")) {
+    currentSettings.predictTickMs = Math.min(2000, currentSettings.predictTickMs + 100);
+    saveSetting('predictTickMs', currentSettings.predictTickMs);
+  }
+  ImGui.textColored([0.7, 0.7, 0.7, 1.0], `(Pot if HP in ${currentSettings.predictTickMs}ms+ would be < ${currentSettings.predictFloor}%)`);
+}
+
+// Inferred charge state of one flask (only shown when it's resting or had a dry pot)
+function drawFlaskState(label, flask) {
+  const rest = flask.emptyUntil - Date.now();
+  if (rest > 0) {
+    ImGui.textColored([1.0, 0.3, 0.3, 1.0], `${label} flask: no charges? (retry in ${(rest / 1000).toFixed(1)}s)`);
+  } else if (flask.dry > 0) {
+    ImGui.textColored([1.0, 0.6, 0.2, 1.0], `${label} flask: ${flask.dry} pot(s) without effect`);
+  }
+}
+
+// Utility flask rules: list with live status, add / remove / reorder, and a condition editor for the selected rule
+function drawUtility(player) {
+  const utilColor = currentSettings.utilityEnabled ? [0.2, 0.7, 0.2, 1.0] : [0.5, 0.5, 0.5, 1.0];
+  ImGui.pushStyleColor(ImGui.Col.Button, utilColor);
+  if (ImGui.button(currentSettings.utilityEnabled ? 'Utility Flasks: ON' : 'Utility Flasks: OFF', {x: 350, y: 25})) {
+    currentSettings.utilityEnabled = !currentSettings.utilityEnabled;
+    saveSetting('utilityEnabled', currentSettings.utilityEnabled);
+    console.log(`[Chicken] Utility flasks ${currentSettings.utilityEnabled ? 'ENABLED' : 'DISABLED'}`);
+  }
+  ImGui.popStyleColor(1);
+  if (bossFight) ImGui.textColored([1.0, 0.5, 0.0, 1.0], "Boss fight active");
+  for (const e of utilityErrors) ImGui.textColored([1.0, 0.3, 0.3, 1.0], `${e} (skipped)`);
+
+  const raw = currentSettings.utilityRules || [];
+  const ctx = utilityContext(player, Date.now());
+  for (let i = 0; i < raw.length; i++) {
+    const r = raw[i];
+    const parsed = utilityRules.find(p => p.index === i);
+    const status = parsed ? utilityRuleStatus(parsed, Object.assign({}, ctx, { lastUsedAt: utilityLastUsed[parsed.slot] || 0 })) : 'invalid';
+    const color = status === 'ready' ? [0.3, 1.0, 0.3, 1.0] : status === 'buff active' ? [0.5, 0.8, 1.0, 1.0] : [0.6, 0.6, 0.6, 1.0];
+    if (ImGui.radioButton(`##utilsel${i}`, utilEditIndex === i)) utilEditIndex = i;
+    ImGui.sameLine();
+    ImGui.textColored(color, `${i + 1}. ${r.name} [slot ${r.slot}] ${status}`);
+    ImGui.sameLine();
+    if (ImGui.button(`${r.enabled === false ? 'Off' : 'On'}##utilen${i}`)) {
+      currentSettings.utilityRules = raw.map((x, j) => j === i ? Object.assign({}, x, { enabled: x.enabled === false }) : x);
+      saveUtilityRules();
+    }
+    ImGui.sameLine();
+    if (i > 0 && ImGui.button(`Up##utilup${i}`)) {
+      const next = raw.slice();
+      next.splice(i - 1, 0, next.splice(i, 1)[0]);
+      currentSettings.utilityRules = next;
+      if (utilEditIndex === i) utilEditIndex = i - 1;
+      saveUtilityRules();
+    }
+    ImGui.sameLine();
+    if (i < raw.length - 1 && ImGui.button(`Down##utildown${i}`)) {
+      const next = raw.slice();
+      next.splice(i + 1, 0, next.splice(i, 1)[0]);
+      currentSettings.utilityRules = next;
+      if (utilEditIndex === i) utilEditIndex = i + 1;
+      saveUtilityRules();
+    }
+    ImGui.sameLine();
+    if (ImGui.button(`Del##utildel${i}`)) {
+      currentSettings.utilityRules = raw.filter((x, j) => j !== i);
+      if (utilEditIndex >= currentSettings.utilityRules.length) utilEditIndex = -1;
+      saveUtilityRules();
+    }
+    for (let c = 0; c < (r.conditions || []).length; c++) {
+      const cond = r.conditions[c];
+      const type = UTILITY_CONDITION_TYPES.find(t => t.id === cond.type);
+      const arg = type && type.unit === 'buff_name' ? `"${cond.stringValue}"` : type && type.unit === 'bool' ? '' : `${cond.operator || '>='} ${cond.value}`;
+      ImGui.textColored([0.7, 0.7, 0.7, 1.0], `     ${type ? type.label : cond.type} ${arg}${cond.radius ? ` (r ${cond.radius})` : ''}`);
+      ImGui.sameLine();
+      if (ImGui.button(`x##utilcond${i}_${c}`)) {
+        currentSettings.utilityRules = raw.map((x, j) => j === i ? Object.assign({}, x, { conditions: x.conditions.filter((y, k) => k !== c) }) : x);
+        saveUtilityRules();
+      }
+    }
+  }
+  if (!raw.length) ImGui.textColored([0.5, 0.5, 0.5, 1.0], "(No utility rules)");
+
+  ImGui.separator();
+  ImGui.text("New rule: name / buff (skip while active)");
+  ImGui.inputText("##utilname", utilNameInput);
+  ImGui.inputText("##utilbuff", utilBuffInput);
+  ImGui.text("Slot:");
+  for (const slot of UTILITY_SLOTS) {
+    ImGui.sameLine();
+    if (ImGui.radioButton(`${slot}##utilslot`, utilSlot === slot)) utilSlot = slot;
+  }
+  if (ImGui.button("Add Rule##util")) {
+    const name = utilNameInput.value.trim() || `Slot ${utilSlot}`;
+    if (raw.some(r => r.name === name)) {
+      console.log(`[Chicken] Utility rule '${name}' already exists`);
+    } else {
+      currentSettings.utilityRules = raw.concat([{ name, slot: utilSlot, buff: utilBuffInput.value.trim(), enabled: true, conditions: [] }]);
+      utilEditIndex = currentSettings.utilityRules.length - 1;
+      saveUtilityRules();
+    }
+  }
+
+  if (utilEditIndex < 0 || utilEditIndex >= (currentSettings.utilityRules || []).length) return;
+  ImGui.separator();
+  ImGui.textColored([1.0, 1.0, 0.5, 1.0], `Add Condition to '${currentSettings.utilityRules[utilEditIndex].name}':`);
+  for (let ct = 0; ct < UTILITY_CONDITION_TYPES.length; ct++) {
+    if (ImGui.radioButton(UTILITY_CONDITION_TYPES[ct].label + "##utilct" + ct, utilCondType === ct)) utilCondType = ct;
+  }
+  const type = UTILITY_CONDITION_TYPES[utilCondType];
+  const needsValue = type.unit !== 'bool';
+  const needsOperator = needsValue && type.unit !== 'buff_name' && type.id !== 'cast_interval_ms';
+  if (needsOperator) {
+    for (let op = 0; op < UTILITY_OPERATORS.length; op++) {
+      if (ImGui.radioButton(UTILITY_OPERATORS[op] + "##utilop" + op, utilOperator === op)) utilOperator = op;
+      if (op < UTILITY_OPERATORS.length - 1) ImGui.sameLine();
+    }
+  }
+  if (needsValue) {
+    if (type.unit === 'buff_name') ImGui.inputText("##utilcondstr", utilCondString);
+    else ImGui.inputFloat("##utilcondval", utilCondValue, 1, 10);
+  }
+  const hasRadius = type.id === 'nearby_monster_count' || type.id === 'nearby_rare_count';
+  if (hasRadius) {
+    ImGui.text("Radius (grid units):");
+    ImGui.inputFloat("##utilcondradius", utilCondRadius, 1, 10);
+  }
+  if (ImGui.button("Add Condition##util")) {
+    const cond = { type: type.id, operator: UTILITY_OPERATORS[utilOperator], value: utilCondValue.value, stringValue: utilCondString.value };
+    if (hasRadius) cond.radius = utilCondRadius.value;
+    currentSettings.utilityRules = currentSettings.utilityRules.map((x, j) =>
+      j === utilEditIndex ? Object.assign({}, x, { conditions: (x.conditions || []).concat([cond]) }) : x);
+    saveUtilityRules();
+  }
 }
 
 // Settings UI - only runs when UI is visible (F12 toggle)
@@ -249,14 +743,30 @@ function onDrawUI() {
   
   ImGui.separator();
 
+  // Pool profile (saved per character)
+  ImGui.text("Pool:");
+  for (const mode of ['auto', 'life', 'es', 'hybrid']) {
+    ImGui.sameLine();
+    if (ImGui.radioButton(`${mode}##poolmode`, currentSettings.poolMode === mode)) {
+      currentSettings.poolMode = mode;
+      saveSetting('poolMode', mode);
+      console.log(`[Chicken] Pool profile: ${mode}`);
+    }
+  }
+  const profile = resolveProfile(player, currentSettings.poolMode);
+  ImGui.textColored([0.7, 0.7, 0.7, 1.0], `(Thresholds read ${profile === 'es' ? `energy shield (${player.healthMax > 1 ? 'life pot on life %' : 'no life pot'})` : profile === 'hybrid' ? 'life + energy shield' : 'life'}${currentSettings.poolMode === 'auto' ? ', picked from max pools' : ''})`);
+
+  ImGui.separator();
+
   // Current health display
   if (player.healthMax > 0) {
     const healthCurrent = player.healthCurrent || 0;
     const healthMax = player.healthMax;
-    const healthPercent = (healthCurrent / healthMax) * 100;
+    const healthPercent = poolPercent(player, profile);
     
     ImGui.text(`Current Health: ${healthCurrent}/${healthMax}`);
-    ImGui.text(`Health %: ${healthPercent.toFixed(1)}%`);
+    if (player.esMax > 0) ImGui.text(`Energy Shield: ${player.esCurrent || 0}/${player.esMax} (${POE2Cache.getESPercent().toFixed(1)}%)`);
+    ImGui.text(`${profile === 'es' ? 'ES' : profile === 'hybrid' ? 'Pool' : 'Health'} %: ${healthPercent.toFixed(1)}%`);
     
     // Color based on health
     let healthColor = [0.3, 1.0, 0.3, 1.0];  // Green
@@ -268,6 +778,7 @@ function onDrawUI() {
     
     ImGui.textColored(healthColor, `Status: ${healthPercent < currentSettings.panicThreshold ? 'EMERGENCY!' : healthPercent < currentSettings.threshold ? 'DANGER' : 'Safe'}`);
     ImGui.textColored(healthColor, `Health Flask Active: ${POE2Cache.isHealthFlaskActive() ? 'YES' : 'NO'}`);
+    drawFlaskState('Life', lifeFlask);
     
     // Mana display
     if (player.manaMax && player.manaMax > 0) {
@@ -287,11 +798,20 @@ function onDrawUI() {
       
       ImGui.textColored(manaColor, `Mana Status: ${manaPercent < currentSettings.manaThreshold ? 'LOW' : 'Good'}`);
       ImGui.textColored(manaColor, `Mana Flask Active: ${POE2Cache.isManaFlaskActive() ? 'YES' : 'NO'}`);
+      drawFlaskState('Mana', manaFlask);
     }
   } else {
     ImGui.textColored([0.5, 0.5, 0.5, 1.0], "Not in game or no health data");
   }
   
+  ImGui.separator();
+
+  drawPrediction(player);
+
+  ImGui.separator();
+
+  if (ImGui.collapsingHeader("Utility Flasks / Charms")) drawUtility(player);
+
   ImGui.separator();
   
   // Threshold controls
@@ -377,6 +897,32 @@ function onDrawUI() {
     saveSetting('manaPotionCooldown', currentSettings.manaPotionCooldown);
   }
   
+  // Empty-flask rest (increments of 1000ms)
+  ImGui.text(`Empty Flask Rest: ${currentSettings.flaskEmptyBackoff}ms`);
+  ImGui.sameLine();
+  if (ImGui.button("-##flaskrest")) {
+    currentSettings.flaskEmptyBackoff = Math.max(1000, currentSettings.flaskEmptyBackoff - 1000);
+    saveSetting('flaskEmptyBackoff', currentSettings.flaskEmptyBackoff);
+  }
+  ImGui.sameLine();
+  if (ImGui.button("+##flaskrest")) {
+    currentSettings.flaskEmptyBackoff = Math.min(30000, currentSettings.flaskEmptyBackoff + 1000);
+    saveSetting('flaskEmptyBackoff', currentSettings.flaskEmptyBackoff);
+  }
+
+  // Ping (increments of 10ms): widens the window a pot's effect has to show up in
+  ImGui.text(`Ping: ${currentSettings.pingMs}ms (flask confirm ${flaskConfirmMs()}ms)`);
+  ImGui.sameLine();
+  if (ImGui.button("-##pingms")) {
+    currentSettings.pingMs = Math.max(0, currentSettings.pingMs - 10);
+    saveSetting('pingMs', currentSettings.pingMs);
+  }
+  ImGui.sameLine();
+  if (ImGui.button("+##pingms")) {
+    currentSettings.pingMs = Math.min(1000, currentSettings.pingMs + 10);
+    saveSetting('pingMs', currentSettings.pingMs);
+  }
+
   // Exit cooldown (increments of 100ms)
   ImGui.text(`Exit Cooldown: ${currentSettings.exitCooldown}ms`);
   ImGui.sameLine();
@@ -0,0 +1,166 @@
+import assert from 'node:assert/strict';
+import { runtime } from './poe2_stub.mjs';
+
+const { POE2Cache } = await import('./poe2_cache.js');
+const { chickenPlugin, classifyDeath, estimateDamage, projectLife, resolveProfile, poolPercent } = await import('./chicken.js');
+const { statsSnapshot, statsReset } = await import('./session_stats.js');
+const { Settings } = await import('./Settings.js');
+const { Events } = await import('./event_bus.js');
+
+const terrain = { isValid: true, width: 400, height: 400 };
+const player = (hp, t) => ({
+  t,
+  terrain,
+  player: { playerName: 'Tester', address: 1, gridX: 100, gridY: 100, healthCurrent: hp, healthMax: 1000, manaCurrent: 500, manaMax: 500 },
+});
+const HEALTH_POT = [0x00, 0x8C, 0x01, 0x00, 0x00, 0x00, 0x00];
+// the pot landed: its flask effect is up (a pot that never shows one reads as "no charges")
+const potted = f => { f.player.buffs = [{ name: 'flask_effect_life' }]; return f; };
+
+function run(frames) {
+  runtime.load(frames);
+  while (runtime.step(POE2Cache)) chickenPlugin.onDraw();
+}
+
+// healthy -> nothing sent
+run([player(1000, 1000), player(900, 1016)]);
+assert.equal(runtime.packetsWith(HEALTH_POT).length, 0);
+
+// drops under the 75% default -> one pot; the 1.5s cooldown holds back the very next frames
+run([player(600, 2000), potted(player(550, 2016)), potted(player(500, 2032))]);
+assert.equal(runtime.packetsWith(HEALTH_POT).length, 1);
+
+// still low after the cooldown -> slam mode repots even while the flask buff is up
+run([potted(player(500, 3600)), potted(player(480, 3616))]);
+assert.equal(runtime.packetsWith(HEALTH_POT).length, 2);
+
+// mana under the 30% default -> mana pot (slot byte 0x01)
+const low = player(1000, 5000);
+low.player.manaCurrent = 100;
+run([low]);
+assert.equal(runtime.packetsWith([0x00, 0x8C, 0x01, 0x00, 0x00, 0x00, 0x01]).length, 1);
+
+// no player (loading screen) never sends
+runtime.clearOutput();
+run([{ t: 6000 }, { t: 6016 }]);
+assert.equal(runtime.packets.length, 0);
+
+// death: one stats event per HP->0 edge, classified from the HP trail
+assert.equal(classifyDeath([{ at: 0, pct: 90 }, { at: 100, pct: 70 }], 116), 'one-shot');
+assert.equal(classifyDeath([{ at: 0, pct: 80 }, { at: 1000, pct: 20 }], 1100), 'burst');
+assert.equal(classifyDeath([{ at: 0, pct: 40 }, { at: 1000, pct: 20 }], 1100), 'attrition');
+assert.equal(classifyDeath([{ at: 0, pct: 90 }], 5000), 'unknown');
+statsReset(7000);
+run([player(900, 7000), player(300, 7016), player(0, 7032), player(0, 7048), player(1000, 9000), player(0, 9016)]);
+const deaths = statsSnapshot(9016).recentDeaths;
+assert.equal(deaths.length, 1, 'a second death inside the merge window folds into the first');
+assert.deepEqual(deaths[0].causes, ['chicken: burst', 'chicken: one-shot']);
+
+// ---- damage-rate prediction ----
+// drops count, recoveries don't; a window shorter than 250ms is stretched (one hit is not a rate)
+const est = estimateDamage([{ at: 0, life: 1000, es: 200 }, { at: 500, life: 900, es: 0 }, { at: 600, life: 950, es: 0 }, { at: 1000, life: 850, es: 0 }], 1000, 1000);
+assert.deepEqual([est.dps, est.pool, est.ttdMs], [400, 850, 2125]);
+assert.equal(estimateDamage([{ at: 0, life: 1000, es: 0 }, { at: 16, life: 700, es: 0 }], 16, 1000).dps, 1200);
+assert.equal(estimateDamage([{ at: 0, life: 500, es: 0 }], 5000, 1000), null);
+assert.equal(estimateDamage([{ at: 0, life: 500, es: 0 }], 0, 1000).ttdMs, Infinity);
+// energy shield soaks the projected damage first
+assert.equal(projectLife({ dps: 1000, life: 800, es: 300 }, 300), 800);
+assert.equal(projectLife({ dps: 1000, life: 800, es: 300 }, 1000), 100);
+assert.equal(projectLife({ dps: 5000, life: 800, es: 0 }, 500), 0);
+
+// still above the 75% threshold, but 960 dps projects 28% half a second out (under the 35% floor) -> pot now
+const before = runtime.packetsWith(HEALTH_POT).length;
+run([player(1000, 20000), player(880, 20100), player(760, 20200), potted(player(800, 20300))]);
+assert.equal(runtime.packetsWith(HEALTH_POT).length, before + 1);
+assert.ok(runtime.logs.some(l => /Health potion used at projected 28% \(960 dps\)/.test(l)));
+
+// with slam mode off, a flask still ticking holds the predicted pot back too
+Settings.setSettings('NoSlam', 'chicken', { slamMode: false });
+const noSlam = (hp, t) => { const f = player(hp, t); f.player.playerName = 'NoSlam'; return potted(f); };
+run([noSlam(1000, 25000), noSlam(880, 25100), noSlam(760, 25200)]);
+assert.equal(runtime.packetsWith(HEALTH_POT).length, before + 1);
+
+// the same drain with 500 ES in front of the life: no pot
+const withEs = (hp, es, t) => { const f = player(hp, t); f.player.esCurrent = es; f.player.esMax = 500; return f; };
+run([withEs(1000, 500, 30000), withEs(1000, 380, 30100), withEs(1000, 260, 30200)]);
+assert.equal(runtime.packetsWith(HEALTH_POT).length, before + 1);
+
+// the predicted exit projects one flask tick and needs 3 damage-taking frames in a row: one big hit doesn't exit
+// (the current HP is still over the panic line), a steady drain does
+const EXIT = [0x01, 0x58, 0x00];
+Settings.setSettings('Exit', 'chicken', { disconnectEnabled: true });
+const exiter = (hp, t) => { const f = player(hp, t); f.player.playerName = 'Exit'; return potted(f); };
+run([exiter(1000, 32000), exiter(450, 32016), exiter(450, 32100), exiter(450, 32200), exiter(450, 32300)]);
+assert.equal(runtime.packetsWith(EXIT).length, 0);
+run([exiter(1000, 34000), exiter(850, 34100), exiter(700, 34200), exiter(550, 34300)]);
+assert.equal(runtime.packetsWith(EXIT).length, 0);
+run([exiter(400, 34400)]);
+assert.deepEqual(runtime.packetsWith(EXIT).map(p => p.t), [34400]);
+assert.ok(runtime.logs.some(l => /EMERGENCY EXIT at projected 0% \(1500 dps\)/.test(l)));
+
+// ---- pool profiles: auto from the max pools ----
+assert.equal(resolveProfile({ healthMax: 1000, esMax: 0 }, 'auto'), 'life');
+assert.equal(resolveProfile({ healthMax: 1000, esMax: 150 }, 'auto'), 'life');
+assert.equal(resolveProfile({ healthMax: 1000, esMax: 1000 }, 'auto'), 'hybrid');
+assert.equal(resolveProfile({ healthMax: 1, esMax: 3000 }, 'auto'), 'es');
+assert.equal(resolveProfile({ healthMax: 1000, esMax: 5000 }, 'auto'), 'hybrid', "only CI is 'es': real life still pots");
+assert.equal(resolveProfile({ healthMax: 1000, esMax: 0 }, 'hybrid'), 'hybrid');
+const pools = { healthCurrent: 500, healthMax: 1000, esCurrent: 1500, esMax: 2000 };
+assert.deepEqual(['life', 'es', 'hybrid'].map(p => poolPercent(pools, p)), [50, 75, 2000 / 3000 * 100]);
+
+// hybrid: life 60% (under the threshold) but the combined pool is 80% -> no pot; the ES gone -> pot
+const hybrid = (hp, es, t) => { const f = player(hp, t); f.player.esCurrent = es; f.player.esMax = 1000; return potted(f); };
+let sent = runtime.packetsWith(HEALTH_POT).length;
+run([hybrid(600, 1000, 40000)]);
+assert.equal(runtime.packetsWith(HEALTH_POT).length, sent);
+run([hybrid(600, 300, 45000)]);
+assert.equal(runtime.packetsWith(HEALTH_POT).length, sent + 1);
+
+// ES-only (CI): the life flask doesn't help -> never a life pot, however low the ES
+const ci = (es, t) => { const f = player(1, t); f.player.healthMax = 1; f.player.esCurrent = es; f.player.esMax = 3000; return f; };
+sent = runtime.packetsWith(HEALTH_POT).length;
+run([ci(3000, 50000), ci(300, 50500), ci(200, 51000)]);
+assert.equal(runtime.packetsWith(HEALTH_POT).length, sent);
+
+// ---- flask charges: a pot with no effect means no charges -> that flask rests, then is tried again ----
+sent = runtime.packetsWith(HEALTH_POT).length;
+run([player(500, 60000), player(500, 60500), player(500, 61600), player(500, 64000)]);
+assert.equal(runtime.packetsWith(HEALTH_POT).length, sent + 1, 'no resend while resting (cooldown long over)');
+assert.ok(runtime.logs.some(l => /Life flask had no effect -- assuming no charges/.test(l)));
+run([potted(player(500, 65600))]);
+assert.equal(runtime.packetsWith(HEALTH_POT).length, sent + 2);
+// resting, but under the 20% panic line: pot anyway
+runtime.clearOutput();
+run([player(500, 70000), player(500, 70500), player(150, 71600), potted(player(150, 71700))]);
+assert.deepEqual(runtime.packetsWith(HEALTH_POT).map(p => p.t), [70000, 71600]);
+assert.ok(runtime.logs.some(l => /Life flask had no effect/.test(l)));
+// the confirm window scales with the ping: at 200ms an effect 500ms after the pot still counts
+Settings.setSettings('Laggy', 'chicken', { pingMs: 200 });
+const laggy = (hp, t) => { const f = player(hp, t); f.player.playerName = 'Laggy'; return f; };
+runtime.clearOutput();
+run([laggy(500, 76000), laggy(500, 76500), potted(laggy(500, 76600)), laggy(500, 78200)]);
+assert.deepEqual(runtime.packetsWith(HEALTH_POT).map(p => p.t), [76000, 78200]);
+assert.ok(!runtime.logs.some(l => /had no effect/.test(l)));
+
+// ---- utility flasks: rules per character; the first ready one is used, never while its buff is up ----
+Settings.setSettings('Util', 'chicken', { utilityEnabled: true, utilityRules: [
+  { name: 'Boss charm', slot: 3, conditions: [{ type: 'boss_fight_active' }] },
+  { name: 'Quicksilver', slot: 2, buff: 'flask_utility_sprint', conditions: [] },
+] });
+const UTIL2 = [0x00, 0x8C, 0x01, 0x00, 0x00, 0x00, 0x02], UTIL3 = [0x00, 0x8C, 0x01, 0x00, 0x00, 0x00, 0x03];
+const util = (t, buffs) => { const f = player(1000, t); f.player.playerName = 'Util'; f.player.buffs = buffs || []; return f; };
+const sprint = [{ name: 'flask_utility_sprint' }];
+run([util(80000), util(80016), util(81500, sprint), util(82500, sprint), util(83000)]);
+assert.deepEqual(runtime.packetsWith(UTIL2).map(p => p.t), [80000, 83000]);
+Events.emit('bossFightChanged', { active: true });
+run([util(90000, sprint)]);
+assert.deepEqual(runtime.packetsWith(UTIL3).map(p => p.t), [90000]);
+
+// the ES profile on a real life pool: the thresholds read ES, but the life flask still pots on life %
+Settings.setSettings('EsLife', 'chicken', { poolMode: 'es' });
+const esLife = (hp, es, t) => { const f = player(hp, t); f.player.playerName = 'EsLife'; f.player.esCurrent = es; f.player.esMax = 4000; return potted(f); };
+runtime.clearOutput();
+run([esLife(900, 500, 95000), esLife(500, 4000, 97000)]);
+assert.deepEqual(runtime.packetsWith(HEALTH_POT).map(p => p.t), [97000]);
+
+runtime.print('chicken tests passed');
@@ -0,0 +1,228 @@
+/**
+ * community_loader.js — discovery, manifest checks and load order for CommunityScripts/<dir>/main.js.
+ *
+ * A community main.js default-exports { name, author?, description?, plugin, manifest?, setup? }. The optional
+ * manifest declares what the plugin needs BEFORE it is registered:
+ *
+ *   manifest: {
+ *     version: '1.2.0',
+ *     requires: ['poe2.getUiRoot', 'ImGui.beginTable'],   // framework features that must exist in this build
+ *     dependsOn: ['pickit', 'other_community_plugin'],    // core or community plugins registered first
+ *     loadOrder: 100,                                     // lower registers earlier (ties: folder name)
+ *   }
+ *
+ * A plugin whose requirements are missing (feature absent, dependency missing or itself disabled, dependency
+ * cycle, duplicate name, import error) is still registered -- disabled, under a placeholder that shows the
+ * reason -- so the plugin browser tells the user WHY instead of the entry silently vanishing.
+ * setup({ settings, manifest }) runs once before registration; `settings` is a Settings handle scoped to
+ * 'community.<name>', so a community plugin can never trample a core plugin's keys.
+ * Loaded plugins are tracked by plugin_reloader.js: a reload re-imports main.js, re-runs setup and re-injects
+ * the manifest fields, just like the first load.
+ */
+
+import { Settings } from './Settings.js';
+import { trackPlugin } from './plugin_reloader.js';
+
+export const COMMUNITY_DIR = 'CommunityScripts';
+const DEFAULT_LOAD_ORDER = 100;
+
+function _strList(v) {
+  if (!Array.isArray(v)) return [];
+  return v.filter(x => typeof x === 'string' && x.trim()).map(x => x.trim());
+}
+
+/**
+ * Normalize a community module's default export. Returns
+ * { dir, name, author, description, version, requires[], dependsOn[], loadOrder, plugin, setup, problem }
+ * -- `problem` is '' for a loadable export, otherwise why it can't be registered as-is.
+ */
+export function normalizeManifest(meta, dir) {
+  const m = (meta && typeof meta.manifest === 'object' && meta.manifest) || {};
+  const out = {
+    dir,
+    name: meta && typeof meta.name === 'string' ? meta.name.trim() : '',
+    author: (meta && meta.author) || '',
+    description: (meta && meta.description) || '',
+    version: typeof m.version === 'string' ? m.version : '',
+    requires: _strList(m.requires),
+    dependsOn: _strList(m.dependsOn),
+    loadOrder: Number.isFinite(m.loadOrder) ? m.loadOrder : DEFAULT_LOAD_ORDER,
+    plugin: meta && meta.plugin && typeof meta.plugin === 'object' ? meta.plugin : null,
+    setup: meta && typeof meta.setup === 'function' ? meta.setup : null,
+    problem: '',
+  };
+  if (!out.name) out.problem = "missing 'name' export";
+  else if (!out.plugin) out.problem = "missing 'plugin' export";
+  return out;
+}
+
+/**
+ * Does this build expose `feature` ('poe2.getUiRoot', 'ImGui.beginTable', 'Plugins.listDirectory', ...)?
+ * Roots: poe2 (a POE2 instance), ImGui, Plugins, fs. The leaf must be a function or a defined value.
+ */
+export function hasFrameworkFeature(feature, roots) {
+  const parts = String(feature || '').split('.');
+  if (parts.length < 2) return false;
+  let cur = roots[parts[0]];
+  for (const p of parts.slice(1)) {
+    if (cur === null || cur === undefined) return false;
+    try { cur = cur[p]; } catch (e) { return false; }
+  }
+  return cur !== undefined && cur !== null;
+}
+
+/**
+ * Decide the registration order and who is disabled. Pure: entries are normalizeManifest() results;
+ * opts = { coreNames: Set|Array, hasFeature: (feature) => bool }.
+ * Returns [{ entry, ok, reason }] in registration order (enabled-capable first by dependency/loadOrder, each
+ * disabled entry placed where it would have loaded).
+ */
+export function planCommunityLoad(entries, { coreNames = [], hasFeature = () => true } = {}) {
+  const core = new Set(coreNames);
+  const reason = new Map();     // entry -> why disabled
+  const byName = new Map();
+
+  const sorted = entries.slice().sort((a, b) => a.loadOrder - b.loadOrder || String(a.dir).localeCompare(String(b.dir)));
+  for (const e of sorted) {
+    if (e.problem) { reason.set(e, e.problem); continue; }
+    if (core.has(e.name)) { reason.set(e, `name '${e.name}' is a core plugin`); continue; }
+    if (byName.has(e.name)) { reason.set(e, `duplicate name '${e.name}' (also in ${byName.get(e.name).dir})`); continue; }
+    byName.set(e.name, e);
+    const missing = e.requires.filter(f => !hasFeature(f));
+    if (missing.length) reason.set(e, `missing framework feature${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+  }
+
+  // Depth-first over community dependencies: a dependency registers before its dependents; a missing or disabled
+  // dependency disables the dependent; a cycle disables every member.
+  const out = [];
+  const done = new Set();
+  const visiting = [];
+  const visit = (e) => {
+    if (done.has(e)) return;
+    const cyc = visiting.indexOf(e);
+    if (cyc >= 0) {
+      const ring = visiting.slice(cyc).concat(e);
+      for (const m of visiting.slice(cyc)) if (!reason.has(m)) reason.set(m, `dependency cycle: ${ring.map(x => x.name).join(' -> ')}`);
+      return;
+    }
+    visiting.push(e);
+    if (!reason.has(e)) {
+      for (const dep of e.dependsOn) {
+        if (core.has(dep)) continue;
+        const d = byName.get(dep);
+        if (!d) { reason.set(e, `requires plugin '${dep}' (not installed)`); break; }
+        visit(d);
+        if (reason.has(d)) { if (!reason.has(e)) reason.set(e, `dependency '${dep}' is disabled (${reason.get(d)})`); break; }
+      }
+    }
+    visiting.pop();
+    done.add(e);
+    out.push({ entry: e, ok: !reason.has(e), reason: reason.get(e) || '' });
+  };
+  for (const e of sorted) visit(e);
+  return out;
+}
+
+/** The placeholder registered for a disabled community plugin: enabling it just shows why it can't run. */
+export function disabledPlaceholder(entry, why) {
+  const title = `${entry.name || entry.dir} (disabled)`;
+  return {
+    community: true,
+    author: entry.author || '',
+    description: `DISABLED: ${why}`,
+    disabledReason: why,
+    onEnable() { console.warn(`[Community] ${entry.name || entry.dir} cannot run: ${why}`); },
+    onDrawUI() {
+      if (!ImGui.begin(title)) { ImGui.end(); return; }
+      ImGui.textColored([1, 0.5, 0.3, 1], 'This community plugin is disabled.');
+      ImGui.textWrapped(why);
+      ImGui.textColored([0.6, 0.6, 0.6, 1], `${COMMUNITY_DIR}/${entry.dir}/main.js${entry.version ? `  v${entry.version}` : ''}`);
+      ImGui.end();
+    },
+  };
+}
+
+let _status = [];   // [{ dir, name, version, ok, reason }] of the last load
+
+// setup() + the fields the C++ side reads (plugin browser: [Community] tag, "by <author>", hover text).
+function _prepare(entry) {
+  if (entry.setup) entry.setup({ settings: Settings.scoped(`community.${entry.name}`), manifest: { ...entry } });
+  const pluginObj = entry.plugin;
+  if (entry.author) pluginObj.author = entry.author;
+  if (entry.description) pluginObj.description = entry.description;
+  if (entry.version) pluginObj.version = entry.version;
+  pluginObj.community = true;
+  return pluginObj;
+}
+
+/** Result of the last loadCommunityScripts() run (for UIs / logs). */
+export function communityStatus() { return _status.map(s => ({ ...s })); }
+
+/**
+ * Discover, import, plan and register every community plugin. `coreNames` = the core plugins main.js
+ * registered (dependency targets; also reserved names). Returns { loaded, disabled } -- both 0 when this build
+ * can't list the folder.
+ */
+export async function loadCommunityScripts({ coreNames = [], importer = (dir, query = '') => import(`./${COMMUNITY_DIR}/${dir}/main.js${query}`) } = {}) {
+  let dirs;
+  try {
+    dirs = Plugins.listDirectory(COMMUNITY_DIR) || [];
+  } catch (e) {
+    // listDirectory may not be available on older builds
+    console.log(`Community script discovery skipped: ${e}`);
+    _status = [];
+    return { loaded: 0, disabled: 0 };
+  }
+  if (dirs.length) console.log(`Found ${dirs.length} community script folder(s): ${dirs.join(', ')}`);
+
+  const entries = [];
+  for (const dir of dirs) {
+    try {
+      const mod = await importer(dir);
+      entries.push(normalizeManifest(mod.default || mod, dir));
+    } catch (e) {
+      const entry = normalizeManifest(null, dir);
+      entry.name = dir;
+      entry.problem = `load error: ${e}`;
+      entries.push(entry);
+    }
+  }
+
+  const roots = { poe2: new POE2(), ImGui: globalThis.ImGui, Plugins: globalThis.Plugins, fs: globalThis.fs };
+  const plan = planCommunityLoad(entries, { coreNames, hasFeature: f => hasFrameworkFeature(f, roots) });
+
+  let loaded = 0, disabled = 0;
+  const taken = new Set(coreNames);
+  _status = [];
+  for (const { entry, ok, reason } of plan) {
+    const label = entry.name || entry.dir;
+    let why = reason;
+    if (ok) {
+      try {
+        const pluginObj = _prepare(entry);
+        Plugins.register(entry.name, trackPlugin(entry.name, pluginObj, false, async (query) => {
+          const mod = await importer(entry.dir, query);
+          const next = normalizeManifest(mod.default || mod, entry.dir);
+          if (next.problem) throw new Error(next.problem);
+          if (next.name !== entry.name) throw new Error(`name changed to '${next.name}' (restart to rename)`);
+          return _prepare(next);
+        }), false);
+        taken.add(entry.name);
+        loaded++;
+        console.log(`✓ Community: ${entry.name}${entry.version ? ` v${entry.version}` : ''}${entry.author ? ` by ${entry.author}` : ''}`);
+      } catch (e) {
+        why = `setup/register failed: ${e}`;
+      }
+    }
+    if (why) {
+      disabled++;
+      console.warn(`✗ Community: ${label} disabled -- ${why}`);
+      // a duplicate / core-colliding name must not replace the plugin that owns it: fall back to the folder path
+      const slot = entry.name && !taken.has(entry.name) ? entry.name : `${COMMUNITY_DIR}/${entry.dir}`;
+      taken.add(slot);
+      try { Plugins.register(slot, disabledPlaceholder(entry, why), false); } catch (e) {}
+    }
+    _status.push({ dir: entry.dir, name: label, version: entry.version, ok: !why, reason: why });
+  }
+  return { loaded, disabled };
+}
@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import { runtime } from './poe2_stub.mjs';
+
+const { normalizeManifest, hasFrameworkFeature, planCommunityLoad, loadCommunityScripts, communityStatus } =
+  await import('./community_loader.js');
+
+const noop = { onDrawUI() {} };
+const entry = (dir, name, manifest) => normalizeManifest({ name, author: 'T', plugin: noop, manifest }, dir);
+
+// manifest normalization
+const e = normalizeManifest({ name: ' a ', plugin: noop, manifest: { version: '2.0', requires: ['poe2.x', 3, ''], loadOrder: 5 } }, 'A');
+assert.equal(e.name, 'a');
+assert.deepEqual(e.requires, ['poe2.x']);
+assert.equal(e.loadOrder, 5);
+assert.equal(normalizeManifest({ plugin: noop }, 'B').problem, "missing 'name' export");
+assert.equal(normalizeManifest({ name: 'b' }, 'B').problem, "missing 'plugin' export");
+assert.equal(normalizeManifest({ name: 'c', plugin: noop }, 'C').loadOrder, 100);
+
+// feature probing
+const roots = { poe2: { getUiRoot() {} }, ImGui: { beginTable: () => {} }, Plugins: {}, fs: null };
+assert.equal(hasFrameworkFeature('poe2.getUiRoot', roots), true);
+assert.equal(hasFrameworkFeature('poe2.getNope', roots), false);
+assert.equal(hasFrameworkFeature('fs.readFile', roots), false);
+assert.equal(hasFrameworkFeature('poe2', roots), false);
+
+// planning: order by dependency then loadOrder/folder; every failure names its reason
+const plan = planCommunityLoad([
+  entry('Z', 'late', { loadOrder: 200 }),
+  entry('Needs', 'needs_base', { dependsOn: ['base', 'pickit'] }),
+  entry('Base', 'base', { loadOrder: 150 }),
+  entry('Ui', 'ui', { requires: ['poe2.getUiRoot', 'poe2.getNope'] }),
+  entry('OnUi', 'on_ui', { dependsOn: ['ui'] }),
+  entry('Ghost', 'ghost', { dependsOn: ['not_there'] }),
+  entry('Dup', 'base', { loadOrder: 300 }),   // first in load order owns the name
+  entry('Core', 'mapper', {}),
+  entry('C1', 'c1', { dependsOn: ['c2'] }),
+  entry('C2', 'c2', { dependsOn: ['c1'] }),
+  normalizeManifest({ plugin: noop }, 'Nameless'),
+], { coreNames: ['pickit', 'mapper'], hasFeature: f => hasFrameworkFeature(f, roots) });
+
+const by = Object.fromEntries(plan.map(p => [p.entry.dir, p]));
+const order = plan.map(p => p.entry.dir);
+assert.ok(by.Needs.ok && by.Base.ok && by.Z.ok);
+assert.ok(order.indexOf('Base') < order.indexOf('Needs'), 'a dependency registers first even with a later loadOrder');
+assert.ok(order.indexOf('Base') < order.indexOf('Z'));
+assert.equal(by.Ui.reason, 'missing framework feature: poe2.getNope');
+assert.match(by.OnUi.reason, /^dependency 'ui' is disabled \(missing framework feature/);
+assert.equal(by.Ghost.reason, "requires plugin 'not_there' (not installed)");
+assert.match(by.Dup.reason, /^duplicate name 'base'/);
+assert.equal(by.Core.reason, "name 'mapper' is a core plugin");
+assert.match(by.C1.reason, /^dependency cycle: c1 -> c2 -> c1$/);
+assert.ok(!by.C2.ok);
+assert.equal(by.Nameless.reason, "missing 'name' export");
+assert.equal(plan.length, 11);
+
+// end to end through the stub: registration, placeholders, scoped settings
+runtime.files.set('../../data/settings.json', JSON.stringify({ players: { Tester: { mapper: { keep: 1 } } } }));
+runtime.setFrame({ t: 1, player: { playerName: 'Tester', gridX: 1, gridY: 1 } });
+runtime.directories.CommunityScripts = ['Good', 'Broken', 'Missing', 'Taken'];
+let ctxSeen = null;
+const modules = {
+  Good: { default: { name: 'good', author: 'me', plugin: { onDrawUI() {} }, manifest: { version: '1.0.0', dependsOn: ['pickit'] },
+    setup(ctx) { ctxSeen = ctx; ctx.settings.set('x', 5); } } },
+  Missing: { default: { name: 'missing', plugin: noop, manifest: { dependsOn: ['nope'] } } },
+  Taken: { default: { name: 'good', plugin: noop } },
+};
+const res = await loadCommunityScripts({
+  coreNames: ['pickit', 'mapper'],
+  importer: async (dir) => { if (!modules[dir]) throw new Error(`SyntaxError in ${dir}`); return modules[dir]; },
+});
+assert.deepEqual(res, { loaded: 1, disabled: 3 });
+const good = runtime.plugins.get('good');
+assert.equal(good.enabled, false);
+assert.equal(good.plugin.community, true);
+assert.equal(good.plugin.version, '1.0.0');
+assert.equal(ctxSeen.settings.namespace, 'community.good');
+assert.equal(ctxSeen.settings.get({ x: 0 }).x, 5);
+const saved = JSON.parse(runtime.files.get('../../data/settings.json')).players.Tester;
+assert.deepEqual(saved.mapper, { keep: 1 }, 'core keys untouched');
+assert.equal(saved['community.good'].x, 5);
+
+assert.match(runtime.plugins.get('Broken').plugin.disabledReason, /^load error: Error: SyntaxError in Broken/);
+assert.equal(runtime.plugins.get('missing').plugin.description, "DISABLED: requires plugin 'nope' (not installed)");
+// the duplicate does not replace the real 'good'; its placeholder sits under the folder path
+assert.equal(runtime.plugins.get('good').plugin, good.plugin);
+assert.match(runtime.plugins.get('CommunityScripts/Taken').plugin.disabledReason, /^duplicate name 'good'/);
+assert.deepEqual(communityStatus().map(s => [s.name, s.ok]), [['Broken', false], ['good', true], ['missing', false], ['good', false]]);
+
+// a feature this build lacks disables the plugin that requires it (the stub's poe2 answers every other method)
+runtime.missingFeatures.add('poe2.getUiRoot');
+runtime.directories.CommunityScripts = ['NeedsUi', 'NeedsCooldowns'];
+const res2 = await loadCommunityScripts({
+  importer: async (dir) => ({ default: { name: dir.toLowerCase(), plugin: noop,
+    manifest: { requires: [dir === 'NeedsUi' ? 'poe2.getUiRoot' : 'poe2.getCooldowns'] } } }),
+});
+runtime.missingFeatures.clear();
+assert.deepEqual(res2, { loaded: 1, disabled: 1 });
+assert.equal(runtime.plugins.get('needsui').plugin.disabledReason, 'missing framework feature: poe2.getUiRoot');
+assert.equal(runtime.plugins.get('needscooldowns').plugin.disabledReason, undefined);
+
+// a build that can't list the folder: nothing loads, nothing throws
+const listDirectory = Plugins.listDirectory;
+Plugins.listDirectory = () => { throw new Error('listDirectory is not a function'); };
+assert.deepEqual(await loadCommunityScripts({ coreNames: ['pickit'] }), { loaded: 0, disabled: 0 });
+Plugins.listDirectory = listDirectory;
+assert.ok(runtime.logs.some(l => /^Community script discovery skipped: Error: listDirectory/.test(l)));
+assert.deepEqual(communityStatus(), []);
+
+runtime.print('community_loader tests passed');
@@ -61,6 +61,20 @@ const DEFAULT_SETTINGS = {
   quickActions: []  // Array of custom quick actions
 };
 
+export const SETTINGS_SCHEMA = Settings.defineSchema(PLUGIN_NAME, DEFAULT_SETTINGS, {
+  fields: {
+    maxDistance: { min: 100, max: 2000, int: true },
+    maxEntities: { min: 5, max: 50, int: true },
+    autoAttackDistance: { min: 50, max: 1000, int: true },
+    autoAttackKey: { min: 0, int: true },
+    autoAttackYByte: { min: 0, max: 255, int: true },
+    autoAttackPriority: { enum: [0, 1, 2, 3, 4] },        // TARGET_PRIORITY
+    autoAttackRarityPriority: { enum: [0, 1, 2, 3, 4] },  // RARITY_PRIORITY
+    autoAttackVisibilityMode: { enum: [0, 1, 2] },
+    postSuccessLockMs: { min: 0, max: 1000, int: true },
+  },
+});
+
 // Quick action targeting modes
 const QUICK_ACTION_MODES = {
   TARGET: 'target',           // Cast on target entity (alive)
@@ -380,6 +380,38 @@ function buildDefaultSettings() {
 }
 
 const DEFAULT_SETTINGS = buildDefaultSettings();
+
+// Ranges = the UI sliders; the free input boxes get only a floor (and int-ness). categories is checked as an object;
+// its per-category entries are merged over getDefaultCategorySettings on load.
+export const SETTINGS_SCHEMA = Settings.defineSchema(PLUGIN_NAME, DEFAULT_SETTINGS, {
+  fields: {
+    maxDistance: { min: 50, max: 1000, int: true },
+    filterMode: { enum: [0, 1, 2, 3] },   // FILTER_MODE_NAMES
+    circleRadius: { min: 1, int: true },
+    circleSegments: { min: 3, max: 128, int: true },
+    boxHeight: { min: 0, int: true },
+    lineThickness: { min: 1, max: 20, int: true },
+    healthBarWidth: { min: 1, int: true },
+    healthBarHeight: { min: 1, int: true },
+    localPlayerBarX: { int: true },
+    localPlayerBarY: { int: true },
+    localPlayerBarWidth: { min: 1, int: true },
+    localPlayerBarHeight: { min: 1, int: true },
+    localWorldBarWidth: { min: 1, int: true },
+    localWorldBarHeight: { min: 1, int: true },
+    localAnimationMode: { enum: Object.values(ANIM_DISPLAY) },
+    aoeScaleFactor: { min: 0.1, max: 5.0 },
+    enemyTargetLineThickness: { min: 0.5, max: 5.0 },
+    enemyTargetLineOpacity: { min: 0.1, max: 1.0 },
+    espLineThickness: { min: 0.5, max: 5.0 },
+    lineFadeStart: { min: 0, int: true },
+    lineFadeEnd: { min: 0, int: true },
+    lineStartOffset: { min: 0, max: 100, int: true },
+    lineArrowSize: { min: 0, max: 20, int: true },
+    lineOffscreenLength: { min: 30, max: 200, int: true },
+    lineStyle: { enum: [0, 1, 2] },       // Solid / Gradient Fade / Dashed
+  },
+});
 let currentSettings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
 let currentPlayerName = null;
 
@@ -0,0 +1,168 @@
+/**
+ * event_bus.js — typed pub/sub shared by every registered plugin.
+ *
+ * Producers import Events and emit; main.js also publishes it as globalThis.Events so community scripts can
+ * subscribe without importing mapper/pickit internals:
+ *
+ *   const off = Events.on('itemPicked', p => console.log(p.rule, p.name), { owner: 'my_plugin' });
+ *   ...  off();  // or Events.offOwner('my_plugin') in onDisable
+ *
+ * Every event has a declared payload schema (EVENT_TYPES). emit() checks the payload against it and WARNS once
+ * per event+field on a mismatch -- delivery still happens, a producer bug must not silence every listener.
+ * Handlers run synchronously in subscription order and receive a frozen copy with `at` (wall ms) added; a
+ * throwing handler is logged and skipped, the rest still run and the emitter never sees the error.
+ *
+ * Pure module (no game API), so the bus can be imported from anywhere without a load-order cycle.
+ */
+
+// Field types: 'string' | 'number' | 'boolean' | 'object'; a trailing '?' makes the field optional.
+const EVENT_TYPES = {
+  areaChanged:     { changeCount: 'number', areaHash: 'string' },                     // POE2Cache, area load
+  playerDied:      { cause: 'string', source: 'string' },                             // chicken, HP hit 0
+  itemPicked:      { rule: 'string', name: 'string', id: 'number?', value: 'number?' }, // pickit, once per confirmed pickup (value: chaos)
+  mapStateChanged: { from: 'string', to: 'string', reason: 'string' },                // mapper, every state entry
+  bossEngaged:     { id: 'number', x: 'number', y: 'number' },                        // mapper, FIGHTING_BOSS entry
+  bossFightChanged: { active: 'boolean' },                                            // mapper, FIGHTING_BOSS entry / exit
+  inventoryFull:   { name: 'string', width: 'number', height: 'number' },             // pickit, pickup blocked
+};
+
+const _handlers = new Map();    // event -> [{ fn, owner, once, dead? }]
+const _warned = new Set();      // `${event}.${field}` mismatches already reported
+const _stats = new Map();       // event -> { emitted, errors }
+
+function _warnOnce(key, msg) {
+  if (_warned.has(key)) return;
+  _warned.add(key);
+  console.warn(`[Events] ${msg}`);
+}
+
+function _typeOk(value, type) {
+  if (type === 'object') return value !== null && typeof value === 'object';
+  return typeof value === type;
+}
+
+/** Problems with `payload` against `event`'s schema: ['field: expected number, got string', ...]. */
+export function checkPayload(event, payload) {
+  const schema = EVENT_TYPES[event];
+  if (!schema) return [`unknown event '${event}'`];
+  const p = payload || {};
+  const out = [];
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = spec.endsWith('?');
+    const type = optional ? spec.slice(0, -1) : spec;
+    const v = p[field];
+    if (v === undefined || v === null) {
+      if (!optional) out.push(`${field}: missing`);
+    } else if (!_typeOk(v, type)) {
+      out.push(`${field}: expected ${type}, got ${typeof v}`);
+    }
+  }
+  return out;
+}
+
+export const Events = {
+  /**
+   * Declare a new event (community scripts publishing their own). Re-declaring an existing event with a different
+   * schema is refused unless { replace: true }. Returns true when `schema` is the one in place.
+   */
+  define(event, schema, { replace = false } = {}) {
+    if (!event || !schema || typeof schema !== 'object') return false;
+    if (EVENT_TYPES[event] && !replace) return JSON.stringify(EVENT_TYPES[event]) === JSON.stringify(schema);
+    EVENT_TYPES[event] = { ...schema };
+    return true;
+  },
+
+  /** Subscribe. opts: { owner } (for offOwner), { once }. Returns the unsubscribe function. */
+  on(event, fn, opts = {}) {
+    if (typeof fn !== 'function') return () => {};
+    if (!EVENT_TYPES[event]) _warnOnce(`${event}.*`, `subscribe to undeclared event '${event}' (typo? call Events.define first)`);
+    const entry = { fn, owner: opts.owner || '', once: !!opts.once };
+    let list = _handlers.get(event);
+    if (!list) { list = []; _handlers.set(event, list); }
+    list.push(entry);
+    return () => {
+      const l = _handlers.get(event);
+      const i = l ? l.indexOf(entry) : -1;
+      if (i >= 0) l.splice(i, 1);
+      entry.dead = true;
+    };
+  },
+
+  once(event, fn, opts = {}) { return this.on(event, fn, { ...opts, once: true }); },
+
+  /** Drop every subscription registered with { owner } -- the plugin's onDisable / reload hook. Returns the count. */
+  offOwner(owner) {
+    if (!owner) return 0;
+    let n = 0;
+    for (const list of _handlers.values()) {
+      for (let i = list.length - 1; i >= 0; i--) {
+        if (list[i].owner !== owner) continue;
+        list[i].dead = true;
+        list.splice(i, 1);
+        n++;
+      }
+    }
+    return n;
+  },
+
+  /**
+   * Snapshot `owner`'s current subscriptions: release() later drops exactly those, not ones added since. The hot
+   * reloader captures the OLD module's handlers, re-imports (the new module subscribes at load), then releases.
+   */
+  captureOwner(owner) {
+    const held = [];
+    if (owner) for (const [event, list] of _handlers) for (const entry of list) if (entry.owner === owner) held.push([event, entry]);
+    return {
+      count: held.length,
+      release() {
+        for (const [event, entry] of held) {
+          const l = _handlers.get(event);
+          const i = l ? l.indexOf(entry) : -1;
+          if (i >= 0) l.splice(i, 1);
+          entry.dead = true;
+        }
+        return held.length;
+      },
+    };
+  },
+
+  /** Publish. Returns the number of handlers that ran without throwing. */
+  emit(event, payload = {}) {
+    const problems = checkPayload(event, payload);
+    for (const p of problems) _warnOnce(`${event}.${p.split(':')[0]}`, `${event}: ${p}`);
+    let st = _stats.get(event);
+    if (!st) { st = { emitted: 0, errors: 0 }; _stats.set(event, st); }
+    st.emitted++;
+    const list = _handlers.get(event);
+    if (!list || !list.length) return 0;
+    const msg = Object.freeze({ ...payload, at: Date.now() });
+    let ok = 0;
+    for (const entry of list.slice()) {   // a handler may unsubscribe (or subscribe) while we iterate
+      if (entry.dead) continue;
+      if (entry.once) { const i = list.indexOf(entry); if (i >= 0) list.splice(i, 1); entry.dead = true; }
+      try { entry.fn(msg); ok++; }
+      catch (e) {
+        st.errors++;
+        console.error(`[Events] ${event} handler${entry.owner ? ` (${entry.owner})` : ''} threw: ${e}`);
+      }
+    }
+    return ok;
+  },
+
+  /** Declared events and their schemas (copy). */
+  types() {
+    const out = {};
+    for (const [k, v] of Object.entries(EVENT_TYPES)) out[k] = { ...v };
+    return out;
+  },
+
+  /** Per-event { emitted, errors, listeners } for debug panels. */
+  stats() {
+    const out = {};
+    for (const event of new Set([...Object.keys(EVENT_TYPES), ..._handlers.keys()])) {
+      const st = _stats.get(event) || { emitted: 0, errors: 0 };
+      out[event] = { emitted: st.emitted, errors: st.errors, listeners: (_handlers.get(event) || []).length };
+    }
+    return out;
+  },
+};
@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import { runtime } from './poe2_stub.mjs';
+
+const { Events, checkPayload } = await import('./event_bus.js');
+
+// payload types
+assert.deepEqual(checkPayload('itemPicked', { rule: 'Currency', name: 'Exalted Orb' }), []);
+assert.deepEqual(checkPayload('itemPicked', { rule: 'Currency', name: 'Exalted Orb', id: 7 }), []);
+assert.deepEqual(checkPayload('itemPicked', { rule: 3 }), ['rule: expected string, got number', 'name: missing']);
+assert.deepEqual(checkPayload('nope', {}), ["unknown event 'nope'"]);
+assert.ok(Object.keys(Events.types()).includes('mapStateChanged'));
+
+// delivery: in order, frozen copy with `at`
+runtime.now = 5000;
+const got = [];
+const off = Events.on('mapStateChanged', p => got.push(['a', p]), { owner: 'a' });
+Events.on('mapStateChanged', p => got.push(['b', p.to]), { owner: 'b' });
+const src = { from: 'IDLE', to: 'FINDING_BOSS', reason: 'go' };
+assert.equal(Events.emit('mapStateChanged', src), 2);
+assert.equal(got[0][0], 'a');
+assert.equal(got[0][1].at, 5000);
+assert.ok(Object.isFrozen(got[0][1]));
+assert.equal(src.at, undefined, 'the producer object is not touched');
+assert.deepEqual(got[1], ['b', 'FINDING_BOSS']);
+
+// unsubscribe + offOwner
+off();
+Events.emit('mapStateChanged', src);
+assert.equal(got.filter(g => g[0] === 'a').length, 1);
+assert.equal(Events.offOwner('b'), 1);
+assert.equal(Events.emit('mapStateChanged', src), 0);
+
+// once
+let onceHits = 0;
+Events.once('bossEngaged', () => onceHits++);
+Events.emit('bossEngaged', { id: 1, x: 2, y: 3 });
+Events.emit('bossEngaged', { id: 1, x: 2, y: 3 });
+assert.equal(onceHits, 1);
+
+// a throwing handler is isolated; later handlers still run and the error is counted
+const realError = console.error;
+const errors = [];
+console.error = (...a) => errors.push(a.join(' '));
+let after = 0;
+Events.on('areaChanged', () => { throw new Error('boom'); }, { owner: 'bad' });
+Events.on('areaChanged', () => after++, { owner: 'good' });
+assert.equal(Events.emit('areaChanged', { changeCount: 1, areaHash: '400x400@1' }), 1);
+console.error = realError;
+assert.equal(after, 1);
+assert.match(errors[0], /areaChanged handler \(bad\) threw: Error: boom/);
+assert.deepEqual(Events.stats().areaChanged, { emitted: 1, errors: 1, listeners: 2 });
+
+// a handler removed by an earlier handler in the same emit does not run
+let lateHits = 0;
+let offLate = null;
+Events.on('inventoryFull', () => offLate(), { owner: 'x' });
+offLate = Events.on('inventoryFull', () => lateHits++, { owner: 'x' });
+Events.emit('inventoryFull', { name: 'Chest', width: 2, height: 3 });
+assert.equal(lateHits, 0);
+
+// a bad payload warns once per field but is still delivered
+runtime.clearOutput();
+let delivered = 0;
+Events.on('playerDied', () => delivered++);
+Events.emit('playerDied', { cause: 'burst' });
+Events.emit('playerDied', { cause: 'burst' });
+assert.equal(delivered, 2);
+assert.equal(runtime.logs.filter(l => /playerDied: source: missing/.test(l)).length, 1);
+
+// custom events
+assert.equal(Events.define('myPluginTick', { n: 'number' }), true);
+assert.equal(Events.define('myPluginTick', { n: 'string' }), false, 'a different schema needs replace');
+assert.equal(Events.define('myPluginTick', { n: 'number' }), true);
+assert.equal(Events.define('itemPicked', { rule: 'number' }), false, 'built-ins are not silently redefined');
+let custom = 0;
+Events.on('myPluginTick', p => { custom += p.n; });
+Events.emit('myPluginTick', { n: 4 });
+assert.equal(custom, 4);
+
+// captureOwner releases only the handlers that existed at capture time (hot reload: old module out, new one in)
+let oldHits = 0, newHits = 0;
+Events.on('myPluginTick', () => { oldHits++; }, { owner: 'reloaded' });
+const held = Events.captureOwner('reloaded');
+Events.on('myPluginTick', () => { newHits++; }, { owner: 'reloaded' });
+assert.equal(held.count, 1);
+assert.equal(held.release(), 1);
+Events.emit('myPluginTick', { n: 0 });
+assert.deepEqual([oldHits, newHits], [0, 1]);
+
+runtime.print('event_bus tests passed');
@@ -0,0 +1,304 @@
+/**
+ * Frame Recorder — captures what POE2Cache answers each frame into a replayable JSONL session.
+ *
+ * A bad map (stall, death, wedge) is reproduced OFFLINE instead of hunted live: leave the recorder on, and when
+ * something goes wrong hit "Save now" -- the last N frames (ring buffer) land in data\poe2-scripts\ as
+ * frame_rec_<stamp>.jsonl. poe2_stub.mjs replays that file frame by frame (runtime.load + runtime.step) under node.
+ *
+ * File format (one JSON object per line):
+ *   { session: 1, startedAt, player, cap, fields: { player: [...], entity: [...] } }       header
+ *   { t, f, terrain?, area?, player, entities }                                            one per recorded frame
+ * terrain/area are written only when they differ from the previous written frame (parseSession carries them forward).
+ *
+ * Cost control: entity reads go through the SAME per-frame cache as every other plugin (no extra scan when a
+ * consumer already asked for that radius), fields are whitelisted, and sampling can skip frames.
+ * NOTE: Do NOT call POE2Cache.beginFrame() here - it's called once in main.js
+ */
+
+import { POE2Cache, poe2 } from './poe2_cache.js';
+import { Settings } from './Settings.js';
+
+const PLUGIN_NAME = 'frame_recorder';
+
+// Defaults cover what pickit/opener/chicken/mapper decisions read. Anything else is dropped at capture time.
+const DEFAULT_ENTITY_FIELDS = [
+  'id', 'address', 'name', 'renderName', 'entityType', 'entitySubtype', 'gridX', 'gridY',
+  'isAlive', 'isHostile', 'isTargetable', 'isLocalPlayer', 'rarity', 'healthCurrent', 'healthMax',
+  'esCurrent', 'esMax', 'chestIsOpened', 'chestIsStrongbox',
+  'hasWorldItem', 'worldItemName', 'worldItemBaseName', 'worldItemUniqueName', 'worldItemRarity',
+  'worldItemStackSize', 'worldItemGridWidth', 'worldItemGridHeight', 'worldItemIdentified', 'worldItemUnidentifiedTier',
+].join(',');
+const PLAYER_FIELDS = [
+  'playerName', 'address', 'gridX', 'gridY', 'healthCurrent', 'healthMax', 'manaCurrent', 'manaMax',
+  'esCurrent', 'esMax', 'isAlive', 'buffs',
+];
+const BUFF_FIELDS = ['name', 'timeLeft', 'charges'];
+
+const DEFAULT_SETTINGS = {
+  maxFrames: 3600,          // ring-buffer cap (~60s at 60fps with sampleEvery 1)
+  sampleEvery: 1,           // record every Nth frame
+  entityRadius: 150,        // grid units around the player
+  includeItems: true,       // also record ground items (pickit's Item query) -- only these carry worldItem* fields
+  entityFields: DEFAULT_ENTITY_FIELDS,
+  autoFlushMs: 0,           // >0 = rewrite the session file this often while recording (0 = only on Save / disable)
+};
+
+export const SETTINGS_SCHEMA = Settings.defineSchema(PLUGIN_NAME, DEFAULT_SETTINGS, {
+  fields: {
+    maxFrames: { min: 1, max: 20000, int: true },     // the slider starts at 300; tiny hand-set caps are valid
+    sampleEvery: { min: 1, max: 30, int: true },
+    entityRadius: { min: 20, max: 500, int: true },
+    autoFlushMs: { min: 0, max: 60000, int: true },
+  },
+});
+
+let currentSettings = { ...DEFAULT_SETTINGS };
+let currentPlayerName = null;
+
+// ===================== capture (pure shaping) =====================
+
+function round2(v) { return Math.round(v * 100) / 100; }
+
+/** Copy only `fields` off `src`; floats rounded to 0.01, buff lists reduced to BUFF_FIELDS. */
+export function pickFields(src, fields) {
+  if (!src) return null;
+  const out = {};
+  for (const k of fields) {
+    const v = src[k];
+    if (v === undefined || typeof v === 'function') continue;
+    if (typeof v === 'number') out[k] = Number.isInteger(v) ? v : round2(v);
+    else if (k === 'buffs' && Array.isArray(v)) out[k] = v.map(b => pickFields(b, BUFF_FIELDS));
+    else if (v === null || typeof v !== 'object') out[k] = v;
+  }
+  return out;
+}
+
+export function parseFieldList(csv) {
+  return String(csv || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Serialize recorded frames to JSONL. terrain/area are elided while unchanged from the previous WRITTEN frame, so
+ * the first frame after a ring-buffer wrap still carries them.
+ */
+export function serializeSession(header, frames) {
+  const lines = [JSON.stringify(header)];
+  let prevTerrain = '', prevArea = '';
+  for (const fr of frames) {
+    const out = { t: fr.t, f: fr.f };
+    const terrain = JSON.stringify(fr.terrain || null);
+    const area = JSON.stringify(fr.area || null);
+    if (terrain !== prevTerrain) { out.terrain = fr.terrain; prevTerrain = terrain; }
+    if (area !== prevArea) { out.area = fr.area; prevArea = area; }
+    out.player = fr.player;
+    out.entities = fr.entities;
+    lines.push(JSON.stringify(out));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ===================== ring buffer =====================
+
+let ring = [];
+let ringHead = 0;      // next write slot
+let ringCount = 0;
+let recording = false;
+let sessionFile = '';
+let sessionStartedAt = 0;
+let framesSeen = 0;
+let lastFlushAt = 0;
+let lastSaveInfo = '';
+
+// Terrain/area change only on area load; re-read them when the cache's area counter moves (or every 300 frames).
+let envAreaCount = -1, envFrame = -99999, envTerrain = null, envArea = null;
+
+function resetRing() {
+  ring = new Array(Math.max(1, currentSettings.maxFrames | 0));
+  ringHead = 0;
+  ringCount = 0;
+}
+
+function pushFrame(fr) {
+  ring[ringHead] = fr;
+  ringHead = (ringHead + 1) % ring.length;
+  if (ringCount < ring.length) ringCount++;
+}
+
+/** Oldest-first copy of the buffered frames. */
+export function bufferedFrames() {
+  const out = [];
+  const start = (ringHead - ringCount + ring.length) % ring.length;
+  for (let i = 0; i < ringCount; i++) out.push(ring[(start + i) % ring.length]);
+  return out;
+}
+
+function stampName(ms) {
+  const d = new Date(ms);
+  const p2 = n => (n < 10 ? '0' : '') + n;
+  return `${d.getFullYear()}${p2(d.getMonth() + 1)}${p2(d.getDate())}_${p2(d.getHours())}${p2(d.getMinutes())}${p2(d.getSeconds())}`;
+}
+
+function readEnvironment() {
+  const frame = POE2Cache.getFrameNumber();
+  const areaCount = POE2Cache.getAreaChangeCount();
+  if (areaCount === envAreaCount && frame - envFrame < 300) return;
+  envAreaCount = areaCount;
+  envFrame = frame;
+  try {
+    const t = poe2.getTerrainInfo();
+    envTerrain = t && t.isValid ? { isValid: true, width: t.width, height: t.height } : { isValid: false };
+  } catch (e) { envTerrain = { isValid: false }; }
+  try {
+    const a = poe2.getAreaInfo();
+    envArea = a && a.isValid ? { isValid: true, areaId: a.areaId, areaName: a.areaName, areaInstance: a.areaInstance } : { isValid: false };
+  } catch (e) { envArea = { isValid: false }; }
+}
+
+function captureFrame() {
+  readEnvironment();
+  const fields = parseFieldList(currentSettings.entityFields);
+  const radius = Math.max(10, Number(currentSettings.entityRadius) || DEFAULT_SETTINGS.entityRadius);
+  const seen = new Set();
+  const entities = [];
+  const add = (list) => {
+    for (const e of (list || [])) {
+      if (!e || !e.id || seen.has(e.id)) continue;
+      seen.add(e.id);
+      entities.push(pickFields(e, fields));
+    }
+  };
+  add(POE2Cache.getEntities(radius));
+  if (currentSettings.includeItems) add(POE2Cache.getEntities({ type: 'Item', maxDistance: radius, includeTileEntities: true }));
+  return {
+    t: Date.now(),
+    f: POE2Cache.getFrameNumber(),
+    terrain: envTerrain,
+    area: envArea,
+    player: pickFields(POE2Cache.getLocalPlayer(), PLAYER_FIELDS),
+    entities,
+  };
+}
+
+// ===================== session control =====================
+
+export function startRecording() {
+  resetRing();
+  sessionStartedAt = Date.now();
+  sessionFile = `frame_rec_${stampName(sessionStartedAt)}.jsonl`;
+  framesSeen = 0;
+  lastFlushAt = sessionStartedAt;
+  envAreaCount = -1;
+  recording = true;
+  console.log(`[FrameRecorder] Recording -> ${sessionFile} (cap ${ring.length} frames)`);
+}
+
+export function stopRecording() {
+  if (!recording) return;
+  saveRecording();
+  recording = false;
+}
+
+/** Write the buffered frames to the session file. Returns the file name, or '' when nothing was buffered. */
+export function saveRecording() {
+  if (!ringCount) return '';
+  const header = {
+    session: 1,
+    startedAt: new Date(sessionStartedAt).toISOString(),
+    player: currentPlayerName || '',
+    cap: ring.length,
+    fields: { player: PLAYER_FIELDS, entity: parseFieldList(currentSettings.entityFields) },
+  };
+  try {
+    fs.writeFile(sessionFile, serializeSession(header, bufferedFrames()));
+    lastFlushAt = Date.now();
+    lastSaveInfo = `${ringCount} frames -> ${sessionFile}`;
+    console.log(`[FrameRecorder] Saved ${lastSaveInfo}`);
+    return sessionFile;
+  } catch (e) {
+    console.error('[FrameRecorder] save error:', e);
+    return '';
+  }
+}
+
+export function isRecording() { return recording; }
+export function currentRecordingFile() { return sessionFile; }
+
+// ===================== settings =====================
+
+function loadPlayerSettings() {
+  const player = POE2Cache.getLocalPlayer();
+  if (!player || !player.playerName || currentPlayerName === player.playerName) return;
+  currentPlayerName = player.playerName;
+  currentSettings = Settings.get(PLUGIN_NAME, DEFAULT_SETTINGS);
+  if (recording && ring.length !== Math.max(1, currentSettings.maxFrames | 0)) startRecording();
+}
+
+function saveSetting(key, value) {
+  currentSettings[key] = value;
+  Settings.set(PLUGIN_NAME, key, value);
+}
+
+// ===================== lifecycle =====================
+
+function onTick() {
+  loadPlayerSettings();
+  if (!recording) return;
+  framesSeen++;
+  if ((framesSeen - 1) % Math.max(1, currentSettings.sampleEvery | 0) !== 0) return;
+  try { pushFrame(captureFrame()); } catch (e) { console.error('[FrameRecorder] capture error:', e); }
+  const every = Number(currentSettings.autoFlushMs) || 0;
+  if (every > 0 && Date.now() - lastFlushAt >= every) saveRecording();
+}
+
+const vMaxFrames = new ImGui.MutableVariable(DEFAULT_SETTINGS.maxFrames);
+const vSampleEvery = new ImGui.MutableVariable(DEFAULT_SETTINGS.sampleEvery);
+const vRadius = new ImGui.MutableVariable(DEFAULT_SETTINGS.entityRadius);
+const vIncludeItems = new ImGui.MutableVariable(DEFAULT_SETTINGS.includeItems);
+const vFields = new ImGui.MutableVariable(DEFAULT_SETTINGS.entityFields);
+const vAutoFlush = new ImGui.MutableVariable(DEFAULT_SETTINGS.autoFlushMs);
+
+function onDrawUI() {
+  ImGui.setNextWindowSize({ x: 420, y: 360 }, ImGui.Cond.FirstUseEver);
+  ImGui.setNextWindowCollapsed(true, ImGui.Cond.Once);
+  if (!ImGui.begin('Frame Recorder')) { ImGui.end(); return; }
+
+  if (recording) {
+    ImGui.textColored([1, 0.4, 0.4, 1], `REC  ${ringCount}/${ring.length} frames buffered`);
+    ImGui.text(`File: ${sessionFile}`);
+    if (ImGui.button('Save now')) saveRecording();
+    ImGui.sameLine();
+    if (ImGui.button('Stop')) stopRecording();
+  } else {
+    ImGui.textColored([0.6, 0.6, 0.6, 1], 'Not recording');
+    if (ImGui.button('Start recording')) startRecording();
+  }
+  if (lastSaveInfo) ImGui.textColored([0.5, 1, 0.5, 1], `Last save: ${lastSaveInfo}`);
+
+  ImGui.separator();
+  // Bind from settings, then persist whatever the widget changed (same prev/compare pattern as pickit).
+  const bind = (mv, key, draw) => {
+    mv.value = currentSettings[key];
+    draw();
+    if (mv.value !== currentSettings[key]) saveSetting(key, mv.value);
+  };
+  bind(vMaxFrames, 'maxFrames', () => ImGui.sliderInt('Ring cap (frames)', vMaxFrames, 300, 20000));
+  if (ImGui.isItemHovered()) ImGui.setTooltip('Applies on the next Start');
+  bind(vSampleEvery, 'sampleEvery', () => ImGui.sliderInt('Record every Nth frame', vSampleEvery, 1, 30));
+  bind(vRadius, 'entityRadius', () => ImGui.sliderInt('Entity radius', vRadius, 20, 500));
+  bind(vIncludeItems, 'includeItems', () => ImGui.checkbox('Include ground items', vIncludeItems));
+  bind(vAutoFlush, 'autoFlushMs', () => ImGui.sliderInt('Auto-save every (ms, 0=off)', vAutoFlush, 0, 60000));
+
+  ImGui.text('Entity field whitelist (csv):');
+  bind(vFields, 'entityFields', () => ImGui.inputText('##recfields', vFields));
+  if (ImGui.smallButton('Reset fields')) saveSetting('entityFields', DEFAULT_ENTITY_FIELDS);
+
+  ImGui.end();
+}
+
+function onDisable() { stopRecording(); }
+
+export const frameRecorderPlugin = {
+  onTick: onTick,
+  onDrawUI: onDrawUI,
+  onDisable: onDisable,
+};
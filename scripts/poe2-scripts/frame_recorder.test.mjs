@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { runtime, parseSession } from './poe2_stub.mjs';
+
+runtime.files.set('../../data/settings.json', JSON.stringify({ players: { Tester: { frame_recorder: { maxFrames: 4 } } } }));
+
+const { POE2Cache } = await import('./poe2_cache.js');
+const { frameRecorderPlugin, startRecording, saveRecording, pickFields, bufferedFrames } = await import('./frame_recorder.js');
+
+// whitelist: only the named fields survive, floats are rounded, buffs shrink to name/timeLeft/charges
+assert.deepEqual(pickFields({ id: 3, gridX: 10.123456, secret: 1, fn() {} }, ['id', 'gridX', 'missing']), { id: 3, gridX: 10.12 });
+assert.deepEqual(pickFields({ buffs: [{ name: 'flask_effect_life', timeLeft: 1.5, ptr: 99 }] }, ['buffs']),
+  { buffs: [{ name: 'flask_effect_life', timeLeft: 1.5 }] });
+
+const terrain = { isValid: true, width: 400, height: 400, extra: 'dropped' };
+const area = { isValid: true, areaId: 'MapLostTowers', areaName: 'Lost Towers', areaInstance: 7 };
+const frames = [];
+for (let i = 0; i < 6; i++) {
+  frames.push({
+    t: 1000 + i * 16, terrain, area,
+    player: { playerName: 'Tester', address: 1, gridX: 100 + i, gridY: 100, healthCurrent: 1000 - i * 100, healthMax: 1000, actorComponentPtr: 123 },
+    entities: [
+      { id: 5, entityType: 'Monster', gridX: 120, gridY: 100, isAlive: true, renderName: 'Rat', statsPtr: 77 },
+      { id: 6, entityType: 'Monster', gridX: 900, gridY: 100, isAlive: true, renderName: 'Far away' },
+    ],
+  });
+}
+
+runtime.load(frames);
+runtime.step(POE2Cache);
+frameRecorderPlugin.onTick();   // first tick loads the player's settings (cap 4)
+startRecording();
+runtime.load(frames);
+while (runtime.step(POE2Cache)) frameRecorderPlugin.onTick();
+
+// ring buffer: the cap keeps only the NEWEST frames
+assert.equal(bufferedFrames().length, 4);
+const file = saveRecording();
+assert.match(file, /^frame_rec_\d{8}_\d{6}\.jsonl$/);
+
+const session = parseSession(runtime.files.get(file));
+assert.equal(session.headers.length, 1);
+assert.equal(session.headers[0].cap, 4);
+assert.equal(session.frames.length, 4);
+assert.deepEqual(session.frames.map(f => f.player.healthCurrent), [800, 700, 600, 500]);
+// terrain written once (first frame after the wrap still has it) and carried forward on parse
+const raw = runtime.files.get(file).trim().split('\n');
+assert.ok(raw[1].includes('"terrain"'));
+assert.ok(!raw[2].includes('"terrain"'));
+assert.deepEqual(session.frames[3].terrain, { isValid: true, width: 400, height: 400 });
+assert.equal(session.frames[3].area.areaName, 'Lost Towers');
+// entity radius + field whitelist applied
+assert.deepEqual(session.frames[0].entities, [{ id: 5, entityType: 'Monster', renderName: 'Rat', gridX: 120, gridY: 100, isAlive: true }]);
+assert.equal(session.frames[0].player.actorComponentPtr, undefined);
+
+// the recorded file replays through the stub: same player the plugins saw live
+runtime.load(runtime.files.get(file));
+assert.equal(runtime.step(POE2Cache).player.gridX, 102);
+assert.equal(POE2Cache.getHealthPercent(), 80);
+
+runtime.print('frame_recorder tests passed');
@@ -2,7 +2,7 @@
  * Inventory module — read inventories, enumerate stash tabs, move items, check space.
  * For pickit / stash / restock / viewer plugins. Pure SDK calls — NO raw memory reads here.
  *
- *   import { readInventory, getStashTabs, moveToStash, canFit, findByName, getMods } from './inventory.js';
+ *   import { readInventory, getStashTabs, moveToStash, canFit, planEviction, findByName, getMods } from './inventory.js';
  *
  * The stash tab table (poe2.getStashTabs), moves (poe2.moveStashItem), and tab force-load
  * (poe2.requestStashTab) are provided by the C++ SDK; the move's within-slot click point is
@@ -41,7 +41,7 @@ export function readInventory(invId) {
   const items = (inv.items || []).map(function (it) {
     return {
       base: it.baseName, path: it.itemPath, unique: it.uniqueName,
-      rarity: it.rarity, stack: it.stackSize, identified: it.isIdentified,
+      rarity: it.rarity, stack: it.stackSize, identified: it.isIdentified, unidTier: it.unidentifiedTier || 0,
       x: it.slotX, y: it.slotY, w: it.width, h: it.height, ex: it.slotEndX, ey: it.slotEndY,
       addr: it.itemAddress, handle: it.itemSlotHandle,
     };
@@ -63,10 +63,15 @@ export function itemAtGrid(invId, gridX, gridY) {
 export function buildOccupancyGrid(invId) {
   const inv = readInventory(invId);
   if (!inv) return null;
-  const W = inv.width, H = inv.height;
+  return gridFromItems(inv.width, inv.height, inv.items);
+}
+
+/** Occupancy grid from item rects ({ x, y, w, h[, ex, ey] }) -- e.g. a stash index entry recorded earlier. */
+export function gridFromItems(width, height, items) {
+  const W = width, H = height;
   const occ = new Array(W * H).fill(false);
-  for (let i = 0; i < inv.items.length; i++) {
-    const it = inv.items[i];
+  for (let i = 0; i < items.length; i++) {
+    const it = items[i];
     const x1 = (it.ex != null && it.ex > it.x) ? it.ex : it.x + (it.w || 1);
     const y1 = (it.ey != null && it.ey > it.y) ? it.ey : it.y + (it.h || 1);
     for (let y = it.y; y < y1 && y < H; y++) for (let x = it.x; x < x1 && x < W; x++) if (x >= 0 && y >= 0) occ[y * W + x] = true;
@@ -74,6 +79,21 @@ export function buildOccupancyGrid(invId) {
   return { width: W, height: H, occupied: occ };
 }
 
+/** Claim the first free gridW x gridH spot in an occupancy grid (marks it occupied). {x,y} or null. */
+export function placeInGrid(grid, gridW, gridH) {
+  const W = grid.width, H = grid.height, w = gridW || 1, h = gridH || 1;
+  for (let y = 0; y + h <= H; y++) {
+    for (let x = 0; x + w <= W; x++) {
+      let ok = true;
+      for (let yy = y; yy < y + h && ok; yy++) for (let xx = x; xx < x + w; xx++) if (grid.occupied[yy * W + xx]) { ok = false; break; }
+      if (!ok) continue;
+      for (let yy = y; yy < y + h; yy++) for (let xx = x; xx < x + w; xx++) grid.occupied[yy * W + xx] = true;
+      return { x: x, y: y };
+    }
+  }
+  return null;
+}
+
 /** Free-space summary: { width, height, freeSlots, totalSlots, occupied:bool[] }. */
 export function freeSlots(invId) {
   if (invId == null) invId = INV.MAIN;
@@ -106,6 +126,48 @@ export function canFit(gridW, gridH, invId) {
   return firstFreeSlot(gridW, gridH, invId) !== null;
 }
 
+/**
+ * Cheapest set of items whose removal frees a gridW x gridH footprint in `inv` (an inventory id or a
+ * readInventory result). scoreOf(item) -> number (Infinity = never evict). Every placement is tried; the
+ * items overlapping it must ALL go, so a placement's cost is their score sum -- placements over free cells
+ * cost nothing, and one costing more than maxCost is out. Returns { x, y, evict: [items], cost } (fewest items
+ * on a cost tie) or null. Pure grid math: choosing what actually happens to the evicted items is the caller's.
+ */
+export function planEviction(inv, gridW, gridH, scoreOf, maxCost) {
+  if (typeof inv === 'number') inv = readInventory(inv);
+  if (!inv) return null;
+  const W = inv.width, H = inv.height, w = gridW || 1, h = gridH || 1;
+  const limit = maxCost == null ? Infinity : maxCost;
+  const owner = new Array(W * H).fill(-1);
+  const scores = inv.items.map(function (it) { const v = Number(scoreOf(it)); return Number.isNaN(v) ? Infinity : v; });
+  for (let i = 0; i < inv.items.length; i++) {
+    const it = inv.items[i];
+    const x1 = (it.ex != null && it.ex > it.x) ? it.ex : it.x + (it.w || 1);
+    const y1 = (it.ey != null && it.ey > it.y) ? it.ey : it.y + (it.h || 1);
+    for (let y = it.y; y < y1 && y < H; y++) for (let x = it.x; x < x1 && x < W; x++) if (x >= 0 && y >= 0) owner[y * W + x] = i;
+  }
+  let best = null;
+  for (let y = 0; y + h <= H; y++) {
+    for (let x = 0; x + w <= W; x++) {
+      const hit = [];
+      let cost = 0;
+      for (let yy = y; yy < y + h && cost <= limit; yy++) {
+        for (let xx = x; xx < x + w; xx++) {
+          const o = owner[yy * W + xx];
+          if (o < 0 || hit.indexOf(o) >= 0) continue;
+          hit.push(o);
+          cost += scores[o];
+          if (cost > limit) break;
+        }
+      }
+      if (cost > limit || cost === Infinity) continue;
+      if (!best || cost < best.cost || (cost === best.cost && hit.length < best.idx.length)) best = { x: x, y: y, idx: hit, cost: cost };
+    }
+  }
+  if (!best) return null;
+  return { x: best.x, y: best.y, evict: best.idx.map(function (i) { return inv.items[i]; }), cost: best.cost };
+}
+
 // ===================== find / filter / mods =====================
 
 export function findItems(invId, predicate) { const inv = readInventory(invId); return inv ? inv.items.filter(predicate) : []; }
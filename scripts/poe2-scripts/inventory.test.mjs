@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { runtime } from './poe2_stub.mjs';
+
+const { readInventory, canFit, planEviction, INV } = await import('./inventory.js');
+
+// getInventory item shape -> readInventory's
+const raw = (handle, baseName, x, y, w, h, extra) => Object.assign({
+  baseName, itemPath: `Metadata/Items/${baseName.replace(/ /g, '')}`, rarity: 0, stackSize: 1, isIdentified: true,
+  slotX: x, slotY: y, width: w, height: h, slotEndX: x + w, slotEndY: y + h, itemAddress: 0x5000 + handle, itemSlotHandle: handle,
+}, extra || {});
+
+// a 4x4 bag, full: a 2x4 armour (cheap), two 1x1 orbs, a 1x2 wand and a 1x4 staff
+const items = [
+  raw(1, 'Plate Vest', 0, 0, 2, 4),
+  raw(2, 'Divine Orb', 2, 0, 1, 1), raw(3, 'Chaos Orb', 3, 0, 1, 1),
+  raw(4, 'Withered Wand', 2, 1, 1, 2), raw(5, 'Ashen Staff', 3, 1, 1, 3), raw(6, 'Chaos Orb', 2, 3, 1, 1),
+];
+runtime.setFrame({ t: 1000, inventories: { [INV.MAIN]: { isValid: true, totalBoxesX: 4, totalBoxesY: 4, items } } });
+const inv = readInventory(INV.MAIN);
+assert.equal(inv.items.length, 6);
+assert.equal(canFit(1, 1, INV.MAIN), false);
+
+const price = { 'Plate Vest': 0, 'Divine Orb': 150, 'Chaos Orb': 1, 'Withered Wand': 2, 'Ashen Staff': 3 };
+const score = it => price[it.base];
+
+// 1x1: the free-to-lose vest beats every 1-chaos orb
+let plan = planEviction(INV.MAIN, 1, 1, score);
+assert.deepEqual([plan.x, plan.y, plan.cost, plan.evict.map(i => i.base)], [0, 0, 0, ['Plate Vest']]);
+
+// 2x2: the vest alone frees (0,0)-(1,1)
+plan = planEviction(INV.MAIN, 2, 2, score);
+assert.deepEqual(plan.evict.map(i => i.handle), [1]);
+
+// vest protected (Infinity): the cheapest block on the right is wand + staff at (2,1)
+const noVest = it => (it.base === 'Plate Vest' ? Infinity : score(it));
+plan = planEviction(INV.MAIN, 2, 2, noVest);
+assert.deepEqual([plan.x, plan.y, plan.cost], [2, 1, 5]);
+assert.deepEqual(plan.evict.map(i => i.handle).sort(), [4, 5]);
+assert.equal(planEviction(INV.MAIN, 2, 2, noVest, 4), null);           // maxCost bounds the trade
+assert.equal(planEviction(INV.MAIN, 3, 1, noVest), null);              // every 3-wide run crosses the vest
+
+// 3x1: vest + the bottom chaos orb (1) -- not across the divine
+plan = planEviction(INV.MAIN, 3, 1, score, 100);
+assert.deepEqual([plan.x, plan.y, plan.cost, plan.evict.map(i => i.handle)], [0, 3, 1, [1, 6]]);
+
+// equal cost: fewer items wins
+plan = planEviction(INV.MAIN, 1, 2, () => 0);
+assert.deepEqual(plan.evict.map(i => i.handle), [1]);
+
+// a readInventory result works as-is; an unreadable inventory plans nothing; free space costs nothing
+assert.equal(planEviction(inv, 2, 2, score).cost, 0);
+assert.equal(planEviction(99, 1, 1, score), null);
+const roomy = { invId: 1, width: 5, height: 4, items: inv.items };
+assert.deepEqual(planEviction(roomy, 1, 4, score), { x: 4, y: 0, evict: [], cost: 0 });
+
+runtime.print('inventory tests passed');
@@ -7,6 +7,7 @@
 
 import { Settings } from './Settings.js';
 import { readInventory, moveByHandle, findStashTabs, getStashTabs, INV } from './inventory.js';
+import { compareItems, equipSlotsFor, EQUIP_SLOT_IDS } from './item_compare.js';
 
 const poe2 = new POE2();
 const PLUGIN_NAME = 'inventory_viewer';
@@ -100,6 +101,10 @@ let cachedInventories = [];
 let lastCacheTime = 0;
 const CACHE_INTERVAL = 500; // ms
 
+// Compare mode: the selected backpack/stash item vs the item equipped in its slot
+const compareMode = new ImGui.MutableVariable(false);
+let compareSlotIndex = 0;   // rings / weapon sets: which of the candidate slots to compare against
+
 // Extract short name from path (fallback only)
 function getShortNameFromPath(path) {
   if (!path) return '<unknown>';
@@ -533,6 +538,67 @@ function drawItemDetails(item) {
   }
 }
 
+// Signed delta text + color (green = the selected item is better there)
+function fmtDelta(d) {
+  const r = Math.round(d * 10) / 10;
+  if (r === 0) return { text: '=', color: [0.6, 0.6, 0.6, 1.0] };
+  return { text: (r > 0 ? '+' : '') + r, color: r > 0 ? [0.3, 1.0, 0.3, 1.0] : [1.0, 0.35, 0.35, 1.0] };
+}
+
+// Draw the selected item's stats side by side with the equipped item in the same slot
+function drawItemCompare(item) {
+  ImGui.separator();
+  const slots = equipSlotsFor(item.itemPath);
+  if (!slots.length) {
+    ImGui.textColored([0.6, 0.6, 0.6, 1.0], "Compare: not an equippable item");
+    return;
+  }
+  if (compareSlotIndex >= slots.length) compareSlotIndex = 0;
+  if (slots.length > 1) {
+    for (let i = 0; i < slots.length; i++) {
+      if (i > 0) ImGui.sameLine();
+      if (ImGui.radioButton(`${INVENTORY_NAMES[slots[i]]}##cmpslot`, compareSlotIndex === i)) compareSlotIndex = i;
+    }
+  }
+  const slotInv = poe2.getInventory(slots[compareSlotIndex]);
+  const equipped = slotInv && slotInv.isValid && slotInv.items && slotInv.items.length ? slotInv.items[0] : null;
+  const cmp = compareItems(poe2.getItemMods(item.itemAddress), equipped ? poe2.getItemMods(equipped.itemAddress) : null);
+
+  ImGui.textColored(RARITY_COLORS[item.rarity || 0], getItemDisplayName(item));
+  ImGui.sameLine(200);
+  ImGui.text("vs");
+  ImGui.sameLine(230);
+  if (equipped) ImGui.textColored(RARITY_COLORS[equipped.rarity || 0], getItemDisplayName(equipped));
+  else ImGui.textColored([0.6, 0.6, 0.6, 1.0], `(${INVENTORY_NAMES[slots[compareSlotIndex]]} empty)`);
+
+  if (!cmp.rows.length) ImGui.textColored([0.6, 0.6, 0.6, 1.0], "No known stats on either item");
+  let group = '';
+  for (const r of cmp.rows) {
+    if (r.group !== group) { group = r.group; ImGui.textColored([0.4, 0.8, 1.0, 1.0], group); }
+    const d = fmtDelta(r.delta);
+    ImGui.text(`  ${r.label}`);
+    ImGui.sameLine(200); ImGui.text(`${Math.round(r.a * 10) / 10}`);
+    ImGui.sameLine(250); ImGui.text(`${Math.round(r.b * 10) / 10}`);
+    ImGui.sameLine(300); ImGui.textColored(d.color, d.text);
+  }
+  if (cmp.totalRes.a || cmp.totalRes.b) {
+    const d = fmtDelta(cmp.totalRes.delta);
+    ImGui.text("  Total elemental res");
+    ImGui.sameLine(200); ImGui.text(`${Math.round(cmp.totalRes.a * 10) / 10}`);
+    ImGui.sameLine(250); ImGui.text(`${Math.round(cmp.totalRes.b * 10) / 10}`);
+    ImGui.sameLine(300); ImGui.textColored(d.color, d.text);
+  }
+  if ((cmp.otherA.length || cmp.otherB.length) && ImGui.treeNode("Other mods##cmpother")) {
+    const n = Math.max(cmp.otherA.length, cmp.otherB.length);
+    for (let i = 0; i < n; i++) {
+      ImGui.textColored([0.2, 0.8, 1.0, 1.0], `  ${cmp.otherA[i] || ''}`);
+      ImGui.sameLine(230);
+      ImGui.textColored([0.7, 0.7, 0.7, 1.0], cmp.otherB[i] || '');
+    }
+    ImGui.treePop();
+  }
+}
+
 // Get inventory name for display
 function getInventoryDisplayName(id, name) {
   if (name && name !== "Unknown") {
@@ -805,6 +871,11 @@ function onDraw() {
   if (selectedItemAddress && inventory.items) {
     const selectedItem = inventory.items.find(i => i.itemAddress === selectedItemAddress);
     if (selectedItem) {
+      if (EQUIP_SLOT_IDS.indexOf(selectedInventoryId) < 0) {
+        ImGui.separator();
+        ImGui.checkbox("Compare with equipped", compareMode);
+        if (compareMode.value) drawItemCompare(selectedItem);
+      }
       drawItemDetails(selectedItem);
     }
   }
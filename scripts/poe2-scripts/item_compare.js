@@ -0,0 +1,122 @@
+/**
+ * item_compare.js — compare an item against what's equipped in the same slot: per-stat totals from the parsed
+ * mod values (getItemMods: { name, value0, value1 }) and the delta for each.
+ *
+ * Mod names are the game's internal ids (IncreasedLife5, FireResist2, LocalAddedPhysicalDamage3, ...). STAT_RULES
+ * maps them to stats by pattern, first match wins; value0 is the roll, except "adds X to Y" damage mods, which
+ * count their average ((value0 + value1) / 2). A hybrid resistance (FireAndColdResist) counts for every element
+ * it names. Mods no rule knows are listed as-is, without a delta.
+ *
+ * Pure module (no game API): inventory_viewer reads the items + mods and draws the result; node tests cover it.
+ */
+
+// Equipment inventory ids (inventory_viewer INVENTORY_NAMES) by item path.
+const SLOT_RULES = [
+  { re: /\/Armours\/Helmets\//i, slots: [5] },
+  { re: /\/Armours\/BodyArmours\//i, slots: [2] },
+  { re: /\/Armours\/Gloves\//i, slots: [9] },
+  { re: /\/Armours\/Boots\//i, slots: [10] },
+  { re: /\/Armours\/(Shields|Bucklers|Focii)\/|\/Quivers\//i, slots: [4, 16] },
+  { re: /\/Belts\//i, slots: [11] },
+  { re: /\/Amulets\//i, slots: [6] },
+  { re: /\/Rings\//i, slots: [7, 8] },
+  { re: /\/Weapons\//i, slots: [3, 15] },
+];
+export const EQUIP_SLOT_IDS = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 15, 16];
+
+/** Equipment inventory ids an item at `path` would go in ([] = not equippable here). Rings / weapon sets: both. */
+export function equipSlotsFor(path) {
+  const p = String(path || '');
+  for (const r of SLOT_RULES) if (r.re.test(p)) return r.slots.slice();
+  return [];
+}
+
+// group: 'defence' | 'offence' | 'attribute' | 'utility'. avg: "adds X to Y" (count the average).
+// A flat roll and an "increased %" roll of the same stat never add up: the % rules (their ids say Percent) come
+// first. shared: a mod matching one of these also counts for every other shared rule it matches (hybrid resists).
+export const STAT_RULES = [
+  { key: 'lifeRegen', label: 'Life regeneration', group: 'defence', re: /LifeRegen/i },
+  { key: 'leech', label: 'Leech', group: 'offence', re: /Leech/i },
+  { key: 'lifePct', label: 'Increased life %', group: 'defence', re: /(IncreasedLife|MaximumLife|AddedLife)\w*Percent/i },
+  { key: 'life', label: 'Life', group: 'defence', re: /IncreasedLife|MaximumLife|AddedLife/i },
+  { key: 'manaPct', label: 'Increased mana %', group: 'defence', re: /(IncreasedMana|MaximumMana)\w*Percent/i },
+  { key: 'mana', label: 'Mana', group: 'defence', re: /IncreasedMana|MaximumMana/i },
+  { key: 'esPct', label: 'Increased energy shield %', group: 'defence', re: /EnergyShield\w*Percent/i },
+  { key: 'es', label: 'Energy shield', group: 'defence', re: /EnergyShield/i },
+  { key: 'armourPct', label: 'Increased armour %', group: 'defence', re: /(Armour|PhysicalDamageReduction)\w*Percent/i },
+  { key: 'armour', label: 'Armour', group: 'defence', re: /Armour|PhysicalDamageReduction/i },
+  { key: 'evasionPct', label: 'Increased evasion %', group: 'defence', re: /Evasion\w*Percent/i },
+  { key: 'evasion', label: 'Evasion', group: 'defence', re: /Evasion/i },
+  { key: 'allRes', label: 'All resistances', group: 'defence', re: /AllResist/i },
+  { key: 'fireRes', label: 'Fire resistance', group: 'defence', shared: true, re: /Fire\w*Resist/i },
+  { key: 'coldRes', label: 'Cold resistance', group: 'defence', shared: true, re: /Cold\w*Resist/i },
+  { key: 'lightningRes', label: 'Lightning resistance', group: 'defence', shared: true, re: /Lightning\w*Resist/i },
+  { key: 'chaosRes', label: 'Chaos resistance', group: 'defence', shared: true, re: /Chaos\w*Resist/i },
+  { key: 'allAttr', label: 'All attributes', group: 'attribute', re: /AllAttributes/i },
+  { key: 'str', label: 'Strength', group: 'attribute', re: /Strength/i },
+  { key: 'dex', label: 'Dexterity', group: 'attribute', re: /Dexterity/i },
+  { key: 'int', label: 'Intelligence', group: 'attribute', re: /Intelligence/i },
+  { key: 'addedPhys', label: 'Added physical damage (avg)', group: 'offence', avg: true, re: /AddedPhysical/i },
+  { key: 'addedElem', label: 'Added elemental damage (avg)', group: 'offence', avg: true, re: /Added(Fire|Cold|Lightning)/i },
+  { key: 'physPct', label: 'Increased physical damage %', group: 'offence', re: /IncreasedPhysicalDamage|PhysicalDamagePercent/i },
+  { key: 'spellDmg', label: 'Spell damage %', group: 'offence', re: /SpellDamage/i },
+  { key: 'attackSpeed', label: 'Attack speed %', group: 'offence', re: /AttackSpeed/i },
+  { key: 'castSpeed', label: 'Cast speed %', group: 'offence', re: /CastSpeed/i },
+  { key: 'critChance', label: 'Critical hit chance', group: 'offence', re: /Critical(Strike)?Chance/i },
+  { key: 'critMulti', label: 'Critical damage bonus', group: 'offence', re: /Critical(Strike)?Multiplier|CriticalDamage/i },
+  { key: 'skillLevels', label: '+ skill levels', group: 'offence', re: /GemLevel|SkillLevel|SocketedGems/i },
+  { key: 'movement', label: 'Movement speed %', group: 'utility', re: /MovementVelocity|MovementSpeed/i },
+];
+const GROUP_ORDER = ['defence', 'offence', 'attribute', 'utility'];
+
+/** The stat rule a mod name falls under, or null. */
+export function statRuleFor(modName) {
+  const n = String(modName || '');
+  for (const r of STAT_RULES) if (r.re.test(n)) return r;
+  return null;
+}
+
+/**
+ * Sum an item's mods (getItemMods result, or null) into stats.
+ * Returns { stats: { key: value }, other: [mod names no rule covers] }. Every mod list counts (implicit,
+ * explicit, enchant, ...).
+ */
+export function itemStats(mods) {
+  const stats = {};
+  const other = [];
+  if (!mods || mods.isValid === false) return { stats, other };
+  const all = [].concat(mods.implicitMods || [], mods.enchantMods || [], mods.explicitMods || [], mods.hellscapeMods || []);
+  for (const m of all) {
+    if (!m || !m.name) continue;
+    const r = statRuleFor(m.name);
+    if (!r) { other.push(m.name); continue; }
+    const v0 = Number(m.value0) || 0;
+    const v = r.avg && Number.isFinite(Number(m.value1)) && Number(m.value1) ? (v0 + Number(m.value1)) / 2 : v0;
+    const keys = r.shared ? STAT_RULES.filter(function (x) { return x.shared && x.re.test(m.name); }).map(function (x) { return x.key; }) : [r.key];
+    for (const k of keys) stats[k] = (stats[k] || 0) + v;
+  }
+  return { stats, other };
+}
+
+/**
+ * Candidate vs equipped (getItemMods results; equipped null = empty slot).
+ * Returns { rows: [{ key, label, group, a, b, delta }] in group + rule order, only stats either item has,
+ *   totalRes: { a, b, delta } (fire + cold + lightning, all-res counted three times),
+ *   otherA: [mod names], otherB: [mod names] }
+ * a = candidate, b = equipped, delta = a - b (positive = the candidate is better there).
+ */
+export function compareItems(candidate, equipped) {
+  const A = itemStats(candidate);
+  const B = itemStats(equipped);
+  const rows = [];
+  for (const g of GROUP_ORDER) {
+    for (const r of STAT_RULES) {
+      if (r.group !== g || (A.stats[r.key] === undefined && B.stats[r.key] === undefined)) continue;
+      const a = A.stats[r.key] || 0, b = B.stats[r.key] || 0;
+      rows.push({ key: r.key, label: r.label, group: g, a: a, b: b, delta: a - b });
+    }
+  }
+  const res = function (s) { return (s.fireRes || 0) + (s.coldRes || 0) + (s.lightningRes || 0) + 3 * (s.allRes || 0); };
+  const ra = res(A.stats), rb = res(B.stats);
+  return { rows: rows, totalRes: { a: ra, b: rb, delta: ra - rb }, otherA: A.other, otherB: B.other };
+}
@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import { equipSlotsFor, statRuleFor, itemStats, compareItems } from './item_compare.js';
+
+// ---- slots by item path ----
+assert.deepEqual(equipSlotsFor('Metadata/Items/Armours/Helmets/HelmetStr1'), [5]);
+assert.deepEqual(equipSlotsFor('Metadata/Items/Rings/Ring3'), [7, 8]);
+assert.deepEqual(equipSlotsFor('Metadata/Items/Weapons/TwoHandWeapons/Bows/Bow4'), [3, 15]);
+assert.deepEqual(equipSlotsFor('Metadata/Items/Armours/Shields/ShieldStr2'), [4, 16]);
+assert.deepEqual(equipSlotsFor('Metadata/Items/Currency/CurrencyRerollRare'), []);
+assert.deepEqual(equipSlotsFor(undefined), []);
+
+// ---- mod names -> stats; the more specific rule wins ----
+assert.equal(statRuleFor('LifeLeechPermyriad2').key, 'leech');
+assert.equal(statRuleFor('LifeRegeneration3').key, 'lifeRegen');
+assert.equal(statRuleFor('IncreasedLife7').key, 'life');
+assert.equal(statRuleFor('AllResistances2').key, 'allRes');
+assert.equal(statRuleFor('LocalIncreasedPhysicalDamagePercent4').key, 'physPct');
+assert.equal(statRuleFor('SomethingNew1'), null);
+// flat and "increased %" rolls of a stat are separate stats
+assert.equal(statRuleFor('MaximumLifeIncreasePercent2').key, 'lifePct');
+assert.equal(statRuleFor('LocalEnergyShieldPercent3').key, 'esPct');
+assert.equal(statRuleFor('LocalEnergyShield3').key, 'es');
+assert.equal(statRuleFor('LocalPhysicalDamageReductionRatingPercent1').key, 'armourPct');
+assert.equal(statRuleFor('LocalEvasionRatingIncreasePercent4').key, 'evasionPct');
+assert.equal(statRuleFor('LocalEvasionRating2').key, 'evasion');
+
+// ---- summing: every mod list, "adds X to Y" counts its average ----
+const mods = (explicit, implicit) => ({ isValid: true, implicitMods: implicit || [], explicitMods: explicit, enchantMods: [] });
+const m = (name, value0, value1) => ({ name, value0, value1: value1 || 0 });
+const s = itemStats(mods([m('IncreasedLife5', 60), m('LocalAddedPhysicalDamage3', 10, 20), m('Weird1', 3)], [m('IncreasedLife1', 20)]));
+assert.deepEqual(s.stats, { life: 80, addedPhys: 15 });
+assert.deepEqual(s.other, ['Weird1']);
+assert.deepEqual(itemStats(mods([m('IncreasedLife5', 60), m('MaximumLifeIncreasePercent1', 8), m('IncreasedMana3', 40), m('MaximumManaIncreasePercent1', 10)])).stats,
+  { life: 60, lifePct: 8, mana: 40, manaPct: 10 });
+// a hybrid resist counts for both of its elements
+assert.deepEqual(itemStats(mods([m('FireAndColdResist2', 12), m('LightningAndChaosResist1', 9)])).stats,
+  { fireRes: 12, coldRes: 12, lightningRes: 9, chaosRes: 9 });
+assert.deepEqual(itemStats(null), { stats: {}, other: [] });
+assert.deepEqual(itemStats({ isValid: false }), { stats: {}, other: [] });
+
+// ---- candidate vs equipped ----
+const cand = mods([m('IncreasedLife5', 70), m('FireResist3', 30), m('AllResistances1', 8), m('IncreasedAttackSpeed2', 7), m('Dexterity2', 15)]);
+const worn = mods([m('IncreasedLife4', 55), m('ColdResist4', 35), m('MovementVelocity2', 20), m('Odd2', 1)]);
+const c = compareItems(cand, worn);
+assert.deepEqual(c.rows.map(r => [r.key, r.a, r.b, r.delta]), [
+  ['life', 70, 55, 15], ['allRes', 8, 0, 8], ['fireRes', 30, 0, 30], ['coldRes', 0, 35, -35],
+  ['attackSpeed', 7, 0, 7], ['dex', 15, 0, 15], ['movement', 0, 20, -20],
+]);
+assert.deepEqual(c.totalRes, { a: 54, b: 35, delta: 19 });             // 30 + 3 * 8 vs 35
+assert.deepEqual([c.otherA, c.otherB], [[], ['Odd2']]);
+assert.deepEqual(compareItems(mods([m('FireAndLightningResist1', 15)]), worn).totalRes, { a: 30, b: 35, delta: -5 });
+
+// an empty slot: everything the candidate has is a gain
+const empty = compareItems(cand, null);
+assert.ok(empty.rows.every(r => r.b === 0 && r.delta === r.a));
+
+console.log('item_compare tests passed');
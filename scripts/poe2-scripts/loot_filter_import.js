@@ -0,0 +1,239 @@
+/**
+ * loot_filter_import.js — compile the game client's loot filter (.filter, NeverSink-style Show/Hide blocks) into
+ * pickit rules (pickit_filter.js expressions), so pickit picks up what the visible filter shows.
+ *
+ * Translated conditions: Class, BaseType, Rarity, ItemLevel, StackSize, UnidentifiedItemTier, Sockets, Quality
+ * (plus Identified, Corrupted, Width, Height, which ground items carry), and the Continue flag. Styling lines
+ * (SetFontSize, PlayAlertSound, ...) are ignored; any other condition is reported, as is a condition on a field
+ * pickit can't read for ground items (opts.fields). An untranslated condition is DROPPED from its rule, so that
+ * rule matches more than the game block does -- the report says which. Only a Show rule may widen: a Hide block
+ * that lost a condition is imported OFF (with all of them gone it would hide every item), and so is any block
+ * gated on AreaLevel, which pickit has no way to read.
+ *
+ * Block order -> rule order. The game applies the first matching block without Continue; a Continue block is
+ * overridden by any later match, and only decides when nothing without Continue matches (the last such match
+ * wins). So: non-Continue blocks first (file order), then Continue blocks in REVERSE file order; Hide blocks become
+ * `hide` rules (first matching rule = don't pick). Items no block matches are shown by the game: that becomes a
+ * final pick-all rule, imported ON -- OFF only when the filter has its own Hide catch-all (a Hide block with no
+ * conditions and no Continue), which leaves nothing unmatched.
+ *
+ * Pure module (no game API).
+ */
+
+import { RARITY_NAMES } from './pickit_filter.js';
+
+// Item class (as the filter names it) -> metadata path fragment pickit can test (item.path). `Class "Gems"` is a
+// partial match, exactly like in game: it covers every class containing "Gems". Extend when GGG adds classes.
+export const CLASS_PATHS = {
+  'Stackable Currency': 'Items/Currency/',
+  'Omen': 'Items/Currency/Omen',
+  'Distilled Emotions': 'Items/Currency/DistilledEmotion',
+  'Waystones': 'Items/MapKeys/',
+  'Tablet': 'Items/TowerAugment/',
+  'Jewels': 'Items/Jewels/',
+  'Amulets': 'Items/Amulets/',
+  'Rings': 'Items/Rings/',
+  'Belts': 'Items/Belts/',
+  'Body Armours': 'Items/Armours/BodyArmours/',
+  'Boots': 'Items/Armours/Boots/',
+  'Gloves': 'Items/Armours/Gloves/',
+  'Helmets': 'Items/Armours/Helmets/',
+  'Shields': 'Items/Armours/Shields/',
+  'Bucklers': 'Items/Armours/Bucklers/',
+  'Foci': 'Items/Armours/Focii/',
+  'Quivers': 'Items/Quivers/',
+  'Life Flasks': 'Items/Flasks/FlaskLife',
+  'Mana Flasks': 'Items/Flasks/FlaskMana',
+  'Charms': 'Items/Flasks/Charm',
+  'Skill Gems': 'Items/Gems/SkillGem',
+  'Support Gems': 'Items/Gems/SupportGem',
+  'Wands': 'Weapons/OneHandWeapons/Wands/',
+  'Sceptres': 'Weapons/OneHandWeapons/Sceptres/',
+  'One Hand Maces': 'Weapons/OneHandWeapons/OneHandMaces/',
+  'Spears': 'Weapons/OneHandWeapons/Spears/',
+  'Daggers': 'Weapons/OneHandWeapons/Daggers/',
+  'Claws': 'Weapons/OneHandWeapons/Claws/',
+  'One Hand Swords': 'Weapons/OneHandWeapons/OneHandSwords/',
+  'One Hand Axes': 'Weapons/OneHandWeapons/OneHandAxes/',
+  'Flails': 'Weapons/OneHandWeapons/Flails/',
+  'Bows': 'Weapons/TwoHandWeapons/Bows/',
+  'Crossbows': 'Weapons/TwoHandWeapons/Crossbows/',
+  'Staves': 'Weapons/TwoHandWeapons/Staves/',
+  'Quarterstaves': 'Weapons/TwoHandWeapons/QuarterStaves/',
+  'Two Hand Maces': 'Weapons/TwoHandWeapons/TwoHandMaces/',
+  'Two Hand Swords': 'Weapons/TwoHandWeapons/TwoHandSwords/',
+  'Two Hand Axes': 'Weapons/TwoHandWeapons/TwoHandAxes/',
+};
+
+// filter keyword -> pickit item field (numeric comparisons)
+const NUMERIC_FIELDS = {
+  ItemLevel: 'itemLevel',
+  StackSize: 'stackSize',
+  UnidentifiedItemTier: 'unidentifiedTier',
+  Sockets: 'sockets',
+  Quality: 'quality',
+  Width: 'gridWidth',
+  Height: 'gridHeight',
+};
+
+// block actions/styling -- no effect on WHAT is shown
+const STYLE_KEYWORDS = new Set([
+  'SetFontSize', 'SetTextColor', 'SetBorderColor', 'SetBackgroundColor', 'PlayAlertSound', 'PlayAlertSoundPositional',
+  'CustomAlertSound', 'CustomAlertSoundOptional', 'DisableDropSound', 'EnableDropSound', 'DisableDropSoundIfAlertSound',
+  'EnableDropSoundIfAlertSound', 'MinimapIcon', 'PlayEffect',
+]);
+
+const BLOCK_ACTIONS = { Show: 'show', Hide: 'hide', Minimal: 'show' };
+const FILTER_OPS = ['==', '!=', '<=', '>=', '=', '!', '<', '>'];
+
+function _splitValues(s) {
+  const out = [];
+  const re = /"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(s)) !== null) out.push(m[1] !== undefined ? m[1] : m[2]);
+  return out;
+}
+
+/**
+ * Parse the block structure. Returns { blocks: [{ action, line, comment, continue, conditions: [{ key, op, values,
+ * line }] }], errors: ['line N: ...'] }. op is '' when the line has none.
+ */
+export function parseLootFilter(text) {
+  const blocks = [];
+  const errors = [];
+  let cur = null;
+  const lines = String(text || '').split('\n');
+  for (let n = 0; n < lines.length; n++) {
+    const raw = lines[n];
+    const hash = raw.indexOf('#');
+    const body = (hash >= 0 ? raw.slice(0, hash) : raw).trim();
+    const comment = hash >= 0 ? raw.slice(hash + 1).trim() : '';
+    if (!body) continue;
+    const kw = body.split(/\s+/)[0];
+    if (BLOCK_ACTIONS[kw]) {
+      cur = { action: BLOCK_ACTIONS[kw], keyword: kw, line: n + 1, comment, continue: false, conditions: [] };
+      blocks.push(cur);
+      continue;
+    }
+    if (!cur) { errors.push(`line ${n + 1}: '${kw}' outside a Show/Hide block`); continue; }
+    if (kw === 'Continue') { cur.continue = true; continue; }
+    if (STYLE_KEYWORDS.has(kw)) continue;
+    let rest = body.slice(kw.length).trim();
+    let op = '';
+    for (const o of FILTER_OPS) {
+      if (rest.startsWith(o)) { op = o; rest = rest.slice(o.length).trim(); break; }
+    }
+    cur.conditions.push({ key: kw, op, values: _splitValues(rest), line: n + 1 });
+  }
+  return { blocks, errors };
+}
+
+function _q(s) { return `"${String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`; }
+
+function _anyOf(parts) { return parts.length === 1 ? parts[0] : `(${parts.join(' OR ')})`; }
+
+function _cmpOp(op) { return op === '' || op === '=' ? '==' : op === '!' ? '!=' : op; }
+
+/**
+ * One condition -> expression text, or { skip: 'why' }. `has(field)` says whether pickit can read the field.
+ */
+function _translate(c, has) {
+  const neg = c.op === '!' || c.op === '!=';
+  const vals = c.values;
+  if (!vals.length) return { skip: 'no values' };
+  if (c.key === 'Class') {
+    const frags = [];
+    for (const v of vals) {
+      const exact = c.op === '==';
+      const hits = Object.keys(CLASS_PATHS).filter(k => (exact ? k.toLowerCase() === v.toLowerCase() : k.toLowerCase().includes(v.toLowerCase())));
+      if (!hits.length) return { skip: `unknown item class "${v}" (add it to CLASS_PATHS)` };
+      for (const h of hits) if (!frags.includes(CLASS_PATHS[h])) frags.push(CLASS_PATHS[h]);
+    }
+    const e = _anyOf(frags.map(f => `path ~ ${_q(f)}`));
+    return { expr: neg ? `NOT ${e}` : e };
+  }
+  if (c.key === 'BaseType') {
+    const e = _anyOf(vals.map(v => `baseName ${c.op === '==' ? '==' : '~'} ${_q(v)}`));
+    return { expr: neg ? `NOT ${e}` : e };
+  }
+  if (c.key === 'Rarity') {
+    const rs = [];
+    for (const v of vals) {
+      const r = RARITY_NAMES.indexOf(v.toLowerCase());
+      if (r < 0) return { skip: `unknown rarity "${v}"` };
+      rs.push(RARITY_NAMES[r]);
+    }
+    const op = _cmpOp(c.op);
+    if (op === '!=') return { expr: rs.map(r => `rarity != ${r}`).join(' AND ') };
+    return { expr: _anyOf(rs.map(r => `rarity ${op} ${r}`)) };
+  }
+  if (c.key === 'Identified' || c.key === 'Corrupted') {
+    const field = c.key.toLowerCase();
+    if (!has(field)) return { skip: `pickit can't read ${field} for ground items` };
+    const v = String(vals[0]).toLowerCase();
+    if (v !== 'true' && v !== 'false') return { skip: `bad value "${vals[0]}"` };
+    return { expr: (v === 'true') !== neg ? field : `NOT ${field}` };
+  }
+  if (c.key === 'AreaLevel') return { skip: "pickit can't read the area level", disable: true };
+  const field = NUMERIC_FIELDS[c.key];
+  if (!field) return { skip: 'condition not supported' };
+  if (!has(field)) return { skip: `pickit can't read ${field} for ground items` };
+  const nums = vals.map(Number);
+  if (nums.some(n => !Number.isFinite(n))) return { skip: `non-numeric value "${vals.join(' ')}"` };
+  const op = _cmpOp(c.op);
+  if (op === '!=') return { expr: nums.map(n => `${field} != ${n}`).join(' AND ') };
+  return { expr: _anyOf(nums.map(n => `${field} ${op} ${n}`)) };
+}
+
+/**
+ * Compile a .filter text into pickit rules. opts.fields = the item fields pickit can evaluate (its GROUND_FIELDS);
+ * omitted = every field. Returns { rules: [{ name, enabled, hide, expr }], untranslated: ['line N: ...'], errors,
+ * blocks, shown, hidden }.
+ */
+export function compileLootFilter(text, opts = {}) {
+  const { blocks, errors } = parseLootFilter(text);
+  const known = Array.isArray(opts.fields) ? new Set(opts.fields) : null;
+  const has = (f) => !known || known.has(f);
+  const untranslated = [];
+  const toRule = (b) => {
+    const parts = [];
+    let dropped = 0;
+    let areaGated = false;
+    for (const c of b.conditions) {
+      const t = _translate(c, has);
+      if (t.skip) {
+        dropped++;
+        if (t.disable) areaGated = true;
+        untranslated.push(`line ${c.line}: ${c.key} ${c.op ? `${c.op} ` : ''}${c.values.map(v => (/\s/.test(v) ? `"${v}"` : v)).join(' ')} -- ${t.skip}`);
+      } else parts.push(t.expr);
+    }
+    const hide = b.action === 'hide';
+    const off = areaGated || (hide && dropped > 0);
+    const n = `${dropped} condition${dropped > 1 ? 's' : ''} dropped`;
+    if (off) {
+      untranslated.push(`line ${b.line}: ${b.keyword} block imported OFF (${areaGated ? "its AreaLevel gate can't be checked" : `${n}: it would hide more than in game`})`);
+    } else if (dropped) {
+      untranslated.push(`line ${b.line}: ${b.keyword} block ${dropped === b.conditions.length ? 'now matches EVERY item' : 'matches more than in game'} (${n})`);
+    }
+    const label = b.comment ? ` ${b.comment}` : '';
+    return {
+      name: `${b.keyword} L${b.line}${b.continue ? ' (continue)' : ''}${label}`.slice(0, 80),
+      enabled: !off,
+      hide,
+      expr: parts.join('\nAND '),
+    };
+  };
+  const rules = [];
+  for (const b of blocks) if (!b.continue) rules.push(toRule(b));
+  for (let i = blocks.length - 1; i >= 0; i--) if (blocks[i].continue) rules.push(toRule(blocks[i]));
+  const hidesRest = blocks.some(b => b.action === 'hide' && !b.continue && !b.conditions.length);
+  rules.push({ name: 'Unmatched (shown by the game)', enabled: !hidesRest, hide: false, expr: '' });
+  return {
+    rules,
+    untranslated,
+    errors,
+    blocks: blocks.length,
+    shown: blocks.filter(b => b.action === 'show').length,
+    hidden: blocks.filter(b => b.action === 'hide').length,
+  };
+}
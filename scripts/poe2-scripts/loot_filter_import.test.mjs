@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict';
+import { parseLootFilter, compileLootFilter } from './loot_filter_import.js';
+import { compileFilter, evaluateFilter } from './pickit_filter.js';
+
+const FILTER = `#===============================================
+# NeverSink-style test filter
+#===============================================
+Show # %D5 $type->currency $tier->t1
+    Class == "Stackable Currency"
+    BaseType == "Divine Orb" "Exalted Orb"
+    SetFontSize 45
+    PlayAlertSound 6 300
+
+Hide # $type->currency $tier->scraps
+    Class "Currency"
+    BaseType "Scroll of Wisdom"
+    StackSize < 3
+
+Show # rare jewellery
+    Rarity >= Rare
+    Class "Rings" "Amulets"
+    ItemLevel >= 75
+    HasExplicitMod "of the Sky"
+
+Show # any tier-4+ unid
+    UnidentifiedItemTier >= 4
+    Continue
+
+Hide # normal/magic gear
+    Rarity Normal Magic
+    Class "Boots" "Gloves" "Mystery Class"
+    Continue
+
+Show # waystones
+    Class "Waystones"
+    AreaLevel >= 70
+    Sockets >= 2
+
+Hide
+    Rarity ! Unique
+`;
+
+// ---- block structure ----
+const { blocks, errors } = parseLootFilter(FILTER);
+assert.deepEqual(errors, []);
+assert.equal(blocks.length, 7);
+assert.deepEqual(blocks.map(b => [b.action, b.continue]), [
+  ['show', false], ['hide', false], ['show', false], ['show', true], ['hide', true], ['show', false], ['hide', false],
+]);
+assert.equal(blocks[0].comment, '%D5 $type->currency $tier->t1');
+assert.deepEqual(blocks[0].conditions.map(c => [c.key, c.op, c.values]), [
+  ['Class', '==', ['Stackable Currency']], ['BaseType', '==', ['Divine Orb', 'Exalted Orb']],
+]);
+assert.deepEqual(blocks[6].conditions[0], { key: 'Rarity', op: '!', values: ['Unique'], line: 36 });
+assert.deepEqual(parseLootFilter('BaseType "x"\nShow').errors, ["line 1: 'BaseType' outside a Show/Hide block"]);
+
+// ---- compile: pickit can read everything except itemLevel / sockets here (and never the area level) ----
+const FIELDS = ['path', 'baseName', 'rarity', 'stackSize', 'unidentifiedTier', 'identified', 'gridWidth', 'gridHeight'];
+const res = compileLootFilter(FILTER, { fields: FIELDS });
+assert.equal(res.blocks, 7);
+assert.equal(res.shown, 4);
+assert.equal(res.hidden, 3);
+// non-Continue blocks in file order, then Continue blocks last-first, then the unmatched catch-all
+assert.deepEqual(res.rules.map(r => r.name.split(' ')[0] + (r.hide ? '/hide' : '')), [
+  'Show', 'Hide/hide', 'Show', 'Show', 'Hide/hide', 'Hide/hide', 'Show', 'Unmatched',
+]);
+assert.match(res.rules[0].name, /^Show L4 %D5 \$type->currency/);
+assert.match(res.rules[4].name, /^Hide L35$/);
+assert.match(res.rules[5].name, /^Hide L25 \(continue\) normal\/magic gear/);
+assert.equal(res.rules[7].enabled, true);
+assert.equal(res.rules[0].expr, 'path ~ "Items/Currency/"\nAND (baseName == "Divine Orb" OR baseName == "Exalted Orb")');
+
+assert.deepEqual(res.untranslated, [
+  "line 18: ItemLevel >= 75 -- pickit can't read itemLevel for ground items",
+  'line 19: HasExplicitMod "of the Sky" -- condition not supported',
+  'line 15: Show block matches more than in game (2 conditions dropped)',
+  "line 32: AreaLevel >= 70 -- pickit can't read the area level",
+  "line 33: Sockets >= 2 -- pickit can't read sockets for ground items",
+  "line 30: Show block imported OFF (its AreaLevel gate can't be checked)",
+  'line 27: Class Boots Gloves "Mystery Class" -- unknown item class "Mystery Class" (add it to CLASS_PATHS)',
+  'line 25: Hide block imported OFF (1 condition dropped: it would hide more than in game)',
+]);
+assert.deepEqual(res.rules.map(r => r.enabled), [true, true, true, false, true, false, true, true]);
+// every compiled expression parses in the pickit language
+for (const r of res.rules) assert.equal(compileFilter(r.expr, { fields: FIELDS }).error, '', r.name);
+
+// without a field list ItemLevel / Sockets translate too; AreaLevel never does
+const all = compileLootFilter(FILTER);
+assert.deepEqual(all.untranslated.filter(u => /can't read/.test(u)), ["line 32: AreaLevel >= 70 -- pickit can't read the area level"]);
+assert.match(all.rules[2].expr, /itemLevel >= 75/);
+
+// ---- first-match semantics of the compiled rules ----
+const decide = (rules, item) => {
+  for (const r of rules) {
+    if (!r.enabled) continue;
+    if (evaluateFilter(compileFilter(r.expr).ast, item)) return r.hide ? 'hide' : 'show';
+  }
+  return 'none';
+};
+const cur = (baseName, stackSize = 1) => ({ path: 'Metadata/Items/Currency/X', baseName, rarity: 0, stackSize });
+// only a Show may widen: a Hide that lost every condition must not become an enabled hide-everything rule
+const narrowHide = compileLootFilter('Hide\n  AreaLevel >= 65\n  GemLevel < 5\nHide\n  GemLevel < 5\n  Rarity Normal\n', { fields: FIELDS });
+assert.deepEqual(narrowHide.rules.map(r => [r.hide, r.enabled, r.expr]), [
+  [true, false, ''], [true, false, 'rarity == normal'], [false, true, ''],
+]);
+assert.equal(decide(narrowHide.rules, { path: 'Metadata/Items/Gems/SkillGemX', baseName: 'Gem', rarity: 0 }), 'show');
+assert.equal(decide(res.rules, cur('Divine Orb')), 'show');
+assert.equal(decide(res.rules, cur('Scroll of Wisdom', 2)), 'hide');
+assert.equal(decide(res.rules, cur('Scroll of Wisdom', 5)), 'hide');      // the last Hide: Rarity ! Unique
+const ring = { path: 'Metadata/Items/Rings/Ring1', baseName: 'Gold Ring', rarity: 2 };
+assert.equal(decide(res.rules, ring), 'show');
+assert.equal(decide(res.rules, { ...ring, rarity: 3 }), 'show');           // Rarity >= Rare includes unique
+const belt = { path: 'Metadata/Items/Belts/Belt3', baseName: 'Wide Belt', rarity: 3 };
+assert.equal(decide(res.rules, belt), 'show');                            // no block matches: the game shows it
+// a filter with its own Hide catch-all leaves nothing unmatched: the import's catch-all comes in off
+const strict = compileLootFilter(FILTER + '\nHide\n', { fields: FIELDS });
+assert.equal(strict.rules[strict.rules.length - 1].enabled, false);
+assert.equal(decide(strict.rules, belt), 'hide');
+// Continue: the later Continue block (Hide normal boots) wins over the earlier one (Show unid tier 4+)...
+const boots = { path: 'Metadata/Items/Armours/Boots/BootsStr1', baseName: 'Rough Greaves', rarity: 1, unidentifiedTier: 5 };
+const known = FILTER.replace(' "Mystery Class"', '');
+assert.equal(decide(compileLootFilter(known, { fields: FIELDS }).rules.filter(r => !/^Hide L35/.test(r.name)), boots), 'hide');
+// ...and a non-Continue match beats both
+assert.equal(decide(compileLootFilter('Show\n  Class "Boots"\nHide\n  Rarity Magic\n  Continue\n').rules, boots), 'show');
+
+// operators
+const ops = compileLootFilter(`Show\n  Rarity <= Magic\n  StackSize 5 10\nShow\n  BaseType ! "Orb"\n  Identified False\nShow\n  Rarity != Normal Magic\n`).rules;
+assert.equal(ops[0].expr, 'rarity <= magic\nAND (stackSize == 5 OR stackSize == 10)');
+assert.equal(ops[1].expr, 'NOT baseName ~ "Orb"\nAND NOT identified');
+assert.equal(ops[2].expr, 'rarity != normal AND rarity != magic');
+// Class partial match covers every class containing the word
+assert.match(compileLootFilter('Show\n  Class "Gems"\n').rules[0].expr, /SkillGem.*SupportGem/);
+assert.equal(compileLootFilter('Show\n  Class == "Gems"\n').untranslated.length, 2);
+
+console.log('loot_filter_import tests passed');
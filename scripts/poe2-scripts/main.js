@@ -11,6 +11,8 @@
  */
 
 import { POE2Cache } from './poe2_cache.js';
+import { Events } from './event_bus.js';
+import { loadCommunityScripts } from './community_loader.js';
 import { chickenPlugin } from './chicken.js';
 import { entityExplorerPlugin } from './entity_explorer.js';
 import { entityActionsPlugin } from './entity_actions.js';
@@ -24,53 +26,50 @@ import { bindingsTestPlugin } from './bindings_test.js';
 import { mapContentPlugin } from './map_content.js';
 import { inventoryViewerPlugin } from './inventory_viewer.js';
 import { stashSorterPlugin } from './stash_sorter.js';
+import { frameRecorderPlugin } from './frame_recorder.js';
+import { sessionStatsPlugin } from './session_stats.js';
+import { pluginReloaderPlugin, trackPlugin } from './plugin_reloader.js';
 
 console.log("========================================");
 console.log("POE2 Main Script Starting!");
 console.log("========================================");
 
+// Shared plugin event bus (event_bus.js). Core plugins import it; community scripts use this global so they can
+// react to areaChanged / playerDied / itemPicked / mapStateChanged / bossEngaged / bossFightChanged / inventoryFull
+// without importing mapper or pickit internals.
+globalThis.Events = Events;
+
 // Register plugins - each in its own try/catch so one failure doesn't stop others
 console.log("Registering plugins...");
 let registered = 0;
+const coreNames = [];   // registered core plugins: community dependency targets + reserved names
 
-try { Plugins.register("chicken", chickenPlugin, true); registered++; }
-catch (e) { console.error("✗ Failed to register chicken:", e); }
-
-try { Plugins.register("entity_explorer", entityExplorerPlugin, false); registered++; }
-catch (e) { console.error("✗ Failed to register entity_explorer:", e); }
-
-try { Plugins.register("entity_actions", entityActionsPlugin, false); registered++; }
-catch (e) { console.error("✗ Failed to register entity_actions:", e); }
-
-try { Plugins.register("esp", espPlugin, true); registered++; }
-catch (e) { console.error("✗ Failed to register esp:", e); }
-
-try { Plugins.register("portal_taker", portalTakerPlugin, true); registered++; }
-catch (e) { console.error("✗ Failed to register portal_taker:", e); }
-
-try { Plugins.register("opener", openerPlugin, false); registered++; }
-catch (e) { console.error("✗ Failed to register opener:", e); }
-
-try { Plugins.register("pickit", pickitPlugin, false); registered++; }
-catch (e) { console.error("✗ Failed to register pickit:", e); }
-
-try { Plugins.register("atlas_explorer", atlasPlugin, false); registered++; }
-catch (e) { console.error("✗ Failed to register atlas_explorer:", e); }
-
-try { Plugins.register("mapper", mapperPlugin, false); registered++; }
-catch (e) { console.error("✗ Failed to register mapper:", e); }
-
-try { Plugins.register("bindings_test", bindingsTestPlugin, false); registered++; }
-catch (e) { console.error("✗ Failed to register bindings_test:", e); }
-
-try { Plugins.register("map_content", mapContentPlugin, false); registered++; }
-catch (e) { console.error("✗ Failed to register map_content:", e); }
-
-try { Plugins.register("inventory_viewer", inventoryViewerPlugin, false); registered++; }
-catch (e) { console.error("✗ Failed to register inventory_viewer:", e); }
+// `module` = the file the plugin object comes from, so the Plugin Reload window can re-import it (plugin_reloader.js);
+// `importedBy` = the other modules importing that file (main.test.mjs checks the list against the sources).
+function registerCore(name, plugin, enabled, module, importedBy) {
+  try {
+    Plugins.register(name, module ? trackPlugin(name, plugin, enabled, module, { importedBy }) : plugin, enabled);
+    registered++; coreNames.push(name);
+  }
+  catch (e) { console.error(`✗ Failed to register ${name}:`, e); }
+}
 
-try { Plugins.register("stash_sorter", stashSorterPlugin, false); registered++; }
-catch (e) { console.error("✗ Failed to register stash_sorter:", e); }
+registerCore("chicken", chickenPlugin, true, "./chicken.js");
+registerCore("entity_explorer", entityExplorerPlugin, false, "./entity_explorer.js");
+registerCore("entity_actions", entityActionsPlugin, false, "./entity_actions.js");
+registerCore("esp", espPlugin, true, "./esp.js");
+registerCore("portal_taker", portalTakerPlugin, true, "./portal_taker.js");
+registerCore("opener", openerPlugin, false, "./opener.js", ["mapper"]);
+registerCore("pickit", pickitPlugin, false, "./pickit.js", ["mapper"]);
+registerCore("atlas_explorer", atlasPlugin, false, "./atlas_plugin.js");
+registerCore("mapper", mapperPlugin, false, "./mapper.js");
+registerCore("bindings_test", bindingsTestPlugin, false, "./bindings_test.js");
+registerCore("map_content", mapContentPlugin, false, "./map_content.js");
+registerCore("inventory_viewer", inventoryViewerPlugin, false, "./inventory_viewer.js");
+registerCore("stash_sorter", stashSorterPlugin, false, "./stash_sorter.js");
+registerCore("frame_recorder", frameRecorderPlugin, false, "./frame_recorder.js");
+registerCore("session_stats", sessionStatsPlugin, false, "./session_stats.js", ["chicken", "mapper", "opener", "portal_taker"]);
+registerCore("plugin_reloader", pluginReloaderPlugin, false);
 
 console.log(`✓ ${registered} core plugins registered`);
 
@@ -83,46 +82,27 @@ console.log(`✓ ${registered} core plugins registered`);
 //     name: string,          // Plugin name (used for registration)
 //     author: string,        // Author name (shown in plugin browser)
 //     description?: string,  // Short description (shown on hover)
-//     plugin: { onDraw?, onDrawUI?, onTick?, onEnable?, onDisable? }
+//     plugin: { onDraw?, onDrawUI?, onTick?, onEnable?, onDisable? },
+//     manifest?: { version, requires: ['poe2.getUiRoot'], dependsOn: ['pickit'], loadOrder },
+//     setup?: ({ settings, manifest }) => void   // settings = Settings handle scoped to this plugin
 //   }
-// The plugin will appear as [Community] in the plugin browser with "by <author>".
+// The plugin will appear as [Community] in the plugin browser with "by <author>". One whose manifest
+// requirements are missing is listed DISABLED with the reason (community_loader.js).
+// Game events: Events.on('itemPicked', handler, { owner: name }) -- see event_bus.js for the payload types.
 // ============================================================
 // Community script loading uses dynamic import() which returns a promise.
 // Top-level await isn't supported in this SpiderMonkey build, so we use
 // an async IIFE that logs results when done.
-let communityLoaded = 0;
 (async () => {
+  let community = { loaded: 0, disabled: 0 };
   try {
-    const dirs = Plugins.listDirectory('CommunityScripts');
-    if (dirs && dirs.length > 0) {
-      console.log(`Found ${dirs.length} community script folder(s): ${dirs.join(', ')}`);
-      for (const dir of dirs) {
-        try {
-          const mod = await import(`./CommunityScripts/${dir}/main.js`);
-          const meta = mod.default || mod;
-          if (!meta || !meta.name || !meta.plugin) {
-            console.warn(`✗ CommunityScripts/${dir}/main.js: missing 'name' or 'plugin' export, skipping`);
-            continue;
-          }
-          // Inject community flag and author into the plugin object for the C++ side
-          const pluginObj = meta.plugin;
-          if (meta.author) pluginObj.author = meta.author;
-          if (meta.description) pluginObj.description = meta.description;
-          pluginObj.community = true;
-
-          Plugins.register(meta.name, pluginObj, false);
-          communityLoaded++;
-          console.log(`✓ Community: ${meta.name}${meta.author ? ` by ${meta.author}` : ''}`);
-        } catch (e) {
-          console.error(`✗ Failed to load CommunityScripts/${dir}: ${e}`);
-        }
-      }
-    }
+    community = await loadCommunityScripts({ coreNames });
   } catch (e) {
-    // listDirectory may not be available on older builds
-    console.log(`Community script discovery skipped: ${e}`);
+    console.log(`Community script loading failed: ${e}`);
   }
-  console.log(`✓ ${registered} core + ${communityLoaded} community plugins loaded`);
+  const { loaded, disabled } = community;
+  // the summary always prints: the core plugins are registered whatever happened to the community pass
+  console.log(`✓ ${registered} core + ${loaded} community plugins loaded${disabled ? ` (${disabled} disabled, see plugin browser)` : ''}`);
 })();
 
 console.log("Main script initialization complete");
@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import { runtime } from './poe2_stub.mjs';
+
+// Smoke: the whole script (every core plugin) loads and runs frames headlessly without throwing.
+runtime.directories.CommunityScripts = ['ExamplePlugin'];
+await import('./main.js');
+assert.ok(runtime.plugins.has('mapper'));
+// community discovery runs in main's async IIFE (dynamic imports): wait for its summary line, then the shipped
+// example must load (its manifest depends on the core pickit)
+for (let i = 0; i < 200 && !runtime.logs.some(l => /community plugins loaded|discovery skipped/.test(l)); i++) {
+  await new Promise(r => setTimeout(r, 5));
+}
+assert.equal(runtime.plugins.get('example_community').plugin.community, true);
+assert.equal(runtime.plugins.get('example_community').plugin.disabledReason, undefined);
+assert.ok(runtime.plugins.has('pickit'));
+assert.equal(typeof globalThis.Events.on, 'function');
+
+// the reloader's importedBy lists match the sources: a plugin module another module imports is never reloaded
+const { readFileSync, readdirSync } = await import('node:fs');
+const { trackedPlugins } = await import('./plugin_reloader.js');
+const here = new URL('.', import.meta.url);
+const sources = readdirSync(here).filter(f => f.endsWith('.js') && f !== 'main.js').map(f => [f.slice(0, -3), readFileSync(new URL(f, here), 'utf8')]);
+const coreModules = { atlas_explorer: 'atlas_plugin' };
+for (const p of trackedPlugins().filter(p => runtime.plugins.get(p.name).plugin.community !== true)) {
+  const file = coreModules[p.name] || p.name;
+  const importers = sources.filter(([, src]) => src.includes(`from './${file}.js'`)).map(([m]) => m).sort();
+  assert.deepEqual(p.importedBy.slice().sort(), importers, `${p.name} importedBy`);
+}
+const areaEvents = [];
+globalThis.Events.on('areaChanged', p => areaEvents.push(p.changeCount), { owner: 'main.test' });
+
+const terrain = { isValid: true, width: 400, height: 400 };
+const player = { playerName: 'Tester', address: 1, gridX: 100, gridY: 100, healthCurrent: 1000, healthMax: 1000 };
+const frames = [];
+for (let i = 0; i < 30; i++) frames.push({ t: 1000 + i * 16, terrain, player, area: { isValid: true, areaName: 'Hideout' }, entities: [] });
+// a new player address = area load: the cache must see exactly one area change
+frames.push({ t: 2000, terrain, player: Object.assign({}, player, { address: 2 }), entities: [] });
+
+for (const entry of runtime.plugins.values()) entry.enabled = true;
+runtime.uiVisible = true;
+runtime.load(frames);
+while (runtime.step({ beginFrame: globalThis.tick })) runtime.drawPlugins();
+
+const { POE2Cache } = await import('./poe2_cache.js');
+assert.equal(POE2Cache.getFrameNumber(), frames.length);
+assert.equal(POE2Cache.getAreaChangeCount(), 1);
+assert.deepEqual(areaEvents, [1]);
+
+runtime.print('main smoke tests passed');
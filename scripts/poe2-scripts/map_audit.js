@@ -1,29 +1,206 @@
 /**
- * map_audit.js — MAP AUDIT FILE writer (mapper split, Phase 1).
+ * map_audit.js — per-map RUN LEDGER (mapper split, Phase 1).
  *
- * Only the file-writer lives here (no bus needed: fs + own buffer only). The START/END open-flush latches
- * (_auditOpen/_auditStartPending/_auditStartArea/_hoSelectedMapName/_mapTag) stay in mapper — they are
- * state-machine bookkeeping read/written by the spine + logMapSummary, and _mapTag also prefixes mapper's
- * console log lines.
+ * One JSON line per finished map in data\poe2-scripts\map_runs.jsonl: map, tier, waystone mods, objectives,
+ * boss kill time, deaths, loot by pickit rule, time per mapper state, and why the run ended. Mapper opens and
+ * closes runs; pickit notes loot into the open run. The query API (queryRuns / averageClearTime / runStatsByMap)
+ * reads the same records for stats windows and other plugins.
+ *
+ * The START/END open-flush latches (_auditOpen/_auditStartPending/_auditStartArea/_hoSelectedMapName/_mapTag)
+ * stay in mapper — they are state-machine bookkeeping read/written by the spine + logMapSummary, and _mapTag
+ * also prefixes mapper's console log lines.
  */
 
-// ===== MAP AUDIT FILE (user: durable per-map record they can feed back later -- console truncates, disk log is
-// dead). data\poe2-scripts\map_audit.log, two lines per map (START at objectives-readable, END from logMapSummary),
-// wall-clock timestamps. fs has no append -> buffer + rewrite whole file (2 writes/map, trimmed to last 600 lines).
-const MAP_AUDIT_FILE = 'map_audit.log';
-let _auditLines = null;
-export function mapAudit(line) {
+// fs has no append -> keep the parsed runs in memory and rewrite the whole file on each close (1 write/map),
+// trimmed to the newest LEDGER_MAX_RUNS. Replaces the old two-line-per-map map_audit.log text file.
+export const MAP_RUNS_FILE = 'map_runs.jsonl';
+const LEDGER_MAX_RUNS = 500;
+const RUN_NOTES_MAX = 40;
+const LEDGER_VERSION = 1;
+
+let _runs = null;       // closed runs, oldest first (lazy-loaded)
+let _open = null;       // the run in progress, or null
+let _badLines = 0;
+
+function _load() {
+  if (_runs !== null) return _runs;
+  _runs = [];
+  let text = '';
+  try { text = fs.readFile(MAP_RUNS_FILE) || ''; } catch (e) {}
+  for (const line of String(text).split('\n')) {
+    const s = line.trim();
+    if (!s) continue;
+    try {
+      const r = JSON.parse(s);
+      if (r && typeof r === 'object' && r.areaId) _runs.push(r);
+      else _badLines++;
+    } catch (e) { _badLines++; }
+  }
+  if (_runs.length > LEDGER_MAX_RUNS) _runs = _runs.slice(-LEDGER_MAX_RUNS);
+  return _runs;
+}
+
+function _save() {
   try {
-    if (_auditLines === null) {
-      let prev = '';
-      try { prev = fs.readFile(MAP_AUDIT_FILE) || ''; } catch (e) {}
-      _auditLines = prev ? String(prev).split('\n').filter(l => l.length) : [];
-    }
-    if (_auditLines.length > 600) _auditLines = _auditLines.slice(-600);
-    const d = new Date();
-    const p2 = n => (n < 10 ? '0' : '') + n;
-    const ts = `${d.getFullYear()}-${p2(d.getMonth() + 1)}-${p2(d.getDate())} ${p2(d.getHours())}:${p2(d.getMinutes())}:${p2(d.getSeconds())}`;
-    _auditLines.push(`[${ts}] ${line}`);
-    fs.writeFile(MAP_AUDIT_FILE, _auditLines.join('\n') + '\n');
+    fs.writeFile(MAP_RUNS_FILE, _runs.map(r => JSON.stringify(r)).join('\n') + (_runs.length ? '\n' : ''));
   } catch (e) {}
 }
+
+function _clock(ms) {
+  const d = new Date(ms);
+  const p2 = n => (n < 10 ? '0' : '') + n;
+  return `${p2(d.getHours())}:${p2(d.getMinutes())}:${p2(d.getSeconds())}`;
+}
+
+// ===================== writers (mapper / pickit) =====================
+
+/**
+ * Start a run. info: { areaId, map?, node?, tier?, waystone?: { name, rarity, corrupted, mods[] }, required?[],
+ * resumed? }. An already-open run for the SAME area is kept (mid-map toggle reset); a different one is closed
+ * as 'superseded' first so nothing is ever silently dropped.
+ */
+export function auditOpenRun(info, now = Date.now()) {
+  const areaId = String((info && info.areaId) || '');
+  if (!areaId) return null;
+  if (_open && _open.areaId === areaId) return _open;
+  if (_open) auditCloseRun({ reason: 'superseded' }, now);
+  _open = {
+    v: LEDGER_VERSION,
+    id: now,
+    startedAt: new Date(now).toISOString(),
+    areaId,
+    map: info.map || areaId.replace(/^Map/, ''),
+    node: info.node || '',
+    tier: Number.isFinite(info.tier) && info.tier > 0 ? info.tier : null,
+    waystone: info.waystone || null,
+    resumed: !!info.resumed,
+    required: Array.isArray(info.required) ? info.required.slice() : [],
+    bossKillMs: null,
+    deaths: [],
+    loot: {},
+    lootCount: 0,
+    notes: [],
+  };
+  return _open;
+}
+
+/** The run in progress (live object -- read only), or null. */
+export function auditOpenRunInfo() { return _open; }
+
+export function auditNoteDeath(state, now = Date.now()) {
+  if (!_open) return;
+  _open.deaths.push({ atMs: now - _open.id, state: state || '' });
+}
+
+export function auditNoteBossKill(now = Date.now()) {
+  if (!_open || _open.bossKillMs !== null) return;
+  _open.bossKillMs = now - _open.id;
+}
+
+/** Count a confirmed pickup (the item left the ground) against the open run under the pickit rule that matched it. */
+export function auditNoteLoot(ruleName) {
+  if (!_open) return;
+  const key = ruleName || '(no rule)';
+  _open.loot[key] = (_open.loot[key] || 0) + 1;
+  _open.lootCount++;
+}
+
+/** Free-form timestamped note on the open run (START/RESUME lines, manual state snapshots). */
+export function mapAudit(line) {
+  if (!_open) return;
+  _open.notes.push(`${_clock(Date.now())} ${line}`);
+  if (_open.notes.length > RUN_NOTES_MAX) _open.notes.splice(0, _open.notes.length - RUN_NOTES_MAX);
+}
+
+/**
+ * Close the open run and persist it. summary: { reason, objective?, content?: { type: {d, t} }, incompleteMain?,
+ * bossKilled?, states?: { STATE: ms }, overtime?, strictHolds?, delirium? }. `cleared` = the map objective
+ * read complete; anything else records the reason as `abort`. Returns the record, or null when none was open.
+ */
+export function auditCloseRun(summary = {}, now = Date.now()) {
+  if (!_open) return null;
+  const run = _open;
+  _open = null;
+  run.endedAt = new Date(now).toISOString();
+  run.durationMs = Math.max(0, now - run.id);
+  run.reason = summary.reason || 'unknown';
+  run.objective = summary.objective || '?';
+  run.cleared = String(run.objective).toUpperCase() === 'COMPLETE';
+  run.abort = run.cleared ? '' : run.reason;
+  run.bossKilled = !!summary.bossKilled || run.bossKillMs !== null;
+  run.content = summary.content || {};
+  run.incompleteMain = summary.incompleteMain || '';
+  run.states = summary.states || {};
+  run.overtime = !!summary.overtime;
+  run.strictHolds = summary.strictHolds || 0;
+  if (summary.delirium !== undefined) run.delirium = summary.delirium;
+  if (!run.notes.length) delete run.notes;
+  _load().push(run);
+  if (_runs.length > LEDGER_MAX_RUNS) _runs.splice(0, _runs.length - LEDGER_MAX_RUNS);
+  _save();
+  return run;
+}
+
+// ===================== queries =====================
+
+/**
+ * Closed runs, newest first. opts: { map (name or areaId, case-insensitive), last (newest N after filtering),
+ * since (ms), cleared (true/false), filter (run => bool) }.
+ */
+export function queryRuns(opts = {}) {
+  const want = opts.map ? String(opts.map).toLowerCase() : '';
+  const out = [];
+  const runs = _load();
+  for (let i = runs.length - 1; i >= 0; i--) {
+    const r = runs[i];
+    if (want && String(r.map).toLowerCase() !== want && String(r.areaId).toLowerCase() !== want) continue;
+    if (opts.since && r.id < opts.since) continue;
+    if (opts.cleared !== undefined && !!r.cleared !== !!opts.cleared) continue;
+    if (typeof opts.filter === 'function' && !opts.filter(r)) continue;
+    out.push(r);
+    if (opts.last > 0 && out.length >= opts.last) break;
+  }
+  return out;
+}
+
+function _avg(xs) { return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null; }
+
+/**
+ * Average duration of CLEARED runs among the newest `last` runs (of `map`, when given).
+ * { runs, cleared, avgMs } -- avgMs null when none of them cleared.
+ */
+export function averageClearTime({ map, last = 50 } = {}) {
+  const runs = queryRuns({ map, last });
+  const cleared = runs.filter(r => r.cleared);
+  return { runs: runs.length, cleared: cleared.length, avgMs: _avg(cleared.map(r => r.durationMs)) };
+}
+
+/**
+ * Per-map rollup over the newest `last` runs: [{ map, runs, cleared, avgClearMs, avgBossKillMs, deaths, loot,
+ * aborts: { reason: n } }], most-run map first.
+ */
+export function runStatsByMap({ last = 50 } = {}) {
+  const by = new Map();
+  for (const r of queryRuns({ last })) {
+    let s = by.get(r.map);
+    if (!s) { s = { map: r.map, runs: 0, cleared: 0, _clear: [], _boss: [], deaths: 0, loot: 0, aborts: {} }; by.set(r.map, s); }
+    s.runs++;
+    if (r.cleared) { s.cleared++; s._clear.push(r.durationMs); }
+    if (Number.isFinite(r.bossKillMs)) s._boss.push(r.bossKillMs);
+    s.deaths += (r.deaths || []).length;
+    s.loot += r.lootCount || 0;
+    if (r.abort) s.aborts[r.abort] = (s.aborts[r.abort] || 0) + 1;
+  }
+  const out = [];
+  for (const s of by.values()) {
+    out.push({
+      map: s.map, runs: s.runs, cleared: s.cleared, avgClearMs: _avg(s._clear), avgBossKillMs: _avg(s._boss),
+      deaths: s.deaths, loot: s.loot, aborts: s.aborts,
+    });
+  }
+  out.sort((a, b) => b.runs - a.runs || String(a.map).localeCompare(String(b.map)));
+  return out;
+}
+
+/** Lines in the ledger file that did not parse (a hand-edited or torn file). */
+export function ledgerBadLines() { _load(); return _badLines; }
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { runtime } from './poe2_stub.mjs';
+
+// A ledger left by an earlier session, with one torn line from a crash mid-write.
+runtime.files.set('map_runs.jsonl', [
+  JSON.stringify({ v: 1, id: 1000, areaId: 'MapBluff', map: 'Bluff', durationMs: 300000, cleared: true, abort: '', lootCount: 4, deaths: [] }),
+  '{"v":1,"id":2000,"areaId":"MapBl',
+  '',
+].join('\n'));
+
+const {
+  MAP_RUNS_FILE, auditOpenRun, auditOpenRunInfo, auditNoteDeath, auditNoteBossKill, auditNoteLoot, mapAudit,
+  auditCloseRun, queryRuns, averageClearTime, runStatsByMap, ledgerBadLines,
+} = await import('./map_audit.js');
+
+const T0 = 10_000_000;
+const readLedger = () => runtime.files.get(MAP_RUNS_FILE).trim().split('\n').map(l => JSON.parse(l));
+
+// nothing open -> writers are no-ops
+auditNoteLoot('Currency');
+assert.equal(auditCloseRun({ reason: 'x' }, T0), null);
+assert.equal(auditOpenRun({ areaId: '' }, T0), null);
+
+// a full run
+runtime.now = T0;
+const run = auditOpenRun({ areaId: 'MapBluff', node: 'Bluff', tier: 15,
+  waystone: { name: 'Waystone (Tier 15)', rarity: 'Rare', corrupted: false, mods: ['+30% Monster Pack Size'] },
+  required: ['boss'] }, T0);
+assert.equal(run.map, 'Bluff');
+assert.equal(auditOpenRun({ areaId: 'MapBluff' }, T0 + 5), run, 'same area keeps the open run');
+mapAudit('START main=boss');
+auditNoteLoot('Currency');
+auditNoteLoot('Currency');
+auditNoteLoot('');
+auditNoteDeath('FIGHTING_BOSS', T0 + 60000);
+auditNoteBossKill(T0 + 90000);
+auditNoteBossKill(T0 + 95000);
+const closed = auditCloseRun({ reason: 'objective complete', objective: 'COMPLETE', content: { boss: { d: 1, t: 1 } },
+  states: { FIGHTING_BOSS: 50000 } }, T0 + 120000);
+assert.equal(auditOpenRunInfo(), null);
+assert.equal(closed.durationMs, 120000);
+assert.equal(closed.cleared, true);
+assert.equal(closed.abort, '');
+assert.equal(closed.bossKillMs, 90000, 'first kill wins');
+assert.equal(closed.bossKilled, true);
+assert.deepEqual(closed.loot, { Currency: 2, '(no rule)': 1 });
+assert.equal(closed.lootCount, 3);
+assert.deepEqual(closed.deaths, [{ atMs: 60000, state: 'FIGHTING_BOSS' }]);
+assert.equal(closed.notes.length, 1);
+assert.match(closed.notes[0], /START main=boss$/);
+
+// persisted as JSONL: the old good line survives, the torn one is counted and dropped
+assert.equal(ledgerBadLines(), 1);
+let onDisk = readLedger();
+assert.equal(onDisk.length, 2);
+assert.equal(onDisk[1].waystone.mods[0], '+30% Monster Pack Size');
+
+// a different area supersedes the open run instead of dropping it
+auditOpenRun({ areaId: 'MapBluff' }, T0 + 200000);
+auditOpenRun({ areaId: 'MapWillow' }, T0 + 260000);
+auditCloseRun({ reason: 'Death', objective: 'INCOMPLETE' }, T0 + 500000);
+onDisk = readLedger();
+assert.equal(onDisk.length, 4);
+assert.equal(onDisk[2].reason, 'superseded');
+assert.equal(onDisk[2].abort, 'superseded');
+assert.equal(onDisk[3].map, 'Willow');
+assert.equal(onDisk[3].cleared, false);
+assert.equal(onDisk[3].abort, 'Death');
+assert.equal(onDisk[2].notes, undefined, 'empty notes are not written');
+
+// queries
+assert.deepEqual(queryRuns().map(r => r.map), ['Willow', 'Bluff', 'Bluff', 'Bluff']);
+assert.equal(queryRuns({ map: 'bluff' }).length, 3);
+assert.equal(queryRuns({ map: 'MapWillow' }).length, 1);
+assert.equal(queryRuns({ cleared: true }).length, 2);
+assert.equal(queryRuns({ since: T0 }).length, 3);
+assert.equal(queryRuns({ map: 'Bluff', last: 1 })[0].reason, 'superseded');
+assert.equal(queryRuns({ filter: r => r.lootCount > 3 }).length, 1);
+
+assert.deepEqual(averageClearTime({ map: 'Bluff' }), { runs: 3, cleared: 2, avgMs: 210000 });
+assert.deepEqual(averageClearTime({ map: 'Bluff', last: 1 }), { runs: 1, cleared: 0, avgMs: null });
+assert.deepEqual(averageClearTime({ map: 'Nowhere' }), { runs: 0, cleared: 0, avgMs: null });
+
+const stats = runStatsByMap();
+assert.equal(stats[0].map, 'Bluff');
+assert.deepEqual(stats[0], { map: 'Bluff', runs: 3, cleared: 2, avgClearMs: 210000, avgBossKillMs: 90000,
+  deaths: 1, loot: 7, aborts: { superseded: 1 } });
+assert.deepEqual(stats[1].aborts, { Death: 1 });
+assert.equal(runStatsByMap({ last: 1 }).length, 1);
+
+runtime.print('map_audit tests passed');
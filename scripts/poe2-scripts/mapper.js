@@ -24,13 +24,18 @@ import { runAutoDodge, AUTO_DODGE_DEFAULTS, autoDodgeStatus, drawDangerZones, no
 import { getOpenableCandidatesForMapper, getOpenerCooldownMs, isOpenTargetHardBanned, clearOpenBansNear, serializeOpenBlacklist, restoreOpenBlacklist } from './opener.js';
 import { getLootCandidatesForMapper, getPickitCooldownMs } from './pickit.js';
 import { navConfigure, navCurrentWaypoint, navOnLegStuck, navSerialize, navRestore, navReset, navAddPoi, navRemovePoi } from './navigator.js';
-import { readInventory, freeSlots as invFreeSlotsOf, getStashTabs, requestStashTab, moveByHandle, INV as INV_IDS } from './inventory.js';
+import { readInventory, freeSlots as invFreeSlotsOf, getStashTabs, requestStashTab, moveByHandle, getMods as invGetMods, INV as INV_IDS } from './inventory.js';
 import { matchBossArenaTiles } from './targets_db.js';
 import { visitedTrail, TRAIL_BIAS_ON, trailConfigure, trailRecord, trailHas, trailLineFrac, trailWalkedFrac, trailNextPatrolAng, trailSerialize, trailRestore, trailReset } from './visited_trail.js';
 import { MB, mbConfigure } from './movement_broker.js';
 import { MI, miConfigure, miOwner } from './movement_intents.js';
-import { mapAudit } from './map_audit.js';
+import { mapAudit, auditOpenRun, auditOpenRunInfo, auditCloseRun, auditNoteDeath, auditNoteBossKill, runStatsByMap } from './map_audit.js';
+import { statsEvent } from './session_stats.js';
+import { valuePerDistance } from './price_table.js';
+import { Events } from './event_bus.js';
 import { destinationKey, distanceToRemainingPath, isPointOnCommittedRoute, nativePathBlocksCoarseFallback } from './route_policy.js';
+import { STATE, STATE_TABLE, nextOnEvent, nextOnTimeout, isDeclaredTransition } from './mapper_states.js';
+import { tlEnter, tlMapStart, tlSessionReset, tlCurrent, tlHistory, tlTotals, tlScopeStartedAt, tlAuditLine } from './state_timeline.js';
 
 // TASK-59R — MOVEMENT OWNER TOKENS. Every movement call site submits through MI with one of these;
 // the resolver (movement_intents.js) enforces the ladder + dwell once. Class ranks: 2 fight,
@@ -80,32 +85,7 @@ const BOSS_SCAN_INTERVAL_MS = 1000; // only scan for boss stats every 1 second
 
 const PLUGIN_NAME = 'mapper';
 
-// State machine states
-const STATE = {
-  IDLE: 'IDLE',
-  // Hideout flow states
-  HIDEOUT_CHECK_PORTALS: 'HIDEOUT_CHECK_PORTALS',
-  HIDEOUT_OPEN_MAP_DEVICE: 'HIDEOUT_OPEN_MAP_DEVICE',
-  HIDEOUT_WAIT_ATLAS: 'HIDEOUT_WAIT_ATLAS',
-  HIDEOUT_SELECT_MAP: 'HIDEOUT_SELECT_MAP',
-  HIDEOUT_WAIT_TPM: 'HIDEOUT_WAIT_TPM',
-  HIDEOUT_PLACE_WAYSTONE: 'HIDEOUT_PLACE_WAYSTONE',
-  HIDEOUT_PLACE_PRECURSORS: 'HIDEOUT_PLACE_PRECURSORS',
-  HIDEOUT_ACTIVATE_MAP: 'HIDEOUT_ACTIVATE_MAP',
-  HIDEOUT_WAIT_PORTAL: 'HIDEOUT_WAIT_PORTAL',
-  HIDEOUT_ENTER_PORTAL: 'HIDEOUT_ENTER_PORTAL',
-  HIDEOUT_SUSPENDED: 'HIDEOUT_SUSPENDED',
-  // In-map states
-  FINDING_TEMPLE: 'FINDING_TEMPLE',
-  WALKING_TO_TEMPLE: 'WALKING_TO_TEMPLE',
-  CLEARING_TEMPLE: 'CLEARING_TEMPLE',
-  FINDING_BOSS: 'FINDING_BOSS',
-  WALKING_TO_UTILITY: 'WALKING_TO_UTILITY',
-  WALKING_TO_BOSS_CHECKPOINT: 'WALKING_TO_BOSS_CHECKPOINT',
-  WALKING_TO_BOSS_MELEE: 'WALKING_TO_BOSS_MELEE',
-  FIGHTING_BOSS: 'FIGHTING_BOSS',
-  MAP_COMPLETE: 'MAP_COMPLETE',
-};
+// State machine states + transition table: mapper_states.js (this file is the executor).
 
 // Stat IDs from game_stats.json for map boss identification
 const STAT_MAP_BOSS_DIFFICULTY_SCALING = 7682;  // monster_uses_map_boss_difficulty_scaling
@@ -251,8 +231,47 @@ const DEFAULT_SETTINGS = {
   mapCompleteAutoReturnToHideout: true,
   mapCompleteUseOpenTownPortalPacket: true,
   mapCompletePortalSearchRadius: 140,
+  // State inspector window (current state, transition history, time per state)
+  showStateInspector: false,
+  stateInspectorRows: 15,
 };
 
+// Ranges cover the UI sliders (and the defaults, which sometimes sit outside a narrower slider).
+// v2: fightArenaShell went from a boolean (on/off) to 'off' / 'shadow' / 'on'.
+export const SETTINGS_SCHEMA = Settings.defineSchema(PLUGIN_NAME, DEFAULT_SETTINGS, {
+  version: 2,
+  fields: {
+    hotkey: { min: 0, int: true },
+    moveIntervalMs: { min: 16, max: 2000, int: true },
+    repathIntervalMs: { min: 100, max: 60000, int: true },
+    stuckTimeoutMs: { min: 100, max: 60000, int: true },
+    fightEntityScanIntervalMs: { min: 0, max: 5000, int: true },
+    bossKiteRange: { min: 45, max: 140, int: true },
+    fightArenaShell: { enum: ['off', 'shadow', 'on'] },
+    bossDodgeRollIntervalMs: { min: 500, max: 2000, int: true },
+    bossDodgeRollDistance: { min: 20, max: 80, int: true },
+    bossDodgeBehindMinDeg: { min: 0, max: 45, int: true },
+    bossDodgeBehindMaxDeg: { min: 0, max: 70, int: true },
+    openableWalkRadius: { min: 40, max: 320, int: true },
+    lootWalkRadius: { min: 40, max: 320, int: true },
+    utilityNoPathBlacklistThreshold: { min: 2, max: 8, int: true },
+    waystoneMinTier: { min: 1, max: 16, int: true },
+    waystoneMaxTier: { min: 1, max: 16, int: true },
+    inventoryFullStopFreeCells: { min: 0, max: 60, int: true },
+    hideoutPortalEnterMaxAttempts: { min: 1, max: 10, int: true },
+    hideoutPortalEnterDelayMs: { min: 0, max: 5000, int: true },
+    mapCompleteRetreatDistance: { min: 0, max: 80, int: true },
+    mapCompleteRetreatDurationMs: { min: 0, max: 20000, int: true },
+    mapCompleteLootDelayMs: { min: 0, max: 60000, int: true },
+    mapCompleteUtilityDelayMs: { min: 0, max: 60000, int: true },
+    mapCompletePortalSearchRadius: { min: 40, max: 320, int: true },
+    stateInspectorRows: { min: 5, max: 50, int: true },
+  },
+  migrations: {
+    2: (s) => { if (typeof s.fightArenaShell === 'boolean') s.fightArenaShell = s.fightArenaShell ? 'on' : 'off'; },
+  },
+});
+
 // ============================================================================
 // STATE
 // ============================================================================
@@ -948,11 +967,12 @@ let _auditStartPending = true;  // set on mapper reset (and load); START line wr
 let _auditOpen = false;         // a START was written and no END yet (suppresses duplicate STARTs after mid-map resets)
 let _auditStartArea = '';       // areaId the open START belongs to
 let _hoSelectedMapName = '';    // atlas node name captured at hideout map-select -> stamped into the next START line
+let _hoWaystone = null;         // { name, tier, rarity, corrupted, mods[] } of the stone fed to the device -> next run record
 
 // ===== PER-MAP STATE RESUME (TASK-23) =========================================================================
 // A mid-map Uninject->Inject wipes ALL JS per-map state (the anti-backtrack trail, bans, registries, sweep sites),
 // so on re-inject the bot re-explores cleared ground and re-tries used shrines/beacons. Persist ONE sidecar file
-// (data\poe2-scripts\map_state.json, the map_audit.log precedent -- fs has no append, so whole-file rewrite) holding
+// (data\poe2-scripts\map_state.json, the map_runs.jsonl precedent -- fs has no append, so whole-file rewrite) holding
 // the CURRENT map's BOUNDED, SERIALIZABLE state. Restore ONLY at the map-entry detect site when areaId + terrain dims
 // match AND it is recent -- a re-rolled same-name map regenerates terrain (dims differ) -> fresh. GOALS/COMMITMENTS
 // (OB records, arb keys, live targets, paths) are NEVER persisted -- they recompute; restoring them resurrects stale
@@ -12374,6 +12394,12 @@ function addIgnoredUtilityTarget(candidate, reason, ttlMs) {
   if (!existed) { const name = candidate?.meta?.name || candidate?.type || 'target'; logUtility(`Utility blacklist add (${reason}): ${name}`, `utility:blacklist:${key}`, 1200); }
 }
 
+// Priced loot (pickit's price table, meta.value in chaos) scores by value per distance like pickit orders it: a
+// divine 80u away outranks a transmute at the player's feet. Capped so one huge price can't drag the bot across
+// the map past every shrine and essence. Unpriced loot gets no bonus (byte-parity without a table).
+const LOOT_VALUE_WEIGHT = 20;      // score points per chaos/unit
+const LOOT_VALUE_BONUS_MAX = 60;
+
 function selectBestUtilityCandidate(candidates) {
   if (!candidates || candidates.length === 0) return null;
   let best = null;
@@ -12398,7 +12424,9 @@ function selectBestUtilityCandidate(candidates) {
     // Pickit loot is a fast, time-sensitive grab -> bias it above plain chests so a nearby chest never
     // starves the loot next to it (the "walked right past loot to fail-open a strongbox" case).
     const lootBonus = c.type === 'loot' ? 20 : 0;
-    const score = (c.priority || 0) + shrineBonus + essenceBonus + lootBonus - (c.distance || 0) * distWeight;
+    const lootValueBonus = c.type === 'loot'
+      ? Math.min(LOOT_VALUE_BONUS_MAX, LOOT_VALUE_WEIGHT * valuePerDistance(c.meta?.value, c.distance || 0)) : 0;
+    const score = (c.priority || 0) + shrineBonus + essenceBonus + lootBonus + lootValueBonus - (c.distance || 0) * distWeight;
     if (score > bestScore) {
       bestScore = score;
       best = c;
@@ -12765,7 +12793,8 @@ function getLootUtilityCandidates(player) {
       source: 'pickit',
       meta: {
         ruleName: t.ruleName || '',
-        name: itemName
+        name: itemName,
+        value: t.value ?? null      // chaos from pickit's price table (null = unpriced / no table)
       }
     };
     if (_rr && _rr.id === (e.id || 0)) {
@@ -13238,11 +13267,12 @@ function finishUtilityState() {
     if (resume === STATE.MAP_COMPLETE) {
       // Preserve original MAP_COMPLETE phase timer; do not restart it via setState().
       currentState = STATE.MAP_COMPLETE;
+      noteStateEntered(STATE.WALKING_TO_UTILITY, STATE.MAP_COMPLETE, 'utility done', Date.now());
       statusMessage = 'Map complete: utility done, returning';
       return;
     }
     reissueResumeStateTarget(resume);
-    setState(resume);
+    if (!fireState('utilityDone', { resumeState: resume })) fireState('refindBoss');   // no resume edge -> boss-find
   }
 }
 
@@ -13283,7 +13313,7 @@ function tryLateTempleHandoffFromBossFlow(player, now, reason = '') {
     `Late temple handoff${reason ? ` (${reason})` : ''}: ` +
     `switching from boss flow to temple at (${templeGridX.toFixed(0)}, ${templeGridY.toFixed(0)})`
   );
-  setState(STATE.WALKING_TO_TEMPLE);
+  fireState('templeHandoff');
   return true;
 }
 
@@ -13331,7 +13361,7 @@ function startUtilityState(selected) {
   utilityResumeState = currentState;
   utilityLastProgressDist = Infinity;
   utilityLastProgressTime = 0;
-  setState(STATE.WALKING_TO_UTILITY);
+  fireState('utilityDetour');
   MI.walk(MOV.utility, selected.x, selected.y, `Utility ${selected.type}`, '');
   obUtilityClaim(selected, Date.now());   // OB shadow: the detour the ladder would defer while content is committed
   return true;
@@ -13477,7 +13507,7 @@ function tryStartUtilityNavigation(player, now, lootOnly = false) {
       utilityActiveTarget = null;
     } else {
       utilityResumeState = currentState;
-      setState(STATE.WALKING_TO_UTILITY);
+      fireState('utilityDetour');
       return true;
     }
   }
@@ -15587,9 +15617,53 @@ function pickFenceEscapeWaypoint(playerGX, playerGY, bossGX, bossGY) {
 // STATE MACHINE
 // ============================================================================
 
-function setState(newState) {
+const _undeclaredEdgesLogged = new Set();
+
+// EXECUTOR for the table in mapper_states.js: the table picks the next state from an event/timeout + a plain ctx
+// of game reads; this runs the named side effect and enters it. Returns the transition, or null (stay put).
+function runTransition(t, ctx) {
+  if (!t) return null;
+  if (t.stall) statsEvent('stall', { source: 'mapper', reason: `${t.from}: ${t.reason}` });
+  const detail = (ctx && ctx.detail) || '';
+  if (t.action === 'suspend') noteHideoutSuspended((ctx && ctx.code) || t.reason, detail);
+  else if (t.action === 'restartNode') restartHideoutNode(detail || t.reason);
+  else if (t.action === 'rejectNode') { blacklistCurrentHideoutNode(detail || t.reason); hideoutWaystonePlaced = false; }
+  else if (t.action === 'forgetBoss') { bossTgtFound = false; bossFound = false; bossEntityId = 0; checkpointReached = false; }
+  setState(t.to, t.reason);
+  return t;
+}
+
+// Every state entry funnels through here (setState, resetMapper and the two raw restores): the inspector timeline
+// and the shared bus see the same transitions.
+function noteStateEntered(from, to, reason, now) {
+  tlEnter(to, reason, now);
+  if (from !== to) Events.emit('mapStateChanged', { from: from || '', to, reason: reason || '' });
+  if ((from === STATE.FIGHTING_BOSS) !== (to === STATE.FIGHTING_BOSS)) Events.emit('bossFightChanged', { active: to === STATE.FIGHTING_BOSS });
+}
+
+const _unhandledEventsLogged = new Set();
+
+function fireState(event, ctx = {}) {
+  const t = nextOnEvent(currentState, event, ctx);
+  if (!t && !_unhandledEventsLogged.has(`${currentState}:${event}`)) {
+    _unhandledEventsLogged.add(`${currentState}:${event}`);   // once per pair, like the undeclared-edge warning below
+    log(`[StateTable] no '${event}' edge from ${currentState} -- staying put`);
+  }
+  return runTransition(t, ctx);
+}
+
+function checkStateTimeout(now, ctx = {}) {
+  const t = nextOnTimeout(currentState, now - stateStartTime, ctx);
+  return runTransition(t, ctx);
+}
+
+function setState(newState, reason = '') {
   if (currentState === newState) return;
   const prevState = currentState;
+  if (!isDeclaredTransition(prevState, newState) && !_undeclaredEdgesLogged.has(`${prevState}>${newState}`)) {
+    _undeclaredEdgesLogged.add(`${prevState}>${newState}`);   // once per edge: the table is missing a row, not a runtime fault
+    log(`[StateTable] undeclared transition ${prevState} -> ${newState} (add it to mapper_states.js)`);
+  }
   // ARENA SHELL: clear on LEAVING FIGHTING_BOSS so the post-kill exit walk through the reopened door is never clamped.
   if (prevState === STATE.FIGHTING_BOSS && newState !== STATE.FIGHTING_BOSS) arenaShellClear();
   // Fight entry = the boss's untelegraphed ACTIVATION SLAM is imminent (user died to it): arm the dodge's
@@ -15626,9 +15700,11 @@ function setState(newState) {
       && newState !== STATE.WALKING_TO_UTILITY && _utCkptDoneKeys.size) {
     _utCkptDoneKeys.clear();
   }
-  log(`State: ${currentState} -> ${newState}`);
+  log(`State: ${currentState} -> ${newState}${reason ? ` (${reason})` : ''}`);
   currentState = newState;
   stateStartTime = Date.now();
+  noteStateEntered(prevState, newState, reason, stateStartTime);
+  if (newState === STATE.FIGHTING_BOSS) Events.emit('bossEngaged', { id: bossEntityId | 0, x: bossGridX, y: bossGridY });
   if (newState === STATE.FIGHTING_BOSS) {
     bossScanLastSeenAt = Date.now();   // TASK-29F: seed the gone-from-scan clock on fight entry so the bit-death check needs a real absence
     utilityActiveTarget = null;
@@ -15828,8 +15904,11 @@ function resetMapper(reason) {
   if (_leftMap) clearMapStateFile();   // TASK-23: genuinely left the map -> drop the sidecar (covers paths where logMapSummary is skipped). NOT a mid-map toggle reset (those aren't _leftMap -> state kept for a reload resume).
   if (_leftMap || reason === 'master-toggle-off-hideout') _mapTag = '';
   _auditStartPending = true;
+  const _resetFrom = currentState;
   currentState = STATE.IDLE;
   stateStartTime = Date.now();
+  noteStateEntered(_resetFrom, STATE.IDLE, `reset: ${reason || 'unspecified'}`, stateStartTime);
+  if (_leftMap) tlMapStart(stateStartTime);   // after the END audit above flushed this map's per-state times
   currentPath = [];
   currentWaypointIndex = 0;
   targetDestKey = '';
@@ -17553,7 +17632,7 @@ function lightlessVoidTick(player, areaInfo, now) {
       if (!voidHandedOff) {
         voidHandedOff = true;
         if (currentState !== STATE.FIGHTING_BOSS && currentState !== STATE.WALKING_TO_BOSS_MELEE && currentState !== STATE.FINDING_BOSS) {
-          setState(STATE.FINDING_BOSS);
+          fireState('refindBoss');
         }
         log('[Void] boss engageable -> handing off to the boss-fight machinery');
       }
@@ -17806,7 +17885,11 @@ function lightlessVoidTick(player, areaInfo, now) {
   // depthsDescendedInst), and hide the round trip from the area-change detector so the map resumes.
   if (voidInAt !== 0) {
     log(`[Void] OUT after ${Math.round((now - voidInAt) / 1000)}s -> back in ${areaInfo.areaId || '?'} -- parent map RESUMES`);
-    if (voidSavedState !== null) currentState = voidSavedState;
+    if (voidSavedState !== null) {
+      const _voidFrom = currentState;
+      currentState = voidSavedState;
+      noteStateEntered(_voidFrom, currentState, 'void exit: parent map resumes', now);
+    }
     voidInAt = 0; voidSavedState = null;
     voidResetState(now);
     MI.release('void');
@@ -17910,6 +17993,8 @@ function tryHandleDeathReturn(now, player) {
   if (Number.isFinite(freshMax) && freshMax > 0 && freshCur <= 0) {
     deathHealthZeroAt = 0;
     deathReturnTriggeredAt = now;
+    auditNoteDeath(currentState, now);
+    statsEvent('death', { source: 'mapper', cause: `in ${currentState}` }, now);
     sendBackToHideoutAndReset('Death');
     statusMessage = 'Health 0 confirmed, returning to hideout...';
     return true;
@@ -18282,6 +18367,18 @@ function blacklistCurrentHideoutNode(reason = '') {
   }
 }
 
+// Give up on the selected atlas node: blacklist it and clear every per-node counter so the next device cycle
+// selects a DIFFERENT node from scratch (the table's 'restartNode' action).
+function restartHideoutNode(reason = '') {
+  blacklistCurrentHideoutNode(reason);
+  hideoutPortalEnterAttempts = 0;
+  hideoutTraverseAttempts = 0;
+  hideoutWaystonePlaced = false;
+  hideoutPrecursorsPlaced = 0;
+  hideoutSelectedNodeIndex = -1;
+  hideoutActivationKey = null;
+}
+
 function getAcceptedWaystoneRarities() {
   const rarities = [];
   if (currentSettings.waystoneRarityNormal) rarities.push(0);
@@ -18306,10 +18403,15 @@ function isMapperMasterEnabled() {
 }
 
 function setHideoutSuspended(reasonCode, detail = '') {
+  return fireState('suspend', { code: reasonCode, detail });
+}
+
+// The table's 'suspend' action: record why before runTransition enters HIDEOUT_SUSPENDED.
+function noteHideoutSuspended(reasonCode, detail) {
   const finalReason = detail ? `${reasonCode}: ${detail}` : reasonCode;
   hideoutSuspendReason = finalReason;
   log(`[Hideout] Suspended -> ${finalReason}`);
-  setState(STATE.HIDEOUT_SUSPENDED);
+  statsEvent('stall', { source: 'mapper', reason: `suspended: ${reasonCode}` });   // code only: details carry counts/slots
 }
 
 function rarityName(rarity) {
@@ -18741,6 +18843,34 @@ function inspectTraverseDeviceSlots() {
   return { hasWaystone, precursorCount, invs, waystones };
 }
 
+// Run-record view of the stone placed: name/tier/rarity + its explicit mod lines (the map's modifiers).
+function describeWaystoneForAudit(item) {
+  const out = {
+    name: item.uniqueName || item.baseName || 'Waystone',
+    tier: item.tier > 0 ? item.tier : null,
+    rarity: rarityName(item.rarity),
+    corrupted: !!item.corrupted,
+    mods: [],
+  };
+  try {
+    const m = invGetMods(item);
+    if (m && m.isValid) {
+      for (const mod of [...(m.implicitMods || []), ...(m.explicitMods || [])]) {
+        if (!mod || !mod.name) continue;
+        out.mods.push(Number.isFinite(mod.value0) && mod.value0 !== 0 ? `${mod.name} ${mod.value0}` : mod.name);
+      }
+    }
+  } catch (e) {}
+  return out;
+}
+
+// A stone we didn't ctrl+click ourselves (already slotted, TPM read ready early) is still the one the map runs on:
+// read it back from the device holder so the run record isn't missing its waystone.
+function noteSlottedWaystoneForAudit() {
+  const stone = getMapDeviceState().waystones[0];
+  if (stone) _hoWaystone = describeWaystoneForAudit(stone);
+}
+
 function findWaystoneInInventory() {
   const inv = poe2.getInventory(1);
   if (!inv || !inv.isValid || !inv.items) return null;
@@ -19036,12 +19166,12 @@ function processHideoutFlow(now) {
           log(`Active portal present but skipped (${remain}s post-complete window left)`);
         } else {
           log('Active map portal found - will enter it');
-          setState(STATE.HIDEOUT_ENTER_PORTAL);
+          fireState('portalFound');
           return;
         }
       }
       log('No active portals - opening Map Device');
-      setState(STATE.HIDEOUT_OPEN_MAP_DEVICE);
+      fireState('noPortal');
       break;
     }
 
@@ -19059,7 +19189,7 @@ function processHideoutFlow(now) {
       // If atlas is already open, skip straight to map selection
       if (isAtlasPanelVisible()) {
         log('Atlas panel already open');
-        setState(STATE.HIDEOUT_SELECT_MAP);
+        fireState('atlasOpen');
         return;
       }
       // The device interact TOGGLES the atlas, so NEVER re-fire it rapidly -- that was the open/close spam.
@@ -19086,21 +19216,17 @@ function processHideoutFlow(now) {
       // press alone just toggles/flashes the device without opening the atlas (matches openMapDevice()).
       hideoutMapDeviceInteractAt = now;
       hideoutLastActionTime = now;
-      setState(STATE.HIDEOUT_WAIT_ATLAS);
+      fireState('deviceInteracted');
       break;
     }
 
     case STATE.HIDEOUT_WAIT_ATLAS: {
       if (isAtlasPanelVisible()) {
         log('Atlas panel opened');
-        setState(STATE.HIDEOUT_SELECT_MAP);
+        fireState('atlasOpen');
         return;
       }
-      // Timeout after 5s
-      if (now - stateStartTime > 5000) {
-        log('Timeout waiting for atlas panel - retrying');
-        setState(STATE.HIDEOUT_OPEN_MAP_DEVICE);
-      }
+      if (checkStateTimeout(now)) log('Timeout waiting for atlas panel - retrying');
       statusMessage = 'Waiting for atlas panel...';
       break;
     }
@@ -19112,11 +19238,7 @@ function processHideoutFlow(now) {
       // so retry for up to 3 seconds before giving up.
       const nodeIdx = findFirstUncompletedNode();
       if (nodeIdx < 0) {
-        if (now - stateStartTime < 3000) {
-          statusMessage = 'Waiting for atlas node data...';
-          return;
-        }
-        setHideoutSuspended(HIDEOUT_SUSPEND_REASON.NO_UNCOMPLETED_MAPS);
+        if (!checkStateTimeout(now, { nodeFound: false })) statusMessage = 'Waiting for atlas node data...';
         return;
       }
       hideoutSelectedNodeIndex = nodeIdx;
@@ -19155,7 +19277,7 @@ function processHideoutFlow(now) {
       }
 
       hideoutLastActionTime = now;
-      setState(STATE.HIDEOUT_WAIT_TPM);
+      fireState('nodeSelected');
       break;
     }
 
@@ -19165,15 +19287,14 @@ function processHideoutFlow(now) {
       statusMessage = tpmHasWaystone
         ? 'Traverse panel detected (waystone already slotted)'
         : 'Waiting for traverse panel...';
-      if (now - stateStartTime > 1000 && tpmHasWaystone) {
+      const waitedMs = now - stateStartTime;
+      const t = checkStateTimeout(now, { tpmHasWaystone, enablePrecursors: !!currentSettings.enablePrecursors });
+      if (t && t.to === STATE.HIDEOUT_PLACE_WAYSTONE) {
+        log(`[Hideout] TPM wait elapsed (${waitedMs}ms), proceeding to waystone placement`);
+      } else if (t) {
         log('[Hideout] TPM appears ready early (waystone slot populated)');
         hideoutWaystonePlaced = true;
-        setState(currentSettings.enablePrecursors ? STATE.HIDEOUT_PLACE_PRECURSORS : STATE.HIDEOUT_ACTIVATE_MAP);
-        return;
-      }
-      if (now - stateStartTime > 2000) {
-        log(`[Hideout] TPM wait elapsed (${now - stateStartTime}ms), proceeding to waystone placement`);
-        setState(STATE.HIDEOUT_PLACE_WAYSTONE);
+        noteSlottedWaystoneForAudit();
       }
       break;
     }
@@ -19186,11 +19307,8 @@ function processHideoutFlow(now) {
       }
       // Already placed? Move on.
       if (hideoutWaystonePlaced) {
-        if (currentSettings.enablePrecursors) {
-          setState(STATE.HIDEOUT_PLACE_PRECURSORS);
-        } else {
-          setState(STATE.HIDEOUT_ACTIVATE_MAP);
-        }
+        noteSlottedWaystoneForAudit();
+        fireState('waystonePlaced', { enablePrecursors: !!currentSettings.enablePrecursors });
         return;
       }
 
@@ -19198,11 +19316,8 @@ function processHideoutFlow(now) {
       if (tpmWaystoneSlotHasItem()) {
         log('TPM waystone slot already has an item - skipping placement');
         hideoutWaystonePlaced = true;
-        if (currentSettings.enablePrecursors) {
-          setState(STATE.HIDEOUT_PLACE_PRECURSORS);
-        } else {
-          setState(STATE.HIDEOUT_ACTIVATE_MAP);
-        }
+        noteSlottedWaystoneForAudit();
+        fireState('waystonePlaced', { enablePrecursors: !!currentSettings.enablePrecursors });
         return;
       }
 
@@ -19256,6 +19371,7 @@ function processHideoutFlow(now) {
       hideoutWaystoneMoveAttempts++;
       if (moved) {
         log('Waystone ctrl+click sent - verifying placement...');
+        _hoWaystone = describeWaystoneForAudit(waystone);
         if (!tpmWaystoneSlotHasItem()) {
           log(`[Hideout] Post-click immediate verify: TPM slot still empty (attempt ${hideoutWaystoneMoveAttempts})`);
           if (hideoutWaystoneMoveAttempts >= 3) {
@@ -19269,11 +19385,10 @@ function processHideoutFlow(now) {
               );
               return;
             }
-            blacklistCurrentHideoutNode(`waystone not accepted (TPM slot empty after ${hideoutWaystoneMoveAttempts} attempts)`);
-            hideoutWaystoneMoveAttempts = 0;
-            hideoutWaystonePlaced = false;
             log(`[Hideout] Waystone not accepted on node ${hideoutSelectedNodeIndex} -> trying a DIFFERENT node (${hideoutNodeRetryCount}/3)`);
-            setState(STATE.HIDEOUT_OPEN_MAP_DEVICE);   // re-establish atlas + findFirstUncompletedNode skips the blacklisted node
+            const detail = `waystone not accepted (TPM slot empty after ${hideoutWaystoneMoveAttempts} attempts)`;
+            hideoutWaystoneMoveAttempts = 0;
+            fireState('nodeRejected', { detail });   // re-establish atlas + findFirstUncompletedNode skips the blacklisted node
             return;
           }
         }
@@ -19295,7 +19410,7 @@ function processHideoutFlow(now) {
 
       if (hideoutPrecursorsPlaced >= TABLET_SLOTS) {
         log(`Tablet slots full (${hideoutPrecursorsPlaced}/${TABLET_SLOTS}: [${[...presentTypes].join(', ')}]), activating map`);
-        setState(STATE.HIDEOUT_ACTIVATE_MAP);
+        fireState('precursorsDone');
         return;
       }
 
@@ -19305,7 +19420,7 @@ function processHideoutFlow(now) {
       const pick = findTabletToPlace(presentTypes);
       if (!pick) {
         log(`No eligible tablet to place (in device: [${[...presentTypes].join(', ')}], ${hideoutPrecursorsPlaced}/${TABLET_SLOTS}), activating map`);
-        setState(STATE.HIDEOUT_ACTIVATE_MAP);
+        fireState('precursorsDone');
         return;
       }
 
@@ -19354,12 +19469,12 @@ function processHideoutFlow(now) {
             poe2.sendPacket(new Uint8Array([0x01, 0xAA, 0x01]));  // 01 AA 01 release
           }
           hideoutLastActionTime = now;
-          setState(STATE.HIDEOUT_WAIT_PORTAL);
+          fireState('stoneSpent');
           return;
         }
         log('[Hideout] Traverse validation: waystone missing from TPM; returning to placement');
         hideoutWaystonePlaced = false;
-        setState(STATE.HIDEOUT_PLACE_WAYSTONE);
+        fireState('waystoneMissing');
         return;
       }
       if (expectedPrecursors > 0 && slotInfo.precursorCount < expectedPrecursors) {
@@ -19368,7 +19483,7 @@ function processHideoutFlow(now) {
           `returning to precursor placement`
         );
         hideoutPrecursorsPlaced = slotInfo.precursorCount;
-        setState(STATE.HIDEOUT_PLACE_PRECURSORS);
+        fireState('precursorMismatch');
         return;
       }
 
@@ -19411,7 +19526,7 @@ function processHideoutFlow(now) {
       }
 
       hideoutLastActionTime = now;
-      setState(STATE.HIDEOUT_WAIT_PORTAL);
+      fireState('traverseSent');
       break;
     }
 
@@ -19437,37 +19552,29 @@ function processHideoutFlow(now) {
               return;
             }
           }
-          setState(STATE.HIDEOUT_ENTER_PORTAL);
+          fireState('portalSpawned');
           return;
         }
       } else {
         const portal = findActiveMapPortal();
         if (portal) {
           log(`Map portal spawned: id=${portal.id} render="${portal.renderName || ''}" path="${portal.name || ''}"`);
-          setState(STATE.HIDEOUT_ENTER_PORTAL);
+          fireState('portalSpawned');
           return;
         }
       }
-      // Timeout after 10s
-      if (now - stateStartTime > 10000) {
-        if (hideoutTraverseAttempts < 3) {
-          log(`Timeout waiting for portal, retrying traverse execute (${hideoutTraverseAttempts}/3)`);
-          setState(STATE.HIDEOUT_ACTIVATE_MAP);
-          return;
-        }
-        // 3 traverse attempts, still no portal -> this node won't activate (e.g. "You do not have the required
-        // quest state to access this Map" -- a quest-locked node). Retrying the SAME node never works, so don't
-        // suspend: blacklist it and START A DIFFERENT map node. Mirrors the failed-portal-entry recovery below.
-        blacklistCurrentHideoutNode(`no portal after ${hideoutTraverseAttempts} traverse attempts (quest-locked map?)`);
-        log(`[Hideout] No portal after ${hideoutTraverseAttempts} traverse attempts (likely quest-locked map). Blacklisting node + starting a DIFFERENT map.`);
-        hideoutPortalEnterAttempts = 0;
-        hideoutTraverseAttempts = 0;
-        hideoutWaystonePlaced = false;
-        hideoutPrecursorsPlaced = 0;
-        hideoutSelectedNodeIndex = -1;
-        hideoutActivationKey = null;
-        setState(STATE.HIDEOUT_OPEN_MAP_DEVICE);
-        return;
+      // Timeout: retry the traverse up to 3x, then this node won't activate (e.g. "You do not have the required
+      // quest state to access this Map" -- a quest-locked node). Retrying the SAME node never works, so don't
+      // suspend: the table's restartNode blacklists it and STARTS A DIFFERENT map node.
+      const attempts = hideoutTraverseAttempts;
+      const t = checkStateTimeout(now, {
+        traverseAttempts: attempts,
+        detail: `no portal after ${attempts} traverse attempts (quest-locked map?)`,
+      });
+      if (t && t.to === STATE.HIDEOUT_ACTIVATE_MAP) {
+        log(`Timeout waiting for portal, retrying traverse execute (${attempts}/3)`);
+      } else if (t) {
+        log(`[Hideout] No portal after ${attempts} traverse attempts (likely quest-locked map). Blacklisted node + starting a DIFFERENT map.`);
       }
       break;
     }
@@ -19488,21 +19595,14 @@ function processHideoutFlow(now) {
           }
           hideoutPortalEnterAttempts = 0;
           log(`[Hideout] Portal-enter attempts exhausted -> FRESH portal scan (round ${_wsPortalRetryRounds}/${WS_PORTAL_RETRY_ROUNDS}), NOT re-placing`);
-          setState(STATE.HIDEOUT_WAIT_PORTAL);
+          fireState('freshPortalScan');
           return;
         }
-        blacklistCurrentHideoutNode(`attempts=${hideoutPortalEnterAttempts}`);
         log(
           `[Hideout] Portal entry failed ${hideoutPortalEnterAttempts}/${maxPortalAttempts} times. ` +
           `Starting a fresh node instead of reusing this portal.`
         );
-        hideoutPortalEnterAttempts = 0;
-        hideoutTraverseAttempts = 0;
-        hideoutWaystonePlaced = false;
-        hideoutPrecursorsPlaced = 0;
-        hideoutSelectedNodeIndex = -1;
-        hideoutActivationKey = null;
-        setState(STATE.HIDEOUT_OPEN_MAP_DEVICE);
+        fireState('enterFailed', { detail: `attempts=${hideoutPortalEnterAttempts}` });
         return;
       }
       // Guard 2: re-resolve the portal EVERY attempt -- no cached id ever crosses frames.
@@ -19520,7 +19620,7 @@ function processHideoutFlow(now) {
       if (!portal) {
         log('Portal disappeared - going back to wait');
         _wsPortalWalkStartAt = 0; _wsPortalStopSentAt = 0;
-        setState(STATE.HIDEOUT_WAIT_PORTAL);
+        fireState('portalLost');
         return;
       }
       const enterDelayMs = Math.max(0, Math.floor(Number(currentSettings.hideoutPortalEnterDelayMs || 0)));
@@ -19780,7 +19880,18 @@ function logMapSummary(why, objOverride) {
     let _bk = mapBossKilledAt > 0;
     if (!objOverride) { try { _bk = _bk || mapObjectiveComplete('MapBoss', now); } catch (e) {} }
     log(`=== MAP SUMMARY (${why}): ${area} dur=${durMin}min objective=${obj} overtime=${mapOvertime ? 'YES' : 'no'} boss=${_bk ? 'KILLED' : 'not-killed'} delirium=${del} strictHolds=${mapStrictFinishRounds} content: ${content} ===`);
-    mapAudit(`END map=${area} reason=${why} objective=${obj} dur=${durMin}min boss=${_bk ? 'KILLED' : 'not-killed'} incomplete-main="${mainLeft}" content=[${content}] delirium=${del} overtime=${mapOvertime ? 'YES' : 'no'} strictHolds=${mapStrictFinishRounds}`);
+    mapAudit(`END content: ${content}`);   // the human-readable tails ride along as the run's last note
+    mapAudit(`END ${tlAuditLine(now)}`);   // lead-up transitions: a 4min checkpoint stall reads straight off the record
+    const states = {};
+    for (const r of tlTotals('map', now)) states[r.state] = r.ms;
+    const _run = auditCloseRun({
+      reason: why, objective: obj, content: by, incompleteMain: mainLeft, bossKilled: _bk, states,
+      overtime: mapOvertime, strictHolds: mapStrictFinishRounds, delirium: del,
+    }, now);
+    statsEvent('mapEnd', {
+      map: _run ? _run.map : area, durationMs: _run ? _run.durationMs : (mapStartWallAt > 0 ? now - mapStartWallAt : 0),
+      cleared: String(obj).toUpperCase() === 'COMPLETE', reason: why,
+    }, now);
     _auditOpen = false;
     clearMapStateFile();   // TASK-23: MAP END -> a finished map never leaks its resume state into the next entry
   } catch (e) {}
@@ -19977,7 +20088,7 @@ function processMapper() {
       }
       // Start hideout flow if idle
       if (currentState === STATE.IDLE) {
-        setState(STATE.HIDEOUT_CHECK_PORTALS);
+        fireState('hideoutEntered');
       }
       // Process hideout state machine
       processHideoutFlow(Date.now());
@@ -20054,8 +20165,13 @@ function processMapper() {
           // applied this entry, so a half-state resume is distinguishable from a bare second START. Flag-off -> no read.
           let _resumed = false;
           if (MAP_RESUME_ON) { try { _resumed = maybeRestoreMapState(_aid, now); } catch (_) {} }
-          mapAudit(`${_resumed ? 'RESUME' : 'START'} map=${_aid}${_hoSelectedMapName ? ` node="${_hoSelectedMapName}"` : ''} main="${_mainTxt || '(unreadable)'}" required=[${_req.join(',')}]`);
+          auditOpenRun({
+            areaId: _aid, map: (_ai && _ai.areaName) || '', node: _hoSelectedMapName,
+            tier: _hoWaystone ? _hoWaystone.tier : null, waystone: _hoWaystone, required: _req, resumed: _resumed,
+          }, now);
+          mapAudit(`${_resumed ? 'RESUME' : 'START'} main="${_mainTxt || '(unreadable)'}"`);
           _hoSelectedMapName = '';
+          _hoWaystone = null;
         }
       }
     }
@@ -20072,7 +20188,7 @@ function processMapper() {
         log(`HARD abandon (${((_mapCapMs * 2.5) / 60000).toFixed(0)}min, state=${currentState}): map unfinishable -> leaving`);
         logMapSummary('hard-abandon');
         mapCompleteSkipSettle = true;
-        setState(STATE.MAP_COMPLETE);
+        fireState('hardAbandon');
       } else if (now - _abandonWarnAt > 120000) {
         _abandonWarnAt = now;
         log(`Map running ${(_mapElapsed / 60000).toFixed(0)}min (state=${currentState}) -- abandon disabled, still finishing (allowMapAbandon to override)`);
@@ -20091,19 +20207,18 @@ function processMapper() {
     }
     // BOSS-APPROACH STALE FAILSAFE: no single approach state may hold a map for 10min without a transition --
     // every legit path through these states churns transitions in seconds. Self-heal instead of AFK-dead hours.
-    if ((currentState === STATE.WALKING_TO_BOSS_MELEE || currentState === STATE.WALKING_TO_BOSS_CHECKPOINT)
-        && Date.now() - stateStartTime > 600000) {
-      log(`boss-approach state ${currentState} stale ${((Date.now() - stateStartTime) / 60000) | 0}min -> re-finding`);
-      setState(STATE.FINDING_BOSS);
-    }
     // FIGHTING_BOSS ZERO-DPS SELF-HEAL: a live-but-idle boss keeps totalHostiles>0 (so the 30s no-activity
     // exit never fires) and FIGHTING_BOSS is exempt from the hard-abandon -> a standoff can hold the map for
     // hours (Malgor 2.5h, orbit at 35u, hpd=0). Zero PROVEN damage this long = re-find the boss: re-runs
     // approach/press-in (which walks a dormant boss awake) instead of orbiting forever. Stays in the map.
-    if (currentState === STATE.FIGHTING_BOSS && Date.now() - stateStartTime > 150000 && !bossDmgProven) {
-      log(`FIGHTING_BOSS zero-damage ${((Date.now() - stateStartTime) / 60000) | 0}min (standoff) -> re-finding boss`);
-      bossTgtFound = false; bossFound = false; bossEntityId = 0; checkpointReached = false;
-      setState(STATE.FINDING_BOSS);
+    // Both windows live in the table (mapper_states.js timeouts); only the in-map states below have any.
+    const _staleFrom = currentState;
+    const _staleMin = ((Date.now() - stateStartTime) / 60000) | 0;
+    const _stale = checkStateTimeout(Date.now(), { bossDamageProven: !!bossDmgProven });
+    if (_stale && _staleFrom === STATE.FIGHTING_BOSS) {
+      log(`FIGHTING_BOSS zero-damage ${_staleMin}min (standoff) -> re-finding boss`);   // forgetBoss cleared the target first
+    } else if (_stale) {
+      log(`boss-approach state ${_staleFrom} stale ${_staleMin}min -> re-finding`);
     }
   }
 
@@ -20653,13 +20768,13 @@ function processMapper() {
   switch (currentState) {
     case STATE.IDLE:
       // Boss-only mapping: skip the temple flow entirely, go straight to the boss.
-      setState(STATE.FINDING_BOSS);
+      fireState('mapEntered');
       break;
 
     case STATE.FINDING_TEMPLE: {
       if (isMapObjectiveComplete()) {   // MAP-OBJECTIVE GATE: map done -> don't go hunting the temple -> finish
         log('Map objective complete -> stop finding temple -> map complete');
-        setState(STATE.MAP_COMPLETE); break;
+        fireState('objectiveComplete'); break;
       }
       pruneTempleUnreachableTargets(now);
       if (templeOptionalSearchStartAt === 0) templeOptionalSearchStartAt = now;
@@ -20672,7 +20787,7 @@ function processMapper() {
       if (isIncursionObjectiveComplete()) {
         templeCleared = true;
         log('Incursion objective already completed -> skipping temple and continuing to boss');
-        setState(STATE.FINDING_BOSS);
+        fireState('templeDone');
         break;
       }
 
@@ -20746,11 +20861,11 @@ function processMapper() {
 
         if (alreadyClear) {
           templeCleared = true;
-          setState(STATE.FINDING_BOSS);
+          fireState('templeDone');
         } else {
           templeExploreNoPathCount = 0;
           MI.walk(MOV.temple, templeGridX, templeGridY, 'Temple', 'temple');
-          setState(STATE.WALKING_TO_TEMPLE);
+          fireState('templeFound');
         }
       } else {
         templeFound = false;
@@ -20769,7 +20884,7 @@ function processMapper() {
             `No temple objective for this map after ${(optionalSearchMs / 1000).toFixed(0)}s ` +
             `and ${templeOptionalSearchMaxDist.toFixed(0)}u explored; moving to boss`
           );
-          setState(STATE.FINDING_BOSS);
+          fireState('templeDone');
           break;
         }
         if (templeLocBlocked && now - lastTempleUnreachableLogTime > 1400) {
@@ -20784,7 +20899,7 @@ function processMapper() {
     case STATE.WALKING_TO_TEMPLE: {
       if (isMapObjectiveComplete()) {   // MAP-OBJECTIVE GATE: map done -> stop walking to the temple -> finish
         log('Map objective complete -> stop walking to temple -> map complete');
-        setState(STATE.MAP_COMPLETE); break;
+        fireState('objectiveComplete'); break;
       }
       if (isIncursionObjectiveComplete()) {
         templeCleared = true;
@@ -20793,10 +20908,10 @@ function processMapper() {
         templeCenterApproachStartTime = 0;
         if (bossDead || isMapObjectiveComplete()) {
           log('Temple already cleared while walking to temple -> map complete');
-          setState(STATE.MAP_COMPLETE);
+          fireState('objectiveComplete');
         } else {
           log('Temple already cleared while walking to temple -> switching to boss flow');
-          setState(STATE.FINDING_BOSS);
+          fireState('templeDone');
         }
         break;
       }
@@ -20853,13 +20968,13 @@ function processMapper() {
             `Boss encountered en route to temple at (${bossGridX.toFixed(0)}, ${bossGridY.toFixed(0)}) ` +
             `dist=${distToCandidate.toFixed(0)} -> switching to FINDING_BOSS (checkpoint-first gate)`
           );
-          setState(STATE.FINDING_BOSS);
+          fireState('bossEncountered');
         } else {
           log(
             `Boss-like unique seen during temple walk but too far for direct melee ` +
             `(dist=${distToCandidate.toFixed(0)}). Switching to FINDING_BOSS first.`
           );
-          setState(STATE.FINDING_BOSS);
+          fireState('bossEncountered');
         }
         break;
         }
@@ -20910,7 +21025,7 @@ function processMapper() {
           // Reached a temporary exploration leg; continue searching for real temple target.
           templeFound = false;
           templeStuckTime = 0;
-          setState(STATE.FINDING_TEMPLE);
+          fireState('exploreLegDone');
           break;
         }
         if (usingBossFallback) {
@@ -20922,7 +21037,7 @@ function processMapper() {
         } else {
           log('Arrived at temple');
           templeStuckTime = 0;
-          setState(STATE.CLEARING_TEMPLE);
+          fireState('arrived');
         }
       } else if (result === 'stuck' || (result === 'walking' && currentPath.length === 0)) {
         // Track how long we've been stuck (no A* path)
@@ -20969,7 +21084,7 @@ function processMapper() {
             ''
           );
           templeStuckTime = 0;
-          setState(STATE.FINDING_TEMPLE);
+          fireState('templeLost');
           break;
         }
 
@@ -20990,7 +21105,7 @@ function processMapper() {
       if (isMapObjectiveComplete()) {
         log('Map objective complete -> stop clearing temple -> map complete');
         templeCleared = true; templeClearStartTime = 0; templeNoHostilesSince = 0; templeCenterApproachStartTime = 0; usingBossFallback = false;
-        setState(STATE.MAP_COMPLETE);
+        fireState('objectiveComplete');
         break;
       }
       const incursionDone = isIncursionObjectiveComplete();
@@ -21002,10 +21117,10 @@ function processMapper() {
         usingBossFallback = false;
         if (bossDead || isMapObjectiveComplete()) {
           log('Temple already cleared while in clear state -> map complete');
-          setState(STATE.MAP_COMPLETE);
+          fireState('objectiveComplete');
         } else {
           log('Temple already cleared while in clear state -> switching to boss flow');
-          setState(STATE.FINDING_BOSS);
+          fireState('templeDone');
         }
         break;
       }
@@ -21197,7 +21312,7 @@ function processMapper() {
       if (!_inVoidBF && isMapObjectiveComplete()) {
         log('Map objective complete while finding boss -> map complete');
         mapCompleteSkipSettle = true;   // no fresh kill -> no drops to settle; straight to the sweep/portal phases
-        setState(STATE.MAP_COMPLETE);
+        fireState('objectiveComplete');
         break;
       }
       // Boss(es) ALREADY dead (no outstanding "Defeat X" line -- completed lines VANISH from the main block -- e.g.
@@ -21208,7 +21323,7 @@ function processMapper() {
         if (!_inVoidBF && !_defeat.hasDefeatObjective && mapObjectiveComplete('MapBoss', now)) {
           log('Boss objective already complete -> skip boss-find, content cleanup (MAP_COMPLETE)');
           mapCompleteSkipSettle = true;
-          setState(STATE.MAP_COMPLETE);
+          fireState('objectiveComplete');
           break;
         } }
       // MAP-START CONTENT WAIT (user: 'stop for 4s and check for delirium'). Everything below commits a walk target;
@@ -21242,7 +21357,7 @@ function processMapper() {
         bossGridX = arenaCentroid.gx; bossGridY = arenaCentroid.gy; bossTgtFound = true; bossTargetSource = 'arena_tgt';
         log(`Boss arena (terrain) at (${bossGridX.toFixed(0)}, ${bossGridY.toFixed(0)}) -> walking`);
         MI.walk(MOV.bossWalk, bossGridX, bossGridY, 'Boss Arena', 'boss');
-        setState(STATE.WALKING_TO_BOSS_CHECKPOINT);
+        fireState('bossAnchor');
         break;
       }
       const timeSinceStart = now - stateStartTime;
@@ -21424,7 +21539,7 @@ function processMapper() {
           checkpointReached = true; // boss visible -> skip checkpoint gate, close in + fight
           const bn = (nearestBoss.renderName || nearestBoss.name || '?').split('/').pop();
           log(`Objective boss "${bn}" streamed at dist=${nearestBossDist.toFixed(0)} -> engaging directly`);
-          setState(STATE.WALKING_TO_BOSS_MELEE);
+          fireState('bossStreamed');
           break;
         }
       }
@@ -21485,7 +21600,7 @@ function processMapper() {
           bossTargetSource === 'arena_object' ? 'Boss Room Anchor' : 'Boss Checkpoint',
           'boss'
         );
-        setState(STATE.WALKING_TO_BOSS_CHECKPOINT);
+        fireState('bossAnchor');
         break;
       }
 
@@ -21781,7 +21896,7 @@ function processMapper() {
       // walk toward the boss must still run so it closes the last stretch to the handed-off void boss.
       if (!(LIGHTLESS_VOID_ON && voidInAt !== 0) && isMapObjectiveComplete()) {
         log('Map objective complete during checkpoint walk -> map complete');
-        setState(STATE.MAP_COMPLETE);
+        fireState('objectiveComplete');
         break;
       }
       const activeBoss = detectActiveBossEngagement(player.gridX, player.gridY, now, 52);
@@ -21805,7 +21920,7 @@ function processMapper() {
         bossMeleeStaticEntityId = 0;
         bossMeleeLastRetargetTime = 0;
         log(`Boss already engaged during checkpoint walk (${activeBoss.reason}) -> closing in via melee`);
-        setState(STATE.WALKING_TO_BOSS_MELEE);
+        fireState('bossEngaged');
         break;
         }
       }
@@ -21894,7 +22009,7 @@ function processMapper() {
         }
         if (now < bossApproachCooldownUntil) {   // interior proven disconnected -> don't re-enter melee (defensive; FINDING_BOSS fast-path skips should keep us out of this state while cooling)
           log('Boss approach cooling -> FINDING_BOSS (explore to reveal a route in)');
-          setState(STATE.FINDING_BOSS);
+          fireState('approachLost');
           break;
         }
         const meleeGate = canSwitchToBossMeleeFromCheckpointState(player, now);
@@ -21914,7 +22029,7 @@ function processMapper() {
             `Checkpoint reached but gate blocked (${meleeGate.reason}); ` +
             `forcing melee-forward mode (attempt ${bossCheckpointGateFailCount})`
           );
-          setState(STATE.WALKING_TO_BOSS_MELEE);
+          fireState('bossEngaged');
           break;
         }
         bossCheckpointGateFailCount = 0;
@@ -21929,7 +22044,7 @@ function processMapper() {
           `Boss entry reached (${bossTargetSource === 'arena_object' ? 'barrier' : 'checkpoint'}) ` +
           `gate=${meleeGate.reason} -> switching to melee engagement`
         );
-        setState(STATE.WALKING_TO_BOSS_MELEE);
+        fireState('bossEngaged');
         break;
       }
 
@@ -21945,7 +22060,7 @@ function processMapper() {
           log(`[Mapper] Boss anchor unreachable 5s at ${dist.toFixed(0)}u -> melee engagement`);
           checkpointReached = true; bossNoPathCount = 0; bossCheckpointLastImprovementTime = 0; checkpointBestDist = Infinity;
           bossMeleeHoldStartTime = 0; bossMeleeStaticLocked = false; bossMeleeStaticX = 0; bossMeleeStaticY = 0; bossMeleeStaticEntityId = 0; bossMeleeLastRetargetTime = 0;
-          setState(STATE.WALKING_TO_BOSS_MELEE);
+          fireState('bossEngaged');
           break;
         }
         log(`[Mapper] Boss anchor (${bossGridX.toFixed(0)},${bossGridY.toFixed(0)}) fog-unreachable 5s at ${dist.toFixed(0)}u -> HOLD as bearing + explore to reveal (do NOT run from it)`);
@@ -21953,7 +22068,7 @@ function processMapper() {
         bossCkptX = bossGridX; bossCkptY = bossGridY;   // STORE the seen checkpoint -> resolveBossBearing keeps it as the bearing
         const _sealX = bossGridX, _sealY = bossGridY;   // preserve across setState (WALKING_TO_BOSS_CHECKPOINT -> FINDING_BOSS wipes bossTgtFound/target)
         bossTgtFound = false; bossCheckpointLastImprovementTime = 0; checkpointBestDist = Infinity; bossNoPathCount = 0;
-        setState(STATE.FINDING_BOSS);
+        fireState('approachLost');
         // CHANGE 5: split fogBlockedAnchor's dual role. The bearing (resolveBossBearing / fogBlockedAnchor above) stays the
         // DIRECTION; the "don't re-ram the checkpoint" half becomes a SHORT approach cooldown instead of ERASING the target.
         // Keep the confirmed boss target so FINDING_BOSS explores/reveals AROUND the seal for ~10s, then re-attempts the
@@ -21983,7 +22098,7 @@ function processMapper() {
           log(`[Mapper] Boss anchor unreachable (no-path ${bossNoPathCount}x at ${dist.toFixed(0)}u) -> melee engagement`);
           checkpointReached = true; bossNoPathCount = 0;
           bossMeleeHoldStartTime = 0; bossMeleeStaticLocked = false; bossMeleeStaticX = 0; bossMeleeStaticY = 0; bossMeleeStaticEntityId = 0; bossMeleeLastRetargetTime = 0;
-          setState(STATE.WALKING_TO_BOSS_MELEE);
+          fireState('bossEngaged');
           break;
         }
         const canTryDetour = (now - bossDetourLastPickTime > 1800);
@@ -22016,7 +22131,7 @@ function processMapper() {
     case STATE.WALKING_TO_BOSS_MELEE: {
       if (isMapObjectiveComplete()) {
         log('Map objective complete during melee approach -> map complete');
-        setState(STATE.MAP_COMPLETE);
+        fireState('objectiveComplete');
         break;
       }
       const activeBoss = detectActiveBossEngagement(player.gridX, player.gridY, now, 95);
@@ -22095,7 +22210,7 @@ function processMapper() {
             // TASK-73 A: recovering -> hold outside the standoff instead of entering the fight.
           } else {
             log(`Boss engaged during melee walk (${activeBoss.reason}) dist=${distToEngaged.toFixed(0)} -> entering fight`);
-            setState(STATE.FIGHTING_BOSS);
+            fireState('bossInRange');
           }
           } else if (bossEngageCalmHold(player, e, distToEngaged, now)) {
             // TASK-73 A: gating only the setState would let this approach walk right back into the standoff
@@ -22179,7 +22294,7 @@ function processMapper() {
         if (!Number.isFinite(bossGridX) || !Number.isFinite(bossGridY) || Math.hypot(bossGridX, bossGridY) < 80) {
           const _bh = findBossArenaHint(player, now);
           if (_bh && Math.hypot(_bh.x, _bh.y) >= 80) { bossGridX = _bh.x; bossGridY = _bh.y; }
-          else { setState(STATE.FINDING_BOSS); break; }   // garbage anchor + no hint -> re-find, don't shove a corner
+          else { fireState('approachLost'); break; }   // garbage anchor + no hint -> re-find, don't shove a corner
         }
         // The boss ACTIVATES when we get close to the ARENA INTERIOR (user: "he activates once we get close to the
         // middle-top of the arena" = the red-circle spot = the streamed BossArenaBlocker that sits PAST the checkpoint).
@@ -22227,12 +22342,12 @@ function processMapper() {
                 bossMeleeAdvanceCycles++;
                 bossMeleeArenaWaitStart = 0;
                 log(`Boss arena quiet 12s -> pushing target 130u deeper (advance ${bossMeleeAdvanceCycles}/2)`);
-              } else { log('In boss arena 12s, no boss activated -> re-finding'); setState(STATE.FINDING_BOSS); }
+              } else { log('In boss arena 12s, no boss activated -> re-finding'); fireState('approachLost'); }
             }
           } else {
             // Blind probe reached + still no arena objects streamed -> direction guess was wrong -> re-find (re-probes
             // from here). Keeps MOVING/searching rather than parking on the checkpoint.
-            log('Boss arena probe reached, no arena/boss streamed -> re-finding'); bossMeleeProbeX = NaN; setState(STATE.FINDING_BOSS);
+            log('Boss arena probe reached, no arena/boss streamed -> re-finding'); bossMeleeProbeX = NaN; fireState('approachLost');
           }
           break;
         }
@@ -22256,7 +22371,7 @@ function processMapper() {
             fogBlockedAnchorUntil = now + 45000; fogBlockedAnchorConf = 0.9;
             log(`Boss approach (${bossTgtX.toFixed(0)},${bossTgtY.toFixed(0)}) unreachable x3 -> 45s cooldown, explore-to-reveal another way in`);
             bossMeleeApproachFailN = 0;
-            setState(STATE.FINDING_BOSS);
+            fireState('approachLost');
             break;
           }
         } else {
@@ -22402,7 +22517,7 @@ function processMapper() {
               fogBlockedAnchorUntil = now + 45000; fogBlockedAnchorConf = 0.9;
               log(`[BossEsc] streamed boss unreachable x3 (route ${_escWhy}) -> 45s cooldown, explore-to-reveal another way in`);
               bossMeleeApproachFailN = 0;
-              setState(STATE.FINDING_BOSS);
+              fireState('approachLost');
               break;
             } else {
               bossMeleeApproachFailN++;
@@ -22495,7 +22610,7 @@ function processMapper() {
               log(`[Mapper] camped non-objective unique "${_n}" ${((now - _nonObjMeleeSince) / 1000).toFixed(0)}s (immune-close) -> ban 30s + re-acquire objective boss`);
               if (selected.id) { if (_bossApproachBan.size > 64) _bossApproachBan.clear(); _bossApproachBan.set(selected.id, now + 30000); }
               _nonObjMeleeSince = 0; bossCandidateId = 0; bossMeleeHoldStartTime = 0; bossMeleeStaticLocked = false; bossMeleeStaticX = 0; bossMeleeStaticY = 0; bossMeleeStaticEntityId = 0; bossMeleeLastRetargetTime = 0;
-              setState(STATE.FINDING_BOSS);
+              fireState('approachLost');
               break;
             }
             statusMessage = `Melee: non-objective unique close (rotation clears it, ${((now - _nonObjMeleeSince) / 1000).toFixed(0)}s)`;
@@ -22504,7 +22619,7 @@ function processMapper() {
           bossEntityId = selected.id || bossEntityId;
           const bossName = ((selected.renderName || selected.name || 'Unknown')).split('/').pop();
           log(`Boss "${bossName}" immune-close threshold met (<=5) - entering fight`);
-          setState(STATE.FIGHTING_BOSS);
+          fireState('bossInRange');
         } else {
           statusMessage = `Holding near immune boss... ${distToBossEntity.toFixed(1)} units`;
         }
@@ -22526,7 +22641,7 @@ function processMapper() {
           log(`[Mapper] camped non-objective unique "${_n}" ${((now - _nonObjMeleeSince) / 1000).toFixed(0)}s at boss checkpoint -> ban 30s + re-acquire objective boss`);
           if (selected.id) { if (_bossApproachBan.size > 64) _bossApproachBan.clear(); _bossApproachBan.set(selected.id, now + 30000); }   // else FINDING_BOSS re-picks the SAME nearest/in-combat unique -> 15s livelock
           _nonObjMeleeSince = 0; bossCandidateId = 0; bossMeleeHoldStartTime = 0; bossMeleeStaticLocked = false; bossMeleeStaticX = 0; bossMeleeStaticY = 0; bossMeleeStaticEntityId = 0; bossMeleeLastRetargetTime = 0;
-          setState(STATE.FINDING_BOSS);
+          fireState('approachLost');
           break;
         }
         statusMessage = `Melee: non-objective unique engaged (rotation clears it, ${((now - _nonObjMeleeSince) / 1000).toFixed(0)}s)`;
@@ -22537,7 +22652,7 @@ function processMapper() {
       if (holdMs >= 300) {
         const bossName = ((selected.renderName || selected.name || 'Unknown')).split('/').pop();
         log(`Boss "${bossName}" within engage range - entering fight`);
-        setState(STATE.FIGHTING_BOSS);
+        fireState('bossInRange');
       } else {
         statusMessage = `At boss (${distToBossEntity.toFixed(0)}), stabilizing... ${(holdMs / 1000).toFixed(1)}s`;
       }
@@ -22547,7 +22662,7 @@ function processMapper() {
     case STATE.FIGHTING_BOSS: {
       if (isMapObjectiveComplete()) {
         log('Map objective complete during boss fight -> map complete');
-        setState(STATE.MAP_COMPLETE);
+        fireState('objectiveComplete');
         break;
       }
       // =================================================================
@@ -22701,6 +22816,7 @@ function processMapper() {
               const bossName = (e.renderName || e.name || 'Unknown').split('/').pop();
               log(`Boss DEAD: "${bossName}" (HP: ${e.healthCurrent || 0}/${e.healthMax || 0})`);
               mapBossKilledAt = now;
+              auditNoteBossKill(now);
               if (!isMapObjectiveComplete()) {
                 // objectiveGoalMode NO-DEAD-BOSS-LOOP fix (USER): the tracked unique is DEAD but the whole map isn't
                 // "Map Completed". Only RE-ACQUIRE when the game still lists a live "Defeat X" objective (a genuine 2nd
@@ -22720,7 +22836,7 @@ function processMapper() {
                   MI.hold(MOV.fight, true);
                   mapCompleteBossDeathX = Number.isFinite(e.gridX) ? e.gridX : player.gridX;
                   mapCompleteBossDeathY = Number.isFinite(e.gridY) ? e.gridY : player.gridY;
-                  setState(STATE.MAP_COMPLETE);
+                  fireState('bossKilled');
                   break;
                 }
                 // SAME-ARENA HANDOFF (twin-boss): before round-tripping FINDING_BOSS, hand off directly to the nearest
@@ -22747,7 +22863,7 @@ function processMapper() {
                 bossEntityId = 0;
                 bossFound = false;
                 bossCandidateId = 0;
-                setState(STATE.FINDING_BOSS);
+                fireState('bossLost');
                 break;
               }
               const nextBoss = arenaBossUniques.find(b => b.id !== bossEntityId && b.isAlive);
@@ -22771,14 +22887,14 @@ function processMapper() {
                 bossTgtFound = false;
                 bossEntityId = 0;
                 checkpointReached = false;
-                setState(STATE.FINDING_TEMPLE);
+                fireState('resumeTemple');
               } else {
                 if (!templeCleared && !templeLoc) {
                   log('Boss killed and no temple objective found in this map, marking complete');
                 }
                 mapCompleteBossDeathX = Number.isFinite(e.gridX) ? e.gridX : player.gridX;
                 mapCompleteBossDeathY = Number.isFinite(e.gridY) ? e.gridY : player.gridY;
-                setState(STATE.MAP_COMPLETE);
+                fireState('bossKilled');
               }
               break;
             }
@@ -22809,10 +22925,11 @@ function processMapper() {
         } else {
           log(`Boss DEAD (objective bit; corpse never scanned) after ${(_goneMs / 1000) | 0}s absent from scan`);
           mapBossKilledAt = now;
+          auditNoteBossKill(now);
           bossEntityId = 0; bossFound = false; bossCandidateId = 0; bossDead = true;
           MI.hold(MOV.fight, true);
           mapCompleteBossDeathX = player.gridX; mapCompleteBossDeathY = player.gridY;
-          setState(STATE.MAP_COMPLETE);
+          fireState('bossKilled');
         }
         break;
       }
@@ -23102,7 +23219,7 @@ function processMapper() {
                 log(`[Mapper] boss reposition stuck ${((now - _bossRepoStuckSince) / 1000).toFixed(0)}s at ${distToTarget.toFixed(0)}u (wall-slide) -> re-path via melee approach`);
                 bossMeleeHoldStartTime = 0; bossMeleeStaticLocked = false; bossMeleeStaticX = 0; bossMeleeStaticY = 0; bossMeleeStaticEntityId = 0; bossMeleeLastRetargetTime = 0;
                 _bossRepoStuckSince = 0;
-                setState(STATE.WALKING_TO_BOSS_MELEE);
+                fireState('repositionStuck');
                 break;
               }
             } else {
@@ -23419,7 +23536,7 @@ function processMapper() {
             bossTgtFound = false;
             bossEntityId = 0;
             checkpointReached = false;
-            setState(STATE.FINDING_TEMPLE);
+            fireState('resumeTemple');
             break;
           }
 
@@ -23429,7 +23546,7 @@ function processMapper() {
           bossFound = false;
           bossEntityId = 0;
           checkpointReached = false;
-          setState(STATE.FINDING_BOSS);
+          fireState('bossLost');
           break;
         }
         statusMessage = `Boss area clearing... (${(clearDuration / 1000).toFixed(0)}s)`;
@@ -23702,7 +23819,7 @@ function processMapper() {
           if (_def.hasDefeatObjective && !_def.isCompleted) {
             log(`[Cleanup] main objective INCOMPLETE (Defeat ${_def.bossNames.join(' + ') || '?'}) -> boss-find, NOT leaving (round ${mapStrictFinishRounds})`);
             mapCompleteCleanupStartAt = 0; mapCompleteCleanupNoProgressSince = 0; mapCompleteProgressCount = -1;
-            setState(STATE.FINDING_BOSS);
+            fireState('objectiveIncomplete');
             break;
           }
           log(`[Cleanup] main objective INCOMPLETE -> fresh sweep, NOT leaving (round ${mapStrictFinishRounds})`);
@@ -23792,7 +23909,7 @@ function processMapper() {
         const _def4 = getMainDefeatObjectiveInfo();
         if (_def4.hasDefeatObjective && !_def4.isCompleted) {
           mapCompleteCleanupStartAt = 0; mapCompleteCleanupNoProgressSince = 0; mapCompleteProgressCount = -1;
-          setState(STATE.FINDING_BOSS);
+          fireState('objectiveIncomplete');
           break;
         }
         statusMessage = 'Map complete: main objective incomplete -> working, not leaving';
@@ -23940,6 +24057,89 @@ function processMapper() {
 // UI
 // ============================================================================
 
+// STATE INSPECTOR: the state machine at a glance -- current state + live time in it (the table's timeout, when it
+// has one), the last transitions with their reasons, and time per state for this map and the session. A stall
+// (4min in WALKING_TO_BOSS_CHECKPOINT) shows as one fat row; 'Export' writes the same snapshot to the map audit.
+const INSPECTOR_WARN_MS = 60000;
+const INSPECTOR_STALL_MS = 180000;
+
+function fmtStateMs(ms) {
+  const sec = Math.floor(ms / 1000);
+  return sec >= 60 ? `${Math.floor(sec / 60)}m${String(sec % 60).padStart(2, '0')}s` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function drawStateTotals(scope, now) {
+  const rows = tlTotals(scope, now);
+  if (rows.length === 0) { ImGui.textDisabled('(nothing recorded yet)'); return; }
+  for (const r of rows) {
+    const hot = r.state === currentState;
+    const col = hot ? [1, 1, 0, 1] : [0.8, 0.8, 0.8, 1];
+    const entries = r.entries !== undefined ? `  ${r.entries}x` : '';
+    ImGui.textColored(col, `${(r.share * 100).toFixed(0).padStart(3)}%  ${fmtStateMs(r.ms).padStart(7)}  ${r.state}${entries}`);
+  }
+}
+
+function drawStateInspector() {
+  if (!currentSettings.showStateInspector) return;
+  ImGui.setNextWindowSize({ x: 480, y: 560 }, ImGui.Cond.FirstUseEver);
+  if (!ImGui.begin("Mapper State Inspector", null, ImGui.WindowFlags.None)) {
+    ImGui.end();
+    return;
+  }
+  const now = Date.now();
+  const cur = tlCurrent(now);
+  const inState = cur.state ? cur.sinceMs : 0;
+  const col = inState >= INSPECTOR_STALL_MS ? [1, 0.3, 0.3, 1] : inState >= INSPECTOR_WARN_MS ? [1, 0.8, 0.2, 1] : [0, 1, 0, 1];
+  ImGui.textColored(col, `${currentState}  ${fmtStateMs(inState)}${inState >= INSPECTOR_STALL_MS ? '  (STALLED?)' : ''}`);
+  const timeouts = (STATE_TABLE[currentState] || {}).timeouts || [];
+  if (timeouts.length) {
+    const due = Math.min(...timeouts.map(t => t.afterMs));
+    ImGui.textDisabled(`table timeout: ${fmtStateMs(due)} (${due > inState ? `in ${fmtStateMs(due - inState)}` : 'due'})`);
+  }
+  ImGui.textWrapped(`Status: ${statusMessage || '-'}`);
+
+  if (ImGui.button("Export to map audit")) {
+    if (auditOpenRunInfo()) {
+      mapAudit(`STATES (manual) map=${_auditStartArea || _mapTag || '?'} state=${currentState} for=${fmtStateMs(inState)} ${tlAuditLine(now, 10)}`);
+      log('[Inspector] state snapshot noted on the open run (map_runs.jsonl)');
+    } else {
+      log('[Inspector] no map run open -- snapshot NOT recorded (use Copy instead)');
+    }
+  }
+  ImGui.sameLine();
+  if (ImGui.button("Copy")) ImGui.setClipboardText(`state=${currentState} for=${fmtStateMs(inState)} ${tlAuditLine(now, 10)}`);
+  ImGui.sameLine();
+  if (ImGui.button("Reset session")) tlSessionReset(now);
+
+  const rows = Math.max(5, Math.min(50, Math.floor(Number(currentSettings.stateInspectorRows) || 15)));
+  ImGui.separator();
+  if (ImGui.collapsingHeader(`Transitions (last ${rows})`, ImGui.TreeNodeFlags.DefaultOpen)) {
+    const hist = tlHistory(rows);
+    if (hist.length === 0) ImGui.textDisabled('(no transitions yet)');
+    for (let i = 0; i < hist.length; i++) {
+      const h = hist[i];
+      // how long the state entered by this transition lasted (newest = still open)
+      const lasted = (i === 0 ? now : hist[i - 1].at) - h.at;
+      ImGui.textColored([0.6, 0.6, 0.6, 1], `-${fmtStateMs(now - h.at).padStart(7)}`);
+      ImGui.sameLine();
+      ImGui.text(`${h.from} -> ${h.to} [${fmtStateMs(lasted)}]`);
+      if (h.reason) {
+        ImGui.sameLine();
+        ImGui.textColored([0.6, 0.8, 1, 1], `(${h.reason})`);
+      }
+    }
+  }
+  if (ImGui.collapsingHeader(`This map (${fmtStateMs(now - (tlScopeStartedAt('map') || now))})`, ImGui.TreeNodeFlags.DefaultOpen)) {
+    drawStateTotals('map', now);
+  }
+  if (ImGui.collapsingHeader(`Session (${fmtStateMs(now - (tlScopeStartedAt('session') || now))})`)) {
+    drawStateTotals('session', now);
+  }
+  const rowsVar = new ImGui.MutableVariable(rows);
+  if (ImGui.sliderInt("History rows", rowsVar, 5, 50)) saveSetting('stateInspectorRows', rowsVar.value);
+  ImGui.end();
+}
+
 function drawUI() {
   // Always try to load settings
   if (!settingsLoaded) {
@@ -23970,6 +24170,8 @@ function drawUI() {
   // Only draw UI when plugin window is visible
   if (!Plugins.isUiVisible()) return;
 
+  drawStateInspector();
+
   if (!ImGui.begin("Mapper", null, ImGui.WindowFlags.None)) {
     ImGui.end();
     return;
@@ -23995,6 +24197,9 @@ function drawUI() {
 
   const showDebug = new ImGui.MutableVariable(!!currentSettings.showDebugTools);
   if (ImGui.checkbox("Show Debug Tools", showDebug)) saveSetting('showDebugTools', showDebug.value);
+  ImGui.sameLine();
+  const showInspector = new ImGui.MutableVariable(!!currentSettings.showStateInspector);
+  if (ImGui.checkbox("State Inspector", showInspector)) saveSetting('showStateInspector', showInspector.value);
 
   // --- Full-loop master toggles ---
   const autoPickMaps = new ImGui.MutableVariable(currentSettings.hideoutFlowEnabled !== false);
@@ -24024,6 +24229,19 @@ function drawUI() {
   if (ImGui.checkbox("Draw content MARKERS on RadarV2 minimap (diamonds; dim=done)", drawCM)) saveSetting('drawContentMarkers', drawCM.value);
 
   ImGui.separator();
+  if (ImGui.treeNode("Run Ledger (last 50 maps)")) {
+    // map_runs.jsonl rollup: which maps clear, how fast, and what ends the ones that don't.
+    const rows = runStatsByMap({ last: 50 });
+    if (rows.length === 0) ImGui.textDisabled('(no finished runs recorded yet)');
+    for (const r of rows) {
+      const avg = r.avgClearMs !== null ? `${(r.avgClearMs / 60000).toFixed(1)}min` : '-';
+      const boss = r.avgBossKillMs !== null ? `${(r.avgBossKillMs / 60000).toFixed(1)}min` : '-';
+      ImGui.text(`${r.map}: ${r.cleared}/${r.runs} cleared  avg ${avg}  boss@${boss}  deaths ${r.deaths}  loot ${r.loot}`);
+      const aborts = Object.entries(r.aborts).map(([k, n]) => `${k} x${n}`).join(', ');
+      if (aborts && ImGui.isItemHovered()) ImGui.setTooltip(`ended early: ${aborts}`);
+    }
+    ImGui.treePop();
+  }
   if (ImGui.treeNode("Map Objectives")) {
     const clrInc = new ImGui.MutableVariable(currentSettings.clearIncursion !== false);
     if (ImGui.checkbox("Incursion (Vaal Chests)", clrInc)) saveSetting('clearIncursion', clrInc.value);
@@ -24161,7 +24379,7 @@ function drawUI() {
       if (currentState === STATE.HIDEOUT_SUSPENDED) {
         if (ImGui.button("Retry##hideout")) {
           _wsClearBreaker();   // TASK-81: explicit user action -- re-arm the waystone breaker with the retry
-          setState(STATE.HIDEOUT_CHECK_PORTALS);
+          fireState('retry');
           hideoutSuspendReason = '';
         }
       }
@@ -24658,7 +24876,7 @@ function drawUI() {
           templeGridX = player.gridX;
           templeGridY = player.gridY;
         }
-        setState(STATE.FINDING_BOSS);
+        fireState('skipToBoss');
       }
     }
     ImGui.sameLine();
@@ -25179,3 +25397,4 @@ navConfigure({
 });
 
 export const mapperPlugin = { name: 'Mapper', onDraw };
+export { selectBestUtilityCandidate };
@@ -0,0 +1,19 @@
+import assert from 'node:assert/strict';
+import { runtime } from './poe2_stub.mjs';
+
+const { selectBestUtilityCandidate } = await import('./mapper.js');
+
+// loot detours: priced loot ranks by value per distance, like pickit's own order
+const loot = (id, distance, value) => ({ type: 'loot', id, x: 0, y: 0, priority: 18, distance, source: 'pickit', meta: { name: `#${id}`, value } });
+const cheapNear = loot(1, 10, 1);         // a transmute at the player's feet
+const dearFar = loot(2, 80, 150);         // a divine across the room
+assert.equal(selectBestUtilityCandidate([cheapNear, dearFar]), dearFar);
+assert.equal(selectBestUtilityCandidate([dearFar, cheapNear]), dearFar);
+// unpriced (no table): nearest still wins, as before
+assert.equal(selectBestUtilityCandidate([loot(3, 10, null), loot(4, 80, null)]).id, 3);
+// the bonus is capped: a mirror far away doesn't beat a shrine next to the player
+const shrine = { type: 'openable', id: 5, x: 0, y: 0, priority: 24, distance: 15, meta: { name: 'Shrine', openableType: 'Shrine' } };
+assert.equal(selectBestUtilityCandidate([loot(6, 300, 100000), shrine]), shrine);
+assert.equal(selectBestUtilityCandidate([]), null);
+
+runtime.print('mapper tests passed');
@@ -0,0 +1,356 @@
+/**
+ * mapper_states.js — the mapper's STATE enum + declarative transition table.
+ *
+ * Pure and game-API free on purpose (like route_policy.js): the table says WHICH state follows which event,
+ * guard or timeout; mapper.js is the executor that reads the game, fills a plain ctx object, runs the side
+ * effects (packets, blacklists) and calls setState. Testable with plain node (mapper_states.test.mjs) and
+ * renderable as a graph (stateGraphDot) without loading the mapper runtime.
+ *
+ * Table shape, per state:
+ *   phase     'idle' | 'hideout' | 'map'
+ *   on        { eventName: edge | edge[] }  -- first edge whose guard passes wins
+ *   timeouts  [ { afterMs, ...edge } ]      -- checked in order against time-in-state (strict >)
+ * edge = { to, guard?: (ctx) => bool, reason?, action?, stall? }. `action` names a side effect the executor runs
+ * BEFORE entering `to`:
+ *   restartNode   blacklist the atlas node + clear every per-node counter (start a different map from scratch)
+ *   rejectNode    blacklist the atlas node + forget the placed waystone (the other counters carry over)
+ *   suspend       record the suspend reason (ctx.code / ctx.detail, else the edge reason)
+ *   forgetBoss    drop the boss target (found / id / checkpoint) so FINDING_BOSS re-acquires from scratch
+ * `stall` marks a failsafe edge (the expected progress never came: a timeout, or a node restart after the waystone
+ * or portal entry failed) -- the session stats count those by reason.
+ *
+ * mapper.js changes state ONLY by firing events / checking timeouts here; an event with no edge from the current
+ * state is logged and ignored.
+ */
+
+export const STATE = Object.freeze({
+  IDLE: 'IDLE',
+  // Hideout flow states
+  HIDEOUT_CHECK_PORTALS: 'HIDEOUT_CHECK_PORTALS',
+  HIDEOUT_OPEN_MAP_DEVICE: 'HIDEOUT_OPEN_MAP_DEVICE',
+  HIDEOUT_WAIT_ATLAS: 'HIDEOUT_WAIT_ATLAS',
+  HIDEOUT_SELECT_MAP: 'HIDEOUT_SELECT_MAP',
+  HIDEOUT_WAIT_TPM: 'HIDEOUT_WAIT_TPM',
+  HIDEOUT_PLACE_WAYSTONE: 'HIDEOUT_PLACE_WAYSTONE',
+  HIDEOUT_PLACE_PRECURSORS: 'HIDEOUT_PLACE_PRECURSORS',
+  HIDEOUT_ACTIVATE_MAP: 'HIDEOUT_ACTIVATE_MAP',
+  HIDEOUT_WAIT_PORTAL: 'HIDEOUT_WAIT_PORTAL',
+  HIDEOUT_ENTER_PORTAL: 'HIDEOUT_ENTER_PORTAL',
+  HIDEOUT_SUSPENDED: 'HIDEOUT_SUSPENDED',
+  // In-map states
+  FINDING_TEMPLE: 'FINDING_TEMPLE',
+  WALKING_TO_TEMPLE: 'WALKING_TO_TEMPLE',
+  CLEARING_TEMPLE: 'CLEARING_TEMPLE',
+  FINDING_BOSS: 'FINDING_BOSS',
+  WALKING_TO_UTILITY: 'WALKING_TO_UTILITY',
+  WALKING_TO_BOSS_CHECKPOINT: 'WALKING_TO_BOSS_CHECKPOINT',
+  WALKING_TO_BOSS_MELEE: 'WALKING_TO_BOSS_MELEE',
+  FIGHTING_BOSS: 'FIGHTING_BOSS',
+  MAP_COMPLETE: 'MAP_COMPLETE',
+});
+
+const S = STATE;
+
+// Placement step after the waystone is in: precursor tablets only when enabled.
+const afterWaystone = (reason) => [
+  { to: S.HIDEOUT_PLACE_PRECURSORS, guard: c => !!c.enablePrecursors, reason },
+  { to: S.HIDEOUT_ACTIVATE_MAP, reason },
+];
+
+// A utility detour returns to whichever state it interrupted (ctx.resumeState).
+const UTILITY_RESUME_STATES = [
+  S.FINDING_TEMPLE, S.WALKING_TO_TEMPLE, S.CLEARING_TEMPLE, S.FINDING_BOSS, S.WALKING_TO_BOSS_CHECKPOINT,
+  S.WALKING_TO_BOSS_MELEE, S.MAP_COMPLETE,
+];
+
+// Boss approach may not hold a map 10min without a transition; a fight may not run 150s with zero proven damage.
+export const BOSS_APPROACH_STALE_MS = 600000;
+export const BOSS_ZERO_DAMAGE_MS = 150000;
+const bossApproachStale = { afterMs: BOSS_APPROACH_STALE_MS, to: S.FINDING_BOSS, reason: 'boss approach stale -> re-finding', stall: true };
+
+export const STATE_TABLE = Object.freeze({
+  [S.IDLE]: {
+    phase: 'idle',
+    on: {
+      hideoutEntered: { to: S.HIDEOUT_CHECK_PORTALS, reason: 'in hideout' },
+      mapEntered: { to: S.FINDING_BOSS, reason: 'boss-only mapping' },
+    },
+  },
+
+  // ----- hideout -----
+  [S.HIDEOUT_CHECK_PORTALS]: {
+    phase: 'hideout',
+    on: {
+      portalFound: { to: S.HIDEOUT_ENTER_PORTAL, reason: 'active map portal found' },
+      noPortal: { to: S.HIDEOUT_OPEN_MAP_DEVICE, reason: 'no active portals' },
+    },
+  },
+  [S.HIDEOUT_OPEN_MAP_DEVICE]: {
+    phase: 'hideout',
+    on: {
+      atlasOpen: { to: S.HIDEOUT_SELECT_MAP, reason: 'atlas panel already open' },
+      deviceInteracted: { to: S.HIDEOUT_WAIT_ATLAS, reason: 'map device interacted' },
+    },
+  },
+  [S.HIDEOUT_WAIT_ATLAS]: {
+    phase: 'hideout',
+    on: {
+      atlasOpen: { to: S.HIDEOUT_SELECT_MAP, reason: 'atlas panel opened' },
+    },
+    timeouts: [
+      { afterMs: 5000, to: S.HIDEOUT_OPEN_MAP_DEVICE, reason: 'atlas panel timeout -> retrying', stall: true },
+    ],
+  },
+  [S.HIDEOUT_SELECT_MAP]: {
+    phase: 'hideout',
+    on: {
+      nodeSelected: { to: S.HIDEOUT_WAIT_TPM, reason: 'atlas node selected' },
+    },
+    timeouts: [
+      // Node data may take a moment to populate after the atlas opens.
+      { afterMs: 3000, guard: c => !c.nodeFound, to: S.HIDEOUT_SUSPENDED, action: 'suspend', reason: 'NO_UNCOMPLETED_MAPS' },
+    ],
+  },
+  [S.HIDEOUT_WAIT_TPM]: {
+    phase: 'hideout',
+    timeouts: [
+      ...afterWaystone('TPM ready early (waystone slot populated)')
+        .map(e => ({ ...e, afterMs: 1000, guard: c => !!c.tpmHasWaystone && (!e.guard || e.guard(c)) })),
+      { afterMs: 2000, to: S.HIDEOUT_PLACE_WAYSTONE, reason: 'TPM wait elapsed' },
+    ],
+  },
+  [S.HIDEOUT_PLACE_WAYSTONE]: {
+    phase: 'hideout',
+    on: {
+      waystonePlaced: afterWaystone('waystone in TPM slot'),
+      nodeRejected: { to: S.HIDEOUT_OPEN_MAP_DEVICE, action: 'rejectNode', reason: 'waystone not accepted -> different node', stall: true },
+    },
+  },
+  [S.HIDEOUT_PLACE_PRECURSORS]: {
+    phase: 'hideout',
+    on: {
+      precursorsDone: { to: S.HIDEOUT_ACTIVATE_MAP, reason: 'tablets placed' },
+    },
+  },
+  [S.HIDEOUT_ACTIVATE_MAP]: {
+    phase: 'hideout',
+    on: {
+      stoneSpent: { to: S.HIDEOUT_WAIT_PORTAL, reason: 'stone consumed -> free re-activation' },
+      waystoneMissing: { to: S.HIDEOUT_PLACE_WAYSTONE, reason: 'waystone missing from TPM' },
+      precursorMismatch: { to: S.HIDEOUT_PLACE_PRECURSORS, reason: 'precursor count mismatch' },
+      traverseSent: { to: S.HIDEOUT_WAIT_PORTAL, reason: 'activation packet sent' },
+    },
+  },
+  [S.HIDEOUT_WAIT_PORTAL]: {
+    phase: 'hideout',
+    on: {
+      portalSpawned: { to: S.HIDEOUT_ENTER_PORTAL, reason: 'map portal spawned' },
+    },
+    timeouts: [
+      { afterMs: 10000, guard: c => (c.traverseAttempts || 0) < 3, to: S.HIDEOUT_ACTIVATE_MAP, reason: 'portal timeout -> retrying traverse', stall: true },
+      // 3 attempts and still no portal = this node won't activate (quest-locked). Retrying it never works.
+      { afterMs: 10000, to: S.HIDEOUT_OPEN_MAP_DEVICE, action: 'restartNode', reason: 'no portal after 3 traverse attempts', stall: true },
+    ],
+  },
+  [S.HIDEOUT_ENTER_PORTAL]: {
+    phase: 'hideout',
+    on: {
+      portalLost: { to: S.HIDEOUT_WAIT_PORTAL, reason: 'portal disappeared' },
+      freshPortalScan: { to: S.HIDEOUT_WAIT_PORTAL, reason: 'enter attempts exhausted, stone spent -> fresh scan' },
+      enterFailed: { to: S.HIDEOUT_OPEN_MAP_DEVICE, action: 'restartNode', reason: 'portal entry failed', stall: true },
+    },
+  },
+  [S.HIDEOUT_SUSPENDED]: {
+    phase: 'hideout',
+    on: {
+      retry: { to: S.HIDEOUT_CHECK_PORTALS, reason: 'manual retry' },
+    },
+  },
+
+  // ----- map -----
+  [S.FINDING_TEMPLE]: {
+    phase: 'map',
+    on: {
+      templeFound: { to: S.WALKING_TO_TEMPLE, reason: 'temple located' },
+      templeDone: { to: S.FINDING_BOSS, reason: 'temple cleared or absent' },
+    },
+  },
+  [S.WALKING_TO_TEMPLE]: {
+    phase: 'map',
+    on: {
+      arrived: { to: S.CLEARING_TEMPLE, reason: 'arrived at temple' },
+      exploreLegDone: { to: S.FINDING_TEMPLE, reason: 'explore leg reached -> keep searching' },
+      templeLost: { to: S.FINDING_TEMPLE, reason: 'temple unreachable -> explore' },
+      templeDone: { to: S.FINDING_BOSS, reason: 'temple cleared' },
+      bossEncountered: { to: S.FINDING_BOSS, reason: 'boss encountered en route to temple' },
+    },
+  },
+  [S.CLEARING_TEMPLE]: {
+    phase: 'map',
+    on: {
+      templeDone: { to: S.FINDING_BOSS, reason: 'temple cleared' },
+    },
+  },
+  [S.FINDING_BOSS]: {
+    phase: 'map',
+    on: {
+      bossAnchor: { to: S.WALKING_TO_BOSS_CHECKPOINT, reason: 'boss arena located' },
+      bossStreamed: { to: S.WALKING_TO_BOSS_MELEE, reason: 'objective boss streamed' },
+    },
+  },
+  [S.WALKING_TO_UTILITY]: {
+    phase: 'map',
+    on: {
+      utilityDone: UTILITY_RESUME_STATES.map(s => ({ to: s, guard: c => c.resumeState === s, reason: 'detour done' })),
+    },
+  },
+  [S.WALKING_TO_BOSS_CHECKPOINT]: {
+    phase: 'map',
+    on: {
+      bossEngaged: { to: S.WALKING_TO_BOSS_MELEE, reason: 'boss engaged / anchor unreachable' },
+      approachLost: { to: S.FINDING_BOSS, reason: 'approach cooling -> explore' },
+      templeHandoff: { to: S.WALKING_TO_TEMPLE, reason: 'late temple handoff' },
+    },
+    timeouts: [bossApproachStale],
+  },
+  [S.WALKING_TO_BOSS_MELEE]: {
+    phase: 'map',
+    on: {
+      bossInRange: { to: S.FIGHTING_BOSS, reason: 'boss within engage range' },
+      approachLost: { to: S.FINDING_BOSS, reason: 'boss lost -> re-finding' },
+    },
+    timeouts: [bossApproachStale],
+  },
+  [S.FIGHTING_BOSS]: {
+    phase: 'map',
+    on: {
+      bossKilled: { to: S.MAP_COMPLETE, reason: 'boss dead' },
+      bossLost: { to: S.FINDING_BOSS, reason: 'boss gone, objective incomplete' },
+      resumeTemple: { to: S.FINDING_TEMPLE, reason: 'boss done before temple' },
+      repositionStuck: { to: S.WALKING_TO_BOSS_MELEE, reason: 'reposition stuck -> re-path' },
+    },
+    timeouts: [
+      { afterMs: BOSS_ZERO_DAMAGE_MS, guard: c => !c.bossDamageProven, to: S.FINDING_BOSS, action: 'forgetBoss', reason: 'zero-damage standoff -> re-finding', stall: true },
+    ],
+  },
+  [S.MAP_COMPLETE]: {
+    phase: 'map',
+    on: {
+      objectiveIncomplete: { to: S.FINDING_BOSS, reason: 'main objective incomplete -> boss-find' },
+    },
+  },
+});
+
+// Edges every state of a phase has (kept out of the per-state rows so the graph stays readable).
+export const PHASE_EDGES = Object.freeze([
+  { from: '*', on: 'reset', to: S.IDLE, reason: 'mapper reset' },
+  { from: 'hideout', on: 'suspend', to: S.HIDEOUT_SUSPENDED, action: 'suspend', reason: 'hideout step failed' },
+  { from: 'map', on: 'objectiveComplete', to: S.MAP_COMPLETE, reason: 'map objective complete' },
+  { from: 'map', on: 'hardAbandon', to: S.MAP_COMPLETE, reason: 'map over hard time cap' },
+  { from: 'map', on: 'utilityDetour', to: S.WALKING_TO_UTILITY, reason: 'utility detour' },
+  { from: 'map', on: 'refindBoss', to: S.FINDING_BOSS, reason: 'boss re-acquire' },
+  { from: '*', on: 'skipToBoss', to: S.FINDING_BOSS, reason: 'manual skip to boss' },
+]);
+
+export function statePhase(state) {
+  const row = STATE_TABLE[state];
+  return row ? row.phase : '';
+}
+
+function asList(edges) {
+  if (!edges) return [];
+  return Array.isArray(edges) ? edges : [edges];
+}
+
+function phaseEdges(state, event) {
+  const phase = statePhase(state);
+  return PHASE_EDGES.filter(e => e.on === event && (e.from === '*' || e.from === phase) && e.to !== state);
+}
+
+function pick(from, event, edges, ctx) {
+  for (const e of edges) {
+    if (e.guard && !e.guard(ctx || {})) continue;
+    return { from, to: e.to, event, reason: e.reason || event, action: e.action || '', stall: !!e.stall };
+  }
+  return null;
+}
+
+/**
+ * The transition `event` causes from `state`, or null when the table has none (stay put).
+ * Result: { from, to, event, reason, action, stall }.
+ */
+export function nextOnEvent(state, event, ctx) {
+  const row = STATE_TABLE[state];
+  if (!row) return null;
+  return pick(state, event, asList(row.on && row.on[event]).concat(phaseEdges(state, event)), ctx);
+}
+
+/** The timeout transition due after `elapsedMs` in `state`, or null. Same result shape, event 'timeout'. */
+export function nextOnTimeout(state, elapsedMs, ctx) {
+  const row = STATE_TABLE[state];
+  if (!row || !row.timeouts || !Number.isFinite(elapsedMs)) return null;
+  return pick(state, 'timeout', row.timeouts.filter(t => elapsedMs > t.afterMs), ctx);
+}
+
+/** Every declared edge, flattened: [{ from, to, event, afterMs?, guarded, reason, action }]. */
+export function listTransitions() {
+  const out = [];
+  const push = (from, event, e, afterMs) => out.push({
+    from, to: e.to, event, afterMs, guarded: !!e.guard, reason: e.reason || event, action: e.action || '',
+  });
+  for (const from of Object.keys(STATE_TABLE)) {
+    const row = STATE_TABLE[from];
+    for (const event of Object.keys(row.on || {})) for (const e of asList(row.on[event])) push(from, event, e);
+    for (const t of (row.timeouts || [])) push(from, 'timeout', t, t.afterMs);
+    for (const e of PHASE_EDGES) {
+      if ((e.from === '*' || e.from === row.phase) && e.to !== from) push(from, e.on, e);
+    }
+  }
+  return out;
+}
+
+let _declared = null;
+
+/** Does the table declare ANY edge from -> to? (The executor warns on the ones it doesn't.) */
+export function isDeclaredTransition(from, to) {
+  if (!_declared) _declared = new Set(listTransitions().map(t => `${t.from}>${t.to}`));
+  return _declared.has(`${from}>${to}`);
+}
+
+/** Table sanity: unknown targets, states without a row, rows without a way out. [] = clean. */
+export function validateStateTable() {
+  const problems = [];
+  const states = new Set(Object.values(STATE));
+  for (const s of states) if (!STATE_TABLE[s]) problems.push(`${s}: no table row`);
+  const outgoing = new Set();
+  for (const t of listTransitions()) {
+    if (!states.has(t.to)) problems.push(`${t.from} --${t.event}--> ${t.to}: unknown target`);
+    if (t.event === 'timeout' && !(t.afterMs > 0)) problems.push(`${t.from}: timeout without afterMs`);
+    outgoing.add(t.from);
+  }
+  for (const s of states) if (!outgoing.has(s)) problems.push(`${s}: no outgoing transition`);
+  return problems;
+}
+
+/**
+ * Graphviz DOT of the table. Phase-wide edges are drawn per state only when `includePhaseEdges` -- they are
+ * on every state and otherwise bury the flow.
+ */
+export function stateGraphDot({ includePhaseEdges = false } = {}) {
+  const phaseKeys = new Set(PHASE_EDGES.map(e => e.on));
+  const lines = ['digraph mapper {', '  rankdir=LR;', '  node [shape=box, fontname="monospace"];'];
+  for (const phase of ['hideout', 'map']) {
+    lines.push(`  subgraph cluster_${phase} {`, `    label="${phase}";`);
+    for (const s of Object.keys(STATE_TABLE)) if (STATE_TABLE[s].phase === phase) lines.push(`    ${s};`);
+    lines.push('  }');
+  }
+  for (const t of listTransitions()) {
+    if (!includePhaseEdges && phaseKeys.has(t.event) && !(STATE_TABLE[t.from].on || {})[t.event]) continue;
+    let label = t.event === 'timeout' ? `timeout ${t.afterMs / 1000}s` : t.event;
+    if (t.guarded) label += ' [guard]';
+    if (t.action) label += ` / ${t.action}`;
+    lines.push(`  ${t.from} -> ${t.to} [label="${label}"${t.event === 'timeout' ? ', style=dashed' : ''}];`);
+  }
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
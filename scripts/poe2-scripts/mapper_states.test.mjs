@@ -0,0 +1,169 @@
+import assert from 'node:assert/strict';
+import {
+  STATE,
+  STATE_TABLE,
+  nextOnEvent,
+  nextOnTimeout,
+  isDeclaredTransition,
+  listTransitions,
+  validateStateTable,
+  stateGraphDot,
+  statePhase,
+} from './mapper_states.js';
+
+assert.deepEqual(validateStateTable(), []);
+assert.equal(statePhase(STATE.HIDEOUT_WAIT_PORTAL), 'hideout');
+assert.equal(statePhase(STATE.FIGHTING_BOSS), 'map');
+assert.equal(statePhase('NOPE'), '');
+
+// events: unknown event / unknown state = stay put
+assert.equal(nextOnEvent(STATE.HIDEOUT_WAIT_ATLAS, 'portalSpawned'), null);
+assert.equal(nextOnEvent('NOPE', 'reset'), null);
+assert.equal(nextOnEvent(STATE.HIDEOUT_WAIT_ATLAS, 'atlasOpen').to, STATE.HIDEOUT_SELECT_MAP);
+// guards pick the first passing edge
+assert.equal(nextOnEvent(STATE.HIDEOUT_PLACE_WAYSTONE, 'waystonePlaced', { enablePrecursors: true }).to, STATE.HIDEOUT_PLACE_PRECURSORS);
+assert.equal(nextOnEvent(STATE.HIDEOUT_PLACE_WAYSTONE, 'waystonePlaced', {}).to, STATE.HIDEOUT_ACTIVATE_MAP);
+assert.equal(nextOnEvent(STATE.WALKING_TO_UTILITY, 'utilityDone', { resumeState: STATE.WALKING_TO_BOSS_CHECKPOINT }).to,
+  STATE.WALKING_TO_BOSS_CHECKPOINT);
+assert.equal(nextOnEvent(STATE.WALKING_TO_UTILITY, 'utilityDone', { resumeState: STATE.IDLE }), null);
+// phase-wide edges: hideout states suspend, map states complete, never a self-edge
+assert.equal(nextOnEvent(STATE.HIDEOUT_SELECT_MAP, 'suspend').action, 'suspend');
+assert.equal(nextOnEvent(STATE.FINDING_BOSS, 'suspend'), null);
+assert.equal(nextOnEvent(STATE.WALKING_TO_TEMPLE, 'objectiveComplete').to, STATE.MAP_COMPLETE);
+assert.equal(nextOnEvent(STATE.MAP_COMPLETE, 'objectiveComplete'), null);
+assert.equal(nextOnEvent(STATE.FIGHTING_BOSS, 'reset').to, STATE.IDLE);
+
+// timeouts are strict (> afterMs) and ordered
+assert.equal(nextOnTimeout(STATE.HIDEOUT_WAIT_ATLAS, 5000), null);
+assert.equal(nextOnTimeout(STATE.HIDEOUT_WAIT_ATLAS, 5001).to, STATE.HIDEOUT_OPEN_MAP_DEVICE);
+assert.equal(nextOnTimeout(STATE.HIDEOUT_WAIT_TPM, 1500, { tpmHasWaystone: false }), null);
+assert.equal(nextOnTimeout(STATE.HIDEOUT_WAIT_TPM, 1500, { tpmHasWaystone: true }).to, STATE.HIDEOUT_ACTIVATE_MAP);
+assert.equal(nextOnTimeout(STATE.HIDEOUT_WAIT_TPM, 1500, { tpmHasWaystone: true, enablePrecursors: true }).to,
+  STATE.HIDEOUT_PLACE_PRECURSORS);
+assert.equal(nextOnTimeout(STATE.HIDEOUT_WAIT_TPM, 2001, {}).to, STATE.HIDEOUT_PLACE_WAYSTONE);
+assert.equal(nextOnTimeout(STATE.HIDEOUT_SELECT_MAP, 3001, { nodeFound: true }), null);
+assert.equal(nextOnTimeout(STATE.HIDEOUT_SELECT_MAP, 3001, { nodeFound: false }).action, 'suspend');
+assert.equal(nextOnTimeout(STATE.FIGHTING_BOSS, 150001, { bossDamageProven: true }), null);
+assert.equal(nextOnTimeout(STATE.FIGHTING_BOSS, 150001, { bossDamageProven: false }).to, STATE.FINDING_BOSS);
+assert.equal(nextOnTimeout(STATE.WALKING_TO_BOSS_MELEE, 600001).to, STATE.FINDING_BOSS);
+assert.equal(nextOnTimeout(STATE.FINDING_BOSS, 1e9), null);
+assert.equal(nextOnTimeout(STATE.HIDEOUT_WAIT_ATLAS, NaN), null);
+// failsafe timeouts are flagged for the session stats; the normal TPM wait is not a stall
+assert.equal(nextOnTimeout(STATE.FIGHTING_BOSS, 150001, { bossDamageProven: false }).stall, true);
+assert.equal(nextOnTimeout(STATE.HIDEOUT_WAIT_PORTAL, 10001, { traverseAttempts: 3 }).stall, true);
+assert.equal(nextOnTimeout(STATE.HIDEOUT_WAIT_TPM, 1500, { tpmHasWaystone: true }).stall, false);
+assert.equal(nextOnEvent(STATE.HIDEOUT_WAIT_ATLAS, 'atlasOpen').stall, false);
+// ...and so are the node restarts after a refused waystone / failed portal entry
+assert.equal(nextOnEvent(STATE.HIDEOUT_PLACE_WAYSTONE, 'nodeRejected').stall, true);
+assert.equal(nextOnEvent(STATE.HIDEOUT_ENTER_PORTAL, 'enterFailed').stall, true);
+
+// "the portal never appears": drive a minimal executor (the mapper's role) through the hideout flow with a game
+// that answers every step except the portal spawn. Each traverse times out, 3 attempts, then the node restarts.
+function runHideout({ portalEverSpawns, maxSteps = 60 }) {
+  let state = STATE.HIDEOUT_CHECK_PORTALS;
+  let elapsed = 0;
+  let attempts = 0;
+  const trace = [];
+  const apply = (t) => {
+    if (!t) return false;
+    trace.push(`${t.from}>${t.to}${t.action ? ':' + t.action : ''}`);
+    if (t.action === 'restartNode') attempts = 0;
+    state = t.to;
+    elapsed = 0;
+    return true;
+  };
+  for (let i = 0; i < maxSteps; i++) {
+    switch (state) {
+      case STATE.HIDEOUT_CHECK_PORTALS: apply(nextOnEvent(state, 'noPortal')); break;
+      case STATE.HIDEOUT_OPEN_MAP_DEVICE: apply(nextOnEvent(state, 'deviceInteracted')); break;
+      case STATE.HIDEOUT_WAIT_ATLAS: apply(nextOnEvent(state, 'atlasOpen')); break;
+      case STATE.HIDEOUT_SELECT_MAP: apply(nextOnEvent(state, 'nodeSelected')); break;
+      case STATE.HIDEOUT_WAIT_TPM:
+        elapsed += 500;
+        apply(nextOnTimeout(state, elapsed, { tpmHasWaystone: false }));
+        break;
+      case STATE.HIDEOUT_PLACE_WAYSTONE: apply(nextOnEvent(state, 'waystonePlaced', {})); break;
+      case STATE.HIDEOUT_ACTIVATE_MAP: attempts++; apply(nextOnEvent(state, 'traverseSent')); break;
+      case STATE.HIDEOUT_WAIT_PORTAL:
+        if (portalEverSpawns) { apply(nextOnEvent(state, 'portalSpawned')); break; }
+        elapsed += 2500;
+        apply(nextOnTimeout(state, elapsed, { traverseAttempts: attempts }));
+        break;
+      default:
+        return { state, trace };
+    }
+    if (trace.filter(x => x.endsWith(':restartNode')).length >= 2) break;
+  }
+  return { state, trace };
+}
+
+const lucky = runHideout({ portalEverSpawns: true });
+assert.equal(lucky.state, STATE.HIDEOUT_ENTER_PORTAL);
+
+const stuck = runHideout({ portalEverSpawns: false });
+const retries = stuck.trace.filter(x => x === 'HIDEOUT_WAIT_PORTAL>HIDEOUT_ACTIVATE_MAP');
+const restarts = stuck.trace.filter(x => x === 'HIDEOUT_WAIT_PORTAL>HIDEOUT_OPEN_MAP_DEVICE:restartNode');
+assert.equal(restarts.length, 2);        // never wedges: every 3rd timeout gives up the node and starts another
+assert.equal(retries.length, 4);         // 2 re-traverses per node before giving up
+assert.ok(!stuck.trace.some(x => x.includes('HIDEOUT_SUSPENDED')));
+
+// in-map flow: mapper.js only moves by firing these events, so a missing row here = the mapper stays put
+function walk(start, steps) {
+  let state = start;
+  const trace = [state];
+  for (const [event, ctx] of steps) {
+    const t = nextOnEvent(state, event, ctx);
+    assert.ok(t, `no '${event}' edge from ${state}`);
+    state = t.to;
+    trace.push(state);
+  }
+  return trace;
+}
+assert.deepEqual(walk(STATE.IDLE, [['mapEntered'], ['bossAnchor'], ['bossEngaged'], ['bossInRange'], ['bossKilled']]),
+  [STATE.IDLE, STATE.FINDING_BOSS, STATE.WALKING_TO_BOSS_CHECKPOINT, STATE.WALKING_TO_BOSS_MELEE, STATE.FIGHTING_BOSS, STATE.MAP_COMPLETE]);
+assert.deepEqual(walk(STATE.FINDING_TEMPLE, [['templeFound'], ['exploreLegDone'], ['templeFound'], ['arrived'], ['templeDone']]).slice(-3),
+  [STATE.WALKING_TO_TEMPLE, STATE.CLEARING_TEMPLE, STATE.FINDING_BOSS]);
+assert.deepEqual(walk(STATE.WALKING_TO_TEMPLE, [['bossEncountered'], ['bossStreamed'], ['approachLost'], ['bossAnchor'], ['templeHandoff']]),
+  [STATE.WALKING_TO_TEMPLE, STATE.FINDING_BOSS, STATE.WALKING_TO_BOSS_MELEE, STATE.FINDING_BOSS, STATE.WALKING_TO_BOSS_CHECKPOINT, STATE.WALKING_TO_TEMPLE]);
+assert.deepEqual(walk(STATE.FIGHTING_BOSS, [['repositionStuck'], ['bossInRange'], ['bossLost']]).slice(1),
+  [STATE.WALKING_TO_BOSS_MELEE, STATE.FIGHTING_BOSS, STATE.FINDING_BOSS]);
+assert.equal(nextOnEvent(STATE.FIGHTING_BOSS, 'resumeTemple').to, STATE.FINDING_TEMPLE);
+assert.equal(nextOnEvent(STATE.MAP_COMPLETE, 'objectiveIncomplete').to, STATE.FINDING_BOSS);
+// events only count where the table has them
+assert.equal(nextOnEvent(STATE.FINDING_BOSS, 'bossKilled'), null);
+assert.equal(nextOnEvent(STATE.FINDING_BOSS, 'templeHandoff'), null);        // late handoff only leaves the checkpoint walk
+assert.equal(nextOnEvent(STATE.MAP_COMPLETE, 'bossInRange'), null);
+assert.equal(nextOnEvent(STATE.CLEARING_TEMPLE, 'arrived'), null);
+
+// phase-wide: every map state can finish / abandon / re-find; a detour returns to the state it interrupted
+const mapStates = Object.keys(STATE_TABLE).filter(s => statePhase(s) === 'map');
+for (const s of mapStates) {
+  if (s !== STATE.MAP_COMPLETE) {
+    assert.equal(nextOnEvent(s, 'objectiveComplete').to, STATE.MAP_COMPLETE);
+    assert.equal(nextOnEvent(s, 'hardAbandon').to, STATE.MAP_COMPLETE);
+  }
+  if (s !== STATE.FINDING_BOSS) assert.equal(nextOnEvent(s, 'refindBoss').to, STATE.FINDING_BOSS);
+  if (s === STATE.WALKING_TO_UTILITY || s === STATE.FIGHTING_BOSS) continue;
+  assert.deepEqual(walk(s, [['utilityDetour'], ['utilityDone', { resumeState: s }]]), [s, STATE.WALKING_TO_UTILITY, s]);
+}
+assert.equal(nextOnEvent(STATE.WALKING_TO_TEMPLE, 'skipToBoss').to, STATE.FINDING_BOSS);
+assert.equal(nextOnEvent(STATE.FINDING_BOSS, 'skipToBoss'), null);
+
+// side effects ride the edge: the executor runs them before entering the target
+assert.equal(nextOnEvent(STATE.HIDEOUT_PLACE_WAYSTONE, 'nodeRejected').action, 'rejectNode');     // keeps traverse/enter counters
+assert.equal(nextOnEvent(STATE.HIDEOUT_ENTER_PORTAL, 'enterFailed').action, 'restartNode');
+assert.equal(nextOnTimeout(STATE.FIGHTING_BOSS, 150001, { bossDamageProven: false }).action, 'forgetBoss');
+assert.equal(nextOnTimeout(STATE.WALKING_TO_BOSS_MELEE, 600001).action, '');
+assert.ok(isDeclaredTransition(STATE.HIDEOUT_ENTER_PORTAL, STATE.HIDEOUT_OPEN_MAP_DEVICE));
+assert.ok(isDeclaredTransition(STATE.WALKING_TO_BOSS_MELEE, STATE.FIGHTING_BOSS));
+assert.ok(!isDeclaredTransition(STATE.HIDEOUT_WAIT_ATLAS, STATE.FIGHTING_BOSS));
+for (const s of Object.keys(STATE_TABLE)) assert.equal(STATE[s], s);
+
+// graph render
+const dot = stateGraphDot();
+assert.ok(dot.startsWith('digraph mapper {'));
+assert.ok(dot.includes('HIDEOUT_WAIT_PORTAL -> HIDEOUT_OPEN_MAP_DEVICE [label="timeout 10s / restartNode", style=dashed];'));
+assert.ok(!dot.includes('-> IDLE'));
+assert.ok(stateGraphDot({ includePhaseEdges: true }).includes('FIGHTING_BOSS -> IDLE [label="reset"];'));
+
+console.log('mapper_states tests passed');
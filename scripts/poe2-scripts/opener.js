@@ -11,6 +11,7 @@
 
 import { POE2Cache, poe2 } from './poe2_cache.js';
 import { Settings } from './Settings.js';
+import { statsEvent } from './session_stats.js';
 
 // Plugin name for settings
 const PLUGIN_NAME = 'opener';
@@ -36,6 +37,14 @@ const DEFAULT_SETTINGS = {
   showLastOpened: true         // Show last opened chest info
 };
 
+export const SETTINGS_SCHEMA = Settings.defineSchema(PLUGIN_NAME, DEFAULT_SETTINGS, {
+  fields: {
+    maxDistance: { min: 20, max: 200, int: true },
+    openCooldownMs: { min: 100, max: 1000, int: true },
+    visibilityMode: { enum: [0, 1, 2] },
+  },
+});
+
 // Current settings (will be loaded from file)
 let currentSettings = { ...DEFAULT_SETTINGS };
 let currentPlayerName = null;
@@ -482,7 +491,8 @@ function serializeOpenBlacklist() {
     if (typeof key !== 'string' || !key || !rec) continue;
     out.push([key, {
       attempts: num(rec.attempts), lastAttemptTime: num(rec.lastAttemptTime),
-      banned: !!rec.banned, until: num(rec.until), freeRetries: num(rec.freeRetries), t: rec.t
+      banned: !!rec.banned, until: num(rec.until), freeRetries: num(rec.freeRetries), t: rec.t,
+      statsCounted: !!rec.statsCounted
     }]);
   }
   return out;
@@ -499,7 +509,8 @@ function restoreOpenBlacklist(arr) {
     if (cur && num(cur.lastAttemptTime) >= num(rec.lastAttemptTime)) continue;   // live record already newer -> keep it
     openBlacklist.set(key, {
       attempts: num(rec.attempts), lastAttemptTime: num(rec.lastAttemptTime),
-      banned: !!rec.banned, until: num(rec.until), freeRetries: num(rec.freeRetries), t: rec.t
+      banned: !!rec.banned, until: num(rec.until), freeRetries: num(rec.freeRetries), t: rec.t,
+      statsCounted: !!rec.statsCounted
     });
     n++;
   }
@@ -1005,6 +1016,12 @@ function processAutoOpen() {
       const idHex = `0x${lastOpenedChestId.toString(16).toUpperCase()}`;
 
       console.log(`[Opener] Opened ${target.type}: ${shortName} (ID: ${idHex}, Dist: ${target.distance.toFixed(1)})`);
+      // Session stats: one 'opened' per target (the first send), not per retry click; doors are traversal, not loot.
+      const _statRec = openBlacklist.get(getOpenKey(target.entity));
+      if (_statRec && !_statRec.statsCounted && target.type !== 'Door') {
+        _statRec.statsCounted = true;
+        statsEvent('opened', { type: target.type }, now);
+      }
       if (_committing) console.log(`[Opener] commit-click ${shortName} at ${target.distance.toFixed(0)}u`);
       // TASK-56 B: a shrine buff needs the touch -- schedule a collection check; if it's still targetable in ~3s the
       // auto-walk whiffed and we clear its cooldown to re-approach (runShrineCollectVerify).
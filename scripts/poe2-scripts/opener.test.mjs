@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { runtime } from './poe2_stub.mjs';
+
+runtime.files.set('../../data/settings.json', JSON.stringify({ players: { Tester: { opener: { enabled: true } } } }));
+
+const { POE2Cache } = await import('./poe2_cache.js');
+const { openerPlugin, isExcludedByName } = await import('./opener.js');
+
+const terrain = { isValid: true, width: 400, height: 400 };
+const player = { playerName: 'Tester', address: 1, gridX: 100, gridY: 100, healthCurrent: 1000, healthMax: 1000 };
+const chest = (id, x, name, extra) => Object.assign({
+  id, address: 0x2000 + id, entityType: 'Chest', name, renderName: name,
+  gridX: x, gridY: 100, isTargetable: true, chestIsOpened: false, chestIsStrongbox: false,
+}, extra || {});
+
+const near = chest(21, 115, 'Metadata/Chests/Barrel1');
+const vault = chest(22, 108, "Atziri's Vault");
+const box = chest(23, 104, 'Metadata/Chests/StrongBoxes/Arcanist', { chestIsStrongbox: true });
+
+runtime.load([{ t: 1000, terrain, player, entities: [near, vault, box] }]);
+while (runtime.step(POE2Cache)) openerPlugin.onDraw();
+
+// nearest OPENABLE target wins: the excluded vault and the (default-off) strongbox are both closer
+assert.equal(isExcludedByName(vault), true);
+const opens = runtime.packetsWith([0x01, 0xA3, 0x01, 0x20]);
+assert.equal(opens.length, 1);
+assert.deepEqual(opens[0].bytes.slice(11, 15), [0, 0, 0, 21]);
+// the open holds the action slot and parks the mapper while the game auto-walks
+assert.equal(POE2Cache.interactionClaim().source, 'opener');
+assert.equal(POE2Cache.isMovementLocked().source, 'opener');
+
+// an opened chest is never re-fired, even once the claim and cooldown have lapsed
+runtime.clearOutput();
+runtime.load([{ t: 6000, terrain, player, entities: [Object.assign({}, near, { chestIsOpened: true, isTargetable: false })] }]);
+while (runtime.step(POE2Cache)) openerPlugin.onDraw();
+assert.equal(runtime.packets.length, 0);
+
+runtime.print('opener tests passed');
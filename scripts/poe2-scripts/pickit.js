@@ -5,7 +5,10 @@
  * Features:
  * - Rule-based filtering (similar to Rotation Builder)
  * - Inventory space checking before pickup
- * - Filter by path, base name, rarity, stack size, grid size
+ * - Filter by path, base name, rarity, stack size, grid size, and (via inventory.js getMods) explicit/implicit
+ *   mods + rolled values, item level, quality, sockets, corruption
+ * - Expression rules (AND/OR/NOT, regex, numeric, mods) + a plain-text filter file (pickit_filter.js)
+ * - Optional local price table (price_table.js): skip cheap items, pick by value per distance, session loot value
  * - Persistent settings per player
  * 
  * PERFORMANCE OPTIMIZED: Uses shared POE2Cache for per-frame caching
@@ -13,11 +16,18 @@
 
 import { POE2Cache, poe2 } from './poe2_cache.js';
 import { Settings } from './Settings.js';
-import { canFit, freeSlots, readInventory, INV } from './inventory.js';
+import { canFit, freeSlots, readInventory, getMods, planEviction, moveByHandle, INV } from './inventory.js';
+import { auditNoteLoot } from './map_audit.js';
+import { Events } from './event_bus.js';
+import { compileFilter, evaluateFilter, parseFilterText, formatFilterText, conditionsToExpr, modValues, filterFields } from './pickit_filter.js';
+import { compileLootFilter } from './loot_filter_import.js';
+import { parsePriceTable, itemValue, formatValue, applyValuePolicy } from './price_table.js';
 
 // Plugin name for settings
 const PLUGIN_NAME = 'pickit';
 const FILTERS_FILE = 'pickit_filters.json';
+// Text form of a filter set (pickit_filter.js format) -- diffable, shareable between characters.
+const filterTextFile = (setName) => `pickit_filter_${setName}.txt`;
 
 // Rarity values
 const RARITY = {
@@ -55,6 +65,15 @@ const CONDITION_TYPES = [
   { id: 'unid_tier', label: 'Unid tier ==', valueType: 'number', hint: '5' },
   { id: 'unid_tier_min', label: 'Unid tier at least', valueType: 'number', hint: '5' },
   { id: 'identified', label: 'Identified (0=no, 1=yes)', valueType: 'number', hint: '0' },
+  // Mod conditions read getItemMods (mod ids, e.g. "MovementVelocity3", not tooltip text). Explicit mods only
+  // exist on identified items; item level / quality / sockets / corruption are there either way.
+  { id: 'explicit_mod_contains', label: 'Explicit mod contains (identified only)', valueType: 'string', hint: 'MovementVelocity' },
+  { id: 'implicit_mod_contains', label: 'Implicit mod contains', valueType: 'string', hint: 'Life' },
+  { id: 'mod_value_min', label: 'Mod rolled value at least (name value)', valueType: 'string', hint: 'MovementVelocity 25' },
+  { id: 'item_level_min', label: 'Item level at least', valueType: 'number', hint: '75' },
+  { id: 'quality_min', label: 'Quality at least', valueType: 'number', hint: '10' },
+  { id: 'sockets_min', label: 'Sockets at least', valueType: 'number', hint: '2' },
+  { id: 'corrupted', label: 'Corrupted (0=no, 1=yes)', valueType: 'number', hint: '0' },
 ];
 
 const OPERATORS = ['==', '!=', '>=', '<=', '>', '<', 'contains', 'not contains'];
@@ -67,9 +86,29 @@ const DEFAULT_SETTINGS = {
   maxAttempts: 3,
   checkInventorySpace: true,
   showDebugInfo: false,
-  useLineOfFireReachability: false
+  useLineOfFireReachability: false,
+  // Value decisions (price_table.js). Off = every matched item is equal, nearest first (the classic behavior).
+  usePriceTable: false,
+  priceTableFile: 'pickit_prices.json',   // .json or .csv, next to pickit_filters.json
+  minItemValue: 0,                        // chaos; priced items below this are left on the ground
+  orderByValue: true,                     // value per distance instead of nearest first
+  // Inventory full: make room for a wanted item by moving the cheapest bag items covering its footprint to
+  // evictStashTab -- town / hideout only (stash open). Priced: worth >= evictMinValue; else by filter rule order.
+  evictWhenFull: false,
+  evictMinValue: 20,                      // chaos
+  evictStashTab: '',
 };
 
+export const SETTINGS_SCHEMA = Settings.defineSchema(PLUGIN_NAME, DEFAULT_SETTINGS, {
+  fields: {
+    maxDistance: { min: 20, max: 150, int: true },
+    retryDelayMs: { min: 500, max: 5000, int: true },
+    maxAttempts: { min: 1, max: 10, int: true },
+    minItemValue: { min: 0, max: 100000 },
+    evictMinValue: { min: 0, max: 100000 },
+  },
+});
+
 // Current settings
 let currentSettings = { ...DEFAULT_SETTINGS };
 let currentPlayerName = null;
@@ -88,6 +127,13 @@ const conditionStringValue = new ImGui.MutableVariable("");
 const conditionNumberValue = new ImGui.MutableVariable(0);
 let selectedRarityValue = 0;
 const filterSetNameInput = new ImGui.MutableVariable("default");
+const ruleExprInput = new ImGui.MutableVariable("");
+let ruleExprEditing = -1;          // rule index ruleExprInput was loaded from
+let filterTextStatus = '';         // last import/export result line
+let filterTextErrors = [];         // parse errors of the last import
+let pendingTextImport = null;      // { file, count }: an import that would replace existing rules, awaiting Replace
+const lootFilterPathInput = new ImGui.MutableVariable("");
+let lootFilterReport = [];         // untranslated conditions of the last .filter import
 
 // Settings MutableVariables
 const enabled = new ImGui.MutableVariable(DEFAULT_SETTINGS.enabled);
@@ -97,6 +143,17 @@ const maxAttempts = new ImGui.MutableVariable(DEFAULT_SETTINGS.maxAttempts);
 const checkInventorySpace = new ImGui.MutableVariable(DEFAULT_SETTINGS.checkInventorySpace);
 const showDebugInfo = new ImGui.MutableVariable(DEFAULT_SETTINGS.showDebugInfo);
 const useLineOfFireReachability = new ImGui.MutableVariable(DEFAULT_SETTINGS.useLineOfFireReachability);
+const usePriceTable = new ImGui.MutableVariable(DEFAULT_SETTINGS.usePriceTable);
+const priceTableFile = new ImGui.MutableVariable(DEFAULT_SETTINGS.priceTableFile);
+const minItemValue = new ImGui.MutableVariable(DEFAULT_SETTINGS.minItemValue);
+const orderByValue = new ImGui.MutableVariable(DEFAULT_SETTINGS.orderByValue);
+const evictWhenFull = new ImGui.MutableVariable(DEFAULT_SETTINGS.evictWhenFull);
+const evictMinValue = new ImGui.MutableVariable(DEFAULT_SETTINGS.evictMinValue);
+const evictStashTab = new ImGui.MutableVariable(DEFAULT_SETTINGS.evictStashTab);
+
+// Price table (loaded from priceTableFile when usePriceTable is on)
+let priceTable = null;             // parsePriceTable result, null = not loaded
+let priceTableStatus = '';
 
 // Pickup tracking
 let pickupAttempts = new Map();
@@ -132,8 +189,23 @@ let lastPickupInfo = {
 // Stats
 let stats = {
   itemsPickedUp: 0,
-  inventoryFullCount: 0
+  inventoryFullCount: 0,
+  lootValue: 0,          // chaos, priced pickups this session (credited once the item has left the ground)
+  pricedPickups: 0,
+  skippedLowValue: 0,    // distinct ground items left below minItemValue
+  evictions: 0,          // eviction trades carried out (bag items moved out for a better ground item)
 };
+const _lowValueSeen = new Set();   // item ids already counted in skippedLowValue (reset per area)
+// Pickups sent but not yet confirmed: item id -> { rule, name, value, gridX, gridY }. The run ledger and the
+// itemPicked bus event count an item once it leaves the ground while still inside the scan radius (picked), not
+// when the packet goes out -- a pickup that failed (the item is still on the ground) never counts (reset per area).
+const _pendingLoot = new Map();
+
+// inventoryFull is re-hit every scan while the bag stays full: announce a NEW blocked item at once, the same one
+// again only every INV_FULL_EVENT_MS.
+const INV_FULL_EVENT_MS = 10000;
+let invFullEventId = 0;
+let invFullEventAt = 0;
 
 /**
  * Load filter rules from file
@@ -249,9 +321,17 @@ function loadPlayerSettings() {
     checkInventorySpace.value = currentSettings.checkInventorySpace;
     showDebugInfo.value = currentSettings.showDebugInfo;
     useLineOfFireReachability.value = currentSettings.useLineOfFireReachability || false;
+    usePriceTable.value = currentSettings.usePriceTable === true;
+    priceTableFile.value = currentSettings.priceTableFile || DEFAULT_SETTINGS.priceTableFile;
+    minItemValue.value = currentSettings.minItemValue || 0;
+    orderByValue.value = currentSettings.orderByValue !== false;
+    evictWhenFull.value = currentSettings.evictWhenFull === true;
+    evictMinValue.value = Number.isFinite(currentSettings.evictMinValue) ? currentSettings.evictMinValue : DEFAULT_SETTINGS.evictMinValue;
+    evictStashTab.value = currentSettings.evictStashTab || '';
     
     // Load filter rules
     loadFilterRules();
+    if (usePriceTable.value) loadPriceTable();
     
     console.log(`[Pickit] Loaded settings for player: ${player.playerName}`);
     settingsLoaded = true;
@@ -281,6 +361,9 @@ function checkAreaChange() {
       pickupAttempts.clear();
       _routeReachCache.clear();
       _routeReachLogAt.clear();
+      _lowValueSeen.clear();
+      _pendingLoot.clear();
+      _evictPlanLogged.clear();
       try { POE2Cache.pickitRouteReach = null; } catch (_) {}
     }
     lastAreaHash = newHash;
@@ -334,6 +417,30 @@ function evaluateCondition(condition, item) {
 
     case 'stack_size_min':
       return (item.stackSize || 0) >= value;
+
+    case 'explicit_mod_contains':
+      return (item.explicitMods || []).some(m => String(m.name || '').toLowerCase().includes(strValue));
+
+    case 'implicit_mod_contains':
+      return (item.implicitMods || []).some(m => String(m.name || '').toLowerCase().includes(strValue));
+
+    // value is "<mod name> <min>" -- any mod whose name contains <mod name> rolled at least <min>
+    case 'mod_value_min': {
+      const m = /^\s*(\S+)\s+(-?\d+(?:\.\d+)?)\s*$/.exec(String(value || ''));
+      return !!m && modValues(item, 'mod', m[1]).some(v => v >= Number(m[2]));
+    }
+
+    case 'item_level_min':
+      return (item.itemLevel || 0) >= value;
+
+    case 'quality_min':
+      return (item.quality || 0) >= value;
+
+    case 'sockets_min':
+      return (item.sockets || 0) >= value;
+
+    case 'corrupted':
+      return (item.corrupted ? 1 : 0) === (value ? 1 : 0);
       
     case 'grid_size_max':
       const gridSize = (item.gridWidth || 1) * (item.gridHeight || 1);
@@ -344,6 +451,190 @@ function evaluateCondition(condition, item) {
   }
 }
 
+// Fields a filter expression may name: getItemData's keys + pickit_filter's computed gridSize and mod lists.
+const FILTER_FIELDS = ['path', 'entityPath', 'baseName', 'uniqueName', 'rarity', 'stackSize', 'gridWidth', 'gridHeight',
+  'identified', 'unidentifiedTier', 'displayName', 'hasWorldItem', 'gridSize', 'mod', 'mods', 'explicit', 'implicit',
+  'itemLevel', 'quality', 'sockets', 'corrupted'];
+// The ones read through getItemMods, which needs the item's own address. Inventory rows carry it (getInventory
+// itemAddress); a WorldItem entity only exposes its worldItem* fields, so on a drop these read as none.
+const MOD_FIELDS = ['mod', 'mods', 'explicit', 'implicit', 'itemLevel', 'quality', 'sockets', 'corrupted'];
+const GROUND_FIELDS = FILTER_FIELDS.filter(f => !MOD_FIELDS.includes(f));
+
+const _compiledExprs = new Map();   // expr text -> { ast, error }
+
+function compiledRuleExpr(rule) {
+  let c = _compiledExprs.get(rule.expr);
+  if (!c) {
+    c = compileFilter(rule.expr, { fields: FILTER_FIELDS });
+    if (c.error) console.warn(`[Pickit] Rule "${rule.name}" expression error (never matches): ${c.error}`);
+    const modOnly = c.ast ? filterFields(c.ast).filter(f => MOD_FIELDS.includes(f)) : [];
+    if (modOnly.length) console.warn(`[Pickit] Rule "${rule.name}" reads ${modOnly.join(', ')}: drops don't expose their mods -- on the ground these read as none`);
+    if (_compiledExprs.size > 500) _compiledExprs.clear();
+    _compiledExprs.set(rule.expr, c);
+  }
+  return c;
+}
+
+/**
+ * Write the current filter set as text (pickit_filter_<set>.txt). Condition rules are written as their
+ * equivalent expression. Returns the file name, or '' on failure.
+ */
+function exportFilterText() {
+  const file = filterTextFile(currentFilterSetName);
+  const rules = filterRules.map(r => ({
+    name: r.name,
+    enabled: !!r.enabled,
+    hide: !!r.hide,
+    expr: typeof r.expr === 'string' && r.expr.trim() ? r.expr : conditionsToExpr(r.conditions),
+  }));
+  try {
+    fs.writeFile(file, formatFilterText(rules, `pickit filter set '${currentFilterSetName}'`));
+    filterTextStatus = `Exported ${rules.length} rules to ${file}`;
+    console.log(`[Pickit] ${filterTextStatus}`);
+    return file;
+  } catch (e) {
+    filterTextStatus = `Export failed: ${e}`;
+    console.error(`[Pickit] ${filterTextStatus}`);
+    return '';
+  }
+}
+
+/**
+ * Replace the current filter set with pickit_filter_<set>.txt. Rules whose expression doesn't compile are
+ * imported DISABLED and listed in the errors. A file without rules is refused; one that would replace existing
+ * rules only applies with opts.confirm (the UI's Replace button) -- otherwise it is left pending.
+ * Returns { count, errors, pending } (count -1 = file unreadable, 0 = nothing to import; no change either way).
+ */
+function importFilterText(opts = {}) {
+  const file = filterTextFile(currentFilterSetName);
+  pendingTextImport = null;
+  let text;
+  try { text = fs.readFile(file); } catch (e) {
+    filterTextStatus = `No ${file} to import`;
+    filterTextErrors = [];
+    return { count: -1, errors: [], pending: false };
+  }
+  const { rules, errors } = parseFilterText(text, { fields: FILTER_FIELDS });
+  filterTextErrors = errors;
+  if (!rules.length) {
+    filterTextStatus = `${file} has no rules -- nothing imported, current rules kept`;
+    return { count: 0, errors, pending: false };
+  }
+  if (filterRules.length && !opts.confirm) {
+    pendingTextImport = { file, count: rules.length };
+    filterTextStatus = `${file}: ${rules.length} rules would replace the ${filterRules.length} current ones`;
+    return { count: rules.length, errors, pending: true };
+  }
+  filterRules = rules.map(r => ({ enabled: r.enabled, name: r.name, hide: r.hide, expr: r.expr, conditions: [] }));
+  editingRuleIndex = -1;
+  ruleExprEditing = -1;
+  saveFilterRules();
+  filterTextStatus = `Imported ${rules.length} rules from ${file}${errors.length ? ` (${errors.length} with errors, disabled)` : ''}`;
+  console.log(`[Pickit] ${filterTextStatus}`);
+  for (const e of errors) console.warn(`[Pickit]   ${e}`);
+  return { count: rules.length, errors, pending: false };
+}
+
+/**
+ * Compile the game's loot filter (.filter) into a new filter set 'filter_<file name>' and switch to it
+ * (loot_filter_import.js). Returns { setName, rules, untranslated } or null when the file can't be read.
+ */
+function importLootFilter(path) {
+  let text;
+  try { text = fs.readFile(path); } catch (e) {
+    filterTextStatus = `Can't read ${path}: ${e}`;
+    lootFilterReport = [];
+    return null;
+  }
+  const res = compileLootFilter(text, { fields: GROUND_FIELDS });
+  const base = String(path).split(/[\\/]/).pop().replace(/\.filter$/i, '') || 'game';
+  saveFilterRules();
+  currentFilterSetName = `filter_${base}`;
+  filterRules = res.rules.map(r => ({ enabled: r.enabled, name: r.name, hide: r.hide, expr: r.expr, conditions: [] }));
+  editingRuleIndex = -1;
+  ruleExprEditing = -1;
+  saveFilterRules();
+  lootFilterReport = res.errors.concat(res.untranslated);
+  filterTextErrors = [];
+  filterTextStatus = `Imported ${res.blocks} blocks (${res.shown} Show / ${res.hidden} Hide) as set '${currentFilterSetName}'` +
+    `${lootFilterReport.length ? `, ${res.untranslated.length} untranslated` : ''}`;
+  console.log(`[Pickit] ${filterTextStatus}`);
+  for (const u of lootFilterReport) console.warn(`[Pickit]   ${u}`);
+  return { setName: currentFilterSetName, rules: res.rules.length, untranslated: res.untranslated };
+}
+
+/**
+ * (Re)load the price table from priceTableFile (JSON or CSV by extension; price_table.js). A missing or broken
+ * file leaves priceTable null: value decisions stand down and pickit behaves as without a table.
+ */
+function loadPriceTable() {
+  const path = priceTableFile.value || DEFAULT_SETTINGS.priceTableFile;
+  let text;
+  try { text = fs.readFile(path); } catch (e) {
+    priceTable = null;
+    priceTableStatus = `No price table at ${path}`;
+    return null;
+  }
+  const parsed = parsePriceTable(text, /\.csv$/i.test(path) ? 'csv' : /\.json$/i.test(path) ? 'json' : '');
+  priceTable = parsed.prices.size ? parsed : null;
+  priceTableStatus = `${parsed.prices.size} prices from ${path}${parsed.errors.length ? `, ${parsed.errors.length} bad lines` : ''}` +
+    ` (1ex = ${parsed.exaltInChaos}c)`;
+  console.log(`[Pickit] ${priceTableStatus}`);
+  for (const e of parsed.errors.slice(0, 10)) console.warn(`[Pickit]   ${e}`);
+  return priceTable;
+}
+
+/**
+ * The value policy over this scan's matched candidates: annotate .value (chaos, null = unpriced), drop priced
+ * items below minItemValue, order by value per distance. No table / option off = nearest first, nothing dropped.
+ * Walk-through gold is never dropped -- it is collected in passing and costs no detour.
+ */
+function applyValueDecisions(items) {
+  const table = usePriceTable.value ? priceTable : null;
+  for (const it of items) it.value = table ? itemValue(table, it.itemData) : null;
+  if (!table) {
+    items.sort((a, b) => a.distance - b.distance);
+    return items;
+  }
+  const gold = items.filter(it => isWalkThroughLoot(it.itemData));
+  const { kept, dropped } = applyValuePolicy(items.filter(it => !isWalkThroughLoot(it.itemData)),
+    { minValue: Number(minItemValue.value) || 0, byValue: orderByValue.value !== false });
+  if (orderByValue.value === false) kept.sort((a, b) => a.distance - b.distance);
+  for (const d of dropped) {
+    const id = d.entity && d.entity.id;
+    if (id && !_lowValueSeen.has(id)) {
+      _lowValueSeen.add(id);
+      stats.skippedLowValue++;
+      if (showDebugInfo.value) console.log(`[Pickit] below ${formatValue(minItemValue.value, priceTable.exaltInChaos)}: ${getItemDisplayName(d.itemData)} (${formatValue(d.value, priceTable.exaltInChaos)})`);
+    }
+  }
+  return gold.sort((a, b) => a.distance - b.distance).concat(kept);
+}
+
+/**
+ * Credit the run ledger and the session loot value, and announce itemPicked, for pickups that have left the
+ * ground. An item that is gone but was last seen beyond the scan radius just fell out of view -- it stays pending
+ * until we're back in range or the area changes.
+ */
+function confirmPendingLoot(player, currentEntityIds) {
+  const radius = maxDistance.value * 1.5;
+  for (const [itemId, p] of _pendingLoot) {
+    if (currentEntityIds.has(itemId)) continue;
+    if (Math.hypot(p.gridX - player.gridX, p.gridY - player.gridY) > radius) continue;
+    _pendingLoot.delete(itemId);
+    auditNoteLoot(p.rule);
+    notePickedValue(p.value);
+    Events.emit('itemPicked', { rule: p.rule || '', name: p.name, id: itemId, value: p.value });
+  }
+}
+
+/** Session loot value: credit a confirmed pickup, when priced. */
+function notePickedValue(value) {
+  if (value === null || value === undefined) return;
+  stats.lootValue += value;
+  stats.pricedPickups++;
+}
+
 /**
  * Check if an item matches any enabled filter rule
  */
@@ -356,13 +647,21 @@ function matchesFilterRules(item) {
   
   if (!isWorldItem) return { matches: false };
   
-  // Check each enabled rule
+  // Check each enabled rule; the first one that matches decides (a `hide` rule = don't pick, stop looking)
   for (const rule of filterRules) {
     if (!rule.enabled) continue;
+    const decide = () => (rule.hide ? { matches: false, hiddenBy: rule.name } : { matches: true, ruleName: rule.name, ruleIndex: filterRules.indexOf(rule) });
     
+    // Expression rule (pickit_filter.js); a broken expression never matches
+    if (typeof rule.expr === 'string' && rule.expr.trim()) {
+      const c = compiledRuleExpr(rule);
+      if (c.ast && evaluateFilter(c.ast, item)) return decide();
+      continue;
+    }
+
     // Rules with no conditions = match everything (pick all)
     if (!rule.conditions || rule.conditions.length === 0) {
-      return { matches: true, ruleName: rule.name };
+      return decide();
     }
     
     // All conditions in a rule must match (AND logic)
@@ -375,18 +674,54 @@ function matchesFilterRules(item) {
     }
     
     if (allMatch) {
-      return { matches: true, ruleName: rule.name };
+      return decide();
     }
   }
   
   return { matches: false };
 }
 
+// getItemMods per item, cached by address: rules re-evaluate every scan and an item's mods don't change under us.
+const MOD_CACHE_TTL_MS = 5000;
+const _modCache = new Map();   // item address -> { at, data }
+
+/**
+ * Mod-derived fields of an item via inventory.js getMods. getItemMods takes the ITEM's address (getInventory's
+ * itemAddress), never an entity's -- and the WorldItem entity of a drop has no such field, so drops (addr 0) and
+ * unreadable items read as no mods / level 0.
+ */
+function readItemMods(addr) {
+  const now = Date.now();
+  const hit = _modCache.get(addr);
+  if (hit && now - hit.at < MOD_CACHE_TTL_MS) return hit.data;
+  const m = addr ? getMods(addr) : null;
+  const list = (l) => (Array.isArray(l) ? l.map(x => ({ name: x.name || '', value0: x.value0, value1: x.value1 })) : []);
+  const valid = !!(m && m.isValid);
+  const identified = valid ? m.identified !== false : false;
+  const data = {
+    valid,
+    // an unidentified item's explicit rolls are hidden in game too -- pickit doesn't peek
+    explicitMods: identified ? list(m.explicitMods) : [],
+    implicitMods: valid ? list(m.implicitMods) : [],
+    itemLevel: valid ? (m.itemLevel || 0) : 0,
+    quality: valid ? (m.quality || 0) : 0,
+    sockets: valid ? (Number.isFinite(m.socketCount) ? m.socketCount : Array.isArray(m.sockets) ? m.sockets.length : (m.sockets || 0)) : 0,
+    corrupted: valid ? !!(m.corrupted || m.twiceCorrupted) : false,
+  };
+  if (_modCache.size > 500) _modCache.clear();
+  _modCache.set(addr, { at: now, data });
+  return data;
+}
+
 /**
- * Get item data from entity (WorldItem properties)
+ * Get item data from entity (WorldItem properties). The mod fields (mods, explicitMods, implicitMods, itemLevel,
+ * quality, sockets, corrupted) are lazy getters over getItemMods(itemAddress): only an inventory row has that
+ * address to pass (bagItemRank); a ground entity has none, so for drops they read as none.
  */
-function getItemData(entity) {
-  return {
+function getItemData(entity, itemAddress = 0) {
+  let mods = null;
+  const modField = (key) => ({ enumerable: true, get() { if (!mods) mods = readItemMods(itemAddress); return mods[key]; } });
+  const data = {
     // worldItemName is the actual item path from WorldItem component (e.g., "Metadata/Items/Currency/...")
     // entity.name is just "Metadata/MiscellaneousObjects/WorldItem"
     path: entity.worldItemName || "",
@@ -405,6 +740,16 @@ function getItemData(entity) {
     displayName: entity.worldItemDisplayName || "",
     hasWorldItem: entity.hasWorldItem || false
   };
+  Object.defineProperties(data, {
+    explicitMods: modField('explicitMods'),
+    implicitMods: modField('implicitMods'),
+    mods: { enumerable: true, get() { return data.implicitMods.concat(data.explicitMods); } },
+    itemLevel: modField('itemLevel'),
+    quality: modField('quality'),
+    sockets: modField('sockets'),
+    corrupted: modField('corrupted'),
+  });
+  return data;
 }
 
 // TASK-54 B -- FULL-BAG AWARENESS. The bot had no concept of a full bag: exalts + T15 waystones were left on the
@@ -433,6 +778,99 @@ function invSnapshot() {
 }
 function invFreeSlots() { return invSnapshot().free; }
 
+// EVICTION. A full bag used to mean a divine orb stayed on the floor because a 2x4 normal armour sat in the
+// backpack. When a wanted ground item doesn't fit, plan the cheapest set of bag items whose removal frees its
+// footprint (inventory.js planEviction). With the price table the ground item must be worth >= evictMinValue and
+// at least EVICT_MARGIN x what leaves; bag items score by price, unpriced ones by rarity. Without it, filter rule
+// order decides: only bag items whose first matching rule comes after the ground item's (or that match none) go.
+// Unpriced currency-likes, quest items and uniques are never evicted. The evicted items move to evictStashTab
+// (poe2.moveStashItem), so this only runs in town / hideout and lands only while the stash is open: there is no
+// drop-to-ground call, and in maps a full bag just holds the item. A plan that can't be carried out is logged
+// once per item and the item held.
+const EVICT_MARGIN = 2;
+const EVICT_COOLDOWN_MS = 2000;
+const UNPRICED_GEAR_SCORE = [0, 1, 3, Infinity];   // chaos-equivalent by rarity: normal / magic / rare / unique
+const EVICT_KEEP_PATH_RE = /\/(quest|currency|mapkeys|gems|toweraugment)/;
+let _lastEvictAt = -99999;
+const _evictPlanLogged = new Set();                 // ground item ids whose plan-only trade was logged (per area)
+let lastEvictionInfo = null;                        // { at, incoming, value, rule, evicted: [names], cost, executed }
+
+function bagItemScore(it) {
+  const v = itemValue(priceTable, { uniqueName: it.unique, baseName: it.base, stackSize: it.stack });
+  if (v !== null) return v;
+  if (EVICT_KEEP_PATH_RE.test(String(it.path || '').toLowerCase())) return Infinity;
+  return UNPRICED_GEAR_SCORE[it.rarity] !== undefined ? UNPRICED_GEAR_SCORE[it.rarity] : Infinity;
+}
+
+/** Filter rule rank of an item: rules.length for the first rule, down to 1 for the last; 0 = no rule wants it. */
+function ruleRank(itemData) {
+  const r = matchesFilterRules(itemData);
+  return r.matches ? filterRules.length - r.ruleIndex : 0;
+}
+
+/** Rule rank of a bag item (a readInventory row), read through getItemData like a drop. Keepers rank Infinity. */
+function bagItemRank(it) {
+  if (EVICT_KEEP_PATH_RE.test(String(it.path || '').toLowerCase()) || it.rarity === 3) return Infinity;
+  return ruleRank(getItemData({
+    worldItemName: it.path, worldItemBaseName: it.base, worldItemUniqueName: it.unique, worldItemRarity: it.rarity,
+    worldItemStackSize: it.stack, worldItemGridWidth: it.w, worldItemGridHeight: it.h, worldItemIdentified: it.identified,
+    worldItemUnidentifiedTier: it.unidTier, hasWorldItem: true,
+  }, it.addr));
+}
+
+/** Town or hideout (where the stash is), by area name + id like the mapper's non-map check. */
+function inTownArea() {
+  let ai = null;
+  try { ai = poe2.getAreaInfo(); } catch (e) {}
+  if (!ai || !ai.isValid) return false;
+  const key = `${ai.areaName || ''} ${ai.areaId || ''}`.toLowerCase();
+  return key.includes('hideout') || key.includes('town') || key.includes('encampment');
+}
+
+/** Try to make room for `target` (a scan row with .value). True when the evicting stash moves were sent. */
+function tryEvictFor(target, now) {
+  if (!evictWhenFull.value || !inTownArea()) return false;
+  const priced = !!(usePriceTable.value && priceTable);
+  const value = target.value;
+  if (priced && (value === null || value === undefined || value < (Number(evictMinValue.value) || 0))) return false;
+  if (now - _lastEvictAt < EVICT_COOLDOWN_MS) return false;
+  _lastEvictAt = now;
+  const d = target.itemData;
+  let plan;
+  if (priced) {
+    plan = planEviction(INV.MAIN, d.gridWidth, d.gridHeight, bagItemScore, value / EVICT_MARGIN);
+  } else {
+    const rank = ruleRank(d);
+    plan = rank > 0 ? planEviction(INV.MAIN, d.gridWidth, d.gridHeight, (it) => { const r = bagItemRank(it); return r < rank ? r : Infinity; }) : null;
+  }
+  if (!plan || !plan.evict.length) return false;
+  const id = target.entity.id;
+  const tab = String(evictStashTab.value || '').trim();
+  let done = 0;
+  for (const it of plan.evict) {
+    if (tab && moveByHandle('in', tab, it.handle)) done++;
+  }
+  const n = plan.evict.length;
+  const executed = done === n;
+  const rate = priced ? priceTable.exaltInChaos : undefined;
+  lastEvictionInfo = {
+    at: now, incoming: getItemDisplayName(d), value: priced ? value : null, rule: target.ruleName || '', cost: plan.cost, executed,
+    evicted: plan.evict.map(it => `${it.w || 1}x${it.h || 1} ${it.unique || it.base || String(it.path || '').split('/').pop()}`),
+  };
+  if (executed || !_evictPlanLogged.has(id)) {
+    _evictPlanLogged.add(id);
+    const why = !tab ? 'plan only: no evict stash tab set' : executed ? `moved to '${tab}'` : `${done}/${n} moved to '${tab}' (stash closed?)`;
+    const trade = priced ? `(${formatValue(plan.cost, rate)}) for ${lastEvictionInfo.incoming} (${formatValue(value, rate)})`
+      : `for ${lastEvictionInfo.incoming} (rule '${lastEvictionInfo.rule}')`;
+    console.log(`[Pickit] EVICT ${lastEvictionInfo.evicted.join(' + ')} ${trade} -- ${why}`);
+  }
+  if (executed) {
+    stats.evictions++;
+    _invSnapAt = -99999;   // re-read the bag on the next scan
+  }
+  return executed;
+}
+
 // A stackable ground item (currency/fragment) merges into an existing same-base stack even at 0 free CELLS, so it
 // still fits -> don't hold it. Approximate "has room to merge" as "a same-base stack already sits in the bag"
 // (maxStack isn't exposed; a same-base present is the mergeable signal). Non-stackable / no matching stack -> a
@@ -522,8 +960,7 @@ function getLootCandidatesForMapper(maxDist) {
     });
   }
 
-  items.sort((a, b) => a.distance - b.distance);
-  return items;
+  return applyValueDecisions(items);
 }
 
 function getPickitCooldownMs() {
@@ -723,6 +1160,8 @@ function processAutoPickup() {
     }
   }
   
+  confirmPendingLoot(player, currentEntityIds);
+
   // Clean up stale tracking entries - ONLY for entities that no longer exist on the ground.
   // A maxed-out entry must STAY (it's the blacklist): if we deleted it while the item is
   // still present, the next scan would see no attemptData and retry it, looping forever on
@@ -752,7 +1191,7 @@ function processAutoPickup() {
   const _lootHold = (POE2Cache.lootHoldUntil || 0) > now;
 
   // Find items to pickup
-  const itemsToPickup = [];
+  let itemsToPickup = [];
 
   for (const entity of allEntities) {
     if (entity.gridX == null || entity.isLocalPlayer) continue;   // == null: skip missing grid pos, but NOT gridX===0
@@ -790,8 +1229,9 @@ function processAutoPickup() {
   
   if (itemsToPickup.length === 0) return;
   
-  // Sort by distance (closest first)
-  itemsToPickup.sort((a, b) => a.distance - b.distance);
+  // Nearest first, or (price table on) below-threshold items dropped + best value per distance first
+  itemsToPickup = applyValueDecisions(itemsToPickup);
+  if (itemsToPickup.length === 0) return;
 
   let _routeBusHanded = false;              // TASK-51 B: only the NEAREST route-reach item claims the single loot-walk bus slot this frame
   const _radarBudget = { calls: 1 };        // at most one radar BFS call per pickit cycle (cache hits are free)
@@ -827,6 +1267,9 @@ function processAutoPickup() {
 
       sendPickupPacket(itemId, entity.gridX, entity.gridY);
       stats.itemsPickedUp++;
+      if (attemptData.attempts === 1) {   // once per item, not per retry; the ledger counts it on confirm
+        _pendingLoot.set(itemId, { rule: target.ruleName, name: getItemDisplayName(itemData), value: target.value, gridX: entity.gridX, gridY: entity.gridY });
+      }
       _wtFired++;
       lastPickupInfo = {
         name: getItemDisplayName(itemData),
@@ -836,6 +1279,7 @@ function processAutoPickup() {
         attempt: attemptData.attempts,
         time: now,
         ruleName: target.ruleName,
+        value: target.value,
         blocked: false,
         blockReason: '',
         walkThrough: true,
@@ -867,6 +1311,7 @@ function processAutoPickup() {
     // Do NOT churn reachability retries / blacklists on it (it stays wanted -- nothing bans); just hold it and
     // log once (10s throttle). This runs BEFORE the reachability probe so the 'may not be reachable' spam stops.
     if (INV_FULL_HOLD_ON && _invSnap && _invSnap.free === 0 && !stacksIntoExistingBag(itemData, _invSnap.items)) {
+      if (tryEvictFor(target, now)) continue;   // room is being made; picked on a later scan
       if (now - _invFullHoldLogAt > 10000) {
         _invFullHoldLogAt = now;
         console.log(`[Pickit] inventory FULL -> holding pickup of ${getItemDisplayName(itemData)}`);
@@ -926,6 +1371,12 @@ function processAutoPickup() {
         blockReason: `No space for ${itemData.gridWidth}x${itemData.gridHeight} item`
       };
       stats.inventoryFullCount++;
+      if (itemId !== invFullEventId || now - invFullEventAt >= INV_FULL_EVENT_MS) {
+        invFullEventId = itemId;
+        invFullEventAt = now;
+        Events.emit('inventoryFull', { name: lastPickupInfo.name, width: itemData.gridWidth | 0, height: itemData.gridHeight | 0 });
+      }
+      tryEvictFor(target, now);
       continue;  // try the next (possibly smaller) item instead of abandoning the frame
     }
     
@@ -957,6 +1408,7 @@ function processAutoPickup() {
       attempt: attemptData.attempts,
       time: now,
       ruleName: target.ruleName,
+      value: target.value,
       blocked: false,
       blockReason: ""
     };
@@ -970,6 +1422,9 @@ function processAutoPickup() {
     
     sendPickupPacket(itemId, entity.gridX, entity.gridY);
     stats.itemsPickedUp++;
+    if (attemptData.attempts === 1) {   // once per item, not per retry; the ledger counts it on confirm
+      _pendingLoot.set(itemId, { rule: target.ruleName, name: getItemDisplayName(itemData), value: target.value, gridX: entity.gridX, gridY: entity.gridY });
+    }
     // One in-flight pickup at a time (gate above). TTL scales with the walk; the ground-check frees it sooner.
     if (POE2Cache.claimInteraction) POE2Cache.claimInteraction('pickit', itemId, Math.min(2500, 600 + target.distance * 30));
 
@@ -1020,6 +1475,28 @@ function drawFilterRulesUI() {
       ImGui.textColored([0.7, 0.7, 0.7, 1.0], "(No saved filter sets)");
     }
     
+    ImGui.separator();
+    ImGui.text(`Text file: ${filterTextFile(currentFilterSetName)}`);
+    if (ImGui.button("Export as Text")) exportFilterText();
+    ImGui.sameLine();
+    if (ImGui.button("Import from Text")) importFilterText();
+    if (pendingTextImport) {
+      ImGui.textColored([1.0, 0.8, 0.3, 1.0], `Replace the current rules with ${pendingTextImport.count} from ${pendingTextImport.file}?`);
+      if (ImGui.button("Replace##textimport")) importFilterText({ confirm: true });
+      ImGui.sameLine();
+      if (ImGui.button("Cancel##textimport")) { pendingTextImport = null; filterTextStatus = 'Import cancelled'; }
+    }
+
+    ImGui.text("Game loot filter (.filter):");
+    ImGui.inputTextWithHint("##lootfilter", lootFilterPathInput, 'C:/Users/you/Documents/My Games/Path of Exile 2/NeverSink.filter');
+    ImGui.sameLine();
+    if (ImGui.button("Import .filter") && lootFilterPathInput.value) importLootFilter(lootFilterPathInput.value);
+    if (filterTextStatus) ImGui.textColored([0.7, 0.7, 0.7, 1.0], filterTextStatus);
+    for (const e of filterTextErrors) ImGui.textColored([1.0, 0.4, 0.4, 1.0], e);
+    if (lootFilterReport.length && ImGui.collapsingHeader(`Not translated (${lootFilterReport.length})`)) {
+      for (const u of lootFilterReport) ImGui.textColored([1.0, 0.7, 0.3, 1.0], u);
+    }
+
     ImGui.separator();
     if (ImGui.button("Reset to Defaults")) {
       filterRules = getDefaultFilters();
@@ -1049,7 +1526,7 @@ function drawFilterRulesUI() {
   
   // Rules list
   ImGui.text(`Filter Rules (${filterRules.length}):`);
-  ImGui.textColored([0.6, 0.6, 0.6, 1.0], "Items matching ANY enabled rule will be picked up");
+  ImGui.textColored([0.6, 0.6, 0.6, 1.0], "The first enabled rule an item matches decides: pick it, or skip it for [HIDE] rules");
   
   ImGui.beginChild("RulesList", {x: 0, y: 350}, ImGui.ChildFlags.Border);
   
@@ -1069,11 +1546,15 @@ function drawFilterRulesUI() {
     ImGui.sameLine();
     
     // Rule name
-    const nameColor = rule.enabled ? [0.5, 1.0, 0.5, 1.0] : [0.5, 0.5, 0.5, 1.0];
-    ImGui.textColored(nameColor, `${i + 1}. ${rule.name}`);
+    const nameColor = !rule.enabled ? [0.5, 0.5, 0.5, 1.0] : rule.hide ? [1.0, 0.5, 0.5, 1.0] : [0.5, 1.0, 0.5, 1.0];
+    ImGui.textColored(nameColor, `${i + 1}. ${rule.hide ? '[HIDE] ' : ''}${rule.name}`);
     
     // Show conditions
-    if (rule.conditions && rule.conditions.length > 0) {
+    if (typeof rule.expr === 'string' && rule.expr.trim()) {
+      const c = compiledRuleExpr(rule);
+      ImGui.textColored([0.8, 0.8, 0.8, 1.0], `   ${rule.expr.replace(/\s*\n\s*/g, ' ')}`);
+      if (c.error) ImGui.textColored([1.0, 0.4, 0.4, 1.0], `   error: ${c.error}`);
+    } else if (rule.conditions && rule.conditions.length > 0) {
       for (let c = 0; c < rule.conditions.length; c++) {
         const cond = rule.conditions[c];
         const condType = CONDITION_TYPES.find(t => t.id === cond.type);
@@ -1127,6 +1608,28 @@ function drawFilterRulesUI() {
     if (isEditing) {
       ImGui.indent();
       ImGui.separator();
+      ImGui.textColored([1.0, 1.0, 0.5, 1.0], "Expression (replaces the conditions below when set):");
+      if (ruleExprEditing !== i) {
+        ruleExprEditing = i;
+        ruleExprInput.value = rule.expr || conditionsToExpr(rule.conditions);
+      }
+      ImGui.inputTextWithHint("##ruleexpr", ruleExprInput, 'rarity >= rare AND baseName ~ /ring|amulet/i');
+      ImGui.textColored([0.6, 0.6, 0.6, 1.0], 'Mods (bag items only: drops don\'t expose them): explicit ~ "Life", explicit.MovementVelocity >= 25, implicit, itemLevel, quality, sockets, corrupted');
+      const preview = compileFilter(ruleExprInput.value, { fields: FILTER_FIELDS });
+      if (preview.error) ImGui.textColored([1.0, 0.4, 0.4, 1.0], preview.error);
+      else if (ImGui.button("Apply Expression")) {
+        rule.expr = ruleExprInput.value.trim();
+        saveFilterRules();
+      }
+      if (rule.expr) {
+        ImGui.sameLine();
+        if (ImGui.button("Clear Expression")) {
+          rule.expr = '';
+          ruleExprInput.value = conditionsToExpr(rule.conditions);
+          saveFilterRules();
+        }
+      }
+      ImGui.separator();
       ImGui.textColored([1.0, 1.0, 0.5, 1.0], "Add Condition:");
       
       // Condition type
@@ -1262,12 +1765,76 @@ function onDraw() {
       ImGui.setTooltip("OFF: walkability LOS (legacy, movement-friendly)\nON: landscape line of fire (stricter, projectile-style)");
     }
     
+    ImGui.separator();
+    ImGui.textColored([0.5, 1.0, 1.0, 1.0], "Item Value (price table):");
+    const prevUsePrices = usePriceTable.value;
+    ImGui.checkbox("Use Price Table", usePriceTable);
+    if (prevUsePrices !== usePriceTable.value) {
+      saveSetting('usePriceTable', usePriceTable.value);
+      if (usePriceTable.value && !priceTable) loadPriceTable();
+    }
+    if (ImGui.isItemHovered()) {
+      ImGui.setTooltip("name,value[,unit] CSV or JSON of base type / currency / unique name -> chaos (or exalt).\nUnpriced items are never skipped; they rank after priced ones.");
+    }
+    if (usePriceTable.value) {
+      ImGui.inputText("Price File", priceTableFile);
+      ImGui.sameLine();
+      if (ImGui.button("Load##prices")) {
+        saveSetting('priceTableFile', priceTableFile.value);
+        loadPriceTable();
+      }
+      if (priceTableStatus) ImGui.textColored(priceTable ? [0.6, 0.9, 0.6, 1.0] : [1.0, 0.6, 0.4, 1.0], priceTableStatus);
+      const prevMin = minItemValue.value;
+      ImGui.inputFloat("Min Value (chaos)", minItemValue);
+      if (prevMin !== minItemValue.value) {
+        minItemValue.value = Math.max(0, Number(minItemValue.value) || 0);
+        saveSetting('minItemValue', minItemValue.value);
+      }
+      const prevOrder = orderByValue.value;
+      ImGui.checkbox("Order by Value per Distance", orderByValue);
+      if (prevOrder !== orderByValue.value) saveSetting('orderByValue', orderByValue.value);
+    }
+
+    const prevEvict = evictWhenFull.value;
+    ImGui.checkbox("Evict Cheap Items To Stash When Full", evictWhenFull);
+    if (prevEvict !== evictWhenFull.value) saveSetting('evictWhenFull', evictWhenFull.value);
+    if (ImGui.isItemHovered()) {
+      ImGui.setTooltip(`A wanted item that doesn't fit replaces the cheapest bag items covering its size: priced, when it's\nworth ${EVICT_MARGIN}x what leaves; unpriced, when they match a later filter rule (or none).\nTown / hideout only: they move to the evict stash tab (stash must be open). Maps have no drop call.`);
+    }
+    if (evictWhenFull.value) {
+      if (usePriceTable.value) {
+        const prevEvictMin = evictMinValue.value;
+        ImGui.inputFloat("Evict For (chaos)", evictMinValue);
+        if (prevEvictMin !== evictMinValue.value) {
+          evictMinValue.value = Math.max(0, Number(evictMinValue.value) || 0);
+          saveSetting('evictMinValue', evictMinValue.value);
+        }
+      }
+      const prevTab = evictStashTab.value;
+      ImGui.inputText("Evict To Stash Tab", evictStashTab);
+      if (prevTab !== evictStashTab.value) saveSetting('evictStashTab', evictStashTab.value);
+      if (lastEvictionInfo) {
+        const rate = priceTable ? priceTable.exaltInChaos : undefined;
+        const trade = lastEvictionInfo.value !== null
+          ? `(${formatValue(lastEvictionInfo.cost, rate)}) for ${lastEvictionInfo.incoming} (${formatValue(lastEvictionInfo.value, rate)})`
+          : `for ${lastEvictionInfo.incoming} (rule '${lastEvictionInfo.rule}')`;
+        ImGui.textColored(lastEvictionInfo.executed ? [0.6, 0.9, 0.6, 1.0] : [1.0, 0.8, 0.4, 1.0],
+          `${lastEvictionInfo.executed ? 'Evicted' : 'Would evict'} ${lastEvictionInfo.evicted.join(' + ')} ${trade}`);
+      }
+    }
+    
     ImGui.separator();
     ImGui.textColored([0.5, 1.0, 1.0, 1.0], "Status:");
     
     ImGui.text(`Tracked items: ${pickupAttempts.size}`);
     ImGui.text(`Items picked up: ${stats.itemsPickedUp}`);
     ImGui.text(`Inventory full blocks: ${stats.inventoryFullCount}`);
+    if (usePriceTable.value) {
+      const rate = priceTable ? priceTable.exaltInChaos : undefined;
+      ImGui.text(`Session loot value: ${formatValue(stats.lootValue, rate)} (${stats.pricedPickups} priced pickups)`);
+      ImGui.text(`Skipped below threshold: ${stats.skippedLowValue}`);
+    }
+    if (evictWhenFull.value) ImGui.text(`Evictions: ${stats.evictions}`);
     
     // Last pickup info
     if (lastPickupInfo.time > 0) {
@@ -1275,6 +1842,9 @@ function onDraw() {
       ImGui.textColored([0.8, 0.8, 1.0, 1.0], "Last Pickup:");
       ImGui.text(`  ${lastPickupInfo.name}`);
       ImGui.text(`  Rule: ${lastPickupInfo.ruleName}`);
+      if (lastPickupInfo.value !== null && lastPickupInfo.value !== undefined) {
+        ImGui.text(`  Value: ${formatValue(lastPickupInfo.value, priceTable ? priceTable.exaltInChaos : undefined)}`);
+      }
       ImGui.text(`  Distance: ${lastPickupInfo.distance.toFixed(1)}`);
       
       if (lastPickupInfo.blocked) {
@@ -1346,6 +1916,6 @@ export const pickitPlugin = {
   onDraw: onDraw
 };
 
-export { getItemData, matchesFilterRules, getLootCandidatesForMapper, getPickitCooldownMs, isWalkThroughLoot };
+export { getItemData, matchesFilterRules, getLootCandidatesForMapper, getPickitCooldownMs, isWalkThroughLoot, exportFilterText, importFilterText, importLootFilter };
 
 console.log("[Pickit] Plugin loaded with filter rules system");
@@ -0,0 +1,252 @@
+import assert from 'node:assert/strict';
+import { runtime } from './poe2_stub.mjs';
+
+// pickit only runs when enabled in the player's saved settings
+runtime.files.set('../../data/settings.json', JSON.stringify({ players: {
+  Tester: { pickit: { enabled: true } },
+  // a second character with the price table on (the last scenario)
+  Trader: { pickit: { enabled: true, usePriceTable: true, priceTableFile: 'prices.csv', minItemValue: 5,
+    evictWhenFull: true, evictMinValue: 20, evictStashTab: 'Dump' } },
+  // no price table, evicting by rule order
+  Plain: { pickit: { enabled: true, evictWhenFull: true, evictStashTab: 'Dump' } },
+} }));
+
+const { POE2Cache } = await import('./poe2_cache.js');
+const { pickitPlugin, matchesFilterRules, getItemData, exportFilterText, importFilterText, importLootFilter, getLootCandidatesForMapper } = await import('./pickit.js');
+const { Events } = await import('./event_bus.js');
+const { auditOpenRun, auditOpenRunInfo } = await import('./map_audit.js');
+const { statsReset, statsSnapshot } = await import('./session_stats.js');
+const picked = [];
+Events.on('itemPicked', p => picked.push(p), { owner: 'pickit.test' });
+
+const terrain = { isValid: true, width: 400, height: 400 };
+const player = { playerName: 'Tester', address: 1, gridX: 100, gridY: 100, healthCurrent: 1000, healthMax: 1000 };
+// an empty, readable backpack (an unreadable one reads as 0 free cells -> the full-bag hold)
+const inventories = { 1: { isValid: true, totalBoxesX: 12, totalBoxesY: 5, items: [] } };
+const item = (id, x, y, worldItemName, extra) => Object.assign({
+  id, address: 0x1000 + id, entityType: 'Item', name: 'Metadata/MiscellaneousObjects/WorldItem',
+  gridX: x, gridY: y, isTargetable: true, hasWorldItem: true, worldItemName, worldItemRarity: 0,
+}, extra || {});
+
+const orb = item(7, 110, 100, 'Metadata/Items/Currency/CurrencyAddModToRare', { worldItemBaseName: 'Exalted Orb' });
+const boots = item(8, 104, 100, 'Metadata/Items/Armours/Boots/BootsStr1', { worldItemBaseName: 'Rough Greaves' });
+
+auditOpenRun({ areaId: 'MapTest' }, 1000);
+statsReset(1000);
+runtime.load([
+  { t: 1000, terrain, player, inventories, entities: [orb, boots] },
+  { t: 1200, terrain, player, inventories, entities: [orb, boots] },
+]);
+while (runtime.step(POE2Cache)) pickitPlugin.onDraw();
+
+// rules load with the player's settings; default set (no pickit_filters.json on disk): currency only
+assert.equal(matchesFilterRules(getItemData(orb)).matches, true);
+assert.equal(matchesFilterRules(getItemData(boots)).matches, false);
+
+// one pickup, aimed at the orb (id is big-endian at bytes 11..14), none for the unmatched boots
+const pickups = runtime.packetsWith([0x01, 0xA3, 0x01, 0x20]);
+assert.equal(pickups.length, 1);
+assert.deepEqual(pickups[0].bytes.slice(11, 15), [0, 0, 0, 7]);
+// the claimed pickup holds the action slot: the second frame must not re-fire while the orb is on the ground
+assert.equal(POE2Cache.interactionClaim().source, 'pickit');
+// the run ledger and the bus only count it once it has left the ground, not when the packet went out
+assert.equal(auditOpenRunInfo().lootCount, 0);
+assert.equal(picked.length, 0);
+assert.equal(statsSnapshot(1300).items, 0);           // the session loot summary doesn't count it either
+runtime.load([{ t: 1400, terrain, player, inventories, entities: [boots] }]);
+while (runtime.step(POE2Cache)) pickitPlugin.onDraw();
+assert.equal(auditOpenRunInfo().lootCount, 1);
+// ...then the bus saw exactly one itemPicked for it, with the matching rule
+assert.equal(picked.length, 1);
+assert.equal(picked[0].id, 7);
+assert.ok(picked[0].rule);
+assert.deepEqual(statsSnapshot(1500).loot.map(r => [r.key, r.n]), [[picked[0].rule, 1]]);
+assert.deepEqual(auditOpenRunInfo().loot, { [picked[0].rule]: 1 });
+
+// low health stands the whole pass down (death-over-loot guard)
+runtime.clearOutput();
+runtime.load([{ t: 9000, terrain, player: Object.assign({}, player, { healthCurrent: 300 }), inventories, entities: [orb] }]);
+while (runtime.step(POE2Cache)) pickitPlugin.onDraw();
+assert.equal(runtime.packets.length, 0);
+
+// text filter files: export writes the classic rules as expressions, import replaces the set (broken rules disabled)
+const exported = exportFilterText();
+assert.equal(exported, 'pickit_filter_default.txt');
+assert.match(runtime.files.get(exported), /rule "Currency Items"\n  path ~ "currency"/);
+assert.match(runtime.files.get(exported), /rule "Rare\+ Items" off\n  rarity >= rare/);
+runtime.files.set(exported, [
+  'rule "Boots or orbs"',
+  '  path ~ /Boots/ OR (baseName ~ "orb" AND NOT identified)',
+  'rule "Typo"',
+  '  baseNam ~ "x"',
+].join('\n'));
+// replacing existing rules waits for the confirm: nothing changes until then
+const asked = importFilterText();
+assert.equal(asked.pending, true);
+assert.equal(matchesFilterRules(getItemData(boots)).matches, false);
+const imported = importFilterText({ confirm: true });
+assert.equal(imported.count, 2);
+assert.equal(imported.errors.length, 1);
+assert.match(imported.errors[0], /unknown field 'baseNam'/);
+assert.equal(matchesFilterRules(getItemData(boots)).ruleName, 'Boots or orbs');
+assert.equal(matchesFilterRules(getItemData(orb)).matches, true);
+assert.equal(matchesFilterRules(getItemData(item(9, 0, 0, 'Metadata/Items/Rings/Ring1'))).matches, false);
+// ...and the imported set is what pickit_filters.json now holds
+assert.equal(JSON.parse(runtime.files.get('pickit_filters.json')).default[0].expr.includes('Boots'), true);
+// a file without rules is refused outright, confirmed or not
+runtime.files.set(exported, '# nothing here\n');
+assert.deepEqual(importFilterText({ confirm: true }), { count: 0, errors: [], pending: false });
+assert.equal(matchesFilterRules(getItemData(boots)).ruleName, 'Boots or orbs');
+
+// the game's .filter: compiled into its own set; a Hide block stops the item before the later pick-all Show
+runtime.files.set('C:/PoE2/NeverSink.filter', [
+  'Hide # junk boots',
+  '  Class "Boots"',
+  '  Rarity <= Magic',
+  'Show # currency',
+  '  Class "Stackable Currency"',
+  '  AreaLevel >= 80',
+  'Show',
+].join('\n'));
+const lf = importLootFilter('C:/PoE2/NeverSink.filter');
+assert.equal(lf.setName, 'filter_NeverSink');
+assert.equal(lf.rules, 4);
+assert.deepEqual(lf.untranslated, [
+  "line 6: AreaLevel >= 80 -- pickit can't read the area level",
+  "line 4: Show block imported OFF (its AreaLevel gate can't be checked)",
+]);
+assert.deepEqual(matchesFilterRules(getItemData(boots)), { matches: false, hiddenBy: 'Hide L1 junk boots' });
+assert.equal(matchesFilterRules(getItemData(orb)).ruleName, 'Show L7');      // the area-gated currency block is off
+assert.equal(matchesFilterRules(getItemData(item(9, 0, 0, 'Metadata/Items/Rings/Ring1'))).ruleName, 'Show L7');
+assert.equal(JSON.parse(runtime.files.get('pickit_filters.json')).filter_NeverSink[0].hide, true);
+assert.match(runtime.files.get(exportFilterText()), /rule "Hide L1 junk boots" hide\n/);
+assert.equal(importLootFilter('C:/PoE2/missing.filter'), null);
+
+// mod-aware rules: getItemMods takes an item address, which only bag rows carry (getInventory itemAddress) -- a
+// WorldItem entity has none, so a drop reads as no mods and bagItemRank's (entity, addr) path is the one that sees them
+const msBoots = item(20, 0, 0, 'Metadata/Items/Armours/Boots/BootsDex4', { worldItemBaseName: 'Lattice Sandals', worldItemRarity: 2 });
+const slowBoots = item(21, 0, 0, 'Metadata/Items/Armours/Boots/BootsDex4', { worldItemBaseName: 'Lattice Sandals', worldItemRarity: 2 });
+const unidBoots = item(22, 0, 0, 'Metadata/Items/Armours/Boots/BootsDex4', { worldItemBaseName: 'Lattice Sandals', worldItemRarity: 2 });
+const corruptRing = item(23, 0, 0, 'Metadata/Items/Rings/Ring4', { worldItemBaseName: 'Ruby Ring', worldItemRarity: 1 });
+const addr = { ms: 0x9020, slow: 0x9021, unid: 0x9022, ring: 0x9023 };
+const explicit = (...m) => m.map(([name, value0]) => ({ name, value0, value1: 0 }));
+const ringMods = { isValid: true, identified: true, corrupted: true, itemLevel: 70, socketCount: 1,
+  implicitMods: explicit(['FireResistImplicitRing1', 25]) };
+runtime.setFrame({ t: 20000, terrain, player, inventories, entities: [msBoots, slowBoots, unidBoots, corruptRing], itemMods: {
+  [addr.ms]: { isValid: true, identified: true, itemLevel: 82, quality: 12, explicitMods: explicit(['MovementVelocity4', 30], ['IncreasedLife5', 70]) },
+  [addr.slow]: { isValid: true, identified: true, itemLevel: 60, explicitMods: explicit(['MovementVelocity2', 15]) },
+  [addr.unid]: { isValid: true, identified: false, itemLevel: 84, explicitMods: explicit(['MovementVelocity5', 35]) },
+  [addr.ring]: ringMods,
+  [corruptRing.address]: ringMods,              // keyed by the ENTITY address: that must never read as the item
+} });
+runtime.clearOutput();
+runtime.files.set(exportFilterText(), [
+  'rule "MS boots" ',
+  '  path ~ "Boots" AND rarity >= rare AND explicit.MovementVelocity >= 25',
+  'rule "Corrupted ring"',
+  '  corrupted AND implicit ~ "FireResist" AND sockets >= 1 AND itemLevel < 75',
+].join('\n'));
+assert.deepEqual(importFilterText({ confirm: true }).errors, []);
+// on the ground: no item address, so no mods -- and the rule says so in the log
+assert.equal(matchesFilterRules(getItemData(msBoots)).matches, false);
+assert.equal(matchesFilterRules(getItemData(corruptRing)).matches, false);
+assert.equal(getItemData(msBoots).itemLevel, 0);
+assert.ok(runtime.logs.some(l => /Rule "MS boots" reads explicit: drops don't expose their mods/.test(l)));
+assert.ok(runtime.logs.some(l => /Rule "Corrupted ring" reads corrupted, implicit, sockets, itemLevel/.test(l)));
+// in the bag, by the row's itemAddress
+assert.equal(matchesFilterRules(getItemData(msBoots, addr.ms)).ruleName, 'MS boots');
+assert.equal(matchesFilterRules(getItemData(slowBoots, addr.slow)).matches, false);
+assert.equal(matchesFilterRules(getItemData(unidBoots, addr.unid)).matches, false);   // unidentified: explicit rolls hidden
+assert.equal(matchesFilterRules(getItemData(corruptRing, addr.ring)).ruleName, 'Corrupted ring');
+assert.equal(matchesFilterRules(getItemData(corruptRing, corruptRing.address)).matches, false);
+const msData = getItemData(msBoots, addr.ms);
+assert.equal(msData.itemLevel, 82);
+assert.equal(msData.quality, 12);
+assert.equal(getItemData(unidBoots, addr.unid).itemLevel, 84);
+// a mod name is a substring of the mod id: any Life mod rolled above 60
+runtime.files.set(exportFilterText(), 'rule "q"\n  quality >= 10 AND mod.Life > 60\n');
+importFilterText({ confirm: true });
+assert.equal(matchesFilterRules(getItemData(msBoots, addr.ms)).ruleName, 'q');
+assert.equal(matchesFilterRules(getItemData(slowBoots, addr.slow)).matches, false);
+
+// price table: the cheap transmute is left, the far divine outranks the near exalt (value per distance), the
+// unpriced ring still goes (last), and each pickup carries its value on the bus
+runtime.files.set('prices.csv', 'name,value,unit\nDivine Orb,150\nExalted Orb,1,exalt\nOrb of Transmutation,1\n');
+const trader = Object.assign({}, player, { playerName: 'Trader', address: 2 });
+const divine = item(30, 140, 100, 'Metadata/Items/Currency/CurrencyModValues', { worldItemBaseName: 'Divine Orb' });
+const exalt = item(31, 105, 100, 'Metadata/Items/Currency/CurrencyAddModToRare', { worldItemBaseName: 'Exalted Orb' });
+const transmute = item(32, 102, 100, 'Metadata/Items/Currency/CurrencyUpgradeToMagic', { worldItemBaseName: 'Orb of Transmutation', worldItemStackSize: 3 });
+const ring = item(33, 101, 100, 'Metadata/Items/Rings/Ring1', { worldItemBaseName: 'Iron Ring' });
+runtime.clearOutput();
+picked.length = 0;
+runtime.load([{ t: 30000, terrain, player: trader, inventories, entities: [divine, exalt, transmute, ring] }]);
+runtime.step(POE2Cache);
+pickitPlugin.onDraw();                          // loads Trader's settings + prices.csv
+runtime.files.set(exportFilterText(), 'rule "All"\n');
+importFilterText({ confirm: true });
+const cands = getLootCandidatesForMapper(100);
+assert.deepEqual(cands.map(c => [c.entity.id, c.value]), [[30, 150], [31, 7], [33, null]]);
+POE2Cache.releaseInteraction('pickit');
+runtime.load([{ t: 40000, terrain, player: trader, inventories, entities: [divine, exalt, transmute, ring] }]);
+runtime.step(POE2Cache);
+pickitPlugin.onDraw();
+assert.deepEqual(runtime.packetsWith([0x01, 0xA3, 0x01, 0x20]).map(p => p.bytes[14]), [30]);
+assert.equal(picked.length, 0);
+runtime.load([{ t: 40200, terrain, player: trader, inventories, entities: [exalt, transmute, ring] }]);
+runtime.step(POE2Cache);
+pickitPlugin.onDraw();
+assert.deepEqual(picked.map(p => [p.id, p.value]), [[30, 150]]);
+assert.ok(runtime.logs.some(l => /3 prices from prices\.csv \(1ex = 7c\)/.test(l)));
+
+// inventory full: a 2x4 normal armour fills the bag; in a map (no drop call) the divine is only held, in town the
+// vest goes to the evict tab once the stash is open
+const fullBag = { 1: { isValid: true, totalBoxesX: 2, totalBoxesY: 4, items: [{
+  baseName: 'Plate Vest', itemPath: 'Metadata/Items/Armours/BodyArmours/BodyStr1', rarity: 0, stackSize: 1,
+  slotX: 0, slotY: 0, width: 2, height: 4, slotEndX: 2, slotEndY: 4, itemSlotHandle: 77,
+}] } };
+const mapArea = { isValid: true, areaId: 'MapCrypt', areaName: 'Crypt' };
+const hideout = { isValid: true, areaId: 'HideoutZiggurat', areaName: 'The Ziggurat Refuge' };
+const fullFrame = (t, area, ground, who) => ({ t, terrain, player: who || trader, area, inventories: fullBag, entities: [ground],
+  stashTabs: [{ tabId: 3, name: 'Dump', invId: 0 }] });
+const divine2 = item(40, 104, 100, 'Metadata/Items/Currency/CurrencyModValues', { worldItemBaseName: 'Divine Orb' });
+runtime.clearOutput();
+runtime.load([fullFrame(50000, mapArea, divine2), fullFrame(50500, mapArea, divine2)]);
+while (runtime.step(POE2Cache)) pickitPlugin.onDraw();
+assert.equal(runtime.packetsWith([0x01, 0xA3, 0x01, 0x20]).length, 0);
+assert.equal(runtime.moves.length, 0);
+assert.ok(!runtime.logs.some(l => /EVICT/.test(l)));
+assert.ok(runtime.logs.some(l => /inventory FULL -> holding pickup of Divine Orb/.test(l)));
+
+const divine4 = item(42, 104, 100, 'Metadata/Items/Currency/CurrencyModValues', { worldItemBaseName: 'Divine Orb' });
+runtime.clearOutput();
+runtime.load([fullFrame(56000, hideout, divine4), fullFrame(56500, hideout, divine4)]);
+while (runtime.step(POE2Cache)) pickitPlugin.onDraw();
+assert.equal(runtime.moves.length, 0);
+assert.equal(runtime.logs.filter(l => /EVICT 2x4 Plate Vest \(0c\) for Divine Orb \(21\.4ex\) -- 0\/1 moved to 'Dump' \(stash closed\?\)/.test(l)).length, 1);
+runtime.stashOpen = true;
+runtime.load([fullFrame(59000, hideout, divine4)]);
+runtime.step(POE2Cache);
+pickitPlugin.onDraw();
+assert.deepEqual(runtime.moves.map(m => [m.toStash, m.tabId, m.handle]), [[true, 3, 77]]);
+assert.ok(runtime.logs.some(l => /EVICT 2x4 Plate Vest .* -- moved to 'Dump'/.test(l)));
+runtime.stashOpen = false;
+
+// no price table: filter rule order decides -- the vest (a later rule) makes way for currency, never the reverse
+const plain = Object.assign({}, player, { playerName: 'Plain', address: 3 });
+runtime.load([fullFrame(60000, hideout, divine2, plain)]);
+runtime.step(POE2Cache);
+pickitPlugin.onDraw();                          // loads Plain's settings
+runtime.files.set(exportFilterText(), 'rule "Currency"\n  path ~ "currency"\nrule "Armour"\n  path ~ "armours"\n');
+importFilterText({ confirm: true });
+const divine5 = item(43, 104, 100, 'Metadata/Items/Currency/CurrencyModValues', { worldItemBaseName: 'Divine Orb' });
+const vest2 = item(44, 104, 100, 'Metadata/Items/Armours/BodyArmours/BodyStr1', { worldItemBaseName: 'Plate Vest', worldItemGridWidth: 2, worldItemGridHeight: 4 });
+runtime.clearOutput();
+runtime.stashOpen = true;
+runtime.load([fullFrame(63000, hideout, vest2, plain), fullFrame(66000, hideout, divine5, plain)]);
+while (runtime.step(POE2Cache)) pickitPlugin.onDraw();
+runtime.stashOpen = false;
+assert.deepEqual(runtime.moves.map(m => [m.tabId, m.handle]), [[3, 77]]);
+assert.equal(runtime.logs.filter(l => /EVICT/.test(l)).length, 1);
+assert.ok(runtime.logs.some(l => /EVICT 2x4 Plate Vest for Divine Orb \(rule 'Currency'\) -- moved to 'Dump'/.test(l)));
+
+runtime.print('pickit tests passed');
@@ -0,0 +1,405 @@
+/**
+ * pickit_filter.js — the pickit filter expression language and its plain-text file format.
+ *
+ * Expression (one per rule; a rule with an empty expression matches every item):
+ *
+ *   rarity >= rare AND (baseName ~ "ring" OR baseName ~ /amulet|belt/i) AND NOT identified
+ *
+ *   - AND / OR / NOT (any case; also && || !) with ( ) groups. Precedence NOT > AND > OR.
+ *   - field op value, op one of == != > >= < <= ~ !~
+ *       ~ "text"  case-insensitive substring        ~ /re/flags  regex test
+ *       == "text" case-insensitive equality          > >= < <=    numeric (a non-number field never matches)
+ *   - a bare field is a truthiness test:  identified,  NOT corrupted
+ *   - values: 12, 1.5, "str" or 'str' (\ escapes), /regex/flags, true/false, the rarity names
+ *     normal/magic/rare/unique (0..3); any other bare word is a string.
+ *   - fields are pickit's item data keys (path, baseName, rarity, stackSize, itemLevel, quality, sockets,
+ *     corrupted, ...), `gridSize` (w*h) and the mod lists `mod` (all), `explicit`, `implicit` -- their mod names.
+ *     An array field matches when ANY element does (`explicit ~ /Life/`).
+ *   - rolled values: `<list>.<name>` is value0 of every mod in the list whose name contains <name>:
+ *       explicit.MovementVelocity >= 25      mod.FireResist > 30      NOT implicit.Life
+ *
+ * File format (one rule per block; first enabled matching rule wins, as in the rule list):
+ *
+ *   # comments run to the end of the line
+ *   rule "Currency"
+ *     path ~ "currency"
+ *
+ *   rule "Good rares" off
+ *     rarity >= rare
+ *     AND baseName ~ /ring|amulet/i
+ *
+ *   rule "No normal gear" hide
+ *     rarity == normal AND path !~ "currency"
+ *
+ * `off` = disabled; `hide` = an item this rule matches is NOT picked (and no later rule is tried). Body lines
+ * up to the next `rule` are joined into one expression. Pure module (no game API): pickit compiles rule.expr
+ * with it and node tests cover the parser and the evaluator directly.
+ */
+
+export const RARITY_NAMES = ['normal', 'magic', 'rare', 'unique'];
+
+const CMP_OPS = ['==', '!=', '>=', '<=', '>', '<', '~', '!~'];
+// mod-list field -> the item data key holding its [{ name, value0, value1 }] (or plain name strings)
+const MOD_LISTS = { mod: 'mods', mods: 'mods', explicit: 'explicitMods', implicit: 'implicitMods' };
+const NUMERIC_OPS = ['>=', '<=', '>', '<'];
+
+// ===================== tokenizer =====================
+
+function _isIdentStart(c) { return /[A-Za-z_]/.test(c); }
+function _isIdent(c) { return /[A-Za-z0-9_.]/.test(c); }
+
+/** Tokens: { t: 'ident'|'num'|'str'|'re'|'op'|'(' |')', v, pos }. Returns { tokens, error }. */
+export function tokenize(src) {
+  const s = String(src || '');
+  const tokens = [];
+  let i = 0;
+  // a '/' starts a regex only where a value is expected: after a comparison operator
+  const valueExpected = () => tokens.length > 0 && tokens[tokens.length - 1].t === 'op' && CMP_OPS.includes(tokens[tokens.length - 1].v);
+  while (i < s.length) {
+    const c = s[i];
+    if (c === ' ' || c === '\t' || c === '\r' || c === '\n') { i++; continue; }
+    if (c === '#') { while (i < s.length && s[i] !== '\n') i++; continue; }
+    const pos = i;
+    if (c === '(' || c === ')') { tokens.push({ t: c, v: c, pos }); i++; continue; }
+    if (c === '"' || c === "'") {
+      let v = '';
+      i++;
+      while (i < s.length && s[i] !== c) {
+        if (s[i] === '\\' && i + 1 < s.length) { v += s[i + 1]; i += 2; } else v += s[i++];
+      }
+      if (i >= s.length) return { tokens, error: `col ${pos + 1}: unterminated string` };
+      i++;
+      tokens.push({ t: 'str', v, pos });
+      continue;
+    }
+    if (c === '/' && valueExpected()) {
+      let body = '';
+      i++;
+      while (i < s.length && s[i] !== '/') {
+        if (s[i] === '\\' && i + 1 < s.length) { body += s[i] + s[i + 1]; i += 2; } else body += s[i++];
+      }
+      if (i >= s.length) return { tokens, error: `col ${pos + 1}: unterminated regex` };
+      i++;
+      let flags = '';
+      while (i < s.length && /[a-z]/.test(s[i])) flags += s[i++];
+      let re;
+      try { re = new RegExp(body, flags); } catch (e) { return { tokens, error: `col ${pos + 1}: bad regex /${body}/${flags}: ${e.message}` }; }
+      tokens.push({ t: 're', v: re, pos });
+      continue;
+    }
+    if (/[0-9]/.test(c) || (c === '-' && /[0-9]/.test(s[i + 1] || '') && valueExpected())) {
+      let j = i + 1;
+      while (j < s.length && /[0-9.]/.test(s[j])) j++;
+      const n = Number(s.slice(i, j));
+      if (!Number.isFinite(n)) return { tokens, error: `col ${pos + 1}: bad number '${s.slice(i, j)}'` };
+      tokens.push({ t: 'num', v: n, pos });
+      i = j;
+      continue;
+    }
+    if (_isIdentStart(c)) {
+      let j = i + 1;
+      while (j < s.length && _isIdent(s[j])) j++;
+      tokens.push({ t: 'ident', v: s.slice(i, j), pos });
+      i = j;
+      continue;
+    }
+    const two = s.slice(i, i + 2);
+    if (['==', '!=', '>=', '<=', '!~', '&&', '||'].includes(two)) { tokens.push({ t: 'op', v: two, pos }); i += 2; continue; }
+    if ('><~!'.includes(c)) { tokens.push({ t: 'op', v: c, pos }); i++; continue; }
+    return { tokens, error: `col ${pos + 1}: unexpected '${c}'` };
+  }
+  return { tokens, error: '' };
+}
+
+// ===================== parser =====================
+
+function _kw(tok, word) { return tok && tok.t === 'ident' && tok.v.toUpperCase() === word; }
+
+/**
+ * Compile an expression. Returns { ast, error } -- error '' on success ('col N: ...' otherwise, ast null).
+ * opts.fields (optional array): restrict field names (catches typos like 'basename' at compile time).
+ * An empty / comment-only expression compiles to "match everything".
+ */
+export function compileFilter(src, opts = {}) {
+  const { tokens, error } = tokenize(src);
+  if (error) return { ast: null, error };
+  if (!tokens.length) return { ast: { op: 'const', value: true }, error: '' };
+  const known = Array.isArray(opts.fields) ? new Map(opts.fields.map(f => [f.toLowerCase(), f])) : null;
+  let i = 0;
+  const peek = () => tokens[i];
+  const fail = (msg, tok = tokens[i]) => { throw new Error(`${tok ? `col ${tok.pos + 1}` : 'end'}: ${msg}`); };
+
+  const parseOr = () => {
+    const args = [parseAnd()];
+    while (_kw(peek(), 'OR') || (peek() && peek().v === '||')) { i++; args.push(parseAnd()); }
+    return args.length === 1 ? args[0] : { op: 'or', args };
+  };
+  const parseAnd = () => {
+    const args = [parseNot()];
+    while (_kw(peek(), 'AND') || (peek() && peek().v === '&&')) { i++; args.push(parseNot()); }
+    return args.length === 1 ? args[0] : { op: 'and', args };
+  };
+  const parseNot = () => {
+    if (_kw(peek(), 'NOT') || (peek() && peek().t === 'op' && peek().v === '!')) { i++; return { op: 'not', arg: parseNot() }; }
+    return parsePrimary();
+  };
+  const parseValue = () => {
+    const tok = peek();
+    if (!tok) fail('expected a value');
+    i++;
+    if (tok.t === 'num' || tok.t === 'str' || tok.t === 're') return tok.v;
+    if (tok.t === 'ident') {
+      const w = tok.v.toLowerCase();
+      if (w === 'true') return true;
+      if (w === 'false') return false;
+      const r = RARITY_NAMES.indexOf(w);
+      if (r >= 0) return r;
+      return tok.v;
+    }
+    fail(`expected a value, got '${tok.v}'`, tok);
+  };
+  const parsePrimary = () => {
+    const tok = peek();
+    if (!tok) fail('expected a condition');
+    if (tok.t === '(') {
+      i++;
+      const e = parseOr();
+      if (!peek() || peek().t !== ')') fail("expected ')'");
+      i++;
+      return e;
+    }
+    if (tok.t !== 'ident' || ['AND', 'OR', 'NOT'].includes(tok.v.toUpperCase())) fail(`expected a field, got '${tok.v}'`, tok);
+    i++;
+    if (/^(true|false)$/i.test(tok.v)) return { op: 'const', value: tok.v.toLowerCase() === 'true' };
+    let field = tok.v;
+    const dot = field.indexOf('.');
+    let head = dot >= 0 ? field.slice(0, dot) : field;
+    if (known) {
+      const f = known.get(head.toLowerCase());
+      if (!f) fail(`unknown field '${head}'`, tok);
+      head = f;
+    }
+    if (dot >= 0) {
+      if (!MOD_LISTS[head.toLowerCase()]) fail(`'${head}' is not a mod list (mod, explicit, implicit)`, tok);
+      if (!field.slice(dot + 1)) fail(`'${head}.' needs a mod name`, tok);
+      field = `${head.toLowerCase()}.${field.slice(dot + 1)}`;
+    } else field = head;
+    const opTok = peek();
+    if (opTok && opTok.t === 'op' && CMP_OPS.includes(opTok.v)) {
+      i++;
+      const value = parseValue();
+      if (NUMERIC_OPS.includes(opTok.v) && typeof value !== 'number') fail(`'${opTok.v}' needs a number`, tokens[i - 1]);
+      if (value instanceof RegExp && opTok.v !== '~' && opTok.v !== '!~') fail(`a regex needs '~' or '!~'`, tokens[i - 1]);
+      return { op: 'cmp', field, cmp: opTok.v, value };
+    }
+    return { op: 'truthy', field };
+  };
+
+  try {
+    const ast = parseOr();
+    if (i < tokens.length) fail(`unexpected '${tokens[i].v}'`);
+    return { ast, error: '' };
+  } catch (e) {
+    return { ast: null, error: e.message };
+  }
+}
+
+/** The fields a compiled expression reads (mod-list heads for `explicit.X`), deduplicated, in first-use order. */
+export function filterFields(ast) {
+  const out = [];
+  const walk = (n) => {
+    if (!n) return;
+    if (n.args) n.args.forEach(walk);
+    if (n.arg) walk(n.arg);
+    if (n.field) {
+      const head = n.field.split('.')[0];
+      if (!out.includes(head)) out.push(head);
+    }
+  };
+  walk(ast);
+  return out;
+}
+
+// ===================== evaluator =====================
+
+function _modList(item, list) {
+  const mods = item[MOD_LISTS[list] || list];
+  return Array.isArray(mods) ? mods : [];
+}
+
+/**
+ * Rolled values (value0) of the mods in `list` ('mod' | 'explicit' | 'implicit') whose name contains `name`
+ * (case-insensitive). [] when the item has none. Shared with pickit's classic mod_value_min condition.
+ */
+export function modValues(item, list, name) {
+  const needle = String(name).toLowerCase();
+  const out = [];
+  for (const m of _modList(item, list)) {
+    if (!m || typeof m !== 'object') continue;
+    if (String(m.name || '').toLowerCase().includes(needle) && Number.isFinite(Number(m.value0))) out.push(Number(m.value0));
+  }
+  return out;
+}
+
+function _field(item, field) {
+  if (field === 'gridSize') return (item.gridWidth || 1) * (item.gridHeight || 1);
+  if (MOD_LISTS[field]) return _modList(item, field).map(m => (m && typeof m === 'object' ? m.name : m));
+  const dot = field.indexOf('.');
+  if (dot >= 0 && MOD_LISTS[field.slice(0, dot)]) return modValues(item, field.slice(0, dot), field.slice(dot + 1));
+  return item[field];
+}
+
+function _cmpOne(v, cmp, value) {
+  if (v === undefined || v === null) return cmp === '!=' || cmp === '!~';
+  if (value instanceof RegExp) {
+    value.lastIndex = 0;
+    const hit = value.test(String(v));
+    return cmp === '~' ? hit : !hit;
+  }
+  if (NUMERIC_OPS.includes(cmp)) {
+    const n = typeof v === 'boolean' ? (v ? 1 : 0) : Number(v);
+    if (typeof v === 'string' && v.trim() === '') return false;
+    if (!Number.isFinite(n)) return false;
+    if (cmp === '>') return n > value;
+    if (cmp === '>=') return n >= value;
+    if (cmp === '<') return n < value;
+    return n <= value;
+  }
+  if (cmp === '~' || cmp === '!~') {
+    const hit = String(v).toLowerCase().includes(String(value).toLowerCase());
+    return cmp === '~' ? hit : !hit;
+  }
+  let eq;
+  if (typeof value === 'number') eq = (typeof v === 'boolean' ? (v ? 1 : 0) : Number(v)) === value;
+  else if (typeof value === 'boolean') eq = !!v === value;
+  else eq = String(v).toLowerCase() === String(value).toLowerCase();
+  return cmp === '==' ? eq : !eq;
+}
+
+/** Evaluate a compiled expression against an item (pickit's getItemData shape). */
+export function evaluateFilter(ast, item) {
+  if (!ast) return false;
+  switch (ast.op) {
+    case 'const': return !!ast.value;
+    case 'or': return ast.args.some(a => evaluateFilter(a, item));
+    case 'and': return ast.args.every(a => evaluateFilter(a, item));
+    case 'not': return !evaluateFilter(ast.arg, item);
+    case 'truthy': {
+      const v = _field(item, ast.field);
+      return Array.isArray(v) ? v.length > 0 : !!v;
+    }
+    case 'cmp': {
+      const v = _field(item, ast.field);
+      if (!Array.isArray(v)) return _cmpOne(v, ast.cmp, ast.value);
+      // negative ops over a list: NONE of the elements may match the positive form
+      if (ast.cmp === '!=' || ast.cmp === '!~') return !v.some(x => _cmpOne(x, ast.cmp === '!=' ? '==' : '~', ast.value));
+      return v.some(x => _cmpOne(x, ast.cmp, ast.value));
+    }
+    default: return false;
+  }
+}
+
+// ===================== text file format =====================
+
+function _quote(s) { return `"${String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`; }
+
+/**
+ * Parse a filter file into rules [{ name, enabled, hide, expr }] plus errors ['line N: ...']. A rule whose
+ * expression doesn't compile is still returned (disabled, with `error`) so an import never silently drops it.
+ */
+export function parseFilterText(text, opts = {}) {
+  const rules = [];
+  const errors = [];
+  let cur = null;
+  const finish = () => {
+    if (!cur) return;
+    const expr = cur.body.join('\n').trim();
+    const { error } = compileFilter(expr, opts);
+    const rule = { name: cur.name, enabled: cur.enabled, hide: cur.hide, expr };
+    if (error) {
+      errors.push(`line ${cur.line}: rule "${cur.name}": ${error}`);
+      rule.enabled = false;
+      rule.error = error;
+    }
+    rules.push(rule);
+    cur = null;
+  };
+  const lines = String(text || '').split('\n');
+  for (let n = 0; n < lines.length; n++) {
+    const line = lines[n];
+    const head = /^\s*rule\s+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')((?:\s+(?:off|disabled|hide))*)\s*(#.*)?$/i.exec(line);
+    if (head) {
+      finish();
+      const flags = head[2].toLowerCase().split(/\s+/);
+      cur = {
+        name: head[1].slice(1, -1).replace(/\\(.)/g, '$1'),
+        enabled: !flags.includes('off') && !flags.includes('disabled'),
+        hide: flags.includes('hide'),
+        body: [], line: n + 1,
+      };
+      continue;
+    }
+    if (/^\s*rule\b/i.test(line)) { errors.push(`line ${n + 1}: expected rule "name" [off] [hide]`); continue; }
+    if (!cur) {
+      if (line.replace(/#.*/, '').trim()) errors.push(`line ${n + 1}: condition outside a rule`);
+      continue;
+    }
+    cur.body.push(line);
+  }
+  finish();
+  return { rules, errors };
+}
+
+/** Serialize rules [{ name, enabled, hide, expr }] back to the file format (stable: parse(format(x)) == x). */
+export function formatFilterText(rules, header = '') {
+  const out = [];
+  if (header) for (const l of String(header).split('\n')) out.push(`# ${l}`);
+  for (const r of rules) {
+    if (out.length) out.push('');
+    out.push(`rule ${_quote(r.name || 'Rule')}${r.enabled === false ? ' off' : ''}${r.hide ? ' hide' : ''}`);
+    const expr = String(r.expr || '').trim();
+    if (expr) for (const l of expr.split('\n')) out.push(`  ${l.trim()}`);
+  }
+  return out.join('\n') + '\n';
+}
+
+/**
+ * The classic rule-editor conditions ({ type, value }, ANDed) as an expression, so old rules export to and
+ * run through the same language. Unknown condition types become `false` (the old evaluator never matched them).
+ */
+export function conditionsToExpr(conditions) {
+  const parts = [];
+  for (const c of conditions || []) {
+    const v = c.value;
+    const str = _quote(v === undefined || v === null ? '' : v);
+    const rarity = RARITY_NAMES[v] || String(v);
+    switch (c.type) {
+      case 'path_contains': parts.push(`path ~ ${str}`); break;
+      case 'path_not_contains': parts.push(`path !~ ${str}`); break;
+      case 'base_name_contains': parts.push(`baseName ~ ${str}`); break;
+      case 'base_name_not_contains': parts.push(`baseName !~ ${str}`); break;
+      case 'unique_name_contains': parts.push(`uniqueName ~ ${str}`); break;
+      case 'name_contains': parts.push(`displayName ~ ${str}`); break;
+      case 'rarity': parts.push(`rarity == ${rarity}`); break;
+      case 'rarity_min': parts.push(`rarity >= ${rarity}`); break;
+      case 'stack_size_min': parts.push(`stackSize >= ${Number(v) || 0}`); break;
+      case 'grid_size_max': parts.push(`gridSize <= ${Number(v) || 0}`); break;
+      case 'unid_tier': parts.push(`unidentifiedTier == ${Number(v) || 0}`); break;
+      case 'unid_tier_min': parts.push(`unidentifiedTier >= ${Number(v) || 0}`); break;
+      case 'identified': parts.push(v ? 'identified' : 'NOT identified'); break;
+      case 'explicit_mod_contains': parts.push(`explicit ~ ${str}`); break;
+      case 'implicit_mod_contains': parts.push(`implicit ~ ${str}`); break;
+      case 'mod_value_min': {
+        const m = /^\s*([A-Za-z_]\w*)\s+(-?\d+(?:\.\d+)?)\s*$/.exec(String(v || ''));
+        parts.push(m ? `mod.${m[1]} >= ${Number(m[2])}` : 'false');
+        break;
+      }
+      case 'item_level_min': parts.push(`itemLevel >= ${Number(v) || 0}`); break;
+      case 'quality_min': parts.push(`quality >= ${Number(v) || 0}`); break;
+      case 'sockets_min': parts.push(`sockets >= ${Number(v) || 0}`); break;
+      case 'corrupted': parts.push(v ? 'corrupted' : 'NOT corrupted'); break;
+      default: parts.push('false');
+    }
+  }
+  return parts.join(' AND ');
+}
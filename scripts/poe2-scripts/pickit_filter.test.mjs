@@ -0,0 +1,156 @@
+import assert from 'node:assert/strict';
+import {
+  tokenize, compileFilter, evaluateFilter, parseFilterText, formatFilterText, conditionsToExpr, modValues,
+} from './pickit_filter.js';
+
+const matches = (expr, item, opts) => {
+  const { ast, error } = compileFilter(expr, opts);
+  assert.equal(error, '', `${expr}: ${error}`);
+  return evaluateFilter(ast, item);
+};
+
+const ring = {
+  path: 'Metadata/Items/Rings/Ring12', baseName: 'Gold Ring', rarity: 2, stackSize: 1, gridWidth: 1, gridHeight: 1,
+  identified: false, unidentifiedTier: 4, displayName: '', mods: [{ name: 'IncreasedLife5', value0: 60 }, 'FireResist2'],
+};
+const orb = { path: 'Metadata/Items/Currency/CurrencyAddModToRare', baseName: 'Exalted Orb', rarity: 0, stackSize: 3, gridWidth: 1, gridHeight: 1 };
+const armour = { path: 'Metadata/Items/Armours/Body/BodyStr3', baseName: 'Plate Vest', rarity: 1, gridWidth: 2, gridHeight: 3, identified: true };
+
+// ---- tokenizer ----
+assert.deepEqual(tokenize('a >= 5 # note').tokens.map(t => t.v), ['a', '>=', 5]);
+assert.equal(tokenize('path ~ /a(/').error.startsWith('col 8: bad regex'), true);
+assert.match(tokenize('name == "abc').error, /unterminated string/);
+assert.match(tokenize('a @ 1').error, /col 3: unexpected '@'/);
+// '/' only starts a regex where a value is expected
+assert.equal(tokenize('path ~ /a\\/b/i').tokens[2].v.source, 'a\\/b');
+assert.equal(tokenize('x > -3').tokens[2].v, -3);
+
+// ---- comparisons ----
+assert.equal(matches('path ~ "currency"', orb), true);            // case-insensitive substring
+assert.equal(matches('path !~ "currency"', orb), false);
+assert.equal(matches('baseName == "exalted orb"', orb), true);
+assert.equal(matches('baseName != "Exalted Orb"', orb), false);
+assert.equal(matches('baseName ~ /^exalted/i', orb), true);
+assert.equal(matches('baseName ~ /^exalted/', orb), false);
+assert.equal(matches('stackSize >= 3', orb), true);
+assert.equal(matches('stackSize > 3', orb), false);
+assert.equal(matches('gridSize <= 4', armour), false);             // computed: 2 x 3
+assert.equal(matches('gridSize == 6', armour), true);
+assert.equal(matches('rarity >= rare', ring), true);              // rarity names
+assert.equal(matches('rarity == magic', armour), true);
+assert.equal(matches('baseName > 3', orb), false);                 // non-number field never matches numerically
+assert.equal(matches('itemLevel >= 80', orb), false);              // missing field
+assert.equal(matches('itemLevel != 80', orb), true);
+
+// ---- booleans, groups, precedence ----
+assert.equal(matches('identified', armour), true);
+assert.equal(matches('NOT identified', ring), true);
+assert.equal(matches('!identified && rarity >= rare', ring), true);
+assert.equal(matches('identified == false', ring), true);
+assert.equal(matches('rarity == unique OR path ~ "currency" AND stackSize >= 5', orb), false);   // AND binds tighter
+assert.equal(matches('(rarity == unique OR path ~ "currency") AND stackSize >= 3', orb), true);
+assert.equal(matches('not (baseName ~ "ring" or baseName ~ "amulet")', ring), false);
+assert.equal(matches('true', {}), true);
+assert.equal(matches('false OR rarity == normal', orb), true);
+assert.equal(matches('', orb), true);                              // empty = pick all
+assert.equal(matches('# only a comment', orb), true);
+
+// ---- mods: an array field matches when ANY element does; negative ops mean NONE ----
+assert.equal(matches('mod ~ "life"', ring), true);
+assert.equal(matches('mod ~ /^FireResist\\d$/', ring), true);
+assert.equal(matches('mod !~ "cold"', ring), true);
+assert.equal(matches('mod !~ "fire"', ring), false);
+assert.equal(matches('mod', ring), true);
+assert.equal(matches('NOT mod', orb), true);
+
+// ---- per-mod lists and rolled values ----
+const boots = {
+  rarity: 2, itemLevel: 82, quality: 0, sockets: 0, corrupted: false,
+  explicitMods: [{ name: 'MovementVelocity4', value0: 30 }, { name: 'IncreasedLife5', value0: 70 }],
+  implicitMods: [{ name: 'EvasionImplicit', value0: 12 }],
+};
+boots.mods = boots.implicitMods.concat(boots.explicitMods);
+assert.equal(matches('explicit.MovementVelocity >= 25', boots), true);
+assert.equal(matches('explicit.movementvelocity >= 35', boots), false);
+assert.equal(matches('explicit ~ "evasion"', boots), false);
+assert.equal(matches('implicit ~ "evasion"', boots), true);
+assert.equal(matches('mod.Evasion == 12 AND mod.Life > 60', boots), true);
+assert.equal(matches('explicit.FireResist > 0', boots), false);              // no such mod
+assert.equal(matches('explicit.FireResist', boots), false);
+assert.equal(matches('NOT corrupted AND itemLevel >= 82', boots), true);
+assert.equal(matches('Explicit.Life >= 70', boots, { fields: ['explicit'] }), true);
+assert.deepEqual(modValues(boots, 'explicit', 'velocity'), [30]);
+
+// ---- compile errors ----
+const err = (expr, opts) => compileFilter(expr, opts).error;
+assert.match(err('rarity >='), /end: expected a value/);
+assert.match(err('rarity >= "rare"'), /col 11: '>=' needs a number/);
+assert.match(err('stackSize > "many"'), /col 13: '>' needs a number/);
+assert.match(err('(path ~ "a"'), /expected '\)'/);
+assert.match(err('path ~ "a" AND'), /expected a condition/);
+assert.match(err('AND path ~ "a"'), /col 1: expected a field, got 'AND'/);
+assert.match(err('path == /a/'), /regex needs '~'/);
+assert.match(err('baseNme ~ "x"', { fields: ['baseName'] }), /col 1: unknown field 'baseNme'/);
+assert.match(err('rarity.x > 1'), /col 1: 'rarity' is not a mod list/);
+assert.match(err('explicit. > 1'), /'explicit\.' needs a mod name/);
+assert.match(err('explicti.Life > 1', { fields: ['explicit'] }), /unknown field 'explicti'/);
+// field names resolve case-insensitively to the declared spelling when a field list is given
+assert.equal(matches('BASENAME ~ "orb"', orb, { fields: ['baseName'] }), true);
+
+// ---- text format ----
+const text = `# team filter
+rule "Currency"
+  path ~ "currency"   # everything in Currency/
+
+rule "Good rares" off
+  rarity >= rare
+  AND baseName ~ /ring|amulet/i
+
+rule "Pick all"
+
+rule "Broken"
+  stackSize >
+`;
+const parsed = parseFilterText(text);
+assert.deepEqual(parsed.rules.map(r => [r.name, r.enabled]), [['Currency', true], ['Good rares', false], ['Pick all', true], ['Broken', false]]);
+assert.equal(parsed.rules[2].expr, '');
+assert.equal(parsed.errors.length, 1);
+assert.match(parsed.errors[0], /^line 11: rule "Broken": end: expected a value/);
+assert.ok(parsed.rules[3].error);
+assert.equal(evaluateFilter(compileFilter(parsed.rules[1].expr).ast, ring), true);
+
+assert.deepEqual(parseFilterText('path ~ "x"\nrule oops').errors, ['line 1: condition outside a rule', 'line 2: expected rule "name" [off] [hide]']);
+
+// round trip: format(parse(x)) parses back to the same rules, names with quotes survive
+const rules = [
+  { name: 'Say "hi"', enabled: true, expr: 'path ~ "a\\\\b"' },
+  { name: 'Off', enabled: false, expr: 'rarity >= rare\nAND NOT identified' },
+  { name: 'All', enabled: true, expr: '' },
+];
+const again = parseFilterText(formatFilterText(rules, 'header')).rules;
+assert.deepEqual(again.map(r => ({ name: r.name, enabled: r.enabled, expr: r.expr.split('\n').map(l => l.trim()).join('\n') })), rules);
+// the hide flag (a first-match "don't pick" rule) survives the round trip, in either order with off
+const hidden = parseFilterText('rule "Junk" hide\n  rarity == normal\nrule "Old" off hide\n').rules;
+assert.deepEqual(hidden.map(r => [r.name, r.enabled, r.hide]), [['Junk', true, true], ['Old', false, true]]);
+assert.match(formatFilterText(hidden), /rule "Junk" hide\n[\s\S]*rule "Old" off hide/);
+assert.ok(formatFilterText(rules, 'header').startsWith('# header\n\nrule "Say \\"hi\\""'));
+
+// ---- classic conditions -> same verdicts through the language ----
+const classic = [
+  { type: 'path_contains', value: 'rings' }, { type: 'rarity_min', value: 2 },
+  { type: 'identified', value: 0 }, { type: 'unid_tier_min', value: 3 }, { type: 'grid_size_max', value: 1 },
+];
+const expr = conditionsToExpr(classic);
+assert.equal(expr, 'path ~ "rings" AND rarity >= rare AND NOT identified AND unidentifiedTier >= 3 AND gridSize <= 1');
+assert.equal(matches(expr, ring), true);
+assert.equal(matches(expr, armour), false);
+const modClassic = [
+  { type: 'explicit_mod_contains', value: 'life' }, { type: 'mod_value_min', value: 'IncreasedLife 50' },
+  { type: 'item_level_min', value: 80 }, { type: 'corrupted', value: 0 },
+];
+assert.equal(conditionsToExpr(modClassic), 'explicit ~ "life" AND mod.IncreasedLife >= 50 AND itemLevel >= 80 AND NOT corrupted');
+assert.equal(conditionsToExpr([{ type: 'mod_value_min', value: 'no number' }]), 'false');
+assert.equal(conditionsToExpr([{ type: 'mystery', value: 1 }]), 'false');
+assert.equal(conditionsToExpr([]), '');
+
+console.log('pickit_filter tests passed');
@@ -0,0 +1,220 @@
+/**
+ * Plugin Reloader — hot-reload ONE plugin without re-injecting (and without wiping every other plugin's state).
+ *
+ * main.js / community_loader.js hand every registration to trackPlugin() with a way to re-import its module.
+ * reloadPlugin(name):
+ *   1. re-imports the module under a cache-busting specifier ('./pickit.js?reload=3') -- FIRST, so an edit with a
+ *      syntax error leaves the running plugin untouched;
+ *   2. calls the old plugin's onDisable (when enabled) and drops the event-bus handlers the OLD module owned;
+ *   3. re-registers the new plugin object under the same name with the same enabled flag (an enabled registration
+ *      runs its onEnable, exactly like startup).
+ * Only the plugin's entry module is re-evaluated: shared modules it imports (poe2_cache, Settings, event_bus,
+ * mapper's leaf modules) stay the cached instances, so POE2Cache's frame counter / area state and everything
+ * else the other plugins hold survive the reload. The flip side: a module that OTHER modules import (pickit and
+ * opener for mapper, session_stats for everyone's statsEvent) can't be reloaded -- its importers would keep
+ * calling the old instance. Those are tracked with `importedBy` and the reload is refused with the reason.
+ *
+ * trackPlugin() returns the object to hand to Plugins.register: a wrapper that follows the plugin browser's
+ * enable/disable toggles, so the plugin's own exported object is never modified.
+ *
+ * UI: "Plugin Reload" window with a Reload button per plugin; the hotkey (default Ctrl+F5) reloads the plugin
+ * picked as the hotkey target.
+ * NOTE: Do NOT call POE2Cache.beginFrame() here - it's called once in main.js
+ */
+
+import { POE2Cache } from './poe2_cache.js';
+import { Settings } from './Settings.js';
+import { Events } from './event_bus.js';
+
+const PLUGIN_NAME = 'plugin_reloader';
+
+const DEFAULT_SETTINGS = {
+  hotkeyEnabled: true,
+  hotkeyKey: ImGui.Key.F5,
+  hotkeyCtrl: true,
+  hotkeyShift: false,
+  hotkeyAlt: false,
+  hotkeyTarget: '',         // plugin the hotkey reloads ('' = the last one reloaded from the window)
+};
+
+export const SETTINGS_SCHEMA = Settings.defineSchema(PLUGIN_NAME, DEFAULT_SETTINGS, {
+  fields: { hotkeyKey: { min: 0, int: true } },
+});
+
+let currentSettings = { ...DEFAULT_SETTINGS };
+let currentPlayerName = null;
+
+const _tracked = new Map();   // name -> { name, plugin, wrapper, original, enabled, reimport, module, importedBy, exportName, reloads, busy, lastResult, lastAt }
+let _bust = 0;
+let _lastReloaded = '';
+
+// Keep `enabled` in step with the plugin browser: the framework toggles plugins through onEnable/onDisable.
+// A copy of the plugin's fields with those two wrapped; the plugin's methods are looked up at call time.
+function instrument(rec, plugin) {
+  return Object.assign({}, plugin, {
+    onEnable() { rec.enabled = true; if (typeof plugin.onEnable === 'function') return plugin.onEnable.apply(plugin, arguments); },
+    onDisable() { rec.enabled = false; if (typeof plugin.onDisable === 'function') return plugin.onDisable.apply(plugin, arguments); },
+  });
+}
+
+/**
+ * Track a registration for reload and return the object to register: Plugins.register(name, trackPlugin(...)).
+ * `source` is either a module specifier (core plugin: the export that IS `plugin` is looked up in it on first
+ * reload) or an async (query) => pluginObject re-importer (community plugins, which need setup() re-run).
+ * opts.importedBy = the modules that import this plugin's module (reload refused, see above).
+ */
+export function trackPlugin(name, plugin, enabled, source, opts = {}) {
+  if (!name || !plugin || name === PLUGIN_NAME) return plugin;
+  const rec = {
+    name, plugin, original: plugin, enabled: !!enabled,
+    module: typeof source === 'string' ? source : '',
+    reimport: typeof source === 'function' ? source : null,
+    importedBy: Array.isArray(opts.importedBy) ? opts.importedBy.slice() : [],
+    exportName: '', reloads: 0, busy: false, lastResult: '', lastAt: 0,
+  };
+  rec.wrapper = instrument(rec, plugin);
+  _tracked.set(name, rec);
+  return rec.wrapper;
+}
+
+export function trackedPlugins() {
+  return [..._tracked.values()].map(r => ({
+    name: r.name, enabled: r.enabled, reloads: r.reloads, busy: r.busy, lastResult: r.lastResult, importedBy: r.importedBy.slice(),
+  }));
+}
+
+async function reimportCore(rec, query) {
+  if (!rec.exportName) {
+    const orig = await import(rec.module);   // the cached instance: no re-evaluation, just find which export it was
+    rec.exportName = Object.keys(orig).find(k => orig[k] === rec.original) || '';
+    if (!rec.exportName) throw new Error(`${rec.module} has no export matching the registered plugin`);
+  }
+  const mod = await import(`${rec.module}${query}`);
+  return mod[rec.exportName];
+}
+
+/** Hot-reload one tracked plugin. Resolves true on success; on failure the old plugin keeps running. */
+export async function reloadPlugin(name) {
+  const rec = _tracked.get(name);
+  if (!rec) { console.warn(`[Reloader] ${name}: not a tracked plugin`); return false; }
+  if (rec.busy) return false;
+  if (rec.importedBy.length) {
+    rec.lastResult = `refused: also imported by ${rec.importedBy.join(', ')} (restart the script to reload it)`;
+    console.warn(`[Reloader] ${name} ${rec.lastResult}`);
+    return false;
+  }
+  rec.busy = true;
+  const wasEnabled = rec.enabled;
+  const query = `?reload=${++_bust}`;
+  const oldHandlers = Events.captureOwner(name);
+  try {
+    const fresh = rec.reimport ? await rec.reimport(query) : await reimportCore(rec, query);
+    if (!fresh || typeof fresh !== 'object') throw new Error('module did not produce a plugin object');
+    if (wasEnabled) {
+      try { rec.wrapper.onDisable(); } catch (e) { console.error(`[Reloader] ${name} onDisable threw:`, e); }
+    }
+    oldHandlers.release();
+    rec.plugin = fresh;
+    rec.wrapper = instrument(rec, fresh);
+    rec.enabled = false;
+    Plugins.register(name, rec.wrapper, wasEnabled);   // enabled registration -> the framework runs onEnable
+    if (wasEnabled && !rec.enabled) rec.enabled = true;
+    rec.reloads++;
+    rec.lastResult = `ok (${query.slice(1)})`;
+    console.log(`[Reloader] ${name} reloaded${wasEnabled ? ' and re-enabled' : ''} (frame ${POE2Cache.getFrameNumber()})`);
+    return true;
+  } catch (e) {
+    rec.lastResult = `FAILED: ${e}`;
+    console.error(`[Reloader] ${name} reload failed, old instance kept:`, e);
+    return false;
+  } finally {
+    rec.busy = false;
+    rec.lastAt = Date.now();
+  }
+}
+
+// ===================== settings =====================
+
+function loadPlayerSettings() {
+  const player = POE2Cache.getLocalPlayer();
+  if (!player || !player.playerName || currentPlayerName === player.playerName) return;
+  currentPlayerName = player.playerName;
+  currentSettings = Settings.get(PLUGIN_NAME, DEFAULT_SETTINGS);
+}
+
+function saveSetting(key, value) {
+  currentSettings[key] = value;
+  Settings.set(PLUGIN_NAME, key, value);
+}
+
+function hotkeyLabel() {
+  if (!currentSettings.hotkeyKey) return 'None';
+  let s = '';
+  if (currentSettings.hotkeyCtrl) s += 'Ctrl+';
+  if (currentSettings.hotkeyShift) s += 'Shift+';
+  if (currentSettings.hotkeyAlt) s += 'Alt+';
+  const f = currentSettings.hotkeyKey - ImGui.Key.F1;
+  return s + (f >= 0 && f < 12 ? `F${f + 1}` : `Key ${currentSettings.hotkeyKey}`);
+}
+
+function checkHotkey() {
+  if (!currentSettings.hotkeyEnabled || !currentSettings.hotkeyKey) return;
+  const ctrlDown = ImGui.isKeyDown(ImGui.Key.LeftCtrl) || ImGui.isKeyDown(ImGui.Key.RightCtrl);
+  const shiftDown = ImGui.isKeyDown(ImGui.Key.LeftShift) || ImGui.isKeyDown(ImGui.Key.RightShift);
+  const altDown = ImGui.isKeyDown(ImGui.Key.LeftAlt) || ImGui.isKeyDown(ImGui.Key.RightAlt);
+  if (currentSettings.hotkeyCtrl !== ctrlDown || currentSettings.hotkeyShift !== shiftDown || currentSettings.hotkeyAlt !== altDown) return;
+  if (!ImGui.isKeyPressed(currentSettings.hotkeyKey, false)) return;
+  const target = currentSettings.hotkeyTarget || _lastReloaded;
+  if (!target) { console.log('[Reloader] hotkey: no target picked yet (Plugin Reload window)'); return; }
+  reloadPlugin(target);
+}
+
+// ===================== lifecycle =====================
+
+function onDraw() {
+  loadPlayerSettings();
+  checkHotkey();
+}
+
+const vHotkeyEnabled = new ImGui.MutableVariable(DEFAULT_SETTINGS.hotkeyEnabled);
+
+function onDrawUI() {
+  ImGui.setNextWindowSize({ x: 460, y: 420 }, ImGui.Cond.FirstUseEver);
+  ImGui.setNextWindowCollapsed(true, ImGui.Cond.Once);
+  if (!ImGui.begin('Plugin Reload')) { ImGui.end(); return; }
+
+  vHotkeyEnabled.value = currentSettings.hotkeyEnabled;
+  if (ImGui.checkbox(`Hotkey ${hotkeyLabel()}`, vHotkeyEnabled)) saveSetting('hotkeyEnabled', vHotkeyEnabled.value);
+  ImGui.sameLine();
+  const target = currentSettings.hotkeyTarget || _lastReloaded;
+  ImGui.textColored([0.7, 0.7, 0.7, 1], `reloads: ${target || '(pick one below)'}`);
+  ImGui.textColored([0.6, 0.6, 0.6, 1], 'Reload re-runs the plugin\'s own module only; shared caches survive.');
+  ImGui.separator();
+
+  for (const rec of _tracked.values()) {
+    ImGui.pushID(rec.name);
+    if (ImGui.radioButton('##hk', currentSettings.hotkeyTarget === rec.name)) saveSetting('hotkeyTarget', rec.name);
+    if (ImGui.isItemHovered()) ImGui.setTooltip('Hotkey target');
+    ImGui.sameLine();
+    if (rec.busy) ImGui.textColored([1, 0.8, 0.3, 1], 'reloading');
+    else if (rec.importedBy.length) {
+      ImGui.textColored([0.6, 0.6, 0.6, 1], 'shared');
+      if (ImGui.isItemHovered()) ImGui.setTooltip(`Imported by ${rec.importedBy.join(', ')} -- restart the script to reload`);
+    }
+    else if (ImGui.smallButton('Reload')) { _lastReloaded = rec.name; reloadPlugin(rec.name); }
+    ImGui.sameLine();
+    ImGui.textColored(rec.enabled ? [0.4, 1, 0.4, 1] : [0.6, 0.6, 0.6, 1], rec.name);
+    if (rec.lastResult) {
+      ImGui.sameLine();
+      ImGui.textColored(/^FAILED/.test(rec.lastResult) ? [1, 0.4, 0.4, 1] : [0.6, 0.6, 0.6, 1],
+        `x${rec.reloads} ${rec.lastResult}`);
+    }
+    ImGui.popID();
+  }
+  ImGui.end();
+}
+
+export const pluginReloaderPlugin = {
+  onDraw: onDraw,
+  onDrawUI: onDrawUI,
+};
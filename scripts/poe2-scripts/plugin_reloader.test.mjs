@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { runtime } from './poe2_stub.mjs';
+
+const { trackPlugin, trackedPlugins, reloadPlugin } = await import('./plugin_reloader.js');
+const { Events } = await import('./event_bus.js');
+const { POE2Cache } = await import('./poe2_cache.js');
+const { sessionStatsPlugin, statsSnapshot } = await import('./session_stats.js');
+
+const terrain = { isValid: true, width: 400, height: 400 };
+const player = { playerName: 'Tester', address: 1, gridX: 100, gridY: 100, healthCurrent: 1000, healthMax: 1000 };
+runtime.load([0, 1, 2].map(i => ({ t: 1000 + i * 16, terrain, player, entities: [] })));
+while (runtime.step(POE2Cache)) {}
+const frame = POE2Cache.getFrameNumber();
+
+// core plugin: re-imported under a cache-busting specifier, re-registered under the same name and enabled flag.
+// (Tracked here without its importers so the entry-module reload itself can be exercised.)
+const order = [];
+const pristine = { ...sessionStatsPlugin };
+Plugins.register('session_stats', trackPlugin('session_stats', sessionStatsPlugin, true, './session_stats.js'), true);
+assert.deepEqual({ ...sessionStatsPlugin }, pristine, 'tracking wraps the plugin, never patches its export');
+sessionStatsPlugin.onDisable = () => { order.push('old.onDisable'); };   // the wrapper calls it at toggle time
+const pluginCount = runtime.plugins.size;
+const listenersBefore = Events.stats().itemPicked.listeners;
+assert.ok(listenersBefore >= 1);
+
+assert.equal(await reloadPlugin('session_stats'), true);
+const fresh = runtime.plugins.get('session_stats');
+assert.notEqual(fresh.plugin.onDrawUI, sessionStatsPlugin.onDrawUI, 'the new module instance is registered');
+assert.equal(fresh.enabled, true);
+assert.deepEqual(order, ['old.onDisable']);
+// re-registering the same name replaces the entry: no second 'session_stats', nothing else disturbed
+assert.equal(runtime.plugins.size, pluginCount);
+assert.equal(trackedPlugins().find(p => p.name === 'session_stats').enabled, true);
+// the old module's bus handlers are gone, the new module's (subscribed at load) remain: same count, not double
+assert.equal(Events.stats().itemPicked.listeners, listenersBefore);
+const picksBefore = statsSnapshot().items;
+Events.emit('itemPicked', { rule: 'Currency', name: 'Exalted Orb' });
+assert.equal(statsSnapshot().items, picksBefore, 'old module instance must no longer receive events');
+// only the entry module was re-evaluated: the shared cache kept its frame state
+assert.equal(POE2Cache.getFrameNumber(), frame);
+assert.equal(trackedPlugins().find(p => p.name === 'session_stats').reloads, 1);
+
+// a reload that fails to import keeps the running plugin (and its handlers) untouched
+let disabled = 0;
+const running = { onDisable() { disabled++; } };
+const runningEntry = trackPlugin('broken', running, true, async () => { throw new SyntaxError('Unexpected token'); });
+Plugins.register('broken', runningEntry, true);
+Events.on('areaChanged', () => {}, { owner: 'broken' });
+assert.equal(await reloadPlugin('broken'), false);
+assert.equal(runtime.plugins.get('broken').plugin, runningEntry);
+assert.equal(disabled, 0);
+assert.equal(Events.stats().areaChanged.listeners, 1);
+assert.match(trackedPlugins().find(p => p.name === 'broken').lastResult, /^FAILED: SyntaxError/);
+
+// a disabled plugin comes back disabled (no onEnable); the framework's toggle is tracked through onEnable/onDisable
+let enables = 0;
+const idle = { onEnable() { enables++; } };
+Plugins.register('idle', trackPlugin('idle', idle, false, async () => ({ onEnable() { enables++; } })), false);
+assert.equal(await reloadPlugin('idle'), true);
+assert.equal(runtime.plugins.get('idle').enabled, false);
+assert.equal(enables, 0);
+runtime.plugins.get('idle').plugin.onEnable();
+assert.equal(trackedPlugins().find(p => p.name === 'idle').enabled, true);
+
+assert.equal(await reloadPlugin('nope'), false);
+
+// a module other modules import is refused: they would keep calling the old instance
+let reimported = 0;
+const shared = { onDrawUI() {} };
+Plugins.register('shared', trackPlugin('shared', shared, true, async () => { reimported++; return {}; }, { importedBy: ['mapper'] }), true);
+assert.equal(await reloadPlugin('shared'), false);
+assert.equal(reimported, 0);
+assert.equal(runtime.plugins.get('shared').enabled, true);
+assert.match(trackedPlugins().find(p => p.name === 'shared').lastResult, /^refused: also imported by mapper/);
+
+runtime.print('plugin_reloader tests passed');
@@ -24,6 +24,8 @@
  * Individual plugins should NOT call beginFrame().
  */
 
+import { Events } from './event_bus.js';
+
 const poe2 = new POE2();
 
 // Frame tracking
@@ -128,6 +130,7 @@ export const POE2Cache = {
           
           // Clear all caches on area change
           this.invalidateAll();
+          Events.emit('areaChanged', { changeCount: areaChangeCount, areaHash: areaHash || '' });
           
           // Force garbage collection hint by nulling references
           cachedPlayer = null;
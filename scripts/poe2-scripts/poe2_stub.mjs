@@ -0,0 +1,269 @@
+/**
+ * poe2_stub.mjs — headless POE2 runtime for plain node (tests + offline replay).
+ *
+ * Importing this module installs fake POE2 / ImGui / fs / Plugins globals (and a frame-driven Date.now)
+ * BEFORE any plugin module is evaluated, so import it first and load plugins with a dynamic import():
+ *
+ *   import { runtime } from './poe2_stub.mjs';
+ *   const { POE2Cache } = await import('./poe2_cache.js');
+ *   const { chickenPlugin } = await import('./chicken.js');
+ *   runtime.load(frames);                           // array of snapshots or recorded JSONL text
+ *   while (runtime.step(POE2Cache)) chickenPlugin.onDraw();
+ *
+ * A FRAME SNAPSHOT is { t, f?, player, entities, terrain, area, inventories?, itemMods?, cooldowns? } -- the same shape
+ * frame_recorder.js writes, one per line. Everything the game would answer comes from the current frame; every
+ * sendPacket is recorded in runtime.packets so a test asserts on what the plugin SENT, not on its internals.
+ * Unknown poe2 methods resolve to a no-op returning null (the game-side fail-open most call sites already handle).
+ */
+
+const _realLog = console.log.bind(console);
+const _realWarn = console.warn.bind(console);
+
+// Quiet by default: every plugin logs on load and per action. The lines are kept in runtime.logs so a test can
+// assert on them; POE2_STUB_VERBOSE=1 passes them through.
+const VERBOSE = typeof process !== 'undefined' && process.env && process.env.POE2_STUB_VERBOSE === '1';
+
+function dist(a, b) {
+  if (!a || !b || !Number.isFinite(a.gridX) || !Number.isFinite(b.gridX)) return 0;
+  return Math.hypot(a.gridX - b.gridX, a.gridY - b.gridY);
+}
+
+function emptyFrame(t) {
+  return { t, f: 0, player: null, entities: [], terrain: { isValid: false }, area: { isValid: false } };
+}
+
+export const runtime = {
+  frames: [],
+  index: -1,
+  frame: emptyFrame(0),
+  now: 0,
+  packets: [],       // [{ t, bytes: number[] }]
+  calls: [],         // unknown poe2 method names that were hit (fallback no-op)
+  logs: [],          // captured console lines (quiet mode)
+  files: new Map(),  // fake fs: path -> string
+  directories: {},   // Plugins.listDirectory answers: dir -> [names]
+  plugins: new Map(),  // name -> { plugin, enabled }
+  missingFeatures: new Set(),  // 'poe2.getUiRoot', ...: methods this "build" lacks (read as undefined, not no-ops)
+  uiVisible: false,
+  lineOfSight: true, // answer for isWithinLineOfSight / hasLineOfFire
+  walkable: true,    // answer for isWalkable (a function (x, y) => bool also works)
+  stashOpen: false,  // moveStashItem only lands while the stash is open, like in game
+  moves: [],         // [{ t, toStash, tabId, handle }] accepted moveStashItem calls
+
+  /** Load a session: an array of frame snapshots or recorded JSONL text (header lines are skipped). */
+  load(source) {
+    this.frames = Array.isArray(source) ? source.slice() : parseSession(source).frames;
+    this.index = -1;
+    return this;
+  },
+
+  /**
+   * Advance to the next recorded frame: moves the clock to its `t` and runs POE2Cache.beginFrame() exactly like
+   * main.js tick() does. Returns the frame, or null when the session is exhausted.
+   */
+  step(cache) {
+    if (this.index + 1 >= this.frames.length) return null;
+    this.index++;
+    this.setFrame(this.frames[this.index]);
+    if (cache && typeof cache.beginFrame === 'function') cache.beginFrame();
+    return this.frame;
+  },
+
+  /** Replace the current frame (synthetic tests). Missing keys fall back to an empty out-of-game frame. */
+  setFrame(frame) {
+    const t = Number.isFinite(frame && frame.t) ? frame.t : this.now;
+    this.frame = Object.assign(emptyFrame(t), frame || {});
+    this.now = t;
+    return this.frame;
+  },
+
+  /** Move the clock without changing the frame (cooldown tests). */
+  advance(ms) { this.now += ms; this.frame.t = this.now; return this.now; },
+
+  /** Run the registered, enabled plugins the way the framework does after tick(). */
+  drawPlugins() {
+    for (const entry of this.plugins.values()) {
+      if (!entry.enabled) continue;
+      const p = entry.plugin;
+      if (typeof p.onTick === 'function') p.onTick();
+      if (typeof p.onDraw === 'function') p.onDraw();
+      if (this.uiVisible && typeof p.onDrawUI === 'function') p.onDrawUI();
+    }
+  },
+
+  /** Packets whose leading bytes equal `prefix` (e.g. [0x01, 0xA3] = interact/pickup). */
+  packetsWith(prefix) {
+    return this.packets.filter(p => prefix.every((b, i) => p.bytes[i] === b));
+  },
+
+  /** Clear recorded output (packets/logs/calls/moves) but keep frames, files and plugins. */
+  clearOutput() {
+    this.packets.length = 0;
+    this.logs.length = 0;
+    this.calls.length = 0;
+    this.moves.length = 0;
+  },
+
+  /** Print through the real console even in quiet mode. */
+  print(...args) { _realLog(...args); },
+};
+
+// The recorder writes these only when they change; a frame without them inherits the previous frame's.
+const CARRIED_KEYS = ['terrain', 'area', 'inventories'];
+
+/**
+ * Parse a recorded session (JSONL). Lines carrying a numeric `t` are frames; anything else (the recorder's
+ * header, blank lines) goes to headers. Bad lines are skipped and counted, never thrown -- a session cut off
+ * mid-write by a crash still replays up to the last whole frame.
+ */
+export function parseSession(text) {
+  const frames = [];
+  const headers = [];
+  const carried = {};
+  let bad = 0;
+  for (const line of String(text || '').split('\n')) {
+    const s = line.trim();
+    if (!s) continue;
+    let obj;
+    try { obj = JSON.parse(s); } catch (_) { bad++; continue; }
+    if (!obj || !Number.isFinite(obj.t)) { headers.push(obj); continue; }
+    for (const k of CARRIED_KEYS) {
+      if (obj[k] !== undefined) carried[k] = obj[k];
+      else if (carried[k] !== undefined) obj[k] = carried[k];
+    }
+    frames.push(obj);
+  }
+  return { frames, headers, bad };
+}
+
+// ===================== POE2 =====================
+
+function filterEntities(options) {
+  const frame = runtime.frame;
+  const player = frame.player;
+  let list = Array.isArray(frame.entities) ? frame.entities : [];
+  const opts = typeof options === 'number' ? { maxDistance: options } : (options || {});
+  if (opts.maxDistance > 0 && player) list = list.filter(e => dist(e, player) <= opts.maxDistance);
+  if (opts.type) list = list.filter(e => e.entityType === opts.type);
+  if (opts.subtype) list = list.filter(e => e.entitySubtype === opts.subtype);
+  if (opts.aliveOnly) list = list.filter(e => e.isAlive !== false);
+  if (opts.monstersOnly) list = list.filter(e => e.entityType === 'Monster' && e.isAlive !== false && e.isHostile !== false);
+  if (opts.nameContains) {
+    const want = String(opts.nameContains).toLowerCase();
+    list = list.filter(e => `${e.name || ''} ${e.renderName || ''}`.toLowerCase().includes(want));
+  }
+  return list.slice();
+}
+
+class FakePOE2 {
+  getLocalPlayer() { return runtime.frame.player || null; }
+  getEntities(options) { return filterEntities(options); }
+  getAllEntities() { return filterEntities(null); }
+  getTerrainInfo() {
+    const t = runtime.frame.terrain;
+    if (!t || !t.isValid) throw new Error('not in game');
+    return t;
+  }
+  getAreaInfo() { return runtime.frame.area || { isValid: false }; }
+  getInventory(invId) {
+    const invs = runtime.frame.inventories || {};
+    return invs[invId] || null;
+  }
+  getAllInventories() {
+    const invs = runtime.frame.inventories || {};
+    return Object.keys(invs).map(k => Object.assign({ inventoryId: Number(k) }, invs[k]));
+  }
+  // Keyed by ITEM address (inventory items' itemAddress). An entity's address is not an item: the game reads
+  // garbage there, so the stub refuses it even when a test keyed itemMods by it.
+  getItemMods(addr) {
+    if ((runtime.frame.entities || []).some(e => e.address === addr)) return { isValid: false };
+    const mods = runtime.frame.itemMods || {};
+    return mods[addr] || { isValid: false };
+  }
+  getStashTabs() { return runtime.frame.stashTabs || []; }
+  getCooldowns() { return runtime.frame.cooldowns || []; }
+  moveStashItem(toStash, tabId, handle) {
+    if (!runtime.stashOpen) return false;
+    runtime.moves.push({ t: runtime.now, toStash: !!toStash, tabId, handle });
+    return true;
+  }
+  isWalkable(x, y) { return typeof runtime.walkable === 'function' ? !!runtime.walkable(x, y) : !!runtime.walkable; }
+  isWithinLineOfSight() { return !!runtime.lineOfSight; }
+  hasLineOfFire() { return !!runtime.lineOfSight; }
+  sendPacket(bytes) {
+    runtime.packets.push({ t: runtime.now, bytes: Array.from(bytes || []) });
+    return true;
+  }
+}
+
+function makePOE2() {
+  return new Proxy(new FakePOE2(), {
+    get(target, prop) {
+      if (typeof prop === 'string' && runtime.missingFeatures.has(`poe2.${prop}`)) return undefined;
+      if (prop in target || typeof prop === 'symbol' || prop === 'then') return target[prop];
+      return function () { runtime.calls.push(prop); return null; };
+    },
+  });
+}
+
+// ===================== ImGui =====================
+
+class MutableVariable {
+  constructor(value) { this.value = value; }
+}
+
+// Enum namespaces (ImGui.Cond.FirstUseEver, ImGui.Key.F5, ...) read as 0.
+const enumProxy = new Proxy({}, { get: () => 0 });
+
+// Anything a draw call hands back (draw lists, viewports) -- every method no-ops, every field reads 0.
+const inertObject = new Proxy(function () {}, {
+  get(_t, prop) { return prop === 'then' ? undefined : (prop === 'x' || prop === 'y' ? 0 : inertObject); },
+  apply() { return inertObject; },
+});
+
+const ImGuiStub = new Proxy({ MutableVariable }, {
+  get(target, prop) {
+    if (prop in target || typeof prop === 'symbol') return target[prop];
+    if (/^[A-Z]/.test(prop)) return enumProxy;
+    // Widgets report "not clicked / not open" so no UI branch mutates state headlessly; getters return inert objects.
+    if (/^get/.test(prop)) return () => inertObject;
+    return () => false;
+  },
+});
+
+// ===================== fs / Plugins =====================
+
+const fsStub = {
+  readFile(path) {
+    if (!runtime.files.has(path)) throw new Error(`ENOENT: ${path}`);
+    return runtime.files.get(path);
+  },
+  writeFile(path, data) { runtime.files.set(path, String(data)); return true; },
+  access(path) { if (!runtime.files.has(path)) throw new Error(`ENOENT: ${path}`); },
+};
+
+const PluginsStub = {
+  register(name, plugin, enabled) {
+    runtime.plugins.set(name, { plugin, enabled: !!enabled });
+    if (enabled && plugin && typeof plugin.onEnable === 'function') plugin.onEnable();
+  },
+  isUiVisible() { return !!runtime.uiVisible; },
+  listDirectory(dir) { return runtime.directories[dir] || []; },
+};
+
+// ===================== install =====================
+
+globalThis.POE2 = function POE2() { return makePOE2(); };
+globalThis.ImGui = ImGuiStub;
+globalThis.fs = fsStub;
+globalThis.Plugins = PluginsStub;
+
+// Plugins time everything off Date.now(); replay runs on the recorded clock so cooldowns behave as they did live.
+Date.now = () => runtime.now;
+
+if (!VERBOSE) {
+  console.log = (...args) => { runtime.logs.push(args.map(String).join(' ')); };
+  console.warn = (...args) => { runtime.logs.push(args.map(String).join(' ')); };
+} else {
+  console.warn = _realWarn;
+}
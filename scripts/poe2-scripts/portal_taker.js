@@ -2,6 +2,7 @@
 // Finds nearby portals and provides quick interaction via packet
 
 import { Settings } from './Settings.js';
+import { statsEvent } from './session_stats.js';
 
 const poe2 = new POE2();
 
@@ -88,6 +89,14 @@ const DEFAULT_SETTINGS = {
   hotkeyAlt: false
 };
 
+export const SETTINGS_SCHEMA = Settings.defineSchema('portal_taker', DEFAULT_SETTINGS, {
+  fields: {
+    searchRadius: { min: 20, max: 100, int: true },
+    buttonOpacity: { min: 0.1, max: 1.0 },
+    hotkeyKey: { min: 0, int: true },
+  },
+});
+
 /**
  * Load settings from storage
  * Returns true if settings were loaded with a valid player, false otherwise
@@ -237,6 +246,7 @@ function takePortal(portalId, gridX, gridY) {
   const success = poe2.sendPacket(packet);
   if (success) {
     console.log('[PortalTaker] Packet sent successfully');
+    statsEvent('portalTaken', { id: portalId });
   } else {
     console.log('[PortalTaker] Failed to send packet');
   }
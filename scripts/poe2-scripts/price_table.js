@@ -0,0 +1,136 @@
+/**
+ * price_table.js — a local price table (base type / currency / unique name -> value) for pickit's value decisions.
+ *
+ * The user maintains it by hand or exports it from a pricing site; nothing is fetched. Two formats:
+ *
+ *   JSON  { "exaltInChaos": 7, "prices": { "Divine Orb": 150, "Exalted Orb": { "value": 1, "unit": "exalt" } } }
+ *         (a flat { "Divine Orb": 150, ... } object works too -- every value in chaos)
+ *
+ *   CSV   # name,value[,unit]      -- unit chaos (default) or exalt; a header line and # comments are skipped
+ *         Divine Orb,150
+ *         Exalted Orb,1,exalt
+ *         "Orb of Annulment, Greater",40
+ *         exaltInChaos,8                -- the rate for exalt rows below it
+ *
+ * Values are kept in chaos. An item is priced by its unique name first, then its base name, times the stack size;
+ * an item with no entry is UNPRICED (null) -- callers never drop it for being cheap, they just can't rank it.
+ *
+ * Pure module (no game API): pickit loads the file and calls these; node tests cover them directly.
+ */
+
+export const DEFAULT_EXALT_IN_CHAOS = 7;
+
+const UNITS = { c: 1, chaos: 1, ex: 0, exa: 0, exalt: 0, exalted: 0 };   // 0 = "times exaltInChaos"
+
+function _toChaos(value, unit, exaltInChaos) {
+  const u = String(unit || 'chaos').toLowerCase();
+  if (!(u in UNITS)) return { error: `unknown unit '${unit}'` };
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) return { error: `bad value '${value}'` };
+  return { chaos: UNITS[u] === 0 ? n * exaltInChaos : n };
+}
+
+function _csvCells(line) {
+  const cells = [];
+  const re = /\s*(?:"((?:[^"]|"")*)"|([^,]*))\s*(?:,|$)/g;
+  let m;
+  while ((m = re.exec(line)) !== null) {
+    cells.push(m[1] !== undefined ? m[1].replace(/""/g, '"') : m[2].trim());
+    if (re.lastIndex >= line.length) break;
+  }
+  return cells;
+}
+
+/**
+ * Parse a price table. format 'json' | 'csv' | '' (guess: JSON when the text starts with '{' or '[').
+ * Returns { prices: Map(lower-cased name -> chaos), exaltInChaos, errors: ['line N: ...' | 'json: ...'] }.
+ */
+export function parsePriceTable(text, format = '') {
+  const src = String(text || '');
+  const fmt = format || (/^[[{]/.test(src.trim()) ? 'json' : 'csv');
+  const prices = new Map();
+  const errors = [];
+  let exaltInChaos = DEFAULT_EXALT_IN_CHAOS;
+
+  if (fmt === 'json') {
+    let data;
+    try { data = JSON.parse(src); } catch (e) { return { prices, exaltInChaos, errors: [`json: ${e.message}`] }; }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return { prices, exaltInChaos, errors: ['json: expected an object'] };
+    const nested = data.prices && typeof data.prices === 'object';
+    if (Number.isFinite(Number(data.exaltInChaos)) && Number(data.exaltInChaos) > 0) exaltInChaos = Number(data.exaltInChaos);
+    const entries = nested ? data.prices : data;
+    for (const name of Object.keys(entries)) {
+      if (!nested && name === 'exaltInChaos') continue;
+      const e = entries[name];
+      const r = (e && typeof e === 'object') ? _toChaos(e.value, e.unit, exaltInChaos) : _toChaos(e, 'chaos', exaltInChaos);
+      if (r.error) errors.push(`json: "${name}": ${r.error}`);
+      else prices.set(name.toLowerCase(), r.chaos);
+    }
+    return { prices, exaltInChaos, errors };
+  }
+
+  const lines = src.split('\n');
+  for (let n = 0; n < lines.length; n++) {
+    const line = lines[n].trim();
+    if (!line || line.startsWith('#')) continue;
+    const [name, value, unit] = _csvCells(line);
+    if (/^name$/i.test(name) && /^value$/i.test(value || '')) continue;   // header row
+    if (/^exaltInChaos$/i.test(name)) {
+      const x = Number(value);
+      if (Number.isFinite(x) && x > 0) exaltInChaos = x;
+      else errors.push(`line ${n + 1}: bad exaltInChaos '${value}'`);
+      continue;
+    }
+    if (!name || value === undefined || value === '') { errors.push(`line ${n + 1}: expected name,value[,unit]`); continue; }
+    const r = _toChaos(value, unit, exaltInChaos);
+    if (r.error) errors.push(`line ${n + 1}: ${r.error}`);
+    else prices.set(name.toLowerCase(), r.chaos);
+  }
+  return { prices, exaltInChaos, errors };
+}
+
+/**
+ * Value of one item in chaos (pickit's getItemData shape: uniqueName, baseName, stackSize), or null when the
+ * table has no entry for it.
+ */
+export function itemValue(table, item) {
+  if (!table || !table.prices || !item) return null;
+  const keys = [item.uniqueName, item.baseName];
+  for (const k of keys) {
+    if (!k) continue;
+    const each = table.prices.get(String(k).toLowerCase());
+    if (each !== undefined) return each * Math.max(1, item.stackSize || 0);
+  }
+  return null;
+}
+
+/** "12.5c" below one exalt, "3.2ex" above. */
+export function formatValue(chaos, exaltInChaos = DEFAULT_EXALT_IN_CHAOS) {
+  if (!Number.isFinite(chaos)) return '?';
+  if (exaltInChaos > 0 && chaos >= exaltInChaos) return `${(chaos / exaltInChaos).toFixed(1)}ex`;
+  return `${Math.round(chaos * 10) / 10}c`;
+}
+
+/** Chaos per grid unit of walk: how pickit (and the mapper's loot detours) rank priced items. 0 when unpriced. */
+export function valuePerDistance(value, distance) {
+  return value ? value / Math.max(1, distance) : 0;
+}
+
+/**
+ * Value policy over pickup candidates ({ distance, value }; value null = unpriced). Drops priced candidates
+ * worth less than minValue (chaos) and -- when byValue -- orders the rest by value per distance, best first;
+ * unpriced candidates rank as value 0 and keep nearest-first among themselves. Returns { kept, dropped }.
+ */
+export function applyValuePolicy(cands, { minValue = 0, byValue = true } = {}) {
+  const kept = [];
+  const dropped = [];
+  for (const c of cands) {
+    if (c.value !== null && c.value !== undefined && c.value < minValue) dropped.push(c);
+    else kept.push(c);
+  }
+  if (byValue) {
+    const score = (c) => valuePerDistance(c.value, c.distance);
+    kept.sort((a, b) => (score(b) - score(a)) || (a.distance - b.distance));
+  }
+  return { kept, dropped };
+}
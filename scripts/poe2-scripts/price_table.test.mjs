@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { parsePriceTable, itemValue, formatValue, applyValuePolicy, valuePerDistance, DEFAULT_EXALT_IN_CHAOS } from './price_table.js';
+
+// ---- CSV ----
+const csv = parsePriceTable(`name,value,unit
+# currency
+Divine Orb,150
+Exalted Orb,1,exalt
+"Orb of Annulment, Greater", 40 ,c
+exaltInChaos,10
+Perfect Jeweller's Orb,2,ex
+Broken,abc
+Weird,3,mirrors
+JustAName
+`);
+assert.equal(csv.prices.get('divine orb'), 150);
+assert.equal(csv.prices.get('exalted orb'), DEFAULT_EXALT_IN_CHAOS);       // rate at that line
+assert.equal(csv.prices.get('orb of annulment, greater'), 40);
+assert.equal(csv.prices.get("perfect jeweller's orb"), 20);               // after exaltInChaos,10
+assert.equal(csv.exaltInChaos, 10);
+assert.deepEqual(csv.errors, ["line 8: bad value 'abc'", "line 9: unknown unit 'mirrors'", 'line 10: expected name,value[,unit]']);
+
+// ---- JSON: nested with a rate, or flat chaos ----
+const json = parsePriceTable(JSON.stringify({
+  exaltInChaos: 8,
+  prices: { 'Divine Orb': 160, 'Exalted Orb': { value: 1, unit: 'exalt' }, Mirror: { value: -1 } },
+}));
+assert.equal(json.prices.get('exalted orb'), 8);
+assert.equal(json.prices.get('divine orb'), 160);
+assert.deepEqual(json.errors, ['json: "Mirror": bad value \'-1\'']);
+assert.equal(parsePriceTable('{"Gold Ring": 2}').prices.get('gold ring'), 2);
+assert.match(parsePriceTable('{ nope', 'json').errors[0], /^json: /);
+assert.deepEqual(parsePriceTable('[1,2]').errors, ['json: expected an object']);
+
+// ---- item values: unique name, then base name, times the stack ----
+assert.equal(itemValue(csv, { baseName: 'Divine Orb', stackSize: 3 }), 450);
+assert.equal(itemValue(csv, { baseName: 'Divine Orb', stackSize: 0 }), 150);
+assert.equal(itemValue(parsePriceTable('Headhunter,900\nLeather Belt,1'), { uniqueName: 'Headhunter', baseName: 'Leather Belt' }), 900);
+assert.equal(itemValue(csv, { baseName: 'Scroll of Wisdom' }), null);
+assert.equal(itemValue(null, { baseName: 'Divine Orb' }), null);
+
+assert.equal(formatValue(3.25, 7), '3.3c');
+assert.equal(formatValue(21, 7), '3.0ex');
+assert.equal(formatValue(NaN), '?');
+
+// ---- policy: drop cheap priced items, never unpriced; value per distance, unpriced last (nearest first) ----
+const c = (id, value, distance) => ({ id, value, distance });
+const { kept, dropped } = applyValuePolicy([
+  c('transmute', 1, 5), c('divine', 150, 60), c('exalt', 7, 10), c('rare-boots', null, 8), c('ring', null, 3), c('annul', 40, 5),
+], { minValue: 5 });
+assert.deepEqual(dropped.map(x => x.id), ['transmute']);
+assert.deepEqual(kept.map(x => x.id), ['annul', 'divine', 'exalt', 'ring', 'rare-boots']);   // 8/u, 2.5/u, 0.7/u, then unpriced
+assert.deepEqual(applyValuePolicy([c('a', 1, 9), c('b', 100, 50)], { byValue: false }).kept.map(x => x.id), ['a', 'b']);
+assert.deepEqual([valuePerDistance(150, 80), valuePerDistance(null, 5), valuePerDistance(4, 0)], [1.875, 0, 4]);
+
+console.log('price_table tests passed');
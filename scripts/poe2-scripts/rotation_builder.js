@@ -15,9 +15,14 @@
 
 import { poe2, POE2Cache } from './poe2_cache.js';
 import { int32ToBytesBE } from './movement.js';
+import {
+  CONDITION_TYPES, RARITY_LABELS, OPERATORS, GROUP_KINDS,
+  evaluateConditions, describeNode, describeConditions, macroErrors,
+} from './rotation_conditions.js';
 
 // Rotation data structure - loaded from file
 let rotations = [];
+let rotationMacros = {};  // named condition lists of the current rotation: { name: [nodes] } (rotation_conditions.js)
 let currentRotationName = "default";
 let availableRotations = [];
 const ROTATIONS_FILE = "rotations_v2.json";
@@ -104,6 +109,12 @@ let _rotStallLogAt = 0;
 // skill's conditions pass for this target (nothing wants to attack it -> the repeat must be stopped).
 let _lastNoFireReason = '';
 export function lastNoFireReason() { return _lastNoFireReason; }
+// Name and rotation index of the skill the last successful executeRotation call cast (rotation_sim's
+// timeline reads them; the index tells apart two entries that share a name).
+let _lastCastSkill = '';
+let _lastCastIndex = -1;
+export function lastCastSkill() { return _lastCastSkill; }
+export function lastCastIndex() { return _lastCastIndex; }
 
 // Targeting modes
 const TARGET_MODES = [
@@ -116,44 +127,7 @@ const TARGET_MODES = [
   { id: 'cursor', label: 'Cursor Position', desc: 'Cast at cursor/mouse position' }
 ];
 
-// Condition types
-const CONDITION_TYPES = [
-  { id: 'always', label: 'Always (no condition)', unit: 'none' },
-  { id: 'distance', label: 'Distance to target', unit: 'units' },
-  { id: 'monster_health_pct', label: 'Monster Health %', unit: '%' },
-  { id: 'monster_max_health', label: 'Monster Max HP', unit: 'hp' },
-  { id: 'monster_current_health', label: 'Monster Current HP', unit: 'hp' },
-  { id: 'monster_rarity', label: 'Monster Rarity', unit: 'rarity' },
-  { id: 'monster_has_buff', label: 'Monster has buff', unit: 'buff_name' },
-  { id: 'monster_missing_buff', label: 'Monster missing buff', unit: 'buff_name' },
-  { id: 'player_health', label: 'Player Health %', unit: '%' },
-  { id: 'player_mana', label: 'Player Mana', unit: 'points' },
-  { id: 'player_mana_pct', label: 'Player Mana %', unit: '%' },
-  { id: 'player_es', label: 'Player ES %', unit: '%' },
-  { id: 'player_rage', label: 'Player Rage', unit: 'points' },
-  { id: 'player_rage_pct', label: 'Player Rage %', unit: '%' },
-  { id: 'player_has_buff', label: 'Player has buff', unit: 'buff_name' },
-  { id: 'player_missing_buff', label: 'Player missing buff', unit: 'buff_name' },
-  { id: 'monster_cullable', label: 'Monster is cullable', unit: 'bool' },
-  { id: 'monster_stunnable', label: 'Monster is stunnable (stagger)', unit: 'bool' },
-  // Throttle: only fire this skill if at least N ms have passed since it last fired (per-skill timer).
-  // Operator is ignored (always a "min elapsed" gate). e.g. cast Lightning Rod every 6000ms.
-  { id: 'cast_interval_ms', label: 'Cast interval (min ms between casts)', unit: 'ms' },
-  // AoE-at-packs: count of alive monsters within `radius` grid units of the target (else player),
-  // compared via operator/value. e.g. >= 3 monsters within 30. Adds a radius slider.
-  { id: 'nearby_monster_count', label: 'Nearby monster count (radius)', unit: 'count' },
-  // Maintain-a-deployable: count entities whose metadata path contains `stringValue` (e.g. your own
-  // "TornadoShotTornado" / "LightningRod") within `radius` of the target (else player). e.g. < 1 =
-  // "none of mine up near the target" -> recast. Pair with cast_interval_ms to throttle re-placement.
-  { id: 'nearby_deployable_count', label: 'Nearby deployable count (by path, radius)', unit: 'count' },
-  // Channel-release condition (only ChannelledSnipe tested): on a channelled skill, release the hold the
-  // instant the perfect-strike window opens (anim stage > 20). Does NOT gate casting — it's a release marker.
-  { id: 'perfectWindow', label: 'Perfect Window release (channelled — Snipe)', unit: 'none' }
-];
-
 const RARITY_VALUES = { NORMAL: 0, MAGIC: 1, RARE: 2, UNIQUE: 3 };
-const RARITY_LABELS = ['Normal', 'Magic', 'Rare', 'Unique'];
-const OPERATORS = ['>', '<', '>=', '<=', '==', '!='];
 
 // Direction presets for easy selection
 const DIRECTION_PRESETS = [
@@ -687,12 +661,17 @@ function loadRotations() {
     if (data) {
       const parsed = JSON.parse(data);
       availableRotations = Object.keys(parsed);
-      rotations = parsed[currentRotationName] || [];
+      // A rotation is its skill array, or { skills, macros } once it has condition macros
+      const entry = parsed[currentRotationName];
+      rotations = Array.isArray(entry) ? entry : (entry && entry.skills) || [];
+      rotationMacros = (entry && !Array.isArray(entry) && entry.macros) || {};
+      for (const e of macroErrors(rotationMacros)) console.warn(`[Rotation] Macro ${e}`);
       console.log(`[Rotation] Loaded ${rotations.length} skills for rotation: ${currentRotationName}`);
     }
   } catch (e) {
     console.log("[Rotation] No saved rotations, starting fresh");
     rotations = [];
+    rotationMacros = {};
     availableRotations = [];
   }
 }
@@ -705,7 +684,8 @@ function saveRotations() {
       if (existing) allRotations = JSON.parse(existing);
     } catch (e) {}
     
-    allRotations[currentRotationName] = rotations;
+    // Plain array while there are no macros, so files stay readable by builds without them
+    allRotations[currentRotationName] = Object.keys(rotationMacros).length ? { skills: rotations, macros: rotationMacros } : rotations;
     fs.writeFile(ROTATIONS_FILE, JSON.stringify(allRotations, null, 2));
     console.log(`[Rotation] Saved ${rotations.length} skills`);
   } catch (e) {
@@ -723,164 +703,21 @@ function switchRotation(rotationName) {
 // CONDITION EVALUATION
 // ============================================================================
 
-function evaluateCondition(condition, player, target, distance, skill, now) {
-  const { type, operator, value, stringValue } = condition;
-  if (now === undefined) now = Date.now();
-
-  if (type === 'always') return true;
-  // Release marker, not a cast gate — never blocks casting. The hold-channel arbiter reads its presence
-  // (via _hasPerfectWindowCond) to release the channel at the perfect window. See _activeChannel.
-  if (type === 'perfectWindow') return true;
-
-  let actual = 0;
-  
-  switch (type) {
-    case 'distance':
-      actual = distance;
-      break;
-    case 'monster_health_pct':
-      if (!target || !target.healthMax || target.healthMax === 0) return false;
-      actual = (target.healthCurrent / target.healthMax) * 100;
-      break;
-    case 'monster_max_health':
-      if (!target) return false;
-      actual = target.healthMax || 0;
-      break;
-    case 'monster_current_health':
-      if (!target) return false;
-      actual = target.healthCurrent || 0;
-      break;
-    case 'monster_rarity':
-      if (!target) return false;
-      actual = target.rarity || 0;
-      break;
-    case 'monster_has_buff':
-      if (!target || !target.buffs) return false;
-      return target.buffs.some(b => b.name && b.name.includes(stringValue || ''));
-    case 'monster_missing_buff':
-      if (!target || !target.buffs) return true;  // No buffs = missing
-      return !target.buffs.some(b => b.name && b.name.includes(stringValue || ''));
-    case 'player_health':
-      if (!player || !player.healthMax || player.healthMax === 0) return false;
-      actual = (player.healthCurrent / player.healthMax) * 100;
-      break;
-    case 'player_mana':
-      if (!player) return false;
-      actual = player.manaCurrent || 0;
-      break;
-    case 'player_mana_pct':
-      if (!player || !player.manaMax || player.manaMax === 0) return false;
-      actual = (player.manaCurrent / player.manaMax) * 100;
-      break;
-    case 'player_es':
-      if (!player || !player.esMax || player.esMax === 0) return false;
-      actual = (player.esCurrent / player.esMax) * 100;
-      break;
-    case 'player_rage':
-      if (!player) return false;
-      actual = player.rageCurrent || 0;
-      break;
-    case 'player_rage_pct':
-      if (!player || !player.rageMax || player.rageMax === 0) return false;
-      actual = (player.rageCurrent / player.rageMax) * 100;
-      break;
-    case 'player_has_buff':
-      if (!player || !player.buffs) return false;
-      return player.buffs.some(b => b.name && b.name.includes(stringValue || ''));
-    case 'player_missing_buff':
-      if (!player || !player.buffs) return true;  // No buffs = missing
-      return !player.buffs.some(b => b.name && b.name.includes(stringValue || ''));
-    case 'monster_cullable': {
-      if (!target || !target.healthMax || target.healthMax === 0) return false;
-      const hpFrac = target.healthCurrent / target.healthMax;
-      const cullThresh = [0.35, 0.20, 0.10, 0.05];
-      const cullRarity = target.rarity !== undefined ? target.rarity : 0;
-      return hpFrac <= cullThresh[cullRarity < 4 ? cullRarity : 0];
-    }
-    case 'cast_interval_ms': {
-      // Throttle gate: pass only if at least `value` ms elapsed since this skill last fired.
-      // Operator ignored. Without a skill key (e.g. preview) treat as not-yet-cast -> pass.
-      const intervalMs = parseFloat(value) || 0;
-      if (!skill) return true;
-      const last = _lastCastAt[_skillKey(skill)] || 0;
-      return (now - last) >= intervalMs;
-    }
-    case 'nearby_monster_count': {
-      // Count alive monsters within `radius` grid units of the target (else the player),
-      // then compare via operator/value. Radius defaults to 30 if unset (old configs).
-      const radius = parseFloat(condition.radius) || 30;
-      const cx = target && target.gridX !== undefined ? target.gridX : (player ? player.gridX : undefined);
-      const cy = target && target.gridY !== undefined ? target.gridY : (player ? player.gridY : undefined);
-      if (cx === undefined || cy === undefined) return false;
-      const r2 = radius * radius;
-      let cnt = 0;
-      for (const m of getNearbyMonsters()) {
-        if (!m.isAlive || m.gridX === undefined) continue;
-        const dx = m.gridX - cx, dy = m.gridY - cy;
-        if (dx * dx + dy * dy <= r2) cnt++;
-      }
-      actual = cnt;
-      break;
-    }
-    case 'nearby_deployable_count': {
-      // Count entities whose metadata path contains `stringValue` within `radius` grid units of the
-      // target (else player), then compare via operator/value. "Maintain a deployable": e.g. recast
-      // Tornado Shot only when count of "TornadoShotTornado" near the target is < 1. Anchor follows
-      // the target (the boss/pack you're firing at). Pair with cast_interval_ms to throttle.
-      const needle = (stringValue || '').toLowerCase();
-      if (!needle) return false;
-      const radius = parseFloat(condition.radius) || 60;
-      const cx = target && target.gridX !== undefined ? target.gridX : (player ? player.gridX : undefined);
-      const cy = target && target.gridY !== undefined ? target.gridY : (player ? player.gridY : undefined);
-      if (cx === undefined || cy === undefined) return false;
-      const r2 = radius * radius;
-      let cnt = 0;
-      for (const e of getNearbyDeployables()) {
-        if (e.gridX === undefined || !e.name) continue;
-        if (e.name.toLowerCase().indexOf(needle) === -1) continue;
-        const dx = e.gridX - cx, dy = e.gridY - cy;
-        if (dx * dx + dy * dy <= r2) cnt++;
-      }
-      actual = cnt;
-      break;
-    }
-    case 'monster_stunnable': {
-      if (!target) return false;
-      let staggerPct = 0;
-      if (target.staggerPct !== undefined) {
-        staggerPct = target.staggerPct;
-      } else if (target.staggerCurrent !== undefined && target.staggerMax > 0) {
-        staggerPct = target.staggerCurrent / target.staggerMax;
-      } else {
-        return false;
-      }
-      const stunThresh = [0.40, 0.50, 0.60, 0.70];
-      const stunRarity = target.rarity !== undefined ? target.rarity : 0;
-      return staggerPct >= stunThresh[stunRarity < 4 ? stunRarity : 0];
-    }
-    default:
-      return false;
-  }
-  
-  const threshold = parseFloat(value) || 0;
-  switch (operator) {
-    case '>': return actual > threshold;
-    case '<': return actual < threshold;
-    case '>=': return actual >= threshold;
-    case '<=': return actual <= threshold;
-    case '==': return Math.abs(actual - threshold) < 0.01;
-    case '!=': return Math.abs(actual - threshold) >= 0.01;
-    default: return false;
-  }
+// The language itself (types, AND/OR/NOT groups, macros) is rotation_conditions.js; this fills its ctx from the
+// game: per-frame entity caches and the per-skill last-cast timers.
+function conditionContext(player, target, distance, skill, now) {
+  return {
+    player, target, distance,
+    now: now === undefined ? Date.now() : now,
+    lastCastAt: skill ? (_lastCastAt[_skillKey(skill)] || 0) : undefined,
+    nearbyMonsters: getNearbyMonsters,
+    nearbyDeployables: getNearbyDeployables,
+  };
 }
 
 function checkConditions(skill, player, target, distance) {
   if (!skill.conditions || skill.conditions.length === 0) return true;
-  const now = Date.now();
-  for (const condition of skill.conditions) {
-    if (!evaluateCondition(condition, player, target, distance, skill, now)) return false;
-  }
-  return true;
+  return evaluateConditions(skill.conditions, conditionContext(player, target, distance, skill), rotationMacros);
 }
 
 // ============================================================================
@@ -1071,6 +908,37 @@ export function channelArbiterTick() {
   return true;                                       // still channeling
 }
 
+// This actor's cooldown groups, fetched once per frame (native RPC + mutex, see the cache note above).
+function _frameCooldowns(player) {
+  const frame = POE2Cache.getFrameNumber();
+  if (_cooldownsCacheFrame !== frame) {
+    _cooldownsCache = player.actorComponentPtr ? (poe2.getCooldowns(player.actorComponentPtr) || []) : [];
+    _cooldownsCacheFrame = frame;
+  }
+  return _cooldownsCache || [];
+}
+
+// A skill is "on cooldown" if any timer in its cooldown group (matched by marker+slot = high 16 bits
+// of packetData) still has remaining > 0.
+function _cooldownGroupBusy(cds, pb) {
+  if (!pb) return false;
+  const key = (((pb[0] & 0xFF) << 8) | (pb[1] & 0xFF)) & 0xFFFF;  // marker<<8 | slot
+  for (const g of cds) {
+    if (g && g.packetData !== undefined &&
+        (((g.packetData >>> 16) & 0xFFFF) === key) &&
+        g.timers && g.timers.some(t => t.remaining > 0.05)) return true;
+  }
+  return false;
+}
+
+// Look up skill packet by name (runtime lookup for shareability): skillName first, then resolvedName,
+// falling back to the stored packet bytes if the name lookup fails.
+function _resolvePacketBytes(skill) {
+  return (skill.skillName && getSkillPacketByName(skill.skillName))
+    || (skill.resolvedName && getSkillPacketByName(skill.resolvedName))
+    || skill.packetBytes || null;
+}
+
 function executeRotation(targetEntity, distance) {
   // Per-frame cached: ReadBuffsComponent holds a global mutex contended by the
   // render-thread marker emitter; calling raw poe2.getLocalPlayer() every tick
@@ -1096,30 +964,12 @@ function executeRotation(targetEntity, distance) {
     _rotStallHoldUntil = 0;                          // recovered -> release the hold early
   }
 
-  // PRIORITY FALL-THROUGH support: fetch this actor's real cooldowns once. A skill is "on
-  // cooldown" if any timer in its cooldown group (matched by marker+slot = high 16 bits of
-  // packetData) still has remaining > 0. Lets the loop skip a recharging top skill and try
-  // the next one in the priority list. Memoized per frame to avoid the native RPC + mutex
-  // contention on every cast during sustained combat.
+  // PRIORITY FALL-THROUGH support: fetch this actor's real cooldowns once. Lets the loop skip a
+  // recharging top skill and try the next one in the priority list. Memoized per frame to avoid
+  // the native RPC + mutex contention on every cast during sustained combat.
   const _cdsFrame = POE2Cache.getFrameNumber();
-  let _cds;
-  if (_cooldownsCacheFrame === _cdsFrame) {
-    _cds = _cooldownsCache || [];
-  } else {
-    _cds = player.actorComponentPtr ? (poe2.getCooldowns(player.actorComponentPtr) || []) : [];
-    _cooldownsCache = _cds;
-    _cooldownsCacheFrame = _cdsFrame;
-  }
-  const _isOnCd = (pb) => {
-    if (!pb) return false;
-    const key = (((pb[0] & 0xFF) << 8) | (pb[1] & 0xFF)) & 0xFFFF;  // marker<<8 | slot
-    for (const g of _cds) {
-      if (g && g.packetData !== undefined &&
-          (((g.packetData >>> 16) & 0xFFFF) === key) &&
-          g.timers && g.timers.some(t => t.remaining > 0.05)) return true;
-    }
-    return false;
-  };
+  const _cds = _frameCooldowns(player);
+  const _isOnCd = (pb) => _cooldownGroupBusy(_cds, pb);
 
   // ONE-CAST-PER-FRAME: if another caller (auto-attack vs SpikenQOL bot) already cast this frame,
   // don't let a second caller double-fire. Channel maintenance above still runs every call.
@@ -1136,23 +986,7 @@ function executeRotation(targetEntity, distance) {
     if (!checkConditions(skill, player, targetEntity, distance)) continue;
     anyReady = true;
 
-    // Look up skill packet by name (runtime lookup for shareability)
-    // Try skillName first, then resolvedName
-    let packetBytes = null;
-
-    if (skill.skillName) {
-      packetBytes = getSkillPacketByName(skill.skillName);
-    }
-
-    if (!packetBytes && skill.resolvedName) {
-      packetBytes = getSkillPacketByName(skill.resolvedName);
-    }
-
-    // Fallback to stored packet bytes if name lookup fails
-    if (!packetBytes && skill.packetBytes) {
-      packetBytes = skill.packetBytes;
-    }
-
+    const packetBytes = _resolvePacketBytes(skill);
     if (!packetBytes) {
       console.warn(`[Rotation] Skill "${skill.name}" not found in active skills`);
       continue;
@@ -1296,6 +1130,8 @@ function executeRotation(targetEntity, distance) {
     }
 
     _lastNoFireReason = '';
+    _lastCastSkill = skill.name;
+    _lastCastIndex = rotations.indexOf(skill);
     return true;
   }
 
@@ -1490,37 +1326,9 @@ function drawRotationList() {
       ImGui.textColored([0.7, 0.7, 0.7, 1.0], `   Packet: ${packetStr}`);
     }
     
-    // Show conditions
+    // Show conditions (groups indented under their AND / OR / NOT line)
     if (skill.conditions && skill.conditions.length > 0) {
-      for (let c = 0; c < skill.conditions.length; c++) {
-        const cond = skill.conditions[c];
-        const condType = CONDITION_TYPES.find(t => t.id === cond.type);
-        const label = condType ? condType.label : cond.type;
-        
-        ImGui.pushID(`cond${c}`);
-        if (ImGui.smallButton("X")) {
-          skill.conditions.splice(c, 1);
-          saveRotations();
-        }
-        ImGui.popID();
-        ImGui.sameLine();
-        
-        let condDisplay;
-        if (cond.type === 'cast_interval_ms') {
-          condDisplay = `   IF ${cond.value}ms since last cast`;
-        } else if (cond.type === 'nearby_monster_count') {
-          condDisplay = `   IF monsters ${cond.operator} ${cond.value} within ${cond.radius || 30}`;
-        } else if (cond.type === 'nearby_deployable_count') {
-          condDisplay = `   IF "${cond.stringValue}" ${cond.operator} ${cond.value} within ${cond.radius || 60}`;
-        } else if (condType?.unit === 'bool') {
-          condDisplay = `   IF ${label}`;
-        } else {
-          let valueStr = cond.stringValue || cond.value;
-          if (condType?.unit === 'rarity') valueStr = RARITY_LABELS[cond.value] || cond.value;
-          condDisplay = `   IF ${label} ${cond.operator} ${valueStr}`;
-        }
-        ImGui.textColored([0.7, 0.7, 0.7, 1.0], condDisplay);
-      }
+      drawConditionTree(skill.conditions);
     } else {
       ImGui.textColored([0.5, 0.5, 0.5, 1.0], "   (No conditions - always use)");
     }
@@ -1567,7 +1375,8 @@ function drawRotationList() {
         ImGui.sameLine();
         ImGui.textColored([0.6, 0.6, 0.6, 1.0], `(buff: ${skill.channelUntilBuff}, ±${_CHANNEL_TIMEOUT_JITTER_MS}ms jitter at cast)`);
       }
-      drawConditionEditor(skill);
+      if (!skill.conditions) skill.conditions = [];
+      drawConditionEditor(skill.conditions, `skill${i}`);
       ImGui.unindent();
     }
     
@@ -1576,9 +1385,142 @@ function drawRotationList() {
   }
   
   ImGui.endChild();
+
+  drawMacroEditor();
+}
+
+const GROUP_LABELS = { and: 'ALL of', or: 'ANY of', not: 'NOT (all of)' };
+
+// One node list with an X per node; groups list their children indented below. Removing edits `list` in place.
+function drawConditionTree(list) {
+  for (let c = 0; c < list.length; c++) {
+    const node = list[c];
+    ImGui.pushID(`cond${c}`);
+    if (ImGui.smallButton("X")) {
+      list.splice(c, 1);
+      saveRotations();
+      ImGui.popID();
+      break;
+    }
+    ImGui.sameLine();
+    if (node.group !== undefined) {
+      ImGui.textColored([0.6, 0.8, 1.0, 1.0], `   ${GROUP_LABELS[node.group] || node.group}:`);
+      ImGui.indent();
+      if (!node.children || node.children.length === 0) ImGui.textColored([0.5, 0.5, 0.5, 1.0], "   (empty)");
+      else drawConditionTree(node.children);
+      ImGui.unindent();
+    } else {
+      ImGui.textColored(node.macro !== undefined ? [0.9, 0.7, 1.0, 1.0] : [0.7, 0.7, 0.7, 1.0], `   IF ${describeNode(node)}`);
+    }
+    ImGui.popID();
+  }
+}
+
+// Where new nodes go: the list itself, or any group in it (depth-first, labelled by its expression)
+function conditionTargets(list, out = [], depth = 0) {
+  if (depth === 0) out.push({ label: 'Top level (AND)', list });
+  for (const node of list) {
+    if (node.group === undefined) continue;
+    if (!node.children) node.children = [];
+    out.push({ label: `${'  '.repeat(depth + 1)}${GROUP_LABELS[node.group] || node.group}: ${describeConditions(node.children)}`, list: node.children, node });
+    conditionTargets(node.children, out, depth + 1);
+  }
+  return out;
+}
+
+// Editor state for the add-to target / macro pick (reset when the editor switches lists)
+let condEditorKey = '';
+let condTargetIndex = 0;
+let selectedMacroName = '';
+
+// Condition macros of the current rotation: list, add / delete, and an editor for one at a time
+const macroNameInput = new ImGui.MutableVariable("boss");
+let editingMacro = '';
+
+function drawMacroEditor() {
+  if (!ImGui.collapsingHeader("Condition Macros (this rotation)")) return;
+  ImGui.textColored([0.6, 0.6, 0.6, 1.0], "Named condition lists any skill can use as @name (shared thresholds).");
+  for (const e of macroErrors(rotationMacros)) ImGui.textColored([1.0, 0.4, 0.4, 1.0], `Macro ${e}`);
+  for (const name of Object.keys(rotationMacros)) {
+    ImGui.pushID(`macro_${name}`);
+    if (ImGui.smallButton(editingMacro === name ? "Done" : "Edit")) editingMacro = editingMacro === name ? '' : name;
+    ImGui.sameLine();
+    if (ImGui.smallButton("Del")) {
+      delete rotationMacros[name];
+      if (editingMacro === name) editingMacro = '';
+      saveRotations();
+      ImGui.popID();
+      break;
+    }
+    ImGui.sameLine();
+    ImGui.textColored([0.9, 0.7, 1.0, 1.0], `@${name} = ${describeConditions(rotationMacros[name])}`);
+    if (editingMacro === name) {
+      ImGui.indent();
+      drawConditionTree(rotationMacros[name]);
+      drawConditionEditor(rotationMacros[name], `macro:${name}`);
+      ImGui.unindent();
+    }
+    ImGui.popID();
+  }
+  ImGui.inputText("##macroname", macroNameInput);
+  ImGui.sameLine();
+  if (ImGui.button("New Macro")) {
+    const name = macroNameInput.value.trim().replace(/\s+/g, '_');
+    if (name && !rotationMacros[name]) {
+      rotationMacros[name] = [];
+      editingMacro = name;
+      saveRotations();
+    }
+  }
 }
 
-function drawConditionEditor(skill) {
+function drawConditionEditor(list, key) {
+  if (condEditorKey !== key) {
+    condEditorKey = key;
+    condTargetIndex = 0;
+  }
+  ImGui.textColored([0.6, 0.9, 1.0, 1.0], "Expression:");
+  ImGui.sameLine();
+  ImGui.textWrapped(describeConditions(list));
+
+  // Add-to target: the list or one of its groups
+  const targets = conditionTargets(list);
+  if (condTargetIndex >= targets.length) condTargetIndex = 0;
+  if (targets.length > 1) {
+    ImGui.text("Add to:");
+    for (let t = 0; t < targets.length; t++) {
+      if (ImGui.radioButton(`${targets[t].label}##tgt${t}`, condTargetIndex === t)) condTargetIndex = t;
+    }
+  }
+  const target = targets[condTargetIndex].list;
+
+  // New group (selected as the add-to target right away)
+  for (const kind of GROUP_KINDS) {
+    if (ImGui.button(`+${kind.toUpperCase()} group##grp${kind}`)) {
+      const node = { group: kind, children: [] };
+      target.push(node);
+      saveRotations();
+      condTargetIndex = conditionTargets(list).findIndex(t => t.node === node);
+    }
+    ImGui.sameLine();
+  }
+  ImGui.newLine();
+
+  // Macro reference
+  const macroNames = Object.keys(rotationMacros);
+  if (macroNames.length) {
+    ImGui.text("Macro:");
+    for (const name of macroNames) {
+      ImGui.sameLine();
+      if (ImGui.radioButton(`@${name}##usemacro`, selectedMacroName === name)) selectedMacroName = name;
+    }
+    ImGui.sameLine();
+    if (ImGui.button("Add Macro") && rotationMacros[selectedMacroName]) {
+      target.push({ macro: selectedMacroName });
+      saveRotations();
+    }
+  }
+
   ImGui.textColored([1.0, 1.0, 0.5, 1.0], "Add Condition:");
   
   // Condition type
@@ -1641,8 +1583,7 @@ function drawConditionEditor(skill) {
       stringValue: conditionStringValue.value
     };
     if (selectedType.id === 'nearby_monster_count' || selectedType.id === 'nearby_deployable_count') newCond.radius = conditionRadius.value;
-    if (!skill.conditions) skill.conditions = [];
-    skill.conditions.push(newCond);
+    target.push(newCond);
     saveRotations();
   }
 }
@@ -2599,6 +2540,27 @@ export function executeRotationOnTarget(targetEntity, distance) {
   return executeRotation(targetEntity, distance);
 }
 
+/**
+ * Per skill of the current rotation (index = its position): is it enabled, do its conditions pass against this
+ * target right now (eligible), and could it also fire -- packet found, cooldown group idle, its own interval
+ * floor elapsed (ready)? The rotation-wide gates (one cast per frame, global cast gap) aren't per skill.
+ */
+export function explainRotation(targetEntity, distance) {
+  const player = POE2Cache.getLocalPlayer();
+  return rotations.map((skill, index) => {
+    const eligible = !!skill.enabled && !!player && checkConditions(skill, player, targetEntity, distance);
+    const pb = eligible ? _resolvePacketBytes(skill) : null;
+    const ready = !!pb && !_cooldownGroupBusy(_frameCooldowns(player), pb)
+      && (Date.now() - (_lastCastAt[_skillKey(skill)] || 0)) >= _skillIntervalMs(skill);
+    return { index, name: skill.name, enabled: !!skill.enabled, eligible, ready };
+  });
+}
+
+/** Re-read ROTATIONS_FILE (the simulator swaps rotations in between runs). */
+export function reloadRotations() {
+  loadRotations();
+}
+
 // Export packet building functions for use by quick actions
 export { 
   buildTargetPacket,
@@ -0,0 +1,319 @@
+/**
+ * rotation_conditions.js — rotation_builder's condition language: the condition types, the evaluator and the
+ * expression text the builder shows.
+ *
+ * A skill's `conditions` is a list of nodes, all of which must pass (AND -- the pre-group format, unchanged):
+ *   leaf   { type, operator, value, stringValue?, radius? }       one CONDITION_TYPES check
+ *   group  { group: 'and' | 'or' | 'not', children: [nodes] }     'not' negates its children as a whole:
+ *                                                                  NOT (c1 AND c2 ...)
+ *   macro  { macro: 'name' }                                       a named node list of the rotation (macros)
+ * e.g. "(boss OR >= 5 mobs) AND NOT player_has_buff X":
+ *   [{ group: 'or', children: [{ macro: 'boss' }, { type: 'nearby_monster_count', operator: '>=', value: 5 }] },
+ *    { group: 'not', children: [{ type: 'player_has_buff', stringValue: 'X' }] }]
+ * cast_interval_ms and perfectWindow are read by the executor from the TOP level of a skill's list only.
+ *
+ * Pure module (no game API): the evaluator gets everything through ctx, so node tests run it against synthetic
+ * player / target objects; rotation_builder fills ctx from POE2Cache.
+ */
+
+export const CONDITION_TYPES = [
+  { id: 'always', label: 'Always (no condition)', unit: 'none' },
+  { id: 'distance', label: 'Distance to target', unit: 'units' },
+  { id: 'monster_health_pct', label: 'Monster Health %', unit: '%' },
+  { id: 'monster_max_health', label: 'Monster Max HP', unit: 'hp' },
+  { id: 'monster_current_health', label: 'Monster Current HP', unit: 'hp' },
+  { id: 'monster_rarity', label: 'Monster Rarity', unit: 'rarity' },
+  { id: 'monster_has_buff', label: 'Monster has buff', unit: 'buff_name' },
+  { id: 'monster_missing_buff', label: 'Monster missing buff', unit: 'buff_name' },
+  { id: 'player_health', label: 'Player Health %', unit: '%' },
+  { id: 'player_mana', label: 'Player Mana', unit: 'points' },
+  { id: 'player_mana_pct', label: 'Player Mana %', unit: '%' },
+  { id: 'player_es', label: 'Player ES %', unit: '%' },
+  { id: 'player_rage', label: 'Player Rage', unit: 'points' },
+  { id: 'player_rage_pct', label: 'Player Rage %', unit: '%' },
+  { id: 'player_has_buff', label: 'Player has buff', unit: 'buff_name' },
+  { id: 'player_missing_buff', label: 'Player missing buff', unit: 'buff_name' },
+  { id: 'monster_cullable', label: 'Monster is cullable', unit: 'bool' },
+  { id: 'monster_stunnable', label: 'Monster is stunnable (stagger)', unit: 'bool' },
+  // Throttle: only fire this skill if at least N ms have passed since it last fired (per-skill timer).
+  // Operator is ignored (always a "min elapsed" gate). e.g. cast Lightning Rod every 6000ms.
+  { id: 'cast_interval_ms', label: 'Cast interval (min ms between casts)', unit: 'ms' },
+  // AoE-at-packs: count of alive monsters within `radius` grid units of the target (else player),
+  // compared via operator/value. e.g. >= 3 monsters within 30. Adds a radius slider.
+  { id: 'nearby_monster_count', label: 'Nearby monster count (radius)', unit: 'count' },
+  // Maintain-a-deployable: count entities whose metadata path contains `stringValue` (e.g. your own
+  // "TornadoShotTornado" / "LightningRod") within `radius` of the target (else player). e.g. < 1 =
+  // "none of mine up near the target" -> recast. Pair with cast_interval_ms to throttle re-placement.
+  { id: 'nearby_deployable_count', label: 'Nearby deployable count (by path, radius)', unit: 'count' },
+  // Channel-release condition (only ChannelledSnipe tested): on a channelled skill, release the hold the
+  // instant the perfect-strike window opens (anim stage > 20). Does NOT gate casting — it's a release marker.
+  { id: 'perfectWindow', label: 'Perfect Window release (channelled — Snipe)', unit: 'none' }
+];
+
+export const RARITY_LABELS = ['Normal', 'Magic', 'Rare', 'Unique'];
+export const OPERATORS = ['>', '<', '>=', '<=', '==', '!='];
+export const GROUP_KINDS = ['and', 'or', 'not'];
+
+// Macros can use macros. A cycle (a -> b -> a) is thrown out to the outermost call, which answers false: failing
+// just the inner reference would let a NOT above it turn the loop into a pass.
+const MACRO_CYCLE = { cycle: true };
+
+function _compare(actual, operator, value) {
+  const threshold = parseFloat(value) || 0;
+  switch (operator) {
+    case '>': return actual > threshold;
+    case '<': return actual < threshold;
+    case '>=': return actual >= threshold;
+    case '<=': return actual <= threshold;
+    case '==': return Math.abs(actual - threshold) < 0.01;
+    case '!=': return Math.abs(actual - threshold) >= 0.01;
+    default: return false;
+  }
+}
+
+// Alive entities from `list` within `radius` of the target (else the player); null when neither has a position.
+function _countAround(list, ctx, radius, keep) {
+  const { player, target } = ctx;
+  const cx = target && target.gridX !== undefined ? target.gridX : (player ? player.gridX : undefined);
+  const cy = target && target.gridY !== undefined ? target.gridY : (player ? player.gridY : undefined);
+  if (cx === undefined || cy === undefined) return null;
+  const r2 = radius * radius;
+  let cnt = 0;
+  for (const e of list) {
+    if (e.gridX === undefined || !keep(e)) continue;
+    const dx = e.gridX - cx, dy = e.gridY - cy;
+    if (dx * dx + dy * dy <= r2) cnt++;
+  }
+  return cnt;
+}
+
+/**
+ * One leaf condition. ctx = { player, target, distance, now, lastCastAt, nearbyMonsters(), nearbyDeployables() }:
+ * lastCastAt = this skill's last cast (undefined = no skill, e.g. a preview: cast_interval_ms passes); the two
+ * functions are only called by the nearby-count types.
+ */
+export function evaluateLeaf(condition, ctx) {
+  const { type, operator, value, stringValue } = condition;
+  const { player, target, distance } = ctx;
+
+  if (type === 'always') return true;
+  // Release marker, not a cast gate — never blocks casting. The hold-channel arbiter reads its presence
+  // (via _hasPerfectWindowCond) to release the channel at the perfect window. See _activeChannel.
+  if (type === 'perfectWindow') return true;
+
+  let actual = 0;
+
+  switch (type) {
+    case 'distance':
+      actual = distance;
+      break;
+    case 'monster_health_pct':
+      if (!target || !target.healthMax || target.healthMax === 0) return false;
+      actual = (target.healthCurrent / target.healthMax) * 100;
+      break;
+    case 'monster_max_health':
+      if (!target) return false;
+      actual = target.healthMax || 0;
+      break;
+    case 'monster_current_health':
+      if (!target) return false;
+      actual = target.healthCurrent || 0;
+      break;
+    case 'monster_rarity':
+      if (!target) return false;
+      actual = target.rarity || 0;
+      break;
+    case 'monster_has_buff':
+      if (!target || !target.buffs) return false;
+      return target.buffs.some(b => b.name && b.name.includes(stringValue || ''));
+    case 'monster_missing_buff':
+      if (!target || !target.buffs) return true;  // No buffs = missing
+      return !target.buffs.some(b => b.name && b.name.includes(stringValue || ''));
+    case 'player_health':
+      if (!player || !player.healthMax || player.healthMax === 0) return false;
+      actual = (player.healthCurrent / player.healthMax) * 100;
+      break;
+    case 'player_mana':
+      if (!player) return false;
+      actual = player.manaCurrent || 0;
+      break;
+    case 'player_mana_pct':
+      if (!player || !player.manaMax || player.manaMax === 0) return false;
+      actual = (player.manaCurrent / player.manaMax) * 100;
+      break;
+    case 'player_es':
+      if (!player || !player.esMax || player.esMax === 0) return false;
+      actual = (player.esCurrent / player.esMax) * 100;
+      break;
+    case 'player_rage':
+      if (!player) return false;
+      actual = player.rageCurrent || 0;
+      break;
+    case 'player_rage_pct':
+      if (!player || !player.rageMax || player.rageMax === 0) return false;
+      actual = (player.rageCurrent / player.rageMax) * 100;
+      break;
+    case 'player_has_buff':
+      if (!player || !player.buffs) return false;
+      return player.buffs.some(b => b.name && b.name.includes(stringValue || ''));
+    case 'player_missing_buff':
+      if (!player || !player.buffs) return true;  // No buffs = missing
+      return !player.buffs.some(b => b.name && b.name.includes(stringValue || ''));
+    case 'monster_cullable': {
+      if (!target || !target.healthMax || target.healthMax === 0) return false;
+      const hpFrac = target.healthCurrent / target.healthMax;
+      const cullThresh = [0.35, 0.20, 0.10, 0.05];
+      const cullRarity = target.rarity !== undefined ? target.rarity : 0;
+      return hpFrac <= cullThresh[cullRarity < 4 ? cullRarity : 0];
+    }
+    case 'cast_interval_ms': {
+      // Throttle gate: pass only if at least `value` ms elapsed since this skill last fired.
+      // Operator ignored. Without a skill (e.g. preview) treat as not-yet-cast -> pass.
+      if (ctx.lastCastAt === undefined) return true;
+      return (ctx.now - ctx.lastCastAt) >= (parseFloat(value) || 0);
+    }
+    case 'nearby_monster_count': {
+      // Count alive monsters within `radius` grid units of the target (else the player),
+      // then compare via operator/value. Radius defaults to 30 if unset (old configs).
+      const cnt = _countAround(ctx.nearbyMonsters(), ctx, parseFloat(condition.radius) || 30, m => m.isAlive);
+      if (cnt === null) return false;
+      actual = cnt;
+      break;
+    }
+    case 'nearby_deployable_count': {
+      // Count entities whose metadata path contains `stringValue` within `radius` grid units of the
+      // target (else player), then compare via operator/value. "Maintain a deployable": e.g. recast
+      // Tornado Shot only when count of "TornadoShotTornado" near the target is < 1. Anchor follows
+      // the target (the boss/pack you're firing at). Pair with cast_interval_ms to throttle.
+      const needle = (stringValue || '').toLowerCase();
+      if (!needle) return false;
+      const cnt = _countAround(ctx.nearbyDeployables(), ctx, parseFloat(condition.radius) || 60,
+        e => e.name && e.name.toLowerCase().indexOf(needle) !== -1);
+      if (cnt === null) return false;
+      actual = cnt;
+      break;
+    }
+    case 'monster_stunnable': {
+      if (!target) return false;
+      let staggerPct = 0;
+      if (target.staggerPct !== undefined) {
+        staggerPct = target.staggerPct;
+      } else if (target.staggerCurrent !== undefined && target.staggerMax > 0) {
+        staggerPct = target.staggerCurrent / target.staggerMax;
+      } else {
+        return false;
+      }
+      const stunThresh = [0.40, 0.50, 0.60, 0.70];
+      const stunRarity = target.rarity !== undefined ? target.rarity : 0;
+      return staggerPct >= stunThresh[stunRarity < 4 ? stunRarity : 0];
+    }
+    default:
+      return false;
+  }
+
+  return _compare(actual, operator, value);
+}
+
+// visiting = the macro names on the current reference path
+function _node(node, ctx, macros, visiting) {
+  if (!node) return false;
+  if (node.macro !== undefined) {
+    const body = macros && macros[node.macro];
+    if (!Array.isArray(body)) return false;
+    if (visiting.has(node.macro)) throw MACRO_CYCLE;
+    visiting.add(node.macro);
+    try { return _list(body, ctx, macros, visiting); } finally { visiting.delete(node.macro); }
+  }
+  if (node.group !== undefined) {
+    const kids = Array.isArray(node.children) ? node.children : [];
+    if (node.group === 'or') return kids.some(c => _node(c, ctx, macros, visiting));
+    if (node.group === 'not') return !_list(kids, ctx, macros, visiting);
+    if (node.group === 'and') return _list(kids, ctx, macros, visiting);
+    return false;
+  }
+  return evaluateLeaf(node, ctx);
+}
+
+function _list(nodes, ctx, macros, visiting) {
+  if (!nodes || nodes.length === 0) return true;
+  for (const node of nodes) {
+    if (!_node(node, ctx, macros, visiting)) return false;
+  }
+  return true;
+}
+
+function _failClosed(fn) {
+  try { return fn(); } catch (e) { if (e === MACRO_CYCLE) return false; throw e; }
+}
+
+/** Evaluate one node (leaf, group or macro reference); macros = { name: [nodes] } of the rotation. */
+export function evaluateNode(node, ctx, macros) {
+  return _failClosed(() => _node(node, ctx, macros, new Set()));
+}
+
+/** A node list: every node must pass (an empty list passes -- "always use"). A macro cycle fails the whole list. */
+export function evaluateConditions(nodes, ctx, macros) {
+  return _failClosed(() => _list(nodes, ctx, macros, new Set()));
+}
+
+/** One leaf as text, e.g. "Player Health % < 50", "monsters >= 5 within 30". */
+export function describeLeaf(cond) {
+  const condType = CONDITION_TYPES.find(t => t.id === cond.type);
+  const label = condType ? condType.label : cond.type;
+  if (cond.type === 'cast_interval_ms') return `${cond.value}ms since last cast`;
+  if (cond.type === 'nearby_monster_count') return `monsters ${cond.operator} ${cond.value} within ${cond.radius || 30}`;
+  if (cond.type === 'nearby_deployable_count') return `"${cond.stringValue}" ${cond.operator} ${cond.value} within ${cond.radius || 60}`;
+  if (!condType || condType.unit === 'bool' || condType.unit === 'none') return label;
+  if (condType.unit === 'buff_name') return `${label} "${cond.stringValue || ''}"`;
+  const valueStr = condType.unit === 'rarity' ? (RARITY_LABELS[cond.value] || cond.value) : cond.value;
+  return `${label} ${cond.operator} ${valueStr}`;
+}
+
+/** One node as text; groups nested inside an expression get parentheses. Macros show as @name. */
+export function describeNode(node, nested = false) {
+  if (!node) return '?';
+  if (node.macro !== undefined) return `@${node.macro}`;
+  if (node.group === undefined) return describeLeaf(node);
+  const kids = Array.isArray(node.children) ? node.children : [];
+  if (!kids.length) return node.group === 'not' ? 'NOT (always)' : node.group === 'or' ? '(never)' : '(always)';
+  if (node.group === 'not') {
+    return `NOT ${kids.length === 1 && kids[0].group === undefined ? describeNode(kids[0], true) : `(${kids.map(k => describeNode(k, true)).join(' AND ')})`}`;
+  }
+  const text = kids.map(k => describeNode(k, true)).join(node.group === 'or' ? ' OR ' : ' AND ');
+  return nested && kids.length > 1 ? `(${text})` : text;
+}
+
+/** A whole node list (AND) as one expression -- the condition editor's preview. */
+export function describeConditions(nodes) {
+  if (!nodes || nodes.length === 0) return 'always';
+  return nodes.map(n => describeNode(n, nodes.length > 1)).join(' AND ');
+}
+
+/** Problems with a rotation's macros: references to undefined macros and reference cycles. */
+export function macroErrors(macros) {
+  const errors = [];
+  const names = Object.keys(macros || {});
+  const refs = function (nodes, out) {
+    for (const n of nodes || []) {
+      if (n && n.macro !== undefined) out.push(n.macro);
+      else if (n && n.group !== undefined) refs(n.children, out);
+    }
+    return out;
+  };
+  for (const name of names) {
+    for (const r of refs(macros[name], [])) if (!macros[r]) errors.push(`@${name} uses undefined @${r}`);
+  }
+  // cycle: a macro that can reach itself
+  for (const name of names) {
+    const seen = new Set();
+    const stack = refs(macros[name], []);
+    while (stack.length) {
+      const r = stack.pop();
+      if (r === name) { errors.push(`@${name} refers back to itself`); break; }
+      if (seen.has(r) || !macros[r]) continue;
+      seen.add(r);
+      refs(macros[r], stack);
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { evaluateLeaf, evaluateConditions, describeConditions, describeNode, macroErrors } from './rotation_conditions.js';
+
+const player = { gridX: 100, gridY: 100, healthCurrent: 300, healthMax: 1000, manaCurrent: 50, manaMax: 200, buffs: [{ name: 'onslaught' }] };
+const boss = { gridX: 130, gridY: 100, healthCurrent: 9000, healthMax: 10000, rarity: 3, buffs: [] };
+const mob = (dx, alive = true) => ({ gridX: 130 + dx, gridY: 100, isAlive: alive });
+const ctxFor = (target, mobs, extra) => Object.assign({
+  player, target, distance: 30, now: 10000, lastCastAt: undefined,
+  nearbyMonsters: () => mobs || [], nearbyDeployables: () => [],
+}, extra);
+
+// ---- leaves: the same checks rotation_builder always ran ----
+const ctx = ctxFor(boss, [mob(0), mob(5), mob(10), mob(-5, false)]);
+assert.equal(evaluateLeaf({ type: 'monster_rarity', operator: '>=', value: 3 }, ctx), true);
+assert.equal(evaluateLeaf({ type: 'player_health', operator: '<', value: 50 }, ctx), true);
+assert.equal(evaluateLeaf({ type: 'player_mana_pct', operator: '>', value: 30 }, ctx), false);
+assert.equal(evaluateLeaf({ type: 'player_has_buff', stringValue: 'onslaught' }, ctx), true);
+assert.equal(evaluateLeaf({ type: 'nearby_monster_count', operator: '>=', value: 3, radius: 30 }, ctx), true);  // the dead one doesn't count
+assert.equal(evaluateLeaf({ type: 'nearby_monster_count', operator: '>=', value: 4, radius: 30 }, ctx), false);
+assert.equal(evaluateLeaf({ type: 'monster_cullable' }, ctx), false);
+assert.equal(evaluateLeaf({ type: 'cast_interval_ms', value: 5000 }, ctx), true);                            // no skill: pass
+assert.equal(evaluateLeaf({ type: 'cast_interval_ms', value: 5000 }, { ...ctx, lastCastAt: 6000 }), false);
+assert.equal(evaluateLeaf({ type: 'monster_health_pct', operator: '<', value: 50 }, ctxFor(null)), false);  // no target
+assert.equal(evaluateLeaf({ type: 'no_such_type' }, ctx), false);
+
+// ---- "(boss OR >= 5 mobs) AND NOT player_has_buff X" ----
+const isBoss = { type: 'monster_rarity', operator: '>=', value: 3 };
+const fiveMobs = { type: 'nearby_monster_count', operator: '>=', value: 5, radius: 30 };
+const rule = [
+  { group: 'or', children: [isBoss, fiveMobs] },
+  { group: 'not', children: [{ type: 'player_has_buff', stringValue: 'flask_utility' }] },
+];
+const pack = [0, 2, 4, 6, 8].map(d => mob(d));
+const white = { ...boss, rarity: 0 };
+assert.equal(evaluateConditions(rule, ctx), true);                                  // boss, buff missing
+assert.equal(evaluateConditions(rule, ctxFor(white, pack)), true);                  // no boss, but a pack
+assert.equal(evaluateConditions(rule, ctxFor(white, pack.slice(1))), false);        // neither
+const buffed = { ...player, buffs: [{ name: 'flask_utility_sprint' }] };
+assert.equal(evaluateConditions(rule, ctxFor(boss, [], { player: buffed })), false);  // NOT fails
+assert.equal(describeConditions(rule), '(Monster Rarity >= Unique OR monsters >= 5 within 30) AND NOT Player has buff "flask_utility"');
+
+// 'not' negates its children as a whole; empty groups; an old flat list is still an AND
+assert.equal(evaluateConditions([{ group: 'not', children: [isBoss, fiveMobs] }], ctx), true);   // boss but no pack
+assert.equal(evaluateConditions([{ group: 'or', children: [] }], ctx), false);
+assert.equal(evaluateConditions([{ group: 'and', children: [] }], ctx), true);
+assert.equal(evaluateConditions([isBoss, fiveMobs], ctx), false);
+assert.equal(evaluateConditions([], ctx), true);
+assert.equal(describeConditions([]), 'always');
+
+// ---- macros: named lists, reusable anywhere; undefined / cyclic ones fail closed ----
+const macros = { boss: [isBoss], lowLife: [{ type: 'player_health', operator: '<', value: 35 }], danger: [{ group: 'or', children: [{ macro: 'boss' }, { macro: 'lowLife' }] }] };
+assert.equal(evaluateConditions([{ macro: 'danger' }], ctx, macros), true);
+assert.equal(evaluateConditions([{ macro: 'danger' }], ctxFor(white, [], { player: { ...player, healthCurrent: 900 } }), macros), false);
+assert.equal(evaluateConditions([{ macro: 'nope' }], ctx, macros), false);
+assert.equal(describeNode({ group: 'or', children: [{ macro: 'boss' }, fiveMobs] }), '@boss OR monsters >= 5 within 30');
+assert.deepEqual(macroErrors(macros), []);
+const loop = { a: [{ macro: 'b' }], b: [{ group: 'not', children: [{ macro: 'a' }] }], c: [{ macro: 'gone' }] };
+assert.deepEqual(macroErrors(loop), ['@c uses undefined @gone', '@a refers back to itself', '@b refers back to itself']);
+assert.equal(evaluateConditions([{ macro: 'a' }], ctx, loop), false);   // a -> b -> a fails the whole list
+// ...even under a NOT, which would otherwise turn the failed inner reference into a pass
+const notLoop = { a: [{ group: 'not', children: [{ macro: 'a' }] }], b: [{ macro: 'a' }] };
+assert.equal(evaluateConditions([{ macro: 'b' }], ctx, notLoop), false);
+assert.equal(evaluateConditions([{ group: 'not', children: [{ macro: 'b' }] }], ctx, notLoop), false);
+// the same macro twice side by side is no cycle
+assert.equal(evaluateConditions([{ macro: 'danger' }, { macro: 'danger' }], ctx, macros), true);
+
+console.log('rotation_conditions tests passed');
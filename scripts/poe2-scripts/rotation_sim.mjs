@@ -0,0 +1,154 @@
+/**
+ * rotation_sim.mjs — replay a rotation against recorded frames, offline, without sending anything.
+ *
+ * Steps rotation_builder's real executeRotation (through executeRotationOnTarget, the same entry entity_actions
+ * uses) once per frame on top of poe2_stub, so every gate -- dead, channeling, stall-wake, one-cast-per-frame, the
+ * global cast gap, conditions, cooldowns, per-skill intervals -- decides exactly as it would in game. Packets only
+ * land in runtime.packets.
+ *
+ *   node rotation_sim.mjs <rotations.json> <session.jsonl> [rotationName]
+ *
+ * Frames are frame_recorder sessions (or synthetic snapshots, see poe2_stub.mjs). A frame may also carry
+ *   targetId    the entity the rotation is aimed at (default: nearest alive hostile monster within opts.range)
+ *   cooldowns   what poe2.getCooldowns answers (only read when the player has an actorComponentPtr)
+ * Recorded sessions carry neither, so cooldown gating is off and targeting is nearest-monster -- the timeline is
+ * what the rotation's conditions and throttles allow, not what entity_actions' target picker would have chosen.
+ *
+ * Report: { timeline: [{ t, skill, index, targetId }],
+ *           skills: [{ index, name, enabled, casts, conditionMs, conditionPct, readyMs, readyPct }],
+ *           reasons: { lastNoFireReason: frames }, frames, durationMs, packets }.
+ * t is ms since the first frame; skills are one entry per rotation slot (index), so two entries sharing a name
+ * stay apart. condition* is the share of the run a skill's conditions passed against the target, ready* the
+ * share it could also have fired (cooldown group idle, its own interval floor elapsed); both time-weighted by
+ * frame gaps.
+ */
+
+import { pathToFileURL } from 'node:url';
+import { runtime } from './poe2_stub.mjs';
+
+const { POE2Cache } = await import('./poe2_cache.js');
+const rotation = await import('./rotation_builder.js');
+
+const ROTATIONS_FILE = 'rotations_v2.json';   // rotation_builder's storage file, in the stub's fake fs
+const SIM_ROTATION = 'default';               // the name rotation_builder loads at startup
+const DEFAULT_RANGE = 120;                     // grid units; auto-target radius when a frame has no targetId
+
+// rotation_builder's throttles are module state and outlive a run; each run's clock starts well after the last
+// one ended so a second simulateRotation in the same process isn't gated by the first.
+const RUN_GAP_MS = 60000;
+
+function _dist(a, b) {
+  return Math.hypot((a.gridX || 0) - (b.gridX || 0), (a.gridY || 0) - (b.gridY || 0));
+}
+
+function _pickTarget(frame, player, range) {
+  const list = frame.entities || [];
+  if (frame.targetId !== undefined) return list.find(e => e.id === frame.targetId) || null;
+  let best = null, bestD = Infinity;
+  for (const e of list) {
+    if (e.entityType !== 'Monster' || !e.isAlive || e.isHostile === false || e.isFriendly) continue;
+    const d = _dist(player, e);
+    if (d <= range && d < bestD) { best = e; bestD = d; }
+  }
+  return best;
+}
+
+/**
+ * Run `rot` over `frames`. rot is a skill array, { skills, macros }, or a whole rotations file (object) with
+ * opts.name picking the entry; frames is an array of snapshots or recorded JSONL text. opts.range = auto-target
+ * radius.
+ */
+export function simulateRotation(rot, frames, opts) {
+  const o = opts || {};
+  let entry = rot;
+  if (rot && !Array.isArray(rot) && !Array.isArray(rot.skills)) {
+    const name = o.name || Object.keys(rot)[0];
+    entry = rot[name];
+    if (!entry) return { error: `no rotation named '${name}'` };
+  }
+  runtime.files.set(ROTATIONS_FILE, JSON.stringify({ [SIM_ROTATION]: entry }));
+  rotation.initialize();
+  rotation.reloadRotations();
+
+  runtime.load(frames);
+  const list = runtime.frames;
+  if (!list.length) return { error: 'no frames' };
+  const t0 = list[0].t || 0;
+  const shift = runtime.now + RUN_GAP_MS - t0;
+  runtime.frames = list.map(f => Object.assign({}, f, { t: (f.t || 0) + shift }));
+
+  const range = o.range > 0 ? o.range : DEFAULT_RANGE;
+  const timeline = [];
+  const reasons = {};
+  const stats = new Map();
+  const packetsBefore = runtime.packets.length;
+  let count = 0;
+
+  for (let i = 0; runtime.step(POE2Cache); i++) {
+    const frame = runtime.frame;
+    const next = runtime.frames[i + 1];
+    const dt = next ? Math.max(0, next.t - frame.t) : 0;
+    const t = frame.t - t0 - shift;
+    count++;
+
+    // entity_actions runs the arbiter every frame, whether or not there's a target
+    rotation.channelArbiterTick();
+    const player = POE2Cache.getLocalPlayer();
+    const target = player ? _pickTarget(frame, player, range) : null;
+    if (!target) { reasons['no-target'] = (reasons['no-target'] || 0) + 1; continue; }
+    const distance = _dist(player, target);
+
+    for (const s of rotation.explainRotation(target, distance)) {
+      const st = stats.get(s.index) || { index: s.index, name: s.name, enabled: s.enabled, casts: 0, conditionMs: 0, readyMs: 0 };
+      if (s.eligible) st.conditionMs += dt;
+      if (s.ready) st.readyMs += dt;
+      stats.set(s.index, st);
+    }
+    if (rotation.executeRotationOnTarget(target, distance)) {
+      const index = rotation.lastCastIndex();
+      timeline.push({ t, skill: rotation.lastCastSkill(), index, targetId: target.id });
+      stats.get(index).casts++;
+    } else {
+      const r = rotation.lastNoFireReason() || 'none';
+      reasons[r] = (reasons[r] || 0) + 1;
+    }
+  }
+
+  const durationMs = list.length > 1 ? (list[list.length - 1].t || 0) - t0 : 0;
+  const pct = ms => durationMs > 0 ? Math.round(ms / durationMs * 1000) / 10 : 0;
+  const skills = Array.from(stats.values()).sort((a, b) => a.index - b.index)
+    .map(s => Object.assign(s, { conditionPct: pct(s.conditionMs), readyPct: pct(s.readyMs) }));
+  return { timeline, skills, reasons, frames: count, durationMs, packets: runtime.packets.length - packetsBefore };
+}
+
+/** Plain-text report: cast timeline, per-skill casts/conditions/ready, no-fire reason histogram. */
+export function formatReport(report) {
+  if (report.error) return `rotation_sim: ${report.error}`;
+  const lines = [`${report.frames} frames, ${(report.durationMs / 1000).toFixed(1)}s, ${report.timeline.length} casts`, '', 'Timeline:'];
+  for (const c of report.timeline) lines.push(`  ${String(c.t).padStart(7)}ms  ${c.skill}  -> #${c.targetId}`);
+  lines.push('', 'Skills:');
+  for (const s of report.skills) {
+    lines.push(`  ${String(s.index).padStart(2)} ${s.name.padEnd(24)} casts ${String(s.casts).padStart(4)}  conditions ${s.conditionPct.toFixed(1).padStart(5)}%` +
+      `  ready ${s.readyPct.toFixed(1).padStart(5)}%${s.enabled ? '' : '  (disabled)'}`);
+  }
+  lines.push('', 'No-fire reasons (frames):');
+  const total = Object.values(report.reasons).reduce((a, b) => a + b, 0) || 1;
+  for (const [r, n] of Object.entries(report.reasons).sort((a, b) => b[1] - a[1])) {
+    lines.push(`  ${r.padEnd(20)} ${String(n).padStart(6)}  ${'#'.repeat(Math.round(n / total * 40))}`);
+  }
+  return lines.join('\n');
+}
+
+// CLI: only when run directly, not when a test imports it
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const [rotPath, sessionPath, name] = process.argv.slice(2);
+  if (!rotPath || !sessionPath) {
+    runtime.print('usage: node rotation_sim.mjs <rotations.json> <session.jsonl> [rotationName]');
+    process.exit(2);
+  }
+  const { readFileSync } = await import('node:fs');
+  const rot = JSON.parse(readFileSync(rotPath, 'utf8'));
+  const report = simulateRotation(rot, readFileSync(sessionPath, 'utf8'), { name });
+  runtime.print(formatReport(report));
+  process.exit(report.error ? 1 : 0);
+}
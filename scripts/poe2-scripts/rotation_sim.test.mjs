@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { runtime } from './poe2_stub.mjs';
+
+const { simulateRotation, formatReport } = await import('./rotation_sim.mjs');
+
+// Nuke: boss only, 1s interval, shares a cooldown group with marker 0x85 slot 2. Shot: filler inside 60 units.
+const isBoss = { type: 'monster_rarity', operator: '>=', value: 3 };
+const nuke = { name: 'Nuke', enabled: true, packetBytes: [0x85, 0x02, 0x10, 0x01], conditions: [isBoss, { type: 'cast_interval_ms', value: 1000 }] };
+const shot = { name: 'Shot', enabled: true, packetBytes: [0x85, 0x03, 0x10, 0x02], conditions: [{ type: 'distance', operator: '<', value: 60 }] };
+const never = { name: 'Never', enabled: true, packetBytes: [0x85, 0x04, 0x10, 0x03], conditions: [{ type: 'player_has_buff', stringValue: 'nope' }] };
+const off = { name: 'Off', enabled: false, packetBytes: [0x85, 0x05, 0x10, 0x04], conditions: [] };
+
+const player = (hp = 1000) => ({ playerName: 'Sim', gridX: 100, gridY: 100, healthCurrent: hp, healthMax: 1000, isAlive: hp > 0, actorComponentPtr: 1, buffs: [] });
+const boss = (alive = true) => ({ id: 7, entityType: 'Monster', gridX: 130, gridY: 100, isAlive: alive, rarity: 3, healthCurrent: 9000, healthMax: 10000 });
+const white = { id: 8, entityType: 'Monster', gridX: 200, gridY: 100, isAlive: true, rarity: 0, healthCurrent: 50, healthMax: 50 };
+const nukeCd = [{ packetData: 0x85020000, timers: [{ remaining: 1 }] }];
+
+const frames = [];
+for (let t = 0; t <= 2000; t += 100) {
+  frames.push({ t: 5000 + t, player: player(), entities: [boss(), white], cooldowns: t >= 1000 && t < 1300 ? nukeCd : [] });
+}
+frames.push({ t: 7100, player: player(), entities: [boss(false)] });            // boss down, nothing in range
+frames.push({ t: 7200, player: player(), entities: [] });
+frames.push({ t: 7300, player: player(0), entities: [white] });                  // dead
+frames.push({ t: 7400, player: player(), entities: [white] });                   // white out of Shot range
+
+const report = simulateRotation({ other: [off], mine: [nuke, shot, never, off] }, frames, { name: 'mine' });
+
+// global 250ms gap, Nuke's 1s interval, and its cooldown at 1000-1200 pushing it to 1500 behind a filler Shot
+assert.deepEqual(report.timeline.map(c => [c.t, c.skill]), [
+  [0, 'Nuke'], [300, 'Shot'], [600, 'Shot'], [900, 'Shot'], [1200, 'Shot'], [1500, 'Nuke'], [1800, 'Shot'],
+]);
+assert.ok(report.timeline.every(c => c.targetId === 7));
+assert.deepEqual(report.reasons, { gated: 14, 'no-target': 2, dead: 1, 'no-skill-eligible': 1 });
+assert.equal(report.frames, 25);
+assert.equal(report.durationMs, 2400);
+
+// conditions = time they passed: Nuke at 0 and 1000-1500 (its interval), Shot whenever the boss was up.
+// ready = also fireable: Nuke's cooldown holds it at 1000-1200, Shot's 250ms floor after each of its casts.
+const byName = Object.fromEntries(report.skills.map(s => [s.name, s]));
+assert.deepEqual(report.skills.map(s => s.index), [0, 1, 2, 3]);
+assert.deepEqual([byName.Nuke.casts, byName.Nuke.conditionMs, byName.Nuke.conditionPct, byName.Nuke.readyMs, byName.Nuke.readyPct], [2, 700, 29.2, 400, 16.7]);
+assert.deepEqual([byName.Shot.casts, byName.Shot.conditionMs, byName.Shot.conditionPct, byName.Shot.readyMs, byName.Shot.readyPct], [5, 2100, 87.5, 1100, 45.8]);
+assert.deepEqual([byName.Never.casts, byName.Never.conditionPct, byName.Never.readyPct], [0, 0, 0]);
+assert.deepEqual([byName.Off.enabled, byName.Off.conditionPct, byName.Off.readyPct], [false, 0, 0]);
+assert.deepEqual(report.timeline.map(c => c.index), [0, 1, 1, 1, 1, 0, 1]);
+
+// nothing leaves the stub: the casts are only recorded
+assert.equal(report.packets, 7);
+assert.deepEqual(runtime.packets[0].bytes.slice(0, 7), [0x01, 0xA3, 0x01, 0x85, 0x02, 0x10, 0x01]);
+
+// a second run in the same process starts clean (module throttles don't carry over); macros form works too
+const again = simulateRotation({ skills: [{ ...nuke, conditions: [{ macro: 'boss' }, nuke.conditions[1]] }, shot], macros: { boss: [isBoss] } }, frames);
+assert.deepEqual(again.timeline.map(c => [c.t, c.skill]), report.timeline.map(c => [c.t, c.skill]));
+
+const text = formatReport(report);
+assert.match(text, /^25 frames, 2\.4s, 7 casts/);
+assert.match(text, /0 Nuke\s+casts\s+2\s+conditions\s+29\.2%\s+ready\s+16\.7%/);
+assert.match(text, /3 Off\s+casts\s+0\s+conditions\s+0\.0%\s+ready\s+0\.0%\s+\(disabled\)/);
+assert.match(text, /gated\s+14/);
+assert.equal(simulateRotation({ mine: [shot] }, frames, { name: 'theirs' }).error, "no rotation named 'theirs'");
+
+// two entries sharing a name are counted per slot, not merged (they also share the name's last-cast clock, so the
+// boss-only copy's 1s interval keeps restarting on the filler's casts)
+const twins = simulateRotation({ mine: [{ ...nuke, name: 'Shot' }, shot] }, frames);
+assert.deepEqual(twins.skills.map(s => [s.index, s.name, s.casts, s.conditionMs]), [[0, 'Shot', 1, 100], [1, 'Shot', 6, 2100]]);
+assert.deepEqual(twins.timeline.map(c => c.index), [0, 1, 1, 1, 1, 1, 1]);
+
+runtime.print('rotation_sim tests passed');
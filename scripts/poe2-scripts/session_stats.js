@@ -0,0 +1,291 @@
+/**
+ * Session Stats — one event API for the farming loop + a dashboard window over it.
+ *
+ * Mapper, pickit, opener, chicken and portal_taker report what happened through statsEvent(kind, data); this
+ * module only counts. Kinds that are also shared bus events (itemPicked, playerDied) arrive via event_bus.js.
+ * The dashboard reads statsSnapshot(): maps/hour, average map time, deaths by cause, items per pickit rule and
+ * the top stall reasons. Session state is in memory (a client restart is a new session);
+ * "Export CSV" writes data\poe2-scripts\session_stats_<stamp>.csv.
+ *
+ * Event kinds (data fields are optional unless noted):
+ *   mapEnd       { map, durationMs, cleared, reason }     mapper, once per closed run
+ *   death        { cause, source }                        bus playerDied (chicken) + mapper (state) -- merged
+ *   stall        { reason, source }                       mapper failsafe timeouts / node restarts / suspends
+ *   itemPicked   { rule, name }                           bus itemPicked (pickit, once per confirmed pickup)
+ *   opened       { type }                                 opener (Chest / Strongbox / Shrine / Essence / ...)
+ *   portalTaken  { id }                                   portal_taker
+ *   potion       { kind: 'life' | 'mana' }                chicken
+ *   chickenExit  { hpPct }                                chicken
+ * Unknown kinds are still counted (statsSnapshot().counts) so a new producer shows up before the UI knows it.
+ * NOTE: Do NOT call POE2Cache.beginFrame() here - it's called once in main.js
+ */
+
+import { POE2Cache } from './poe2_cache.js';
+import { Settings } from './Settings.js';
+import { Events } from './event_bus.js';
+
+const PLUGIN_NAME = 'session_stats';
+
+const DEFAULT_SETTINGS = {
+  topStallReasons: 5,       // rows in the stall table
+  recentDeaths: 5,          // rows in the death list
+};
+
+export const SETTINGS_SCHEMA = Settings.defineSchema(PLUGIN_NAME, DEFAULT_SETTINGS, {
+  fields: {
+    topStallReasons: { min: 3, max: 20, int: true },
+    recentDeaths: { min: 1, max: 10, int: true },   // statsSnapshot keeps the newest 10
+  },
+});
+
+// Chicken sees the HP hit 0, mapper confirms the death a few seconds later from its own re-check: both reports of
+// the same death land inside this window and become ONE death carrying both causes.
+const DEATH_MERGE_MS = 15000;
+const REASON_MAX_LEN = 80;
+
+let currentSettings = { ...DEFAULT_SETTINGS };
+let currentPlayerName = null;
+
+let _startedAt = 0;
+let _counts = {};          // kind -> events
+let _maps = [];            // [{ map, durationMs, cleared, reason, at }]
+let _deaths = [];          // [{ at, causes: [] }]
+let _loot = {};            // pickit rule -> items
+let _stalls = {};          // reason -> n
+let _opened = {};          // opener type -> n
+let _potions = { life: 0, mana: 0 };
+
+function _bump(obj, key) { obj[key] = (obj[key] || 0) + 1; }
+
+function _reasonKey(s) {
+  const r = String(s || '').trim() || '(unspecified)';
+  return r.length > REASON_MAX_LEN ? r.slice(0, REASON_MAX_LEN - 3) + '...' : r;
+}
+
+// ===================== event API =====================
+
+/** Report one event. Never throws -- a stats hiccup must not break the producer's frame. */
+export function statsEvent(kind, data = {}, now = Date.now()) {
+  try {
+    if (!kind) return;
+    if (!_startedAt) _startedAt = now;
+    const d = data || {};
+    _bump(_counts, kind);
+    switch (kind) {
+      case 'mapEnd':
+        _maps.push({
+          map: d.map || '?', durationMs: Math.max(0, Number(d.durationMs) || 0), cleared: !!d.cleared,
+          reason: d.reason || '', at: now,
+        });
+        break;
+      case 'death': {
+        const cause = d.cause ? (d.source ? `${d.source}: ${d.cause}` : String(d.cause)) : '';
+        const last = _deaths[_deaths.length - 1];
+        if (last && now - last.at <= DEATH_MERGE_MS) {
+          if (cause && !last.causes.includes(cause)) last.causes.push(cause);
+        } else {
+          _deaths.push({ at: now, causes: cause ? [cause] : [] });
+        }
+        break;
+      }
+      case 'stall': _bump(_stalls, _reasonKey(d.reason)); break;
+      case 'itemPicked': _bump(_loot, d.rule || '(no rule)'); break;
+      case 'opened': _bump(_opened, d.type || '?'); break;
+      case 'potion': if (d.kind === 'life' || d.kind === 'mana') _potions[d.kind]++; break;
+      default: break;
+    }
+  } catch (e) {}
+}
+
+/** Start a new session: every counter cleared, the per-hour clock restarts at `now`. */
+export function statsReset(now = Date.now()) {
+  _startedAt = now;
+  _counts = {};
+  _maps = [];
+  _deaths = [];
+  _loot = {};
+  _stalls = {};
+  _opened = {};
+  _potions = { life: 0, mana: 0 };
+}
+
+function _sortedRows(obj) {
+  return Object.entries(obj).map(([key, n]) => ({ key, n })).sort((a, b) => b.n - a.n || a.key.localeCompare(b.key));
+}
+
+function _avg(xs) { return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null; }
+
+/**
+ * Derived view of the session at `now`:
+ * { startedAt, elapsedMs, maps, cleared, mapsPerHour, avgMapMs, avgClearMs, deaths, deathCauses: [{key,n}],
+ *   recentDeaths: [{at, causes}], loot: [{key,n}], items, stalls: [{key,n}], opened: [{key,n}], portals,
+ *   potions: {life, mana}, chickenExits, counts }
+ * Rates are null until a minute of session has passed (one fast map is not "40 maps/hour").
+ */
+export function statsSnapshot(now = Date.now()) {
+  const elapsedMs = _startedAt ? Math.max(0, now - _startedAt) : 0;
+  const hours = elapsedMs / 3600000;
+  const causes = {};
+  for (const d of _deaths) for (const c of (d.causes.length ? d.causes : ['(unknown)'])) _bump(causes, c);
+  const loot = _sortedRows(_loot);
+  return {
+    startedAt: _startedAt,
+    elapsedMs,
+    maps: _maps.length,
+    cleared: _maps.filter(m => m.cleared).length,
+    mapsPerHour: elapsedMs >= 60000 ? _maps.length / hours : null,
+    avgMapMs: _avg(_maps.map(m => m.durationMs)),
+    avgClearMs: _avg(_maps.filter(m => m.cleared).map(m => m.durationMs)),
+    deaths: _deaths.length,
+    deathCauses: _sortedRows(causes),
+    recentDeaths: _deaths.slice(-10).reverse().map(d => ({ at: d.at, causes: d.causes.slice() })),
+    loot,
+    items: loot.reduce((a, r) => a + r.n, 0),
+    stalls: _sortedRows(_stalls),
+    opened: _sortedRows(_opened),
+    portals: _counts.portalTaken || 0,
+    potions: { ..._potions },
+    chickenExits: _counts.chickenExit || 0,
+    counts: { ..._counts },
+  };
+}
+
+function _csvCell(v) {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function _fixed(v, digits) { return v === null ? '' : Number(v).toFixed(digits); }
+
+/** The snapshot as `section,key,value` CSV (one row per counter, lists flattened). */
+export function statsCsv(now = Date.now()) {
+  const s = statsSnapshot(now);
+  const rows = [['section', 'key', 'value']];
+  rows.push(['session', 'started', s.startedAt ? new Date(s.startedAt).toISOString() : '']);
+  rows.push(['session', 'elapsedMin', _fixed(s.elapsedMs / 60000, 1)]);
+  rows.push(['maps', 'completed', s.maps]);
+  rows.push(['maps', 'cleared', s.cleared]);
+  rows.push(['maps', 'perHour', _fixed(s.mapsPerHour, 2)]);
+  rows.push(['maps', 'avgMapSec', _fixed(s.avgMapMs === null ? null : s.avgMapMs / 1000, 1)]);
+  rows.push(['maps', 'avgClearSec', _fixed(s.avgClearMs === null ? null : s.avgClearMs / 1000, 1)]);
+  rows.push(['deaths', 'total', s.deaths]);
+  for (const r of s.deathCauses) rows.push(['deathCause', r.key, r.n]);
+  rows.push(['loot', '(total)', s.items]);
+  for (const r of s.loot) rows.push(['loot', r.key, r.n]);
+  for (const r of s.stalls) rows.push(['stall', r.key, r.n]);
+  for (const r of s.opened) rows.push(['opened', r.key, r.n]);
+  rows.push(['portal', 'taken', s.portals]);
+  rows.push(['chicken', 'lifePotions', s.potions.life]);
+  rows.push(['chicken', 'manaPotions', s.potions.mana]);
+  rows.push(['chicken', 'exits', s.chickenExits]);
+  return rows.map(r => r.map(_csvCell).join(',')).join('\n') + '\n';
+}
+
+function stampName(ms) {
+  const d = new Date(ms);
+  const p2 = n => (n < 10 ? '0' : '') + n;
+  return `${d.getFullYear()}${p2(d.getMonth() + 1)}${p2(d.getDate())}_${p2(d.getHours())}${p2(d.getMinutes())}${p2(d.getSeconds())}`;
+}
+
+/** Write the CSV next to the other data files. Returns the file name, or '' on failure. */
+export function exportStatsCsv(now = Date.now()) {
+  const file = `session_stats_${stampName(now)}.csv`;
+  try {
+    fs.writeFile(file, statsCsv(now));
+    console.log(`[SessionStats] Exported -> ${file}`);
+    return file;
+  } catch (e) {
+    console.error('[SessionStats] export error:', e);
+    return '';
+  }
+}
+
+Events.on('itemPicked', p => statsEvent('itemPicked', { rule: p.rule, name: p.name }, p.at), { owner: PLUGIN_NAME });
+Events.on('playerDied', p => statsEvent('death', { source: p.source, cause: p.cause }, p.at), { owner: PLUGIN_NAME });
+
+// ===================== settings =====================
+
+function loadPlayerSettings() {
+  const player = POE2Cache.getLocalPlayer();
+  if (!player || !player.playerName || currentPlayerName === player.playerName) return;
+  currentPlayerName = player.playerName;
+  currentSettings = Settings.get(PLUGIN_NAME, DEFAULT_SETTINGS);
+}
+
+function saveSetting(key, value) {
+  currentSettings[key] = value;
+  Settings.set(PLUGIN_NAME, key, value);
+}
+
+// ===================== dashboard =====================
+
+function fmtDur(ms) {
+  if (ms === null || !Number.isFinite(ms)) return '-';
+  const s = Math.round(ms / 1000);
+  const h = Math.floor(s / 3600), m = Math.floor((s % 3600) / 60), sec = s % 60;
+  return h ? `${h}h${m < 10 ? '0' : ''}${m}m` : `${m}m${sec < 10 ? '0' : ''}${sec}s`;
+}
+
+function fmtClock(ms) {
+  const d = new Date(ms);
+  const p2 = n => (n < 10 ? '0' : '') + n;
+  return `${p2(d.getHours())}:${p2(d.getMinutes())}:${p2(d.getSeconds())}`;
+}
+
+const vTopStalls = new ImGui.MutableVariable(DEFAULT_SETTINGS.topStallReasons);
+let lastExportInfo = '';
+
+function drawRows(rows, limit, empty) {
+  if (!rows.length) { ImGui.textColored([0.6, 0.6, 0.6, 1], empty); return; }
+  for (const r of rows.slice(0, limit)) ImGui.text(`${String(r.n).padStart(5)}  ${r.key}`);
+  if (rows.length > limit) ImGui.textColored([0.6, 0.6, 0.6, 1], `  ... ${rows.length - limit} more`);
+}
+
+function onTick() {
+  loadPlayerSettings();
+}
+
+function onDrawUI() {
+  ImGui.setNextWindowSize({ x: 420, y: 520 }, ImGui.Cond.FirstUseEver);
+  if (!ImGui.begin('Session Stats')) { ImGui.end(); return; }
+  const now = Date.now();
+  const s = statsSnapshot(now);
+
+  ImGui.text(`Session: ${fmtDur(s.elapsedMs)}${s.startedAt ? ` (since ${fmtClock(s.startedAt)})` : ''}`);
+  if (ImGui.button('Reset session')) { statsReset(now); lastExportInfo = ''; }
+  ImGui.sameLine();
+  if (ImGui.button('Export CSV')) {
+    const f = exportStatsCsv(now);
+    lastExportInfo = f ? `Exported ${f}` : 'Export failed';
+  }
+  if (lastExportInfo) ImGui.textColored([0.5, 1, 0.5, 1], lastExportInfo);
+  ImGui.separator();
+
+  ImGui.text(`Maps: ${s.maps} (${s.cleared} cleared)   ${s.mapsPerHour === null ? '-' : s.mapsPerHour.toFixed(1)} maps/hour`);
+  ImGui.text(`Avg map: ${fmtDur(s.avgMapMs)}   avg clear: ${fmtDur(s.avgClearMs)}`);
+  ImGui.textColored(s.deaths ? [1, 0.4, 0.4, 1] : [0.7, 0.7, 0.7, 1], `Deaths: ${s.deaths}`);
+  ImGui.text(`Items: ${s.items}   portals: ${s.portals}   pots: ${s.potions.life} life / ${s.potions.mana} mana   chicken exits: ${s.chickenExits}`);
+
+  if (ImGui.collapsingHeader('Deaths')) {
+    drawRows(s.deathCauses, 10, 'No deaths');
+    for (const d of s.recentDeaths.slice(0, currentSettings.recentDeaths)) {
+      ImGui.textColored([0.7, 0.7, 0.7, 1], `  ${fmtClock(d.at)}  ${d.causes.join(' / ') || '(unknown)'}`);
+    }
+  }
+  if (ImGui.collapsingHeader('Items per rule')) drawRows(s.loot, 20, 'Nothing picked yet');
+  if (ImGui.collapsingHeader('Top stall reasons')) {
+    vTopStalls.value = currentSettings.topStallReasons;
+    if (ImGui.sliderInt('Rows##stalls', vTopStalls, 3, 20) && vTopStalls.value !== currentSettings.topStallReasons) {
+      saveSetting('topStallReasons', vTopStalls.value);
+    }
+    drawRows(s.stalls, currentSettings.topStallReasons, 'No stalls');
+  }
+  if (ImGui.collapsingHeader('Opened')) drawRows(s.opened, 20, 'Nothing opened yet');
+
+  ImGui.end();
+}
+
+export const sessionStatsPlugin = {
+  onTick: onTick,
+  onDrawUI: onDrawUI,
+};
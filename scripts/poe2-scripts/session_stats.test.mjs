@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import { runtime } from './poe2_stub.mjs';
+
+const { statsEvent, statsReset, statsSnapshot, statsCsv, exportStatsCsv } = await import('./session_stats.js');
+
+const T0 = 1_000_000;
+const MIN = 60000;
+
+// empty session: no rates, no averages
+assert.equal(statsSnapshot(T0).mapsPerHour, null);
+assert.equal(statsSnapshot(T0).avgMapMs, null);
+
+statsReset(T0);
+statsEvent('mapEnd', { map: 'Bluff', durationMs: 4 * MIN, cleared: true, reason: 'objective complete' }, T0 + 5 * MIN);
+statsEvent('mapEnd', { map: 'Willow', durationMs: 8 * MIN, cleared: false, reason: 'Death' }, T0 + 14 * MIN);
+statsEvent('mapEnd', { map: 'Bluff', durationMs: 6 * MIN, cleared: true }, T0 + 21 * MIN);
+
+// chicken sees the HP hit 0, mapper confirms it 3s later -> one death with both causes
+statsEvent('death', { source: 'chicken', cause: 'one-shot' }, T0 + 13 * MIN);
+statsEvent('death', { source: 'mapper', cause: 'in FIGHTING_BOSS' }, T0 + 13 * MIN + 3000);
+statsEvent('death', { source: 'chicken', cause: 'attrition' }, T0 + 20 * MIN);
+statsEvent('death', {}, T0 + 25 * MIN);
+
+statsEvent('itemPicked', { rule: 'Currency', name: 'Exalted Orb' }, T0);
+statsEvent('itemPicked', { rule: 'Currency' }, T0);
+statsEvent('itemPicked', { rule: 'Waystones' }, T0);
+statsEvent('itemPicked', {}, T0);
+
+for (let i = 0; i < 3; i++) statsEvent('stall', { source: 'mapper', reason: 'FIGHTING_BOSS: zero-damage standoff' }, T0);
+statsEvent('stall', { reason: 'HIDEOUT_WAIT_PORTAL: no portal after 3 traverse attempts' }, T0);
+statsEvent('stall', { reason: 'x'.repeat(200) }, T0);
+
+statsEvent('opened', { type: 'Strongbox' }, T0);
+statsEvent('opened', { type: 'Shrine' }, T0);
+statsEvent('opened', { type: 'Shrine' }, T0);
+statsEvent('portalTaken', { id: 7 }, T0);
+statsEvent('potion', { kind: 'life' }, T0);
+statsEvent('potion', { kind: 'life' }, T0);
+statsEvent('potion', { kind: 'mana' }, T0);
+statsEvent('potion', { kind: 'bogus' }, T0);
+statsEvent('chickenExit', { hpPct: 18 }, T0);
+statsEvent('somethingNew', { a: 1 }, T0);
+statsEvent('', {}, T0);
+statsEvent('stall', null, T0);
+
+const s = statsSnapshot(T0 + 30 * MIN);
+assert.equal(s.elapsedMs, 30 * MIN);
+assert.equal(s.maps, 3);
+assert.equal(s.cleared, 2);
+assert.equal(s.mapsPerHour, 6);
+assert.equal(s.avgMapMs, 6 * MIN);
+assert.equal(s.avgClearMs, 5 * MIN);
+assert.equal(s.deaths, 3);
+assert.deepEqual(s.recentDeaths[2].causes, ['chicken: one-shot', 'mapper: in FIGHTING_BOSS']);
+assert.deepEqual(s.deathCauses.map(r => r.key).sort(),
+  ['(unknown)', 'chicken: attrition', 'chicken: one-shot', 'mapper: in FIGHTING_BOSS']);
+assert.deepEqual(s.loot, [{ key: 'Currency', n: 2 }, { key: '(no rule)', n: 1 }, { key: 'Waystones', n: 1 }]);
+assert.equal(s.items, 4);
+assert.deepEqual(s.stalls[0], { key: 'FIGHTING_BOSS: zero-damage standoff', n: 3 });
+assert.ok(s.stalls.every(r => r.key.length <= 80));
+assert.ok(s.stalls.some(r => r.key === '(unspecified)'));
+assert.deepEqual(s.opened, [{ key: 'Shrine', n: 2 }, { key: 'Strongbox', n: 1 }]);
+assert.equal(s.portals, 1);
+assert.deepEqual(s.potions, { life: 2, mana: 1 });
+assert.equal(s.chickenExits, 1);
+assert.equal(s.counts.somethingNew, 1);
+
+// CSV: header + escaped cells
+const csv = statsCsv(T0 + 30 * MIN).trim().split('\n');
+assert.equal(csv[0], 'section,key,value');
+assert.ok(csv.includes('maps,perHour,6.00'));
+assert.ok(csv.includes('maps,avgClearSec,300.0'));
+assert.ok(csv.includes('loot,Currency,2'));
+assert.ok(csv.includes('stall,FIGHTING_BOSS: zero-damage standoff,3'));
+statsEvent('stall', { reason: 'has, comma "quoted"' }, T0);
+assert.ok(statsCsv(T0).includes('stall,"has, comma ""quoted""",1'));
+
+const file = exportStatsCsv(T0 + 30 * MIN);
+assert.match(file, /^session_stats_\d{8}_\d{6}\.csv$/);
+assert.equal(runtime.files.get(file), statsCsv(T0 + 30 * MIN));
+
+// reset starts a clean session clock
+statsReset(T0 + 40 * MIN);
+const r = statsSnapshot(T0 + 40 * MIN + 30000);
+assert.equal(r.maps, 0);
+assert.equal(r.deaths, 0);
+assert.equal(r.mapsPerHour, null, 'no rate in the first minute');
+assert.deepEqual(r.counts, {});
+
+runtime.print('session_stats tests passed');
@@ -0,0 +1,142 @@
+/**
+ * settings_schema.js — per-plugin settings schemas, validation and versioned migrations (used by Settings.js).
+ *
+ * A schema is built from the plugin's DEFAULT_SETTINGS: every key's type is read off its default, and `fields`
+ * adds what a default can't say -- a numeric range, integer-ness, an allowed set:
+ *
+ *   export const SETTINGS_SCHEMA = Settings.defineSchema(PLUGIN_NAME, DEFAULT_SETTINGS, {
+ *     version: 2,
+ *     fields: { threshold: { min: 10, max: 95, int: true }, mode: { enum: ['off', 'shadow', 'on'] } },
+ *     migrations: { 2: (s) => { if (typeof s.mode === 'boolean') s.mode = s.mode ? 'on' : 'off'; } },
+ *   });
+ *
+ * On load Settings runs migrations[n] for every version n above the stored one (in order), then validates:
+ * a number outside [min, max] is CLAMPED, a non-integer rounded, a wrong type / unknown enum value reset to its
+ * default -- each with a warning. Keys the schema doesn't know are kept untouched (an older build's keys are not
+ * silently dropped; remove them in a migration). Pure module (no game API) so node tests import it directly.
+ */
+
+const TYPES = ['number', 'boolean', 'string', 'array', 'object'];
+
+function _typeOf(v) {
+  if (Array.isArray(v)) return 'array';
+  if (v === null) return 'null';
+  return typeof v;
+}
+
+function _clone(v) {
+  return v !== null && typeof v === 'object' ? JSON.parse(JSON.stringify(v)) : v;
+}
+
+/**
+ * Build a schema. defaults = the plugin's DEFAULT_SETTINGS; fields = { key: { type?, min?, max?, int?, enum? } }
+ * (type defaults to the default's type); version >= 1; migrations = { version: (values) => values | void }.
+ * Returns { version, defaults, fields: { key: { type, default, ... } }, migrations }.
+ */
+export function buildSchema(defaults, { version = 1, fields = {}, migrations = {} } = {}) {
+  const out = {};
+  for (const key of Object.keys(defaults || {})) {
+    const spec = { type: _typeOf(defaults[key]), ...(fields[key] || {}), default: _clone(defaults[key]) };
+    out[key] = spec;
+  }
+  // a field without a default (rare: a key only a migration writes) must name its type
+  for (const key of Object.keys(fields)) if (!out[key]) out[key] = { ...fields[key] };
+  return { version: Math.max(1, version | 0), defaults: { ...defaults }, fields: out, migrations: { ...migrations } };
+}
+
+/**
+ * Normalize one value against its field spec. Returns { value, problem } -- problem is '' when the value was
+ * already valid, otherwise what was done to it ('clamped 500 to 95', 'expected boolean, got string: reset ...').
+ */
+export function normalizeValue(spec, value) {
+  const type = _typeOf(value);
+  if (spec.type && type !== spec.type) {
+    // strings from a hand-edited file that clearly mean the right thing
+    if (spec.type === 'number' && type === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+      const n = normalizeValue(spec, Number(value));
+      return { value: n.value, problem: `converted string '${value}' to number${n.problem ? `, ${n.problem}` : ''}` };
+    }
+    if (spec.type === 'boolean' && (value === 'true' || value === 'false')) {
+      return { value: value === 'true', problem: `converted string '${value}' to boolean` };
+    }
+    return { value: _clone(spec.default), problem: `expected ${spec.type}, got ${type}: reset to default ${JSON.stringify(spec.default)}` };
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    return { value: _clone(spec.default), problem: `${JSON.stringify(value)} is not one of ${spec.enum.join('/')}: reset to default ${JSON.stringify(spec.default)}` };
+  }
+  if (type === 'number') {
+    if (!Number.isFinite(value)) return { value: _clone(spec.default), problem: `${value} is not finite: reset to default ${spec.default}` };
+    let v = spec.int ? Math.round(value) : value;
+    if (Number.isFinite(spec.min) && v < spec.min) v = spec.min;
+    if (Number.isFinite(spec.max) && v > spec.max) v = spec.max;
+    const outside = (Number.isFinite(spec.min) && value < spec.min) || (Number.isFinite(spec.max) && value > spec.max);
+    if (v !== value) return { value: v, problem: `${outside ? 'clamped' : 'rounded'} ${value} to ${v}` };
+  }
+  return { value, problem: '' };
+}
+
+/**
+ * Validate a whole settings object. Returns { values, problems: ['key: what happened'] }; `values` is a new
+ * object (missing keys filled from the defaults, unknown keys carried over as-is).
+ */
+export function validateSettings(schema, values) {
+  const src = values && typeof values === 'object' ? values : {};
+  const out = { ...src };
+  const problems = [];
+  for (const [key, spec] of Object.entries(schema.fields)) {
+    if (!(key in src)) { if ('default' in spec) out[key] = _clone(spec.default); continue; }
+    const { value, problem } = normalizeValue(spec, src[key]);
+    out[key] = value;
+    if (problem) problems.push(`${key}: ${problem}`);
+  }
+  return { values: out, problems };
+}
+
+/**
+ * Run the migrations above `fromVersion` (in version order) on a copy of `values`. A migration may mutate its
+ * argument or return a replacement. A throwing migration stops the chain at the last good version (the next
+ * load retries it). Returns { values, version, applied: [versions], error }.
+ */
+export function migrateSettings(schema, values, fromVersion = 1) {
+  let cur = { ...(values || {}) };
+  let version = Math.max(1, fromVersion | 0);
+  const applied = [];
+  const steps = Object.keys(schema.migrations).map(Number).filter(n => n > version && n <= schema.version).sort((a, b) => a - b);
+  for (const n of steps) {
+    try {
+      const next = schema.migrations[n](cur);
+      if (next && typeof next === 'object') cur = next;
+    } catch (e) {
+      return { values: cur, version, applied, error: `migration to v${n} failed: ${e}` };
+    }
+    applied.push(n);
+    version = n;
+  }
+  // versions without a migration step are plain bumps
+  return { values: cur, version: schema.version, applied, error: '' };
+}
+
+/**
+ * Problems with the schema itself against `defaults` (the node conformance test): every default must have a
+ * field, be of the field's type and inside its range / enum, and the field spec must be well formed.
+ */
+export function checkSchema(schema, defaults) {
+  const out = [];
+  for (const [key, spec] of Object.entries(schema.fields)) {
+    if (!TYPES.includes(spec.type)) out.push(`${key}: unknown type '${spec.type}'`);
+    if ((spec.min !== undefined || spec.max !== undefined || spec.int) && spec.type !== 'number') out.push(`${key}: range on a ${spec.type}`);
+    if (Number.isFinite(spec.min) && Number.isFinite(spec.max) && spec.min > spec.max) out.push(`${key}: min ${spec.min} > max ${spec.max}`);
+    if (spec.enum && (!Array.isArray(spec.enum) || !spec.enum.length)) out.push(`${key}: empty enum`);
+  }
+  for (const key of Object.keys(defaults || {})) {
+    const spec = schema.fields[key];
+    if (!spec) { out.push(`${key}: no schema field`); continue; }
+    const { problem } = normalizeValue(spec, defaults[key]);
+    if (problem) out.push(`${key}: default ${JSON.stringify(defaults[key])} -- ${problem}`);
+  }
+  for (const n of Object.keys(schema.migrations)) {
+    if (!(Number(n) > 1 && Number(n) <= schema.version)) out.push(`migration ${n}: outside 2..${schema.version}`);
+    if (typeof schema.migrations[n] !== 'function') out.push(`migration ${n}: not a function`);
+  }
+  return out;
+}
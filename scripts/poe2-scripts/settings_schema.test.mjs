@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { runtime } from './poe2_stub.mjs';
+
+// a settings file written by an older build: mapper's fightArenaShell still a boolean, a few bad values
+const SETTINGS_FILE = '../../data/settings.json';
+runtime.files.set(SETTINGS_FILE, JSON.stringify({
+  players: {
+    Tester: {
+      mapper: { fightArenaShell: false, bossKiteRange: 500, moveIntervalMs: '140', clickToMove: 'yes', legacyKey: 7 },
+      chicken: { threshold: 75 },
+    },
+  },
+}));
+runtime.setFrame({ t: 1000, player: { playerName: 'Tester', address: 1, gridX: 0, gridY: 0 } });
+
+const { buildSchema, normalizeValue, validateSettings, migrateSettings, checkSchema } = await import('./settings_schema.js');
+const { Settings } = await import('./Settings.js');
+
+// ---- pure: normalize / validate ----
+const schema = buildSchema({ pct: 50, name: 'a', on: true, mode: 'on', list: [] }, {
+  version: 3,
+  fields: { pct: { min: 0, max: 100, int: true }, mode: { enum: ['off', 'shadow', 'on'] } },
+  migrations: {
+    2: (s) => { if (typeof s.mode === 'boolean') s.mode = s.mode ? 'on' : 'off'; },
+    3: (s) => { s.pct = s.percent ?? s.pct; delete s.percent; },
+  },
+});
+assert.equal(schema.fields.pct.type, 'number');
+assert.equal(schema.fields.list.type, 'array');
+assert.deepEqual(normalizeValue(schema.fields.pct, 150), { value: 100, problem: 'clamped 150 to 100' });
+assert.deepEqual(normalizeValue(schema.fields.pct, -3), { value: 0, problem: 'clamped -3 to 0' });
+assert.deepEqual(normalizeValue(schema.fields.pct, 12.6), { value: 13, problem: 'rounded 12.6 to 13' });
+assert.equal(normalizeValue(schema.fields.pct, '40').value, 40);
+assert.equal(normalizeValue(schema.fields.pct, NaN).value, 50);
+assert.equal(normalizeValue(schema.fields.on, 'false').value, false);
+assert.equal(normalizeValue(schema.fields.on, 1).value, true);           // wrong type -> default
+assert.equal(normalizeValue(schema.fields.mode, 'maybe').value, 'on');
+assert.equal(normalizeValue(schema.fields.mode, 'shadow').problem, '');
+
+const v = validateSettings(schema, { pct: 120, mode: 'off', extra: 1 });
+assert.deepEqual(v.values, { pct: 100, name: 'a', on: true, mode: 'off', list: [], extra: 1 });
+assert.deepEqual(v.problems, ['pct: clamped 120 to 100']);
+
+// ---- pure: migrations run in order from the stored version, a failing one stops the chain ----
+let m = migrateSettings(schema, { mode: true, percent: 30 }, 1);
+assert.deepEqual(m.values, { mode: 'on', pct: 30 });
+assert.deepEqual(m.applied, [2, 3]);
+assert.equal(m.version, 3);
+m = migrateSettings(schema, { mode: true, percent: 30 }, 2);
+assert.deepEqual(m.applied, [3]);
+assert.equal(m.values.mode, true);   // v2 already applied at some earlier load
+const broken = buildSchema({ a: 1 }, { version: 3, migrations: { 2: () => {}, 3: () => { throw new Error('boom'); } } });
+m = migrateSettings(broken, { a: 1 }, 1);
+assert.equal(m.version, 2);
+assert.match(m.error, /v3 failed: Error: boom/);
+
+assert.deepEqual(checkSchema(schema, schema.defaults), []);
+assert.deepEqual(checkSchema(buildSchema({ n: 500 }, { fields: { n: { max: 100 } } }), { n: 500 }), ['n: default 500 -- clamped 500 to 100']);
+assert.deepEqual(checkSchema(buildSchema({ n: 1 }, { fields: { n: { min: 5, max: 2 } } }), { n: 1 }).length, 2);
+assert.deepEqual(checkSchema(schema, { pct: 1, other: 2 }), ['other: no schema field']);
+
+// ---- every plugin's DEFAULT_SETTINGS conforms to its schema ----
+const files = readdirSync(new URL('.', import.meta.url)).filter(f => f.endsWith('.js'));
+let checked = 0;
+for (const f of files) {
+  if (!/^const DEFAULT_SETTINGS\s*=/m.test(readFileSync(new URL(f, import.meta.url), 'utf8'))) continue;
+  const mod = await import(`./${f}`);
+  assert.ok(mod.SETTINGS_SCHEMA, `${f}: has DEFAULT_SETTINGS but exports no SETTINGS_SCHEMA`);
+  assert.deepEqual(checkSchema(mod.SETTINGS_SCHEMA, mod.SETTINGS_SCHEMA.defaults), [], `${f}: defaults vs schema`);
+  checked++;
+}
+assert.ok(checked >= 10, `only ${checked} plugins checked`);
+
+// ---- Settings.get migrates + validates a stored entry in place, once ----
+const mapperDefaults = Settings.getSchema('mapper').defaults;
+const saved = Settings.get('mapper', mapperDefaults);
+assert.equal(saved.fightArenaShell, 'off');             // v1 boolean false -> 'off'
+assert.equal(saved.bossKiteRange, 140);                 // clamped
+assert.equal(saved.moveIntervalMs, 140);                // '140' -> 140
+assert.equal(saved.clickToMove, true);                  // junk -> default
+assert.equal(saved.legacyKey, 7);                       // unknown keys survive
+assert.equal(saved.stateInspectorRows, mapperDefaults.stateInspectorRows);
+const file = JSON.parse(runtime.files.get(SETTINGS_FILE));
+assert.equal(file.versions.Tester.mapper, 2);
+assert.equal(file.players.Tester.mapper.fightArenaShell, 'off');
+assert.ok(runtime.logs.some(l => /Tester\/mapper: migrated v1 -> v2/.test(l)));
+assert.ok(runtime.logs.some(l => /mapper\.bossKiteRange: clamped 500 to 140/.test(l)));
+
+// set() is checked too
+Settings.set('chicken', 'threshold', 400);
+assert.equal(Settings.get('chicken', Settings.getSchema('chicken').defaults).threshold, 95);
+Settings.set('chicken', 'threshold', 60);
+assert.equal(Settings.get('chicken', {}).threshold, 60);
+
+// an entry created fresh is stamped with the current version (no migration on the next load)
+Settings.get('session_stats', Settings.getSchema('session_stats').defaults);
+assert.equal(JSON.parse(runtime.files.get(SETTINGS_FILE)).versions.Tester.session_stats, 1);
+
+runtime.print('settings_schema tests passed');
@@ -0,0 +1,120 @@
+/**
+ * stash_index.js — queries and exports over the stash sorter's offline tab index.
+ *
+ * stash_sorter.js records every tab it has seen loaded as
+ *   index[tabName] = { tabId, invId, count, updated, width, height, items: [{ name, base, path, rarity, stack, w, h, x, y, mods[] }] }
+ * (name = unique name or base name, mods = mod names). That index outlives the session, so it answers "where is
+ * my spare Ingenuity" without opening 40 tabs -- as of each tab's last view. A tab not seen for `staleMs` is
+ * STALE: its rows are still returned, flagged, because the item may have moved since.
+ *
+ * Query text: space-separated terms, all of which must match.
+ *   word / "two words"    name, base or any mod contains it (case-insensitive)
+ *   name:x  base:x  mod:x  tab:x     that field contains x (values can be quoted)
+ *   rarity:rare           exactly that rarity (normal / magic / rare / unique)
+ *   rarity:rare+          that rarity or better
+ *
+ * Pure module (no game API): stash_sorter feeds it store.index; node tests cover it directly.
+ */
+
+export const RARITIES = ['normal', 'magic', 'rare', 'unique'];
+export const DEFAULT_STALE_MS = 24 * 3600 * 1000;
+
+const FIELDS = ['name', 'base', 'mod', 'tab', 'rarity'];
+
+/** Parse query text into { terms: [{ field, value }], errors: [] }. field '' = any of name/base/mod. */
+export function parseStashQuery(text) {
+  const terms = [];
+  const errors = [];
+  const re = /\s*(?:([A-Za-z]+):)?(?:"([^"]*)"|(\S+))/g;
+  const src = String(text || '');
+  let m;
+  while ((m = re.exec(src)) !== null) {
+    const field = (m[1] || '').toLowerCase();
+    const raw = m[2] !== undefined ? m[2] : m[3];
+    if (field && FIELDS.indexOf(field) < 0) { errors.push(`unknown field '${m[1]}' (${FIELDS.join(', ')})`); continue; }
+    if (field === 'rarity') {
+      const r = /^([a-z]+)(\+?)$/i.exec(raw);
+      const idx = r ? RARITIES.indexOf(r[1].toLowerCase()) : -1;
+      if (idx < 0) { errors.push(`bad rarity '${raw}' (${RARITIES.join(' / ')}, + for "or better")`); continue; }
+      terms.push({ field, value: idx, orBetter: r[2] === '+' });
+      continue;
+    }
+    if (raw) terms.push({ field, value: raw.toLowerCase() });
+  }
+  return { terms, errors };
+}
+
+function _has(s, want) { return String(s || '').toLowerCase().indexOf(want) >= 0; }
+
+function _termMatches(t, tab, it) {
+  switch (t.field) {
+    case 'name': return _has(it.name, t.value);
+    case 'base': return _has(it.base, t.value);
+    case 'mod': return (it.mods || []).some(function (x) { return _has(x, t.value); });
+    case 'tab': return _has(tab, t.value);
+    case 'rarity': return t.orBetter ? (it.rarity || 0) >= t.value : (it.rarity || 0) === t.value;
+    default:
+      return _has(it.name, t.value) || _has(it.base, t.value) || (it.mods || []).some(function (x) { return _has(x, t.value); });
+  }
+}
+
+/** Tabs not seen for staleMs: [{ tab, tabId, ageMs }], oldest first. */
+export function staleTabs(index, now, staleMs = DEFAULT_STALE_MS) {
+  return Object.keys(index || {})
+    .map(function (tab) { return { tab: tab, tabId: index[tab].tabId, ageMs: now - (index[tab].updated || 0) }; })
+    .filter(function (t) { return t.ageMs > staleMs; })
+    .sort(function (a, b) { return b.ageMs - a.ageMs; });
+}
+
+/**
+ * Search every indexed tab. query is text or a parseStashQuery result; an empty query lists everything.
+ * Returns { rows: [{ tab, tabId, x, y, name, base, rarity, stack, w, h, mods, ageMs, stale }], total, errors }
+ * in index order, top-left first within a tab; `total` counts matches before `limit`.
+ */
+export function searchStashIndex(index, query, { now = Date.now(), staleMs = DEFAULT_STALE_MS, limit = Infinity } = {}) {
+  const q = typeof query === 'string' || query == null ? parseStashQuery(query) : query;
+  const rows = [];
+  let total = 0;
+  for (const tab of Object.keys(index || {})) {
+    const e = index[tab];
+    const ageMs = now - (e.updated || 0);
+    const items = (e.items || []).slice().sort(function (a, b) { return (a.y - b.y) || (a.x - b.x); });
+    for (const it of items) {
+      if (!q.terms.every(function (t) { return _termMatches(t, tab, it); })) continue;
+      total++;
+      if (rows.length >= limit) continue;
+      rows.push({
+        tab: tab, tabId: e.tabId, x: it.x, y: it.y, name: it.name || '', base: it.base || '', rarity: it.rarity || 0,
+        stack: it.stack || 1, w: it.w, h: it.h, mods: it.mods || [], ageMs: ageMs, stale: ageMs > staleMs,
+      });
+    }
+  }
+  return { rows: rows, total: total, errors: q.errors };
+}
+
+function _csvCell(v) {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** The whole index as CSV, one row per item (mods joined with '; '). */
+export function stashIndexCsv(index, { now = Date.now(), staleMs = DEFAULT_STALE_MS } = {}) {
+  const rows = [['tab', 'tabId', 'x', 'y', 'name', 'base', 'rarity', 'stack', 'w', 'h', 'mods', 'seen', 'stale']];
+  for (const r of searchStashIndex(index, '', { now, staleMs }).rows) {
+    rows.push([r.tab, r.tabId, r.x, r.y, r.name, r.base, RARITIES[r.rarity] || r.rarity, r.stack, r.w, r.h,
+      r.mods.join('; '), new Date(now - r.ageMs).toISOString(), r.stale ? 1 : 0]);
+  }
+  return rows.map(function (r) { return r.map(_csvCell).join(','); }).join('\n') + '\n';
+}
+
+/** The whole index as JSON: { exportedAt, staleMs, tabs: [{ name, tabId, seen, stale, width, height, items }] }. */
+export function stashIndexJson(index, { now = Date.now(), staleMs = DEFAULT_STALE_MS } = {}) {
+  const tabs = Object.keys(index || {}).map(function (name) {
+    const e = index[name];
+    return {
+      name: name, tabId: e.tabId, seen: new Date(e.updated || 0).toISOString(), stale: now - (e.updated || 0) > staleMs,
+      width: e.width || null, height: e.height || null, items: e.items || [],
+    };
+  });
+  return JSON.stringify({ exportedAt: new Date(now).toISOString(), staleMs: staleMs, tabs: tabs }, null, 2);
+}
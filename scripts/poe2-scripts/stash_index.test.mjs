@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { parseStashQuery, searchStashIndex, staleTabs, stashIndexCsv, stashIndexJson, DEFAULT_STALE_MS } from './stash_index.js';
+
+const NOW = Date.UTC(2026, 0, 10, 12, 0, 0);
+const H = 3600 * 1000;
+
+const item = (name, x, y, extra) => Object.assign({ name, base: name, path: 'Metadata/Items/X', rarity: 0, stack: 1, w: 1, h: 1, x, y, mods: [] }, extra);
+const index = {
+  Uniques: { tabId: 3, updated: NOW - 2 * H, width: 12, height: 12, items: [
+    item('Ingenuity', 4, 0, { base: 'Utility Belt', rarity: 3, w: 2, mods: ['UniqueIncreasedLife3', 'UniqueRingEffect1'] }),
+    item('Ingenuity', 0, 0, { base: 'Utility Belt', rarity: 3, w: 2 }),
+  ] },
+  Dump: { tabId: 7, updated: NOW - 30 * H, width: 12, height: 12, items: [
+    item('Gold Ring', 0, 0, { rarity: 2, mods: ['IncreasedLife5', 'FireResist2'] }),
+    item('Chaos Orb', 1, 0, { stack: 12 }),
+  ] },
+  Old: { tabId: 9, updated: 0, items: [] },
+};
+
+// ---- query parsing ----
+assert.deepEqual(parseStashQuery('ingenuity  mod:life rarity:rare+ name:"gold ring"').terms, [
+  { field: '', value: 'ingenuity' }, { field: 'mod', value: 'life' }, { field: 'rarity', value: 2, orBetter: true },
+  { field: 'name', value: 'gold ring' },
+]);
+assert.deepEqual(parseStashQuery('colour:red rarity:shiny').errors, [
+  "unknown field 'colour' (name, base, mod, tab, rarity)", "bad rarity 'shiny' (normal / magic / rare / unique, + for \"or better\")",
+]);
+assert.deepEqual(parseStashQuery('   ').terms, []);
+
+// ---- search: every term must match; tab and cell reported, top-left first ----
+const find = (q, opts) => searchStashIndex(index, q, Object.assign({ now: NOW }, opts)).rows.map(r => `${r.tab}@${r.x},${r.y}`);
+assert.deepEqual(find('ingenuity'), ['Uniques@0,0', 'Uniques@4,0']);
+assert.deepEqual(find('life'), ['Uniques@4,0', 'Dump@0,0']);                   // bare words search mods too
+assert.deepEqual(find('mod:life rarity:rare'), ['Dump@0,0']);
+assert.deepEqual(find('rarity:rare+'), ['Uniques@0,0', 'Uniques@4,0', 'Dump@0,0']);
+assert.deepEqual(find('base:belt tab:uniq'), ['Uniques@0,0', 'Uniques@4,0']);
+assert.deepEqual(find('"chaos orb"'), ['Dump@1,0']);
+assert.equal(find('').length, 4);
+assert.deepEqual(find('nothing-like-this'), []);
+
+// ---- stale flags: tabs not seen for staleMs are still searched, flagged ----
+const res = searchStashIndex(index, 'chaos', { now: NOW });
+assert.deepEqual([res.rows[0].stale, res.rows[0].stack, res.rows[0].ageMs], [true, 12, 30 * H]);
+assert.equal(searchStashIndex(index, 'chaos', { now: NOW, staleMs: 48 * H }).rows[0].stale, false);
+assert.deepEqual(staleTabs(index, NOW).map(t => t.tab), ['Old', 'Dump']);
+assert.deepEqual(staleTabs(index, NOW, 100 * H).map(t => t.tab), ['Old']);
+assert.equal(DEFAULT_STALE_MS, 24 * H);
+
+// limit caps rows, total still counts every match
+const capped = searchStashIndex(index, '', { now: NOW, limit: 1 });
+assert.deepEqual([capped.rows.length, capped.total], [1, 4]);
+
+// ---- export ----
+const csv = stashIndexCsv(index, { now: NOW }).split('\n');
+assert.equal(csv[0], 'tab,tabId,x,y,name,base,rarity,stack,w,h,mods,seen,stale');
+assert.equal(csv[3], 'Dump,7,0,0,Gold Ring,Gold Ring,rare,1,1,1,IncreasedLife5; FireResist2,2026-01-09T06:00:00.000Z,1');
+assert.equal(csv.length, 6);                                                      // header + 4 rows + trailing newline
+const json = JSON.parse(stashIndexJson(index, { now: NOW }));
+assert.deepEqual(json.tabs.map(t => [t.name, t.stale, t.items.length]), [['Uniques', false, 2], ['Dump', true, 2], ['Old', true, 0]]);
+assert.equal(json.exportedAt, '2026-01-10T12:00:00.000Z');
+
+console.log('stash_index tests passed');
@@ -5,21 +5,39 @@
  *   1. Indexer: records each stash tab's contents the moment it's loaded (i.e. as you view
  *      tabs during normal play). Persisted to disk, so the index survives sessions. Open each
  *      tab once to index it — unviewed tabs can't be read (they load lazily; see force-load RE).
- *   2. Deposit: scans your backpack and moves each item INTO the stash tab its first matching
- *      rule names. Moves are view-independent (no need to open the destination tab) and paced
- *      (one move every ~Delay ms) to stay human-like. Requires your stash to be OPEN.
+ *   2. Deposit: scans your backpack and moves each item INTO the stash tab its highest-priority
+ *      matching rule names. Moves are view-independent (no need to open the destination tab) and paced
+ *      (one move every ~Delay ms) to stay human-like. Requires your stash to be OPEN. The plan is
+ *      checked against each destination's indexed contents (an item that wouldn't fit is held back)
+ *      and listed move by move in the dry-run view before anything is sent.
+ *   3. Search: a window over the index (stash_index.js) -- find items by name, base, mod or rarity
+ *      across every indexed tab, with tabs not seen lately flagged stale; CSV/JSON export.
+ *   4. Tidy: compacts + groups one normal/quad tab (planner: stash_tidy.js) by moving the misplaced items
+ *      out to the backpack and back in, paced, in the order that makes the game's first-fit land them
+ *      in the target layout. Needs the stash open and the tab loaded; big tabs take several passes.
+ *   5. Vendor recipes: recipes from vendor_recipes.json (planner: vendor_recipes.js) checked against the
+ *      index + backpack; "Prepare" moves one set's stash items into the backpack, paced.
  *
  * All reads/moves go through the C++ SDK via inventory.js (no raw memory here).
  */
 
-import { INV, readInventory, getStashTabs, moveByHandle, tabIdByName, requestStashTab, unloadedTabs } from './inventory.js';
+import {
+  INV, readInventory, getStashTabs, moveByHandle, tabIdByName, requestStashTab, unloadedTabs, getMods, gridFromItems, placeInGrid,
+  buildOccupancyGrid,
+} from './inventory.js';
+import { searchStashIndex, staleTabs, stashIndexCsv, stashIndexJson } from './stash_index.js';
+import { planTidy, matchReturned, TIDY_GROUPS, TIDY_SIZES } from './stash_tidy.js';
+import { parseRecipes, planRecipes } from './vendor_recipes.js';
 
 const PLUGIN_NAME = 'stash_sorter';
-const DATA_FILE = '../../data/stash_sorter.json';   // account-wide (rules + last-seen tab index)
+const DATA_DIR = '../../data/';
+const DATA_FILE = DATA_DIR + 'stash_sorter.json';  // account-wide (rules + last-seen tab index)
+const RECIPES_FILE = './vendor_recipes.json';        // shipped with the scripts; edit to add / retune recipes
 
 // ===================== persistence =====================
 
-let store = { rules: [], index: {} };   // index keyed by tab name -> { tabId, invId, count, items[], updated }
+let store = { rules: [], index: {}, staleHours: 24 };   // index keyed by tab name -> { tabId, invId, count, items[], updated }
+let indexVersion = 0;   // bumped whenever a tab entry is (re)written or the index cleared -- keys the search cache
 let storeLoaded = false;
 let dirty = false;
 let lastSave = 0;
@@ -32,7 +50,11 @@ function loadStore() {
   if (fileExists(DATA_FILE)) {
     try {
       const d = fs.readFile(DATA_FILE);
-      if (d) { const p = JSON.parse(d); store.rules = p.rules || []; store.index = p.index || {}; }
+      if (d) {
+        const p = JSON.parse(d);
+        store.rules = p.rules || []; store.index = p.index || {};
+        if (p.staleHours > 0) store.staleHours = p.staleHours;
+      }
     } catch (e) { console.error('[StashSorter] load error:', e); }
   }
   if (!store.rules.length) store.rules = defaultRules();
@@ -47,7 +69,10 @@ function saveIfDirty() { if (dirty && Date.now() - lastSave > 5000) saveStore();
 
 // ===================== rules =====================
 
-// rule: { id, label, tab, enabled, pathContains[], nameContains[], minRarity, maxRarity }
+// rule: { id, label, tab, enabled, priority, pathContains[], nameContains[], minRarity, maxRarity,
+//         minItemLevel, minStack, minUnidTier, mods[{ name, min }] }
+// Higher priority is tried first; equal priorities keep list order. Numeric minimums of 0 (and rarity -1) are off.
+// A mod condition matches a mod whose name contains `name` (min -1 = present at all, else value0 >= min).
 function defaultRules() {
   return [
     { id: 1, label: 'Skill / Support Gems', tab: 'Gem',  enabled: true,  pathContains: ['/Gems/', 'SkillGem', 'SupportGem'], nameContains: [], minRarity: -1, maxRarity: -1 },
@@ -58,11 +83,44 @@ function defaultRules() {
 function nextRuleId() { let m = 0; for (const r of store.rules) if (r.id > m) m = r.id; return m + 1; }
 function splitCsv(s) { return String(s || '').split(',').map(function (x) { return x.trim(); }).filter(Boolean); }
 
+// 'Name' or 'Name>=25' (csv in the form) <-> { name, min }
+function parseModConds(s) {
+  return splitCsv(s).map(function (c) {
+    const m = /^(.+?)\s*>=\s*(-?\d+(?:\.\d+)?)$/.exec(c);
+    return m ? { name: m[1].trim(), min: Number(m[2]) } : { name: c, min: -1 };
+  });
+}
+function formatModConds(mods) {
+  return (mods || []).map(function (m) { return m.min >= 0 ? m.name + '>=' + m.min : m.name; }).join(', ');
+}
+
+// Item level + mods come from getItemMods (one SDK call), only for rules that ask.
+function itemMods(it) {
+  if (it._mods === undefined) {
+    const m = getMods(it);
+    it._mods = m && m.isValid ? m : null;
+  }
+  return it._mods;
+}
+function modsMatch(conds, it) {
+  const m = itemMods(it);
+  if (!m) return false;
+  const all = [].concat(m.implicitMods || [], m.explicitMods || [], m.enchantMods || []);
+  return conds.every(function (c) {
+    const want = String(c.name).toLowerCase();
+    return all.some(function (x) {
+      return x && String(x.name || '').toLowerCase().indexOf(want) >= 0 && (c.min < 0 || Number(x.value0) >= c.min);
+    });
+  });
+}
+
 function ruleMatches(rule, it) {
   if (!rule.enabled) return false;
   const hasCrit = (rule.pathContains && rule.pathContains.length) ||
                   (rule.nameContains && rule.nameContains.length) ||
-                  rule.minRarity >= 0 || rule.maxRarity >= 0;
+                  rule.minRarity >= 0 || rule.maxRarity >= 0 ||
+                  rule.minItemLevel > 0 || rule.minStack > 0 || rule.minUnidTier > 0 ||
+                  (rule.mods && rule.mods.length);
   if (!hasCrit) return false;   // a rule with no criteria never matches (avoids dumping everything)
   const path = (it.path || '').toLowerCase();
   const name = ((it.unique || '') + ' ' + (it.base || '')).toLowerCase();
@@ -72,12 +130,42 @@ function ruleMatches(rule, it) {
       !rule.nameContains.some(function (s) { return s && name.indexOf(s.toLowerCase()) >= 0; })) return false;
   if (rule.minRarity >= 0 && (it.rarity || 0) < rule.minRarity) return false;
   if (rule.maxRarity >= 0 && (it.rarity || 0) > rule.maxRarity) return false;
+  if (rule.minStack > 0 && (it.stack || 0) < rule.minStack) return false;
+  if (rule.minUnidTier > 0 && (it.unidTier || 0) < rule.minUnidTier) return false;
+  if (rule.minItemLevel > 0) { const m = itemMods(it); if (!m || (m.itemLevel || 0) < rule.minItemLevel) return false; }
+  if (rule.mods && rule.mods.length && !modsMatch(rule.mods, it)) return false;
   return true;
 }
-function ruleForItem(it) { for (const r of store.rules) if (ruleMatches(r, it)) return r; return null; }
+// Rules in evaluation order: priority desc, list order within a priority.
+function rulesByPriority() {
+  return store.rules
+    .map(function (r, i) { return { r: r, i: i }; })
+    .sort(function (a, b) { return ((b.r.priority || 0) - (a.r.priority || 0)) || (a.i - b.i); })
+    .map(function (x) { return x.r; });
+}
+function ruleForItem(it, ordered) {
+  const rules = ordered || rulesByPriority();
+  for (const r of rules) if (ruleMatches(r, it)) return r;
+  return null;
+}
 
 // ===================== indexer (read-on-view) =====================
 
+// Bumped when the per-item record gains fields, so tabs indexed by an older version are re-read on next view.
+const INDEX_FORMAT = 3;
+
+// One item as the index records it (also the shape the recipe planner reads for backpack items).
+// Mods, quality and item level come from getItemMods; unidentified items only show implicits.
+function itemRecord(it) {
+  const m = getMods(it);
+  const ok = !!(m && m.isValid);
+  return {
+    name: it.unique || it.base, base: it.base, path: it.path, rarity: it.rarity, stack: it.stack, w: it.w, h: it.h, x: it.x, y: it.y,
+    identified: it.identified !== false, quality: ok ? m.quality || 0 : 0, ilvl: ok ? m.itemLevel || 0 : 0,
+    mods: ok ? [].concat(m.implicitMods || [], m.explicitMods || [], m.enchantMods || []).map(function (x) { return x && x.name; }).filter(Boolean) : [],
+  };
+}
+
 let lastIndexTime = 0;
 function indexLoadedTabs() {
   const now = Date.now();
@@ -90,42 +178,69 @@ function indexLoadedTabs() {
     const inv = readInventory(t.invId);
     if (!inv) continue;
     const prev = store.index[t.name];
-    if (prev && prev.count === inv.items.length && prev.tabId === t.tabId) { prev.updated = now; continue; }
+    if (prev && prev.count === inv.items.length && prev.tabId === t.tabId && prev.fmt === INDEX_FORMAT) {
+      if (now - (prev.updated || 0) > 60000) markDirty();   // persist "last seen" for staleness, not every tick
+      prev.updated = now;
+      continue;
+    }
     store.index[t.name] = {
-      tabId: t.tabId, invId: t.invId, count: inv.items.length, updated: now,
-      items: inv.items.map(function (it) {
-        return { name: it.unique || it.base, path: it.path, rarity: it.rarity, stack: it.stack, w: it.w, h: it.h, x: it.x, y: it.y };
-      }),
+      tabId: t.tabId, invId: t.invId, count: inv.items.length, updated: now, width: inv.width, height: inv.height, fmt: INDEX_FORMAT,
+      items: inv.items.map(itemRecord),
     };
+    indexVersion++;
     markDirty();
   }
 }
 
 // ===================== deposit (bag -> tabs by rule) =====================
 
-let depositQueue = [];      // [{ handle, tabId, tabName, itemName, rule }]
+let depositQueue = [];      // [{ handle, tabId, tabName, itemName, rule, fit }]
 let lastMoveTime = 0;
 let depositLog = [];        // recent results, newest first
 let depositActive = false;
 
-// Plan what would move. Returns { jobs[], unmatched, unknownTab, byTab{} }.
+// Capacity check against the tab's INDEXED contents (as of its last view): the plan's items are placed into a
+// copy of that grid in order, so five 2x4s into a tab with room for four holds the fifth back. A stackable
+// currency item whose name is already in the tab is assumed to merge. Tabs never indexed (or indexed before
+// sizes were recorded) can't be checked: 'unchecked', still moved -- the game refuses a move that doesn't fit.
+function fitInTab(grids, tabName, it) {
+  const entry = store.index[tabName];
+  if (!entry || !entry.width || !entry.height) return 'unchecked';
+  const name = it.unique || it.base;
+  if (/\/currency\//i.test(it.path || '') && entry.items.some(function (x) { return x.name === name; })) return 'ok';
+  if (!grids[tabName]) grids[tabName] = gridFromItems(entry.width, entry.height, entry.items);
+  return placeInGrid(grids[tabName], it.w, it.h) ? 'ok' : 'full';
+}
+
+// Plan what would move. Returns { jobs[], blocked[] (tab full), unmatched, unknownTab, byTab{} }.
 function planDeposit() {
   const bag = readInventory(INV.MAIN);
-  const out = { jobs: [], unmatched: 0, unknownTab: 0, byTab: {} };
+  const out = { jobs: [], blocked: [], unmatched: 0, unknownTab: 0, byTab: {} };
   if (!bag) return out;
+  const ordered = rulesByPriority();
+  const grids = {};
   for (let i = 0; i < bag.items.length; i++) {
     const it = bag.items[i];
     if (it.handle == null) continue;
-    const r = ruleForItem(it);
+    const r = ruleForItem(it, ordered);
     if (!r) { out.unmatched++; continue; }
     const tabId = tabIdByName(r.tab);
     if (tabId == null) { out.unknownTab++; continue; }
-    out.jobs.push({ handle: it.handle, tabId: tabId, tabName: r.tab, itemName: it.unique || it.base || '(item)', rule: r.label });
+    const job = { handle: it.handle, tabId: tabId, tabName: r.tab, itemName: it.unique || it.base || '(item)', rule: r.label, fit: fitInTab(grids, r.tab, it) };
+    if (job.fit === 'full') { out.blocked.push(job); continue; }
+    out.jobs.push(job);
     out.byTab[r.tab] = (out.byTab[r.tab] || 0) + 1;
   }
   return out;
 }
 
+// The dry run as text lines, one per planned move ('item -> tab  (rule)') then the held-back ones.
+function describePlan(plan) {
+  const lines = plan.jobs.map(function (j) { return j.itemName + ' -> ' + j.tabName + '  (' + j.rule + (j.fit === 'unchecked' ? ', capacity unchecked' : '') + ')'; });
+  for (const j of plan.blocked) lines.push('HELD ' + j.itemName + ' -> ' + j.tabName + '  (tab full)');
+  return lines;
+}
+
 let _planCache = null, _planTime = 0;
 function planDepositCached() {
   const now = Date.now();
@@ -134,6 +249,13 @@ function planDepositCached() {
   return _planCache;
 }
 
+function logPlan(plan) {
+  const lines = describePlan(plan);
+  console.log('[StashSorter] dry run: ' + plan.jobs.length + ' move(s), ' + plan.blocked.length + ' held (tab full)');
+  for (const l of lines) console.log('[StashSorter]   ' + l);
+}
+
+// Only the planned jobs are queued; items held back for a full tab stay in the bag.
 function startDeposit() {
   const plan = planDeposit();
   depositQueue = plan.jobs;
@@ -149,7 +271,7 @@ function processQueue(delayMs) {
   lastMoveTime = now;
   const job = depositQueue.shift();
   let ok = false;
-  try { ok = moveByHandle('in', job.tabId, job.handle); } catch (e) { ok = false; }
+  try { ok = moveByHandle(job.dir || 'in', job.tabId, job.handle); } catch (e) { ok = false; }
   depositLog.unshift({ itemName: job.itemName, tabName: job.tabName, ok: ok });
   if (depositLog.length > 40) depositLog.length = 40;
   if (!depositQueue.length) depositActive = false;
@@ -175,6 +297,216 @@ function processLoadQueue() {
   if (!loadQueue.length) loadActive = false;
 }
 
+// ===================== search (offline index) =====================
+
+function staleMs() { return (store.staleHours || 24) * 3600 * 1000; }
+
+/** Search the offline index across all tabs (query syntax: stash_index.js). { rows, total, errors }. */
+function searchStash(query, limit) {
+  loadStore();
+  return searchStashIndex(store.index, query, { now: Date.now(), staleMs: staleMs(), limit: limit });
+}
+
+// The search window draws every frame; its matches and stale-tab list are recomputed only when the query, the
+// index or the stale window changed, or after SEARCH_CACHE_MS (ages and stale flags move with the clock).
+const SEARCH_CACHE_MS = 1000;
+let _searchCache = null;   // { query, version, staleHours, at, res, stale }
+function searchCached(query, limit) {
+  const now = Date.now();
+  const c = _searchCache;
+  if (c && c.query === query && c.version === indexVersion && c.staleHours === store.staleHours && now - c.at < SEARCH_CACHE_MS) return c;
+  _searchCache = {
+    query: query, version: indexVersion, staleHours: store.staleHours, at: now,
+    res: searchStash(query, limit), stale: staleTabs(store.index, now, staleMs()),
+  };
+  return _searchCache;
+}
+
+/** Write the whole index to stash_index.csv / stash_index.json in the data folder. Returns the file, or ''. */
+function exportStashIndex(format) {
+  loadStore();
+  const json = format === 'json';
+  const file = DATA_DIR + (json ? 'stash_index.json' : 'stash_index.csv');
+  const opts = { now: Date.now(), staleMs: staleMs() };
+  try {
+    fs.writeFile(file, json ? stashIndexJson(store.index, opts) : stashIndexCsv(store.index, opts));
+    console.log('[StashSorter] Exported index -> ' + file);
+    return file;
+  } catch (e) {
+    console.error('[StashSorter] export error:', e);
+    return '';
+  }
+}
+
+// ===================== tidy (compact + group one tab, paced out-and-back moves) =====================
+
+const TIDY_MAX_PASSES = 6;
+const TIDY_SETTLE_MS = 600;   // after the last move out, give the bag a moment to update before matching
+
+// { tab, tabId, invId, groupBy, pass, phase: 'out' | 'settle' | 'in', queue[], batch[], bagBefore{handle:1}, remaining }
+let tidy = null;
+let tidyStatus = '';
+let tidyLastMove = 0;
+
+// A loaded tab as index-shaped records (+ the move handle).
+function liveTab(invId) {
+  const inv = readInventory(invId);
+  if (!inv) return null;
+  return {
+    width: inv.width, height: inv.height,
+    items: inv.items.map(function (it) {
+      return { name: it.unique || it.base, base: it.base, rarity: it.rarity, stack: it.stack, w: it.w, h: it.h, x: it.x, y: it.y, handle: it.handle };
+    }),
+  };
+}
+
+function tabByName(name) { return getStashTabs().filter(function (t) { return t.name === name; })[0] || null; }
+
+// Plan for a tab: live contents when it's loaded (needed to move), else the index (preview only).
+function tidyPlanFor(tabName, groupBy) {
+  const t = tabByName(tabName);
+  const live = t && t.loaded ? liveTab(t.invId) : null;
+  const src = live || store.index[tabName];
+  if (!src) return { error: 'tab not indexed yet' };
+  const plan = planTidy(src, { groupBy: groupBy, bag: buildOccupancyGrid(INV.MAIN) });
+  plan.live = !!live;
+  return plan;
+}
+
+function beginTidyPass(state) {
+  const plan = tidyPlanFor(state.tab, state.groupBy);
+  if (plan.error) return finishTidy('Tidy ' + state.tab + ': ' + plan.error);
+  if (!plan.live) return finishTidy('Tidy ' + state.tab + ': tab not loaded (view it or force-load it first)');
+  if (!plan.move.length) return finishTidy('Tidy ' + state.tab + ': ' + (state.pass ? 'done in ' + state.pass + ' pass(es)' : 'already tidy'));
+  if (state.pass >= TIDY_MAX_PASSES || (state.pass && plan.move.length >= state.remaining)) {
+    return finishTidy('Tidy ' + state.tab + ': stopped after ' + state.pass + ' pass(es), ' + plan.move.length + ' item(s) still out of place');
+  }
+  if (!plan.batch.length) return finishTidy('Tidy ' + state.tab + ': no backpack space to move items through');
+  const bag = readInventory(INV.MAIN);
+  state.bagBefore = {};
+  if (bag) for (const it of bag.items) state.bagBefore[it.handle] = 1;
+  state.batch = plan.batch;
+  state.queue = plan.batch.slice();
+  state.remaining = plan.move.length;
+  state.phase = 'out';
+  tidy = state;
+  tidyStatus = 'Tidy ' + state.tab + ': pass ' + (state.pass + 1) + ', ' + plan.batch.length + '/' + plan.move.length + ' item(s)';
+  return true;
+}
+
+function finishTidy(msg) {
+  tidy = null;
+  tidyStatus = msg;
+  console.log('[StashSorter] ' + msg);
+  return false;
+}
+
+let _tidyPreview = null, _tidyPreviewKey = '', _tidyPreviewTime = 0;
+function tidyPlanCached(tabName, groupBy) {
+  const now = Date.now(), key = tabName + '|' + groupBy;
+  if (_tidyPreview && key === _tidyPreviewKey && now - _tidyPreviewTime < 500) return _tidyPreview;
+  _tidyPreview = tidyPlanFor(tabName, groupBy); _tidyPreviewKey = key; _tidyPreviewTime = now;
+  return _tidyPreview;
+}
+
+function startTidy(tabName, groupBy) {
+  if (depositActive) return finishTidy('Tidy: wait for the deposit to finish');
+  const t = tabByName(tabName);
+  if (!t) return finishTidy('Tidy: no tab named ' + tabName);
+  return beginTidyPass({ tab: tabName, tabId: t.tabId, invId: t.invId, groupBy: groupBy || 'base', pass: 0, remaining: 0 });
+}
+function stopTidy() { if (tidy) finishTidy('Tidy ' + tidy.tab + ': stopped (moved items may still be in the backpack)'); }
+
+function processTidy(delayMs) {
+  if (!tidy) return;
+  const now = Date.now();
+  if (tidy.phase === 'settle') {
+    if (now - tidyLastMove < TIDY_SETTLE_MS) return;
+    const bag = readInventory(INV.MAIN);
+    const arrived = bag ? bag.items.filter(function (it) { return !tidy.bagBefore[it.handle]; }) : [];
+    tidy.queue = matchReturned(tidy.batch, arrived);
+    if (tidy.queue.length < tidy.batch.length) console.log('[StashSorter] tidy: ' + (tidy.batch.length - tidy.queue.length) + ' item(s) not found in the backpack');
+    tidy.phase = 'in';
+    return;
+  }
+  if (now - tidyLastMove < delayMs) return;
+  if (!tidy.queue.length) {
+    if (tidy.phase === 'out') { tidy.phase = 'settle'; return; }
+    tidy.pass++;
+    beginTidyPass(tidy);
+    return;
+  }
+  tidyLastMove = now;
+  const it = tidy.queue.shift();
+  let ok = false;
+  try { ok = moveByHandle(tidy.phase, tidy.tabId, it.handle); } catch (e) { ok = false; }
+  if (!ok) {
+    finishTidy('Tidy ' + tidy.tab + ': move ' + tidy.phase + ' failed for ' + it.name + ' (stash closed?)' + (tidy.phase === 'in' ? ' -- rest is in the backpack' : ''));
+  }
+}
+
+// ===================== vendor recipes (index + backpack -> recipe inputs in the backpack) =====================
+
+let recipes = null;         // parsed vendor_recipes.json
+let recipeErrors = [];
+let recipeStatus = '';
+
+function loadRecipes(force) {
+  if (recipes && !force) return recipes;
+  let text = '';
+  try { text = fs.readFile(RECIPES_FILE) || ''; } catch (e) { text = ''; }
+  const parsed = text ? parseRecipes(text) : { recipes: [], errors: ['no ' + RECIPES_FILE] };
+  recipes = parsed.recipes;
+  recipeErrors = parsed.errors;
+  for (const e of recipeErrors) console.error('[StashSorter] ' + RECIPES_FILE + ': ' + e);
+  return recipes;
+}
+
+// Everything the planner may use: backpack items (with their handle) + every indexed stash item.
+function recipePool() {
+  const pool = [];
+  const bag = readInventory(INV.MAIN);
+  if (bag) for (const it of bag.items) pool.push({ item: Object.assign(itemRecord(it), { handle: it.handle }), where: 'bag' });
+  for (const tab of Object.keys(store.index)) for (const it of store.index[tab].items) pool.push({ item: it, where: tab });
+  return pool;
+}
+
+let _recipePlan = null, _recipePlanTime = 0;
+function planVendorRecipes(force) {
+  const now = Date.now();
+  if (!force && _recipePlan && now - _recipePlanTime < 1000) return _recipePlan;
+  _recipePlan = planRecipes(loadRecipes(), recipePool());
+  _recipePlanTime = now;
+  return _recipePlan;
+}
+
+/**
+ * Queue moves that bring one set of recipe `id` from the stash into the backpack (items already in the backpack
+ * stay). Its tabs must be loaded (the index has no move handles) and the backpack must hold them. Returns the
+ * number of moves queued.
+ */
+function prepareRecipe(id) {
+  const plan = planVendorRecipes(true).filter(function (p) { return p.recipe.id === id; })[0];
+  if (!plan || !plan.sets.length) { recipeStatus = 'Recipe ' + id + ': no complete set'; return 0; }
+  const bagGrid = buildOccupancyGrid(INV.MAIN);
+  const jobs = [];
+  const live = {};
+  for (const e of plan.sets[0]) {
+    if (e.where === 'bag') continue;
+    const t = tabByName(e.where);
+    if (!t || !t.loaded) { recipeStatus = 'Recipe ' + id + ": tab '" + e.where + "' not loaded (view or force-load it)"; return 0; }
+    if (!live[t.name]) live[t.name] = readInventory(t.invId);
+    const it = live[t.name] && live[t.name].items.filter(function (x) { return x.x === e.item.x && x.y === e.item.y && (x.unique || x.base) === e.item.name; })[0];
+    if (!it) { recipeStatus = 'Recipe ' + id + ': ' + e.item.name + " moved since '" + e.where + "' was indexed"; return 0; }
+    if (bagGrid && !placeInGrid(bagGrid, it.w, it.h)) { recipeStatus = 'Recipe ' + id + ': backpack full'; return 0; }
+    jobs.push({ dir: 'out', handle: it.handle, tabId: t.tabId, tabName: 'backpack', itemName: e.item.name, rule: plan.recipe.name });
+  }
+  depositQueue = depositQueue.concat(jobs);
+  depositActive = depositQueue.length > 0;
+  recipeStatus = 'Recipe ' + plan.recipe.name + ': ' + (jobs.length ? jobs.length + ' item(s) coming to the backpack' : 'already all in the backpack');
+  return jobs.length;
+}
+
 // ===================== UI =====================
 
 const RARITY_NAMES = ['Normal', 'Magic', 'Rare', 'Unique'];
@@ -188,7 +520,20 @@ function esc(s) { return String(s == null ? '' : s).replace(/%/g, '%%'); }
 const fLabel = new ImGui.MutableVariable('');
 const fPath = new ImGui.MutableVariable('');
 const fName = new ImGui.MutableVariable('');
+const fMods = new ImGui.MutableVariable('');
+const fPriority = new ImGui.MutableVariable(0);
+const fItemLevel = new ImGui.MutableVariable(0);
+const fStack = new ImGui.MutableVariable(0);
+const fUnidTier = new ImGui.MutableVariable(0);
 const vDelay = new ImGui.MutableVariable(300);
+const sQuery = new ImGui.MutableVariable('');
+const sStaleHours = new ImGui.MutableVariable(24);
+let searchOpen = false;
+let tidyTab = '';
+let tidyGroup = 0;           // index into TIDY_GROUPS
+const TIDY_GROUP_NAMES = ['Base type', 'Rarity', 'Size only'];
+let exportStatus = '';
+const SEARCH_LIMIT = 200;   // rows drawn; the count line still reports every match
 let fTabName = '';
 let fRarity = 0;          // index into RARITY_FILTER
 let editingId = null;     // null = adding a new rule
@@ -198,11 +543,17 @@ function loadFormFromRule(r) {
   fLabel.value = r.label || '';
   fPath.value = (r.pathContains || []).join(', ');
   fName.value = (r.nameContains || []).join(', ');
+  fMods.value = formatModConds(r.mods);
+  fPriority.value = r.priority || 0;
+  fItemLevel.value = r.minItemLevel || 0;
+  fStack.value = r.minStack || 0;
+  fUnidTier.value = r.minUnidTier || 0;
   fTabName = r.tab || '';
   fRarity = r.minRarity >= 0 ? r.minRarity + 1 : 0;
 }
 function clearForm() {
-  editingId = null; fLabel.value = ''; fPath.value = ''; fName.value = ''; fTabName = ''; fRarity = 0;
+  editingId = null; fLabel.value = ''; fPath.value = ''; fName.value = ''; fMods.value = ''; fTabName = ''; fRarity = 0;
+  fPriority.value = 0; fItemLevel.value = 0; fStack.value = 0; fUnidTier.value = 0;
 }
 function saveForm() {
   const rule = {
@@ -210,10 +561,15 @@ function saveForm() {
     label: fLabel.value || '(rule)',
     tab: fTabName,
     enabled: true,
+    priority: fPriority.value | 0,
     pathContains: splitCsv(fPath.value),
     nameContains: splitCsv(fName.value),
     minRarity: fRarity > 0 ? fRarity - 1 : -1,
     maxRarity: -1,
+    minItemLevel: Math.max(0, fItemLevel.value | 0),
+    minStack: Math.max(0, fStack.value | 0),
+    minUnidTier: Math.max(0, fUnidTier.value | 0),
+    mods: parseModConds(fMods.value),
   };
   const i = editingId != null ? store.rules.findIndex(function (r) { return r.id === editingId; }) : -1;
   if (i >= 0) store.rules[i] = rule; else store.rules.push(rule);
@@ -232,8 +588,63 @@ function tabNameCombo(label) {
   }
 }
 
+function fmtAge(ms) {
+  const m = Math.floor(ms / 60000);
+  if (m < 60) return m + 'm';
+  const h = Math.floor(m / 60);
+  return h < 48 ? h + 'h' : Math.floor(h / 24) + 'd';
+}
+
+function drawSearchWindow() {
+  ImGui.setNextWindowSize({ x: 520, y: 480 }, ImGui.Cond.FirstUseEver);
+  const openVar = new ImGui.MutableVariable(true);
+  if (!ImGui.begin('Stash Search', openVar)) { ImGui.end(); if (!openVar.value) searchOpen = false; return; }
+  if (!openVar.value) searchOpen = false;
+
+  ImGui.inputText('Find##stashq', sQuery);
+  if (ImGui.isItemHovered()) {
+    ImGui.setTooltip('words match name, base or mod; all must match\nname:x  base:x  mod:x  tab:x  rarity:rare  rarity:rare+\n"quoted values" for spaces');
+  }
+  sStaleHours.value = store.staleHours;
+  if (ImGui.sliderInt('Stale after (h)', sStaleHours, 1, 168) && sStaleHours.value !== store.staleHours) {
+    store.staleHours = sStaleHours.value; markDirty();
+  }
+
+  const cached = searchCached(sQuery.value, SEARCH_LIMIT);
+  const stale = cached.stale;
+  if (stale.length) {
+    ImGui.textColored([1, 0.6, 0.2, 1], stale.length + ' stale tab(s): ' + esc(stale.slice(0, 6).map(function (t) { return t.tab + ' (' + fmtAge(t.ageMs) + ')'; }).join(', ')) + (stale.length > 6 ? ' ...' : ''));
+  }
+
+  const res = cached.res;
+  for (const e of res.errors) ImGui.textColored([1, 0.4, 0.4, 1], esc(e));
+  ImGui.text(res.total + ' match(es) in ' + Object.keys(store.index).length + ' indexed tab(s)' + (res.total > res.rows.length ? '  (showing ' + res.rows.length + ')' : ''));
+  if (ImGui.beginChild('##stashres', { x: 0, y: -50 }, ImGui.ChildFlags.Border)) {
+    for (let i = 0; i < res.rows.length; i++) {
+      const r = res.rows[i];
+      ImGui.textColored(r.stale ? [0.6, 0.6, 0.6, 1] : RARITY_COLORS[r.rarity] || RARITY_COLORS[0],
+        '[' + esc(r.tab) + ' ' + r.x + ',' + r.y + ']  ' + esc(r.name) + (r.stack > 1 ? ' x' + r.stack : '') + (r.stale ? '  (stale ' + fmtAge(r.ageMs) + ')' : ''));
+      if (ImGui.isItemHovered()) {
+        ImGui.beginTooltip();
+        ImGui.text(esc(r.base) + '  (' + r.w + 'x' + r.h + ', seen ' + fmtAge(r.ageMs) + ' ago)');
+        if (r.mods.length) ImGui.text(esc(r.mods.join('\n')));
+        ImGui.endTooltip();
+      }
+    }
+    if (!res.rows.length) ImGui.textColored([0.6, 0.6, 0.6, 1], Object.keys(store.index).length ? '(no matches)' : '(index empty - view or force-load some tabs)');
+    ImGui.endChild();
+  }
+
+  if (ImGui.button('Export CSV')) { const f = exportStashIndex('csv'); exportStatus = f ? 'Wrote ' + f : 'Export failed (see log)'; }
+  ImGui.sameLine();
+  if (ImGui.button('Export JSON')) { const f = exportStashIndex('json'); exportStatus = f ? 'Wrote ' + f : 'Export failed (see log)'; }
+  if (exportStatus) { ImGui.sameLine(); ImGui.textColored([0.6, 0.85, 1, 1], esc(exportStatus)); }
+  ImGui.end();
+}
+
 function onDrawUI() {
   loadStore();
+  if (searchOpen) drawSearchWindow();
 
   ImGui.setNextWindowSize({ x: 460, y: 640 }, ImGui.Cond.FirstUseEver);
   if (!ImGui.begin('Stash Sorter')) { ImGui.end(); return; }
@@ -269,10 +680,28 @@ function onDrawUI() {
   ImGui.text('Will move ' + plan.jobs.length + ' item(s)' + (tabSummary ? ' -> ' + esc(tabSummary) : ''));
   if (plan.unmatched) { ImGui.sameLine(); ImGui.textColored([0.6, 0.6, 0.6, 1], '| no rule: ' + plan.unmatched); }
   if (plan.unknownTab) { ImGui.sameLine(); ImGui.textColored([1, 0.5, 0.2, 1], '| unknown tab: ' + plan.unknownTab); }
+  if (plan.blocked.length) { ImGui.sameLine(); ImGui.textColored([1, 0.4, 0.4, 1], '| tab full: ' + plan.blocked.length); }
+
+  // dry run: every move Deposit Now would send, in order, before anything is sent
+  if ((plan.jobs.length || plan.blocked.length) && ImGui.collapsingHeader('Planned moves (dry run)')) {
+    if (ImGui.beginChild('##plan', { x: 0, y: 140 }, ImGui.ChildFlags.Border)) {
+      for (let i = 0; i < plan.jobs.length; i++) {
+        const j = plan.jobs[i];
+        ImGui.textColored(j.fit === 'unchecked' ? [0.85, 0.85, 0.5, 1] : [0.9, 0.9, 0.9, 1], esc(j.itemName) + '  ->  ' + esc(j.tabName));
+        if (ImGui.isItemHovered()) { ImGui.beginTooltip(); ImGui.text('rule: ' + esc(j.rule) + (j.fit === 'unchecked' ? '\ncapacity unchecked (tab not indexed)' : '')); ImGui.endTooltip(); }
+      }
+      for (let i = 0; i < plan.blocked.length; i++) {
+        const j = plan.blocked[i];
+        ImGui.textColored([1, 0.4, 0.4, 1], esc(j.itemName) + '  ->  ' + esc(j.tabName) + '  (tab full, held)');
+      }
+      ImGui.endChild();
+    }
+    if (ImGui.smallButton('Log plan')) logPlan(plan);
+  }
 
   ImGui.sliderInt('Delay (ms/move)', vDelay, 120, 1000);
   if (!depositActive) {
-    const can = plan.jobs.length > 0;
+    const can = plan.jobs.length > 0 && !tidy;
     if (can) {
       if (ImGui.button('Deposit Now (' + plan.jobs.length + ')')) startDeposit();
     } else {
@@ -296,7 +725,7 @@ function onDrawUI() {
 
   // ---------- Rules ----------
   ImGui.separator();
-  ImGui.textColored([1, 1, 0.4, 1], 'Rules  (first match wins)');
+  ImGui.textColored([1, 1, 0.4, 1], 'Rules  (highest priority first, then list order)');
   if (ImGui.beginChild('##rules', { x: 0, y: 150 }, ImGui.ChildFlags.Border)) {
     for (let i = 0; i < store.rules.length; i++) {
       const r = store.rules[i];
@@ -307,8 +736,12 @@ function onDrawUI() {
         .concat((r.pathContains || []).map(function (s) { return 'path~' + s; }))
         .concat((r.nameContains || []).map(function (s) { return 'name~' + s; }));
       if (r.minRarity >= 0) crit.push('>=' + (RARITY_NAMES[r.minRarity] || r.minRarity));
+      if (r.minItemLevel > 0) crit.push('ilvl>=' + r.minItemLevel);
+      if (r.minStack > 0) crit.push('stack>=' + r.minStack);
+      if (r.minUnidTier > 0) crit.push('unid tier>=' + r.minUnidTier);
+      if (r.mods && r.mods.length) crit.push('mods: ' + formatModConds(r.mods));
       const col = r.enabled ? [0.9, 0.9, 0.9, 1] : [0.5, 0.5, 0.5, 1];
-      ImGui.textColored(col, esc(r.label) + '  ->  [' + esc(r.tab || '?') + ']');
+      ImGui.textColored(col, (r.priority ? '[' + r.priority + '] ' : '') + esc(r.label) + '  ->  [' + esc(r.tab || '?') + ']');
       if (ImGui.isItemHovered() && crit.length) { ImGui.beginTooltip(); ImGui.text(esc(crit.join('\n'))); ImGui.endTooltip(); }
       ImGui.sameLine();
       if (ImGui.smallButton('Edit##' + r.id)) loadFormFromRule(r);
@@ -323,17 +756,79 @@ function onDrawUI() {
   ImGui.inputText('Label##f', fLabel);
   ImGui.inputText('Path contains (csv)##f', fPath);
   ImGui.inputText('Name contains (csv)##f', fName);
+  ImGui.inputText('Mods (csv: Name or Name>=25)##f', fMods);
   tabNameCombo('Destination tab##f');
   if (ImGui.beginCombo('Min rarity##f', RARITY_FILTER[fRarity], ImGui.ComboFlags.None)) {
     for (let i = 0; i < RARITY_FILTER.length; i++) if (ImGui.selectable(RARITY_FILTER[i] + '##r' + i, i === fRarity)) fRarity = i;
     ImGui.endCombo();
   }
+  ImGui.inputInt('Priority (higher first)##f', fPriority);
+  ImGui.inputInt('Min item level (0 = any)##f', fItemLevel);
+  ImGui.inputInt('Min stack (0 = any)##f', fStack);
+  ImGui.inputInt('Min unid tier (0 = any)##f', fUnidTier);
   if (ImGui.button(editingId != null ? 'Save rule' : 'Add rule')) { if (fTabName) saveForm(); }
   ImGui.sameLine();
   if (ImGui.button('New / clear')) clearForm();
 
+  // ---------- Tidy ----------
+  ImGui.separator();
+  if (ImGui.collapsingHeader('Tidy a tab (compact + group)')) {
+    const tidyable = Object.keys(store.index).filter(function (n) { return TIDY_SIZES.indexOf(store.index[n].width) >= 0; });
+    if (ImGui.beginCombo('Tab##tidy', tidyTab || '(pick an indexed tab)', ImGui.ComboFlags.None)) {
+      for (let i = 0; i < tidyable.length; i++) if (ImGui.selectable(tidyable[i] + '##tt' + i, tidyable[i] === tidyTab)) tidyTab = tidyable[i];
+      ImGui.endCombo();
+    }
+    if (ImGui.beginCombo('Group by##tidy', TIDY_GROUP_NAMES[tidyGroup], ImGui.ComboFlags.None)) {
+      for (let i = 0; i < TIDY_GROUP_NAMES.length; i++) if (ImGui.selectable(TIDY_GROUP_NAMES[i] + '##tg' + i, i === tidyGroup)) tidyGroup = i;
+      ImGui.endCombo();
+    }
+    if (tidyTab && !tidy) {
+      const tp = tidyPlanCached(tidyTab, TIDY_GROUPS[tidyGroup]);
+      if (tp.error) ImGui.textColored([1, 0.5, 0.2, 1], esc(tp.error));
+      else {
+        ImGui.text(tp.target.length + ' item(s): ' + tp.stay.length + ' in place, ' + tp.move.length + ' to move' +
+          (tp.batch.length < tp.move.length ? ' (' + tp.batch.length + ' per pass - backpack space)' : '') + (tp.live ? '' : '   [from index]'));
+        if (tp.unplaced.length) ImGui.textColored([1, 0.4, 0.4, 1], tp.unplaced.length + ' item(s) would not fit the packed layout');
+        if (tp.move.length && ImGui.treeNode('Target layout##tidyplan')) {
+          for (const p of tp.target) {
+            if (p.item.x === p.x && p.item.y === p.y) continue;
+            ImGui.text(esc(p.item.name) + '  ' + p.item.x + ',' + p.item.y + ' -> ' + p.x + ',' + p.y);
+          }
+          ImGui.treePop();
+        }
+        if (tp.move.length && tp.live && ImGui.button('Tidy now')) startTidy(tidyTab, TIDY_GROUPS[tidyGroup]);
+      }
+    }
+    if (tidy) { ImGui.textColored([0.4, 1, 0.4, 1], esc(tidyStatus) + ' (' + tidy.phase + ')'); ImGui.sameLine(); if (ImGui.button('Stop##tidy')) stopTidy(); }
+    else if (tidyStatus) ImGui.textColored([0.6, 0.85, 1, 1], esc(tidyStatus));
+  }
+
+  // ---------- Vendor recipes ----------
+  ImGui.separator();
+  if (ImGui.collapsingHeader('Vendor recipes')) {
+    const plans = planVendorRecipes();
+    for (const e of recipeErrors) ImGui.textColored([1, 0.4, 0.4, 1], esc(e));
+    for (let i = 0; i < plans.length; i++) {
+      const p = plans[i];
+      const ready = p.sets.length;
+      ImGui.textColored(ready ? [0.5, 1, 0.5, 1] : [0.7, 0.7, 0.7, 1], esc(p.recipe.name) + (p.recipe.result ? ' -> ' + esc(p.recipe.result) : '') + ':  ' + ready + ' set(s)');
+      if (ImGui.isItemHovered()) {
+        ImGui.beginTooltip();
+        if (ready) ImGui.text(esc(p.sets[0].map(function (e) { return e.input + ': ' + e.item.name + (e.item.quality ? ' (' + e.item.quality + '%)' : '') + '  [' + e.where + ']'; }).join('\n')));
+        if (p.missing.length) ImGui.text('next set needs: ' + esc(p.missing.map(function (m) { return m.label + ' ' + m.have + '/' + m.need; }).join(', ')));
+        ImGui.endTooltip();
+      }
+      if (ready) { ImGui.sameLine(); if (ImGui.smallButton('Prepare##rc' + i)) prepareRecipe(p.recipe.id); }
+      else if (p.missing.length) { ImGui.sameLine(); ImGui.textColored([0.6, 0.6, 0.6, 1], '(' + esc(p.missing.map(function (m) { return m.label + ' ' + m.have + '/' + m.need; }).join(', ')) + ')'); }
+    }
+    if (!plans.length && !recipeErrors.length) ImGui.textColored([0.6, 0.6, 0.6, 1], '(no recipes in ' + RECIPES_FILE + ')');
+    if (ImGui.smallButton('Reload recipes')) { loadRecipes(true); planVendorRecipes(true); }
+    if (recipeStatus) { ImGui.sameLine(); ImGui.textColored([0.6, 0.85, 1, 1], esc(recipeStatus)); }
+  }
+
   // ---------- Index browser ----------
   ImGui.separator();
+  if (ImGui.button(searchOpen ? 'Close search' : 'Search index...')) searchOpen = !searchOpen;
   if (ImGui.collapsingHeader('Stash index (' + Object.keys(store.index).length + ' tabs)')) {
     const names = Object.keys(store.index);
     if (ImGui.beginChild('##idx', { x: 0, y: 200 }, ImGui.ChildFlags.Border)) {
@@ -352,7 +847,7 @@ function onDrawUI() {
       if (!names.length) ImGui.textColored([0.6, 0.6, 0.6, 1], '(none yet — open some tabs)');
       ImGui.endChild();
     }
-    if (ImGui.smallButton('Clear index')) { store.index = {}; saveStore(); }
+    if (ImGui.smallButton('Clear index')) { store.index = {}; indexVersion++; saveStore(); }
   }
 
   ImGui.end();
@@ -365,10 +860,16 @@ function onTick() {
   indexLoadedTabs();
   processQueue(vDelay.value || 300);
   processLoadQueue();
+  processTidy(vDelay.value || 300);
   saveIfDirty();
 }
 
-function onDisable() { if (dirty) saveStore(); stopDeposit(); }
+function onDisable() { if (dirty) saveStore(); stopDeposit(); stopTidy(); }
+
+export {
+  planDeposit, describePlan, ruleForItem, startDeposit, searchStash, exportStashIndex, startTidy, stopTidy,
+  planVendorRecipes, prepareRecipe,
+};
 
 export const stashSorterPlugin = {
   onTick: onTick,
@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import { runtime } from './poe2_stub.mjs';
+
+const { INV, readInventory } = await import('./inventory.js');
+
+// rules are account-wide in data/stash_sorter.json; seed them before the plugin's first load
+const rule = (id, label, tab, extra) => Object.assign({
+  id, label, tab, enabled: true, pathContains: [], nameContains: [], minRarity: -1, maxRarity: -1,
+}, extra);
+runtime.files.set('../../data/stash_sorter.json', JSON.stringify({ index: {}, rules: [
+  rule(1, 'Any armour', 'Gear', { pathContains: ['/Armours/'] }),
+  rule(2, 'Life rares', 'Rares', { pathContains: ['/Armours/'], minRarity: 2, minItemLevel: 80, mods: [{ name: 'IncreasedLife', min: 50 }], priority: 5 }),
+  rule(3, 'Currency stacks', 'Currency', { pathContains: ['/Currency/'], minStack: 5 }),
+  rule(4, 'High unids', 'Far', { minUnidTier: 3 }),
+  rule(5, 'Wands', 'Missing', { nameContains: ['Wand'] }),
+] }));
+
+const { stashSorterPlugin, planDeposit, describePlan, ruleForItem, startDeposit, searchStash, exportStashIndex, startTidy, planVendorRecipes, prepareRecipe } = await import('./stash_sorter.js');
+
+const raw = (handle, baseName, path, x, y, w, h, extra) => Object.assign({
+  baseName, itemPath: `Metadata/Items/${path}`, rarity: 0, stackSize: 1, isIdentified: true,
+  slotX: x, slotY: y, width: w, height: h, slotEndX: x + w, slotEndY: y + h, itemAddress: 0x5000 + handle, itemSlotHandle: handle,
+}, extra || {});
+const vest = (handle, x, extra) => raw(handle, 'Plate Vest', 'Armours/Body/BodyStr3', x, 0, 2, 3, Object.assign({ rarity: 2 }, extra));
+const orb = (handle, baseName, x, stackSize) => raw(handle, baseName, `Currency/${baseName.replace(/ /g, '')}`, x, 4, 1, 1, { stackSize });
+
+const bag = [
+  vest(1, 0), vest(2, 2),                        // life 70, ilvl 82 -> Rares (room for one)
+  vest(3, 4),                                    // ilvl 60 -> falls through to Gear
+  vest(4, 6),                                    // life 30 -> Gear
+  orb(5, 'Chaos Orb', 0, 10),                    // merges into the full currency tab's chaos stack
+  orb(6, 'Exalted Orb', 1, 10),                  // no stack to join, no room -> held
+  orb(7, 'Chaos Orb', 2, 2),                     // below minStack -> no rule
+  raw(8, 'Gold Ring', 'Rings/Ring12', 3, 4, 1, 1, { rarity: 2, isIdentified: false, unidentifiedTier: 4 }),
+  raw(9, 'Withered Wand', 'Weapons/OneHandWeapons/Wands/Wand1', 8, 0, 1, 2),
+];
+const mods = (itemLevel, life) => ({ isValid: true, itemLevel, implicitMods: [], explicitMods: [{ name: 'IncreasedLife5', value0: life }] });
+const frame = {
+  t: 10000,
+  inventories: {
+    [INV.MAIN]: { isValid: true, totalBoxesX: 12, totalBoxesY: 5, items: bag },
+    100: { isValid: true, totalBoxesX: 12, totalBoxesY: 12, items: [] },
+    101: { isValid: true, totalBoxesX: 4, totalBoxesY: 4, items: [raw(50, 'Plate Vest', 'Armours/Body/BodyStr3', 0, 0, 2, 4, { rarity: 2 })] },
+    102: { isValid: true, totalBoxesX: 1, totalBoxesY: 1, items: [raw(51, 'Chaos Orb', 'Currency/ChaosOrb', 0, 0, 1, 1, { stackSize: 20 })] },
+  },
+  itemMods: { [0x5032]: mods(84, 90), [0x5001]: mods(82, 70), [0x5002]: mods(82, 70), [0x5003]: mods(60, 70), [0x5004]: mods(82, 30) },
+  stashTabs: [
+    { tabId: 10, name: 'Gear', invId: 100, loaded: true },
+    { tabId: 11, name: 'Rares', invId: 101, loaded: true },
+    { tabId: 12, name: 'Currency', invId: 102, loaded: true },
+    { tabId: 13, name: 'Far', invId: 103, loaded: false },
+  ],
+};
+runtime.setFrame(frame);
+stashSorterPlugin.onTick();      // indexes the three loaded tabs (sizes included)
+
+// ---- rule priority and conditions ----
+const item = h => readInventory(INV.MAIN).items.find(it => it.handle === h);
+assert.equal(ruleForItem(item(1)).label, 'Life rares');     // priority 5 beats the earlier rule
+assert.equal(ruleForItem(item(3)).label, 'Any armour');     // item level too low
+assert.equal(ruleForItem(item(4)).label, 'Any armour');     // mod roll too low
+assert.equal(ruleForItem(item(7)), null);                   // stack too small
+
+// ---- dry run: the whole plan, capacity-checked, before anything is sent ----
+const plan = planDeposit();
+assert.deepEqual(plan.jobs.map(j => [j.handle, j.tabName, j.fit]), [
+  [1, 'Rares', 'ok'], [3, 'Gear', 'ok'], [4, 'Gear', 'ok'], [5, 'Currency', 'ok'], [8, 'Far', 'unchecked'],
+]);
+assert.deepEqual(plan.blocked.map(j => [j.handle, j.tabName]), [[2, 'Rares'], [6, 'Currency']]);
+assert.deepEqual([plan.unmatched, plan.unknownTab, plan.byTab], [1, 1, { Rares: 1, Gear: 2, Currency: 1, Far: 1 }]);
+assert.deepEqual(describePlan(plan), [
+  'Plate Vest -> Rares  (Life rares)',
+  'Plate Vest -> Gear  (Any armour)',
+  'Plate Vest -> Gear  (Any armour)',
+  'Chaos Orb -> Currency  (Currency stacks)',
+  'Gold Ring -> Far  (High unids, capacity unchecked)',
+  'HELD Plate Vest -> Rares  (tab full)',
+  'HELD Exalted Orb -> Currency  (tab full)',
+]);
+assert.deepEqual(runtime.moves, []);
+
+// ---- deposit sends exactly the planned moves, paced, and never the held ones ----
+runtime.stashOpen = true;
+startDeposit();
+for (let t = 10400; t <= 13000; t += 400) { runtime.setFrame({ ...frame, t }); stashSorterPlugin.onTick(); }
+assert.deepEqual(runtime.moves.map(m => [m.tabId, m.handle]), [[11, 1], [10, 3], [10, 4], [12, 5], [13, 8]]);
+assert.ok(runtime.moves.every((m, i) => i === 0 || m.t - runtime.moves[i - 1].t >= 300));
+
+// ---- offline search over what was indexed (base + mod names recorded per item) ----
+const hits = searchStash('mod:life rarity:rare');
+assert.deepEqual(hits.rows.map(r => [r.tab, r.x, r.y, r.name, r.stale]), [['Rares', 0, 0, 'Plate Vest', false]]);
+assert.deepEqual(searchStash('chaos').rows.map(r => [r.tab, r.stack]), [['Currency', 20]]);
+runtime.setFrame({ ...frame, t: 10000 + 25 * 3600 * 1000, stashTabs: [] });   // a day later, no tab loaded
+assert.equal(searchStash('chaos').rows[0].stale, true);
+
+assert.equal(exportStashIndex('csv'), '../../data/stash_index.csv');
+assert.match(runtime.files.get('../../data/stash_index.csv'), /^tab,tabId,x,y,name,base,rarity,stack,w,h,mods,seen,stale\nRares,11,0,0,Plate Vest,Plate Vest,rare,1,2,4,IncreasedLife5,/);
+assert.equal(exportStashIndex('json'), '../../data/stash_index.json');
+assert.deepEqual(JSON.parse(runtime.files.get('../../data/stash_index.json')).tabs.map(t => t.name), ['Gear', 'Rares', 'Currency']);
+
+// ---- tidy: misplaced items go out to the bag and back in, in target order; then the replan finds it tidy ----
+const T1 = 10000 + 26 * 3600 * 1000;
+const gearTab = items => ({ isValid: true, totalBoxesX: 12, totalBoxesY: 12, items });
+const tidyFrame = (t, gear, bagItems) => ({ ...frame, t, inventories: { ...frame.inventories, [INV.MAIN]: { isValid: true, totalBoxesX: 12, totalBoxesY: 5, items: bagItems }, 100: gearTab(gear) } });
+const ring = raw(60, 'Gold Ring', 'Rings/Ring12', 5, 5, 1, 1);
+const staff = raw(61, 'Ashen Staff', 'Weapons/TwoHandWeapons/Staves/Staff1', 9, 0, 1, 4);
+runtime.clearOutput();
+runtime.setFrame(tidyFrame(T1, [ring, staff], []));
+assert.equal(startTidy('Gear', 'base'), true);
+for (let t = T1 + 400; t <= T1 + 1200; t += 400) { runtime.setFrame(tidyFrame(t, [ring, staff], [])); stashSorterPlugin.onTick(); }
+assert.deepEqual(runtime.moves.map(m => [m.toStash, m.tabId, m.handle]), [[false, 10, 61], [false, 10, 60]]);
+// the game put them in the bag under new handles
+const back = [raw(70, 'Gold Ring', 'Rings/Ring12', 0, 0, 1, 1), raw(71, 'Ashen Staff', 'Weapons/TwoHandWeapons/Staves/Staff1', 1, 0, 1, 4)];
+for (let t = T1 + 2000; t <= T1 + 3200; t += 400) { runtime.setFrame(tidyFrame(t, [], back)); stashSorterPlugin.onTick(); }
+assert.deepEqual(runtime.moves.slice(2).map(m => [m.toStash, m.handle]), [[true, 71], [true, 70]]);   // staff first
+const tidyGear = [raw(80, 'Ashen Staff', 'Weapons/TwoHandWeapons/Staves/Staff1', 0, 0, 1, 4), raw(81, 'Gold Ring', 'Rings/Ring12', 0, 4, 1, 1)];
+for (let t = T1 + 3600; t <= T1 + 4400; t += 400) { runtime.setFrame(tidyFrame(t, tidyGear, [])); stashSorterPlugin.onTick(); }
+assert.equal(runtime.moves.length, 4);
+assert.ok(runtime.logs.some(l => /Tidy Gear: done in 1 pass/.test(l)));
+
+// ---- vendor recipes (from the data file): backpack stack first, the rest fetched from the indexed tab ----
+runtime.files.set('./vendor_recipes.json', JSON.stringify({ recipes: [
+  { id: 'chaos', name: 'Chaos stacks', result: 'test', inputs: [{ label: 'chaos', match: { name: 'Chaos Orb' }, sum: 'stack', total: 25 }] },
+] }));
+const T2 = T1 + 10000;
+runtime.setFrame(tidyFrame(T2, tidyGear, [raw(90, 'Chaos Orb', 'Currency/ChaosOrb', 0, 0, 1, 1, { stackSize: 10 })]));
+const rplan = planVendorRecipes(true)[0];
+assert.deepEqual(rplan.sets[0].map(e => [e.where, e.item.stack]), [['bag', 10], ['Currency', 20]]);
+assert.equal(prepareRecipe('chaos'), 1);
+for (let t = T2 + 400; t <= T2 + 1200; t += 400) { runtime.setFrame({ ...runtime.frame, t }); stashSorterPlugin.onTick(); }
+assert.deepEqual(runtime.moves.slice(4).map(m => [m.toStash, m.tabId, m.handle]), [[false, 12, 51]]);
+assert.equal(prepareRecipe('nope'), 0);
+
+runtime.print('stash_sorter tests passed');
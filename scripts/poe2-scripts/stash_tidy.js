@@ -0,0 +1,122 @@
+/**
+ * stash_tidy.js — the "tidy tab" planner: a compact, grouped target layout for one stash tab and the moves
+ * that get there.
+ *
+ * The SDK can't place an item at a chosen cell (inventory.js: in-grid reposition is not possible). What it can
+ * do is move an item out to the backpack and back in, and the game drops an incoming item into the FIRST free
+ * spot that fits. So the target layout is built the same way: items sorted (grouped, biggest first) and
+ * first-fit into an empty grid in that order. Re-inserting the misplaced items in that order reproduces it --
+ * items already sitting at their target cell can stay, because first-fit never wanted the cells they hold.
+ *
+ * The game's fill order is column-major (top to bottom, then the next column); `scan: 'rows'` switches to
+ * row-major. Only plain grid tabs are tidied: normal 12x12 and quad 24x24.
+ *
+ * Pure module (no game API): stash_sorter runs the moves; node tests cover the planner directly.
+ */
+
+export const TIDY_GROUPS = ['base', 'rarity', 'size'];
+export const TIDY_SIZES = [12, 24];   // normal, quad
+
+function _area(it) { return (it.w || 1) * (it.h || 1); }
+function _base(it) { return String(it.base || it.name || ''); }
+
+/**
+ * Items in target order. groupBy 'base' (base type groups, the group with the biggest item first), 'rarity'
+ * (uniques, rares, magic, normal) or 'size' (no groups). Inside a group: biggest first, then name, then
+ * stack size (desc).
+ */
+export function tidyOrder(items, groupBy = 'base') {
+  const key = groupBy === 'rarity' ? function (it) { return String(3 - (it.rarity || 0)); }
+    : groupBy === 'size' ? function () { return ''; }
+      : function (it) { return _base(it).toLowerCase(); };
+  const groupArea = {};
+  if (groupBy === 'base') for (const it of items) { const k = key(it); groupArea[k] = Math.max(groupArea[k] || 0, _area(it)); }
+  return items.slice().sort(function (a, b) {
+    const ka = key(a), kb = key(b);
+    if (ka !== kb) return ((groupArea[kb] || 0) - (groupArea[ka] || 0)) || (ka < kb ? -1 : 1);
+    return (_area(b) - _area(a)) || ((b.h || 1) - (a.h || 1)) ||
+      String(a.name || '').localeCompare(String(b.name || '')) || ((b.stack || 0) - (a.stack || 0));
+  });
+}
+
+// First free spot for a w x h item, scanning columns (game fill order) or rows. Marks it occupied.
+function _place(occ, W, H, w, h, scan) {
+  const fits = function (x, y) {
+    for (let yy = y; yy < y + h; yy++) for (let xx = x; xx < x + w; xx++) if (occ[yy * W + xx]) return false;
+    return true;
+  };
+  const claim = function (x, y) {
+    for (let yy = y; yy < y + h; yy++) for (let xx = x; xx < x + w; xx++) occ[yy * W + xx] = true;
+    return { x: x, y: y };
+  };
+  if (scan === 'rows') {
+    for (let y = 0; y + h <= H; y++) for (let x = 0; x + w <= W; x++) if (fits(x, y)) return claim(x, y);
+  } else {
+    for (let x = 0; x + w <= W; x++) for (let y = 0; y + h <= H; y++) if (fits(x, y)) return claim(x, y);
+  }
+  return null;
+}
+
+/**
+ * First-fit `ordered` into an empty width x height grid.
+ * Returns { placed: [{ item, x, y }], unplaced: [items] } (unplaced only if the items never fit at all).
+ */
+export function packLayout(width, height, ordered, scan = 'columns') {
+  const occ = new Array(width * height).fill(false);
+  const placed = [];
+  const unplaced = [];
+  for (const it of ordered) {
+    const at = _place(occ, width, height, it.w || 1, it.h || 1, scan);
+    if (at) placed.push({ item: it, x: at.x, y: at.y }); else unplaced.push(it);
+  }
+  return { placed: placed, unplaced: unplaced };
+}
+
+/**
+ * Plan tidying one tab. tab = { width, height, items: [{ name, base, rarity, stack, w, h, x, y, ... }] } (a
+ * stash index entry, or a live tab in the same shape). opts: groupBy, scan, bag (an occupancy grid
+ * { width, height, occupied[] } of the backpack, to size the first batch; omit = unlimited).
+ *
+ * Returns { error } or { target: [{ item, x, y }], stay: [items], move: [items in re-insert order],
+ * batch: [the leading part of `move` the bag can hold], unplaced: [items] }. An empty `move` = already tidy.
+ * When the batch is shorter than `move`, one out-and-back pass won't finish: replan after it.
+ */
+export function planTidy(tab, { groupBy = 'base', scan = 'columns', bag = null } = {}) {
+  if (!tab || TIDY_SIZES.indexOf(tab.width) < 0 || tab.width !== tab.height) {
+    return { error: `not a normal or quad tab (${tab ? tab.width + 'x' + tab.height : 'no grid'})` };
+  }
+  const layout = packLayout(tab.width, tab.height, tidyOrder(tab.items || [], groupBy), scan);
+  const stay = [];
+  const move = [];
+  for (const p of layout.placed) {
+    if (p.item.x === p.x && p.item.y === p.y) stay.push(p.item); else move.push(p.item);
+  }
+  let batch = move;
+  if (bag) {
+    const occ = bag.occupied.slice();
+    batch = [];
+    for (const it of move) {
+      if (!_place(occ, bag.width, bag.height, it.w || 1, it.h || 1, scan)) break;
+      batch.push(it);
+    }
+  }
+  return { target: layout.placed, stay: stay, move: move, batch: batch, unplaced: layout.unplaced };
+}
+
+/**
+ * Match items that just arrived in the backpack (`arrived`, readInventory items) to the batch sent out (index
+ * records: name = unique or base name), so they go back in batch order. Matching is by name, size and stack --
+ * handles change when an item moves.
+ * Returns [bag items] in batch order; batch items with no match are skipped.
+ */
+export function matchReturned(batch, arrived) {
+  const pool = arrived.slice();
+  const out = [];
+  for (const b of batch) {
+    const i = pool.findIndex(function (a) {
+      return (a.unique || a.base) === b.name && a.w === b.w && a.h === b.h && (a.stack || 1) === (b.stack || 1);
+    });
+    if (i >= 0) out.push(pool.splice(i, 1)[0]);
+  }
+  return out;
+}
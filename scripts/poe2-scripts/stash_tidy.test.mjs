@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { tidyOrder, packLayout, planTidy, matchReturned } from './stash_tidy.js';
+
+const it = (name, x, y, w, h, extra) => Object.assign({ name, base: name, rarity: 0, stack: 1, w, h, x, y }, extra);
+const tab = {
+  width: 12, height: 12, items: [
+    it('Plate Vest', 0, 0, 2, 3), it('Gold Ring', 5, 5, 1, 1, { rarity: 2 }), it('Plate Vest', 10, 9, 2, 3),
+    it('Chaos Orb', 3, 0, 1, 1, { stack: 4 }), it('Ashen Staff', 7, 2, 1, 4), it('Chaos Orb', 11, 0, 1, 1, { stack: 20 }),
+  ],
+};
+const at = p => `${p.item.name}@${p.x},${p.y}`;
+
+// ---- order: base groups (biggest item's group first), biggest first, bigger stacks first ----
+assert.deepEqual(tidyOrder(tab.items).map(i => i.name + (i.stack > 1 ? ' x' + i.stack : '')), [
+  'Plate Vest', 'Plate Vest', 'Ashen Staff', 'Chaos Orb x20', 'Chaos Orb x4', 'Gold Ring',
+]);
+assert.deepEqual(tidyOrder(tab.items, 'rarity').map(i => i.name).slice(0, 2), ['Gold Ring', 'Plate Vest']);
+assert.deepEqual(tidyOrder([it('a', 0, 0, 1, 1), it('b', 0, 0, 2, 2), it('c', 0, 0, 1, 2)], 'size').map(i => i.name), ['b', 'c', 'a']);
+
+// ---- packing: first fit, column-major like the game (rows on request) ----
+const plan = planTidy(tab);
+assert.deepEqual(plan.target.map(at), [
+  'Plate Vest@0,0', 'Plate Vest@0,3', 'Ashen Staff@0,6', 'Chaos Orb@0,10', 'Chaos Orb@0,11', 'Gold Ring@1,6',
+]);
+assert.deepEqual(plan.stay.map(i => [i.x, i.y]), [[0, 0]]);                       // already where it belongs
+assert.deepEqual(plan.move.map(i => i.name), ['Plate Vest', 'Ashen Staff', 'Chaos Orb', 'Chaos Orb', 'Gold Ring']);
+assert.equal(plan.batch, plan.move);
+assert.deepEqual(packLayout(4, 4, [it('a', 0, 0, 2, 2), it('b', 0, 0, 1, 1), it('c', 0, 0, 1, 1)], 'rows').placed.map(at), ['a@0,0', 'b@2,0', 'c@3,0']);
+assert.deepEqual(packLayout(2, 2, [it('big', 0, 0, 2, 2), it('x', 0, 0, 1, 1)]).unplaced.map(i => i.name), ['x']);
+
+// re-inserting `move` in order around the items that stay reproduces the target (the game's first fit)
+const after = packLayout(12, 12, plan.stay.concat(plan.move)).placed;
+assert.deepEqual(after.map(at), plan.target.map(at));
+
+// a tidy tab plans nothing
+const tidied = { width: 12, height: 12, items: plan.target.map(p => ({ ...p.item, x: p.x, y: p.y })) };
+assert.deepEqual(planTidy(tidied).move, []);
+
+// ---- the backpack bounds one pass ----
+const bag = { width: 2, height: 5, occupied: new Array(10).fill(false) };
+bag.occupied[8] = bag.occupied[9] = true;                                           // bottom row full
+assert.deepEqual(planTidy(tab, { bag }).batch.map(i => i.name), ['Plate Vest']);   // the staff no longer fits
+
+// ---- only normal (12x12) and quad (24x24) tabs ----
+assert.match(planTidy({ width: 1, height: 1, items: [] }).error, /not a normal or quad tab \(1x1\)/);
+assert.deepEqual(planTidy({ width: 24, height: 24, items: [it('Ring', 23, 23, 1, 1)] }).target.map(at), ['Ring@0,0']);
+
+// ---- back in the batch's order: match returned bag items by name, size and stack ----
+const arrived = [
+  { base: 'Chaos Orb', w: 1, h: 1, stack: 4, handle: 91 }, { base: 'Plate Vest', w: 2, h: 3, stack: 1, handle: 92 },
+  { base: 'Chaos Orb', w: 1, h: 1, stack: 20, handle: 93 },
+];
+assert.deepEqual(matchReturned(plan.move, arrived).map(a => a.handle), [92, 93, 91]);
+
+console.log('stash_tidy tests passed');
@@ -0,0 +1,111 @@
+/**
+ * state_timeline.js — mapper STATE timeline: transition history + time-in-state totals (mapper split).
+ *
+ * Pure bookkeeping, game-API free: mapper feeds every state entry through tlEnter(); the inspector window and
+ * the map audit read it back. Two scopes: 'map' (cleared by tlMapStart on a real map change) and 'session'
+ * (cleared only by tlSessionReset). Times are wall ms; the open segment counts up to the `now` the reader passes.
+ */
+
+const TL_HISTORY_DEFAULT = 50;
+
+let _historyCap = TL_HISTORY_DEFAULT;
+let _history = [];                 // [{ at, from, to, reason }] oldest first, capped
+let _state = '';                   // state the open segment belongs to
+let _since = 0;                    // wall ms the open segment began
+let _mapTotals = new Map();        // state -> closed ms this map
+let _sessionTotals = new Map();    // state -> closed ms this session
+let _mapStartedAt = 0;
+let _sessionStartedAt = 0;
+let _mapEntries = new Map();       // state -> entries this map (a state re-entered 40x is a thrash, not a stall)
+
+export function tlConfigure({ historySize } = {}) {
+  if (Number.isFinite(historySize) && historySize > 0) _historyCap = Math.floor(historySize);
+  if (_history.length > _historyCap) _history = _history.slice(-_historyCap);
+}
+
+function _closeSegment(now) {
+  if (!_state || !(now > _since)) return;
+  const ms = now - _since;
+  _mapTotals.set(_state, (_mapTotals.get(_state) || 0) + ms);
+  _sessionTotals.set(_state, (_sessionTotals.get(_state) || 0) + ms);
+  _since = now;
+}
+
+/** Record entry into `state`. A re-entry of the current state is ignored (setState never logs those either). */
+export function tlEnter(state, reason, now) {
+  if (!state || state === _state) return;
+  if (!_sessionStartedAt) _sessionStartedAt = now;
+  if (!_mapStartedAt) _mapStartedAt = now;
+  _closeSegment(now);
+  _history.push({ at: now, from: _state || '-', to: state, reason: reason || '' });
+  if (_history.length > _historyCap) _history.splice(0, _history.length - _historyCap);
+  _mapEntries.set(state, (_mapEntries.get(state) || 0) + 1);
+  _state = state;
+  _since = now;
+}
+
+/** A new map begins: the open segment is closed into the totals, then the map scope starts empty. */
+export function tlMapStart(now) {
+  _closeSegment(now);
+  _mapTotals = new Map();
+  _mapEntries = new Map();
+  if (_state) _mapEntries.set(_state, 1);
+  _mapStartedAt = now;
+}
+
+export function tlSessionReset(now) {
+  _closeSegment(now);
+  _history = [];
+  _mapTotals = new Map();
+  _sessionTotals = new Map();
+  _mapEntries = new Map();
+  _mapStartedAt = now;
+  _sessionStartedAt = now;
+}
+
+/** { state, sinceMs, enteredAt } -- sinceMs is the live time in the current state. */
+export function tlCurrent(now) {
+  return { state: _state, sinceMs: _state ? Math.max(0, now - _since) : 0, enteredAt: _since };
+}
+
+/** Newest-first copy of the last `n` transitions (default: all kept). */
+export function tlHistory(n) {
+  const out = _history.slice(-(Number.isFinite(n) && n > 0 ? n : _history.length));
+  return out.reverse();
+}
+
+/**
+ * Per-state time for a scope, open segment included: [{ state, ms, share, entries? }] sorted by ms desc.
+ * `share` is the fraction of the scope's total tracked time.
+ */
+export function tlTotals(scope, now) {
+  const src = scope === 'session' ? _sessionTotals : _mapTotals;
+  const totals = new Map(src);
+  if (_state && now > _since) totals.set(_state, (totals.get(_state) || 0) + (now - _since));
+  let sum = 0;
+  for (const ms of totals.values()) sum += ms;
+  const rows = [];
+  for (const [state, ms] of totals) {
+    const row = { state, ms, share: sum > 0 ? ms / sum : 0 };
+    if (scope !== 'session') row.entries = _mapEntries.get(state) || 0;
+    rows.push(row);
+  }
+  rows.sort((a, b) => b.ms - a.ms);
+  return rows;
+}
+
+export function tlScopeStartedAt(scope) {
+  return scope === 'session' ? _sessionStartedAt : _mapStartedAt;
+}
+
+function _fmtSec(ms) { return (ms / 1000).toFixed(ms < 10000 ? 1 : 0) + 's'; }
+
+/**
+ * One-line map-scope summary for the map audit: `states=[FINDING_BOSS 95s/3x ...] last=[A>B(reason) ...]`.
+ * `lastN` transitions are appended so a stall's lead-up rides along with the totals.
+ */
+export function tlAuditLine(now, lastN = 5) {
+  const states = tlTotals('map', now).map(r => `${r.state} ${_fmtSec(r.ms)}/${r.entries}x`).join(' ');
+  const last = tlHistory(lastN).reverse().map(h => `${h.from}>${h.to}${h.reason ? `(${h.reason})` : ''}`).join(' ');
+  return `states=[${states}] last=[${last}]`;
+}
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import {
+  tlConfigure,
+  tlEnter,
+  tlMapStart,
+  tlSessionReset,
+  tlCurrent,
+  tlHistory,
+  tlTotals,
+  tlScopeStartedAt,
+  tlAuditLine,
+} from './state_timeline.js';
+
+const byState = rows => Object.fromEntries(rows.map(r => [r.state, r.ms]));
+
+assert.deepEqual(tlCurrent(0), { state: '', sinceMs: 0, enteredAt: 0 });
+assert.deepEqual(tlTotals('map', 0), []);
+
+tlEnter('IDLE', 'reset: load', 1000);
+tlEnter('FINDING_BOSS', 'boss-only mapping', 2000);
+tlEnter('WALKING_TO_BOSS_CHECKPOINT', 'boss arena located', 5000);
+tlEnter('WALKING_TO_BOSS_CHECKPOINT', 'ignored re-entry', 6000);
+
+// the open segment counts live: a 4min checkpoint stall is visible before the state ever exits
+const stallAt = 5000 + 240000;
+assert.deepEqual(tlCurrent(stallAt), { state: 'WALKING_TO_BOSS_CHECKPOINT', sinceMs: 240000, enteredAt: 5000 });
+assert.deepEqual(byState(tlTotals('map', stallAt)), { IDLE: 1000, FINDING_BOSS: 3000, WALKING_TO_BOSS_CHECKPOINT: 240000 });
+assert.equal(tlTotals('map', stallAt)[0].state, 'WALKING_TO_BOSS_CHECKPOINT');
+assert.equal(tlTotals('map', stallAt)[0].entries, 1);
+assert.ok(Math.abs(tlTotals('map', stallAt).reduce((a, r) => a + r.share, 0) - 1) < 1e-9);
+
+// history is newest first, re-entries are not transitions
+const hist = tlHistory();
+assert.equal(hist.length, 3);
+assert.deepEqual(hist[0], { at: 5000, from: 'FINDING_BOSS', to: 'WALKING_TO_BOSS_CHECKPOINT', reason: 'boss arena located' });
+assert.equal(hist[2].from, '-');
+assert.equal(tlHistory(1).length, 1);
+
+assert.equal(
+  tlAuditLine(stallAt, 2),
+  'states=[WALKING_TO_BOSS_CHECKPOINT 240s/1x FINDING_BOSS 3.0s/1x IDLE 1.0s/1x] ' +
+  'last=[IDLE>FINDING_BOSS(boss-only mapping) FINDING_BOSS>WALKING_TO_BOSS_CHECKPOINT(boss arena located)]'
+);
+
+// a new map clears the map scope only; the session keeps everything
+tlEnter('IDLE', 'reset: area-change', stallAt);
+tlMapStart(stallAt);
+assert.equal(tlScopeStartedAt('map'), stallAt);
+assert.equal(tlScopeStartedAt('session'), 1000);
+tlEnter('HIDEOUT_CHECK_PORTALS', 'in hideout', stallAt + 500);
+assert.deepEqual(byState(tlTotals('map', stallAt + 1500)), { IDLE: 500, HIDEOUT_CHECK_PORTALS: 1000 });
+assert.equal(tlTotals('map', stallAt + 1500).find(r => r.state === 'IDLE').entries, 1);
+assert.deepEqual(byState(tlTotals('session', stallAt + 1500)),
+  { IDLE: 1500, FINDING_BOSS: 3000, WALKING_TO_BOSS_CHECKPOINT: 240000, HIDEOUT_CHECK_PORTALS: 1000 });
+assert.equal(tlTotals('session', stallAt).find(r => r.state === 'IDLE').entries, undefined);
+
+// history cap
+tlConfigure({ historySize: 3 });
+for (let i = 0; i < 10; i++) tlEnter(i % 2 ? 'FINDING_BOSS' : 'WALKING_TO_UTILITY', 'thrash', 300000 + i);
+assert.equal(tlHistory().length, 3);
+assert.equal(tlTotals('map', 300010).find(r => r.state === 'WALKING_TO_UTILITY').entries, 5);
+
+tlSessionReset(400000);
+assert.equal(tlHistory().length, 0);
+assert.deepEqual(byState(tlTotals('session', 400500)), { FINDING_BOSS: 500 });
+
+console.log('state_timeline tests passed');
@@ -0,0 +1,99 @@
+/**
+ * utility_flasks.js — rule-driven utility flask / charm use for chicken.
+ *
+ * A rule names a belt slot and the conditions to use it under:
+ *   { name, slot, buff, enabled, conditions: [{ type, operator, value, stringValue?, radius? }] }
+ * Conditions are rotation_builder's (same object shape, same ids and operators, evaluated by rotation_conditions'
+ * evaluateLeaf), the ones that make sense without a target -- player buffs / pools, nearby monster count, cast
+ * interval -- plus two a flask wants:
+ *   nearby_rare_count   alive rare + unique monsters within `radius` of the player, compared via operator/value
+ *   boss_fight_active   the mapper is fighting a boss (chicken tracks its bossFightChanged events)
+ * `buff` is the flask's effect buff (substring, e.g. "flask_utility_sprint"): while the player has it the rule
+ * waits, so an active flask is never re-used. cast_interval_ms and the minimum gap read the last use of the rule's
+ * belt slot: two rules on one flask share it, and renaming or reordering rules doesn't reset it.
+ *
+ * Pure module (no game API): chicken builds the context each frame and sends the packet; node tests cover it.
+ */
+
+import { evaluateLeaf } from './rotation_conditions.js';
+
+export const UTILITY_CONDITION_TYPES = [
+  { id: 'player_missing_buff', label: 'Player missing buff', unit: 'buff_name' },
+  { id: 'player_has_buff', label: 'Player has buff', unit: 'buff_name' },
+  { id: 'player_health', label: 'Player Health %', unit: '%' },
+  { id: 'player_mana_pct', label: 'Player Mana %', unit: '%' },
+  { id: 'player_es', label: 'Player ES %', unit: '%' },
+  { id: 'nearby_monster_count', label: 'Nearby monster count (radius)', unit: 'count' },
+  { id: 'nearby_rare_count', label: 'Nearby rare/unique count (radius)', unit: 'count' },
+  { id: 'boss_fight_active', label: 'Boss fight active', unit: 'bool' },
+  { id: 'cast_interval_ms', label: 'Cast interval (min ms between uses)', unit: 'ms' },
+];
+export const UTILITY_OPERATORS = ['>', '<', '>=', '<=', '==', '!='];
+export const UTILITY_SLOTS = [2, 3, 4];   // belt slots after life (0) and mana (1)
+
+// Floor between two uses of the same rule even without a cast_interval_ms condition (a flask's effect buff can
+// take a frame or two to show up after the packet).
+export const UTILITY_MIN_GAP_MS = 1000;
+
+/**
+ * Check rule / condition lists loaded from settings. Returns { rules, errors }: a rule with an unknown condition
+ * type or a slot outside UTILITY_SLOTS is left out with a message; the rest load (enabled defaults to true).
+ */
+export function parseUtilityRules(list) {
+  const rules = [];
+  const errors = [];
+  (Array.isArray(list) ? list : []).forEach(function (r, i) {
+    const where = `rule ${i + 1}${r && r.name ? ` '${r.name}'` : ''}`;
+    const before = errors.length;
+    if (!r || typeof r !== 'object') { errors.push(`${where}: not an object`); return; }
+    if (UTILITY_SLOTS.indexOf(r.slot) < 0) errors.push(`${where}: slot must be one of ${UTILITY_SLOTS.join(', ')}`);
+    const conds = Array.isArray(r.conditions) ? r.conditions : [];
+    conds.forEach(function (c, j) {
+      if (!c || !UTILITY_CONDITION_TYPES.some(t => t.id === c.type)) errors.push(`${where} condition ${j + 1}: unknown type '${c && c.type}'`);
+    });
+    if (errors.length > before) return;
+    rules.push({ index: i, name: r.name || `Slot ${r.slot}`, slot: r.slot, buff: r.buff || '', enabled: r.enabled !== false, conditions: conds });
+  });
+  return { rules, errors };
+}
+
+/**
+ * One condition against ctx = { player, monsters, bossFight, now, lastUsedAt } (lastUsedAt = this rule's slot's
+ * last use, 0 = never). Everything but the two flask types is rotation_conditions' evaluateLeaf with no target,
+ * so the monster counts center on the player; unknown types fail there.
+ */
+export function evaluateUtilityCondition(cond, ctx) {
+  if (cond.type === 'boss_fight_active') return !!ctx.bossFight;
+  const monsters = ctx.monsters || [];
+  const leafCtx = { player: ctx.player, now: ctx.now, lastCastAt: ctx.lastUsedAt || undefined, nearbyMonsters: () => monsters };
+  if (cond.type === 'nearby_rare_count') {
+    const rares = monsters.filter(m => (m.rarity || 0) >= 2);
+    return evaluateLeaf(Object.assign({}, cond, { type: 'nearby_monster_count', radius: parseFloat(cond.radius) || 60 }),
+      Object.assign(leafCtx, { nearbyMonsters: () => rares }));
+  }
+  return evaluateLeaf(cond, leafCtx);
+}
+
+/**
+ * Why a rule would or wouldn't fire now: 'ready' | 'disabled' | 'buff active' | 'cooldown' | 'conditions'.
+ * ctx as evaluateUtilityCondition, plus hasBuff(part) -- chicken passes POE2Cache.hasBuff.
+ */
+export function utilityRuleStatus(rule, ctx) {
+  if (!rule.enabled) return 'disabled';
+  if (rule.buff && ctx.hasBuff(rule.buff)) return 'buff active';
+  if (ctx.now - (ctx.lastUsedAt || 0) < UTILITY_MIN_GAP_MS) return 'cooldown';
+  for (const c of rule.conditions) if (!evaluateUtilityCondition(c, ctx)) return 'conditions';
+  return 'ready';
+}
+
+/**
+ * The first rule (list order = priority) that is ready, or null. lastUsed = { slot: ms }; one use per call --
+ * chicken calls this once per frame.
+ */
+export function pickUtilityRule(rules, ctx, lastUsed) {
+  for (const rule of rules) {
+    const rctx = Object.assign({}, ctx, { lastUsedAt: lastUsed[rule.slot] || 0 });
+    if (utilityRuleStatus(rule, rctx) === 'ready') return rule;
+  }
+  return null;
+}
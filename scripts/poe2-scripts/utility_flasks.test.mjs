@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { parseUtilityRules, evaluateUtilityCondition, utilityRuleStatus, pickUtilityRule, UTILITY_MIN_GAP_MS } from './utility_flasks.js';
+
+// ---- loading: bad rules are skipped with a reason, the rest load ----
+const loaded = parseUtilityRules([
+  { name: 'Quicksilver', slot: 2, buff: 'flask_utility_sprint', conditions: [{ type: 'player_missing_buff', stringValue: 'flask_utility_sprint' }] },
+  { name: 'Bad slot', slot: 0, conditions: [] },
+  { name: 'Bad cond', slot: 3, conditions: [{ type: 'monster_rarity' }] },
+  { slot: 4, enabled: false },
+]);
+assert.deepEqual(loaded.errors, ["rule 2 'Bad slot': slot must be one of 2, 3, 4", "rule 3 'Bad cond' condition 1: unknown type 'monster_rarity'"]);
+assert.deepEqual(loaded.rules.map(r => [r.name, r.slot, r.enabled]), [['Quicksilver', 2, true], ['Slot 4', 4, false]]);
+assert.deepEqual(parseUtilityRules(undefined), { rules: [], errors: [] });
+
+// ---- conditions: rotation_builder's shape and operators ----
+const player = { gridX: 100, gridY: 100, healthCurrent: 400, healthMax: 1000, esCurrent: 0, esMax: 0, buffs: [{ name: 'onslaught' }] };
+const mon = (x, rarity, alive = true) => ({ gridX: 100 + x, gridY: 100, rarity, isAlive: alive });
+const monsters = [mon(10, 0), mon(20, 2), mon(40, 3), mon(80, 3), mon(5, 3, false)];
+const ctx = { player, monsters, bossFight: false, now: 10000, lastUsedAt: 0 };
+const ev = c => evaluateUtilityCondition(c, ctx);
+assert.equal(ev({ type: 'player_missing_buff', stringValue: 'flask_utility' }), true);
+assert.equal(ev({ type: 'player_has_buff', stringValue: 'onslaught' }), true);
+assert.equal(ev({ type: 'player_health', operator: '<', value: 50 }), true);
+assert.equal(ev({ type: 'player_es', operator: '<', value: 50 }), false);          // no ES pool: never passes
+assert.equal(ev({ type: 'nearby_monster_count', operator: '>=', value: 2, radius: 30 }), true);
+assert.equal(ev({ type: 'nearby_rare_count', operator: '>=', value: 2, radius: 60 }), true);   // rare @20 + unique @40
+assert.equal(ev({ type: 'nearby_rare_count', operator: '>=', value: 3, radius: 60 }), false);  // @80 out, dead one ignored
+assert.equal(ev({ type: 'boss_fight_active' }), false);
+assert.equal(evaluateUtilityCondition({ type: 'boss_fight_active' }, { ...ctx, bossFight: true }), true);
+assert.equal(evaluateUtilityCondition({ type: 'cast_interval_ms', value: 5000 }, { ...ctx, lastUsedAt: 6000 }), false);
+assert.equal(evaluateUtilityCondition({ type: 'cast_interval_ms', value: 4000 }, { ...ctx, lastUsedAt: 6000 }), true);
+assert.equal(ev({ type: 'distance', operator: '<', value: 10 }), false);            // target-only types fail
+
+// ---- status + pick: an active buff is never re-used; list order is priority ----
+const [quick] = loaded.rules;
+const hasBuff = part => player.buffs.some(b => b.name.includes(part));
+assert.equal(utilityRuleStatus(quick, { ...ctx, hasBuff }), 'ready');
+player.buffs.push({ name: 'flask_utility_sprint' });
+assert.equal(utilityRuleStatus(quick, { ...ctx, hasBuff }), 'buff active');
+player.buffs.pop();
+assert.equal(utilityRuleStatus(quick, { ...ctx, hasBuff, lastUsedAt: ctx.now - UTILITY_MIN_GAP_MS + 1 }), 'cooldown');
+assert.equal(utilityRuleStatus(loaded.rules[1], { ...ctx, hasBuff }), 'disabled');
+
+const boss = parseUtilityRules([
+  { name: 'Boss charm', slot: 3, conditions: [{ type: 'boss_fight_active' }] },
+  { name: 'Rares', slot: 4, conditions: [{ type: 'nearby_rare_count', operator: '>=', value: 1, radius: 60 }] },
+]).rules;
+assert.equal(pickUtilityRule(boss, { ...ctx, hasBuff }, {}).name, 'Rares');
+assert.equal(pickUtilityRule(boss, { ...ctx, hasBuff, bossFight: true }, {}).name, 'Boss charm');
+assert.equal(pickUtilityRule(boss, { ...ctx, hasBuff, bossFight: true }, { 3: 9500, 4: 9900 }), null);
+// the gap belongs to the flask: another rule on the same slot waits too, whatever it's called
+const sameFlask = parseUtilityRules([
+  { name: 'Boss charm', slot: 3, conditions: [{ type: 'boss_fight_active' }] },
+  { name: 'Renamed', slot: 3, conditions: [] },
+]).rules;
+assert.deepEqual(sameFlask.map(r => r.index), [0, 1]);
+assert.equal(pickUtilityRule(sameFlask, { ...ctx, hasBuff }, { 3: 9500 }), null);
+assert.equal(pickUtilityRule(sameFlask, { ...ctx, hasBuff }, { 3: 8000 }).name, 'Renamed');
+
+console.log('utility_flasks tests passed');
@@ -0,0 +1,143 @@
+/**
+ * vendor_recipes.js — vendor recipe planner: which recipes the indexed stash + backpack can complete right now,
+ * with which items, and what a partial one still needs.
+ *
+ * Recipes live in vendor_recipes.json (edit it to add or retune one; no code change):
+ *   { "recipes": [ { "id", "name", "result", "common"?: {match}, "inputs": [input, ...] } ] }
+ *   input  { "label", "match": {...}, "count": N }                     N items matching
+ *          { "label", "match": {...}, "sum": "quality", "total": 40 } items whose quality (or "stack") adds up to 40
+ *   match  path / name       substring, or a list of them (any)       -- case-insensitive
+ *          rarity            exact (0 normal .. 3 unique); minRarity / maxRarity
+ *          identified        true / false
+ *          minQuality, minItemLevel, maxItemLevel, minStack
+ *   common                   match fields merged into every input's match (e.g. "rare, unidentified")
+ *
+ * Items are stash index records ({ name, path, rarity, stack, identified, quality, ilvl, ... }) tagged with where
+ * they are: 'bag' or the tab name. Backpack items are used first -- they need no moves.
+ *
+ * Pure module (no game API): stash_sorter loads the file, builds the item pool and moves the picks to the
+ * backpack; node tests cover it directly.
+ */
+
+const MATCH_KEYS = ['path', 'name', 'rarity', 'minRarity', 'maxRarity', 'identified', 'minQuality', 'minItemLevel', 'maxItemLevel', 'minStack'];
+const SUM_FIELDS = { quality: function (it) { return it.quality || 0; }, stack: function (it) { return Math.max(1, it.stack || 0); } };
+
+function _list(v) { return v == null ? [] : (Array.isArray(v) ? v : [v]).map(function (s) { return String(s).toLowerCase(); }); }
+
+function _checkMatch(match, where, errors) {
+  if (!match || typeof match !== 'object' || Array.isArray(match)) { errors.push(`${where}: match must be an object`); return; }
+  for (const k of Object.keys(match)) if (MATCH_KEYS.indexOf(k) < 0) errors.push(`${where}: unknown match field '${k}'`);
+}
+
+/**
+ * Parse vendor_recipes.json text. Returns { recipes, errors }; a recipe with an error is left out, the rest load.
+ * Matches come back normalized (common merged in; path / name lower-cased lists).
+ */
+export function parseRecipes(text) {
+  const errors = [];
+  let data;
+  try { data = JSON.parse(String(text || '')); } catch (e) { return { recipes: [], errors: [`json: ${e.message}`] }; }
+  const list = data && Array.isArray(data.recipes) ? data.recipes : null;
+  if (!list) return { recipes: [], errors: ['expected { "recipes": [...] }'] };
+  const recipes = [];
+  const seen = {};
+  list.forEach(function (r, i) {
+    const where = `recipe ${i + 1}${r && r.id ? ` '${r.id}'` : ''}`;
+    const before = errors.length;
+    if (!r || !r.id) { errors.push(`${where}: needs an id`); return; }
+    if (seen[r.id]) errors.push(`${where}: duplicate id`);
+    seen[r.id] = true;
+    if (r.common !== undefined) _checkMatch(r.common, where + ' common', errors);
+    if (!Array.isArray(r.inputs) || !r.inputs.length) errors.push(`${where}: needs inputs`);
+    const inputs = (r.inputs || []).map(function (inp, j) {
+      const iw = `${where} input ${j + 1}`;
+      _checkMatch(inp && inp.match, iw, errors);
+      const match = Object.assign({}, r.common || {}, (inp && inp.match) || {});
+      match.path = _list(match.path);
+      match.name = _list(match.name);
+      if (inp && inp.sum !== undefined) {
+        if (!SUM_FIELDS[inp.sum]) errors.push(`${iw}: sum must be quality or stack`);
+        if (!(inp.total > 0)) errors.push(`${iw}: sum needs a total > 0`);
+        return { label: inp.label || `input ${j + 1}`, match: match, sum: inp.sum, total: inp.total };
+      }
+      const count = inp && inp.count !== undefined ? inp.count : 1;
+      if (!(Number.isInteger(count) && count > 0)) errors.push(`${iw}: count must be a whole number > 0`);
+      return { label: (inp && inp.label) || `input ${j + 1}`, match: match, count: count };
+    });
+    if (errors.length > before) return;
+    recipes.push({ id: String(r.id), name: r.name || String(r.id), result: r.result || '', inputs: inputs });
+  });
+  return { recipes: recipes, errors: errors };
+}
+
+/** Does an item record satisfy a (normalized) match? */
+export function recipeItemMatches(m, it) {
+  const path = String(it.path || '').toLowerCase();
+  const name = String(it.name || '').toLowerCase();
+  if (m.path.length && !m.path.some(function (s) { return path.indexOf(s) >= 0; })) return false;
+  if (m.name.length && !m.name.some(function (s) { return name.indexOf(s) >= 0; })) return false;
+  const rarity = it.rarity || 0;
+  if (m.rarity !== undefined && rarity !== m.rarity) return false;
+  if (m.minRarity !== undefined && rarity < m.minRarity) return false;
+  if (m.maxRarity !== undefined && rarity > m.maxRarity) return false;
+  if (m.identified !== undefined && (it.identified !== false) !== m.identified) return false;
+  if (m.minQuality !== undefined && (it.quality || 0) < m.minQuality) return false;
+  if (m.minItemLevel !== undefined && (it.ilvl || 0) < m.minItemLevel) return false;
+  if (m.maxItemLevel !== undefined && (it.ilvl || 0) > m.maxItemLevel) return false;
+  if (m.minStack !== undefined && (it.stack || 1) < m.minStack) return false;
+  return true;
+}
+
+// Pick for one input from `avail` ([{ item, where }], bag first). { picked: [...], have, need } -- picked is
+// empty unless the input is satisfied.
+function _pickInput(inp, avail) {
+  const cands = avail.filter(function (e) { return recipeItemMatches(inp.match, e.item); });
+  if (!inp.sum) {
+    return { picked: cands.length >= inp.count ? cands.slice(0, inp.count) : [], have: Math.min(cands.length, inp.count), need: inp.count };
+  }
+  const val = SUM_FIELDS[inp.sum];
+  // backpack first, then biggest contributions; then drop whatever the total doesn't need (smallest first)
+  const order = cands.slice().sort(function (a, b) { return ((a.where === 'bag' ? 0 : 1) - (b.where === 'bag' ? 0 : 1)) || (val(b.item) - val(a.item)); });
+  const picked = [];
+  let sum = 0;
+  for (const e of order) { if (sum >= inp.total) break; picked.push(e); sum += val(e.item); }
+  if (sum < inp.total) return { picked: [], have: sum, need: inp.total };
+  picked.sort(function (a, b) { return val(a.item) - val(b.item); });
+  for (let i = 0; i < picked.length;) {
+    const v = val(picked[i].item);
+    if (sum - v >= inp.total) { sum -= v; picked.splice(i, 1); } else i++;
+  }
+  return { picked: picked, have: sum, need: inp.total };
+}
+
+/**
+ * Plan one recipe over `pool` ([{ item, where: 'bag' | tabName }]). Completes as many sets as the pool allows
+ * (up to maxSets), each using items no earlier set took.
+ * Returns { recipe, sets: [[{ item, where, input }]], missing: [{ label, have, need }] } -- missing describes the
+ * next, incomplete set (empty when none of its inputs are short).
+ */
+export function planRecipe(recipe, pool, { maxSets = 20 } = {}) {
+  let avail = pool.slice().sort(function (a, b) { return (a.where === 'bag' ? 0 : 1) - (b.where === 'bag' ? 0 : 1); });
+  const sets = [];
+  let missing = [];
+  while (sets.length < maxSets) {
+    const set = [];
+    missing = [];
+    let left = avail;
+    for (const inp of recipe.inputs) {
+      const r = _pickInput(inp, left);
+      if (!r.picked.length) { missing.push({ label: inp.label, have: r.have, need: r.need }); continue; }
+      for (const e of r.picked) set.push({ item: e.item, where: e.where, input: inp.label });
+      left = left.filter(function (e) { return r.picked.indexOf(e) < 0; });
+    }
+    if (missing.length) break;
+    sets.push(set);
+    avail = left;
+  }
+  return { recipe: recipe, sets: sets, missing: missing };
+}
+
+/** planRecipe for every recipe, each over the whole pool (recipes compete for items; the UI prepares one at a time). */
+export function planRecipes(recipes, pool, opts) {
+  return recipes.map(function (r) { return planRecipe(r, pool, opts); });
+}
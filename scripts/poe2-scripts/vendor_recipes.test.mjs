@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseRecipes, recipeItemMatches, planRecipe } from './vendor_recipes.js';
+
+// the shipped data file parses cleanly
+const shipped = parseRecipes(readFileSync(new URL('./vendor_recipes.json', import.meta.url), 'utf8'));
+assert.deepEqual(shipped.errors, []);
+assert.deepEqual(shipped.recipes.map(r => r.id), ['flask_quality', 'gem_quality', 'unid_rare_set']);
+const [flasks, , rares] = shipped.recipes;
+assert.deepEqual(rares.inputs[0].match, { rarity: 2, identified: false, minItemLevel: 60, path: ['items/armours/helmets/'], name: [] });
+
+// ---- parse errors: the broken recipe is dropped, the rest load ----
+const bad = parseRecipes(JSON.stringify({ recipes: [
+  { id: 'a', inputs: [{ match: { colour: 'red' }, count: 0 }] },
+  { id: 'b', inputs: [{ match: {}, sum: 'weight', total: 0 }] },
+  { name: 'no id', inputs: [] },
+  { id: 'ok', inputs: [{ match: { name: 'Orb' } }] },
+  { id: 'ok', inputs: [{ match: {} }] },
+] }));
+assert.deepEqual(bad.errors, [
+  "recipe 1 'a' input 1: unknown match field 'colour'", "recipe 1 'a' input 1: count must be a whole number > 0",
+  "recipe 2 'b' input 1: sum must be quality or stack", "recipe 2 'b' input 1: sum needs a total > 0",
+  'recipe 3: needs an id', "recipe 5 'ok': duplicate id",
+]);
+assert.deepEqual(bad.recipes.map(r => [r.id, r.inputs[0].count]), [['ok', 1]]);
+assert.deepEqual(parseRecipes('{ nope').errors.length, 1);
+assert.deepEqual(parseRecipes('{}').errors, ['expected { "recipes": [...] }']);
+
+// ---- matching ----
+const flask = (quality, extra) => Object.assign({ name: 'Ultimate Life Flask', path: 'Metadata/Items/Flasks/FlaskLife9', rarity: 0, quality, stack: 1 }, extra);
+assert.equal(recipeItemMatches(flasks.inputs[0].match, flask(5)), true);
+assert.equal(recipeItemMatches(flasks.inputs[0].match, flask(0)), false);
+assert.equal(recipeItemMatches(flasks.inputs[0].match, flask(5, { path: 'Metadata/Items/Flasks/CharmStun' })), false);
+
+// ---- quality sum: backpack first, then biggest; drop what the 40 doesn't need ----
+const pool = [
+  { item: flask(20, { x: 0 }), where: 'Flasks' }, { item: flask(10, { x: 1 }), where: 'Flasks' },
+  { item: flask(5, { x: 2 }), where: 'bag' }, { item: flask(18, { x: 3 }), where: 'Flasks' }, { item: flask(3, { x: 4 }), where: 'Dump' },
+];
+const fp = planRecipe(flasks, pool);
+assert.equal(fp.sets.length, 1);
+// bag 5 + 20 + 18 = 43 >= 40; nothing can go without dropping below 40
+assert.deepEqual(fp.sets[0].map(e => [e.where, e.item.quality]), [['bag', 5], ['Flasks', 18], ['Flasks', 20]]);
+assert.deepEqual(fp.missing, [{ label: 'flasks', have: 13, need: 40 }]);   // what's left: 10 + 3
+// surplus is trimmed smallest-first: the bag's 2% was taken first but 20 + 15 + 8 already make 40
+const trim = planRecipe(flasks, [{ item: flask(2), where: 'bag' }].concat([20, 15, 8].map(q => ({ item: flask(q), where: 'T' }))));
+assert.deepEqual(trim.sets[0].map(e => e.item.quality), [8, 15, 20]);
+
+// ---- a set recipe: one per slot, counts, common match fields; several sets ----
+const rare = (path, extra) => Object.assign({ name: path, path: `Metadata/Items/${path}X`, rarity: 2, identified: false, ilvl: 70 }, extra);
+const slots = ['Armours/Helmets/', 'Armours/BodyArmours/', 'Armours/Gloves/', 'Armours/Boots/', 'Belts/', 'Amulets/', 'Rings/', 'Rings/', 'Weapons/TwoHandWeapons/Bows/'];
+const setPool = slots.concat(slots).map((p, i) => ({ item: rare(p), where: i < 9 ? 'Rares' : 'bag' }));
+setPool.push({ item: rare('Belts/', { identified: true }), where: 'bag' }, { item: rare('Rings/', { ilvl: 40 }), where: 'bag' });
+const rp = planRecipe(rares, setPool);
+assert.equal(rp.sets.length, 2);
+assert.ok(rp.sets[0].every(e => e.where === 'bag'));                        // the backpack's set first
+assert.deepEqual(rp.sets[0].filter(e => e.input === 'rings').length, 2);
+assert.deepEqual(rp.missing.map(m => m.label), ['helmet', 'body armour', 'gloves', 'boots', 'belt', 'amulet', 'rings', 'weapon']);
+assert.deepEqual(planRecipe(rares, setPool.slice(0, 7)).missing, [{ label: 'rings', have: 1, need: 2 }, { label: 'weapon', have: 0, need: 1 }]);
+assert.equal(planRecipe(rares, setPool, { maxSets: 1 }).sets.length, 1);
+
+console.log('vendor_recipes tests passed');